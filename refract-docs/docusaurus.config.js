@@ -5,6 +5,17 @@ const {themes} = require('prism-react-renderer');
 const lightCodeTheme = themes.github;
 const darkCodeTheme = themes.dracula;
 
+// API reference schema shared by the refract-api plugin and its remark plugins.
+const apiSchemaOptions = {
+  schemaPath: require.resolve('./src/refract/api.json'),
+  siteDir: __dirname,
+};
+
+// Rendering the PDF starts a headless Chrome, so local builds skip the export
+// unless DOCS_EXPORT lists the formats, e.g. DOCS_EXPORT=pdf,epub. The footer
+// only links the formats that are built.
+const exportFormats = process.env.DOCS_EXPORT?.split(',').filter(Boolean) ?? [];
+
 /** @type {import('@docusaurus/types').Config} */
 const config = {
   title: 'Refract',
@@ -20,8 +31,9 @@ const config = {
   organizationName: 'refract-js',
   projectName: 'refract',
 
-  onBrokenLinks: 'warn',
-  onBrokenMarkdownLinks: 'warn',
+  onBrokenLinks: 'throw',
+  onBrokenMarkdownLinks: 'throw',
+  onBrokenAnchors: 'throw',
   trailingSlash: false,
 
   // Even if you don't use internalization, you can use this field to set useful
@@ -29,7 +41,15 @@ const config = {
   // to replace "en" with "zh-Hans".
   i18n: {
     defaultLocale: 'en',
-    locales: ['en'],
+    locales: ['en', 'es'],
+    localeConfigs: {
+      en: {
+        label: 'English',
+      },
+      es: {
+        label: 'Español',
+      },
+    },
   },
 
   presets: [
@@ -44,6 +64,17 @@ const config = {
           routeBasePath: '/docs',
           include: ['**/*.md', '**/*.mdx'],
           exclude: ['**/_*.{js,jsx,ts,tsx,md,mdx}'],
+          beforeDefaultRemarkPlugins: [
+            [require('./plugins/refract-api/samples'), apiSchemaOptions],
+            [require('./plugins/refract-api/remark'), apiSchemaOptions],
+          ],
+          versions: {
+            current: {
+              label: 'Next',
+              path: 'next',
+              banner: 'unreleased',
+            },
+          },
         },
         blog: {
           showReadingTime: true,
@@ -57,20 +88,50 @@ const config = {
         theme: {
           customCss: require.resolve('./src/css/custom.css'),
         },
+        sitemap: {
+          // Fallback page served by the service worker.
+          ignorePatterns: ['**/offline'],
+        },
       }),
     ],
   ],
 
+  themes: ['@docusaurus/theme-live-codeblock'],
+
   plugins: [
+    ['./plugins/refract-api', {schemaPath: apiSchemaOptions.schemaPath}],
+    ['./plugins/docs-integrity', {onOrphanDocs: 'throw', onInvalidHeadingIds: 'throw'}],
+    './plugins/app-templates',
+    [
+      './plugins/docs-export',
+      {formats: exportFormats},
+    ],
     [
       require.resolve("@easyops-cn/docusaurus-search-local"),
       {
         hashed: true,
-        language: ["en"],
+        language: ["en", "es"],
         highlightSearchTermsOnTargetPage: true,
         explicitSearchResultPath: true,
       },
     ],
+    [
+      '@docusaurus/plugin-pwa',
+      {
+        // Precache every page, the blog and the search index on first visit
+        // so the docs can be read offline.
+        offlineModeActivationStrategies: ['always'],
+        swCustom: require.resolve('./src/sw.js'),
+        injectManifestConfig: {
+          manifestTransforms: [require('./plugins/pwa/precacheSearchIndex')],
+        },
+        pwaHead: [
+          {tagName: 'link', rel: 'manifest', href: '/manifest.json'},
+          {tagName: 'meta', name: 'theme-color', content: '#667eea'},
+          {tagName: 'meta', name: 'apple-mobile-web-app-capable', content: 'yes'},
+        ],
+      },
+    ],
   ],
 
   themeConfig:
@@ -100,6 +161,14 @@ const config = {
             label: 'Blog',
             position: 'left',
           },
+          {
+            type: 'docsVersionDropdown',
+            position: 'right',
+          },
+          {
+            type: 'localeDropdown',
+            position: 'right',
+          },
           {
             href: 'https://github.com/refract-js/refract',
             label: 'GitHub',
@@ -125,6 +194,10 @@ const config = {
                 label: 'Tutorials',
                 to: '/docs/tutorials/getting-started',
               },
+              ...exportFormats.map((format) => ({
+                label: `Download ${format.toUpperCase()}`,
+                href: `pathname:///downloads/refract-docs.${format}`,
+              })),
             ],
           },
           {
@@ -177,7 +250,6 @@ const config = {
           autoCollapseCategories: true,
         },
       },
-      onBrokenAnchors: 'warn',
     }),
 };
 
@@ -0,0 +1,21 @@
+// Tests for the reference runtime in src/refract, its packages and the
+// packages/ tools. The runtime is JSX with ES modules, compiled the same way
+// the docs site compiles it, so tests import it straight from src.
+
+/** @type {import('jest').Config} */
+module.exports = {
+  testEnvironment: 'jsdom',
+  testMatch: ['<rootDir>/{src,packages,plugins}/**/__tests__/**/*.test.js'],
+  transform: {
+    '\\.js$': [
+      'babel-jest',
+      {
+        babelrc: false,
+        configFile: false,
+        presets: [['@babel/preset-react', {runtime: 'automatic'}]],
+        plugins: ['@babel/plugin-transform-modules-commonjs'],
+      },
+    ],
+  },
+  setupFiles: ['<rootDir>/jest.setup.js'],
+};
@@ -0,0 +1,12 @@
+// jsdom doesn't provide some of the Node globals the code under test uses:
+// react-dom/server needs setImmediate and the text codecs when a test renders
+// on the server and hydrates in the same file, and the persist adapters clone
+// with structuredClone.
+const {setImmediate} = require('timers');
+const {TextDecoder, TextEncoder} = require('util');
+const v8 = require('v8');
+
+globalThis.setImmediate ??= setImmediate;
+globalThis.TextEncoder ??= TextEncoder;
+globalThis.TextDecoder ??= TextDecoder;
+globalThis.structuredClone ??= (value) => v8.deserialize(v8.serialize(value));
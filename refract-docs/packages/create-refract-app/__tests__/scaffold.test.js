@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ts = require('typescript');
+const {templates} = require('../templates.json');
+const {renderProject, writeProject} = require('../lib/scaffold');
+
+const ROOT = path.join(__dirname, '..', '..', '..');
+
+// The tutorials' code comes from the docs and has its own checks; the
+// snapshots cover the files the CLI generates around it.
+function projectTree(files, template) {
+  const tutorialFiles = new Set(Object.values(template.files));
+  return Object.fromEntries(
+    Object.entries(files).map(([file, content]) => [file, tutorialFiles.has(content) ? '(from the tutorial)' : content]),
+  );
+}
+
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'create-refract-app-'));
+}
+
+// Installs what the generated package.json asks for from this repo: the
+// Refract runtime and its types, and React's types.
+function linkDependencies(directory) {
+  const link = (name, target) => {
+    const linkPath = path.join(directory, 'node_modules', name);
+    fs.mkdirSync(path.dirname(linkPath), {recursive: true});
+    fs.symlinkSync(target, linkPath, 'dir');
+  };
+  link('refract-js', path.join(ROOT, 'src', 'refract'));
+  link('@types/react', path.join(ROOT, 'node_modules', '@types', 'react'));
+  const packageJson = JSON.parse(fs.readFileSync(path.join(directory, 'package.json'), 'utf8'));
+  Object.keys(packageJson.dependencies)
+    .filter((name) => name.startsWith('@refract/'))
+    .forEach((name) => link(name, path.join(ROOT, 'src', 'refract', name.slice('@refract/'.length))));
+}
+
+function typeCheck(directory) {
+  const configPath = path.join(directory, 'tsconfig.json');
+  const {config} = ts.readConfigFile(configPath, ts.sys.readFile);
+  const {options, fileNames} = ts.parseJsonConfigFileContent(config, ts.sys, directory);
+  const program = ts.createProgram(fileNames, options);
+  return ts
+    .getPreEmitDiagnostics(program)
+    .map((diagnostic) => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+}
+
+describe.each(templates.map((template) => [template.name, template]))('the %s template', (name, template) => {
+  it('creates a JavaScript project', () => {
+    expect(projectTree(renderProject({name: 'my-app', template}), template)).toMatchSnapshot();
+  });
+
+  it('creates a TypeScript project', () => {
+    expect(projectTree(renderProject({name: 'my-app', template, typescript: true}), template)).toMatchSnapshot();
+  });
+
+  it('creates a TypeScript project that type-checks', () => {
+    const directory = path.join(createTempDir(), 'my-app');
+    try {
+      writeProject(directory, renderProject({name: 'my-app', template, typescript: true}));
+      linkDependencies(directory);
+
+      expect(typeCheck(directory)).toEqual([]);
+    } finally {
+      fs.rmSync(path.dirname(directory), {recursive: true, force: true});
+    }
+  });
+});
+
+describe('writeProject', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = path.join(createTempDir(), 'my-app');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(directory), {recursive: true, force: true});
+  });
+
+  it('writes the files into the directory', () => {
+    writeProject(directory, {'src/App.js': 'app', 'README.md': 'readme'});
+
+    expect(fs.readFileSync(path.join(directory, 'src', 'App.js'), 'utf8')).toBe('app');
+    expect(fs.readFileSync(path.join(directory, 'README.md'), 'utf8')).toBe('readme');
+  });
+
+  it.each([['../outside.js'], ['src/../../outside.js'], [path.join(os.tmpdir(), 'absolute.js')], ['.']])(
+    'refuses to write %s',
+    (file) => {
+      expect(() => writeProject(directory, {'src/App.js': 'app', [file]: 'escaped'})).toThrow('outside');
+      expect(fs.existsSync(directory)).toBe(false);
+      expect(fs.existsSync(path.join(path.dirname(directory), 'outside.js'))).toBe(false);
+    },
+  );
+
+  it("refuses to write into a directory that isn't empty", () => {
+    fs.mkdirSync(directory);
+    fs.writeFileSync(path.join(directory, 'notes.txt'), '');
+
+    expect(() => writeProject(directory, {'src/App.js': 'app'})).toThrow("isn't empty");
+  });
+});
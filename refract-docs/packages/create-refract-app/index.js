@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// Creates a Refract project from one of the tutorial templates.
+//
+//   npx create-refract-app my-app
+//   npx create-refract-app my-app --template todo --typescript --offline
+//
+// Asks for whatever the flags leave out when run in a terminal, and uses the
+// defaults otherwise (or with --yes).
+
+const path = require('path');
+const {spawnSync} = require('child_process');
+const {parseArgs} = require('util');
+const {DEFAULT_TEMPLATE, TEMPLATES, loadTemplates} = require('./lib/templates');
+const {validateProjectName, renderProject, writeProject} = require('./lib/scaffold');
+const {promptOptions} = require('./lib/prompt');
+
+const USAGE = `Usage: create-refract-app [project-name] [options]
+
+Options:
+  -t, --template <name>   ${TEMPLATES.map(({name}) => name).join(', ')} (default: ${DEFAULT_TEMPLATE})
+      --typescript        Create a TypeScript project
+      --javascript        Create a JavaScript project (default)
+      --offline           Use the templates bundled with this version instead of downloading the latest
+      --templates-url <url>
+                          Download the templates from <url>
+      --skip-install      Don't install the dependencies
+      --dry-run           List the files that would be created, and create nothing
+  -y, --yes               Don't ask questions; use the defaults for anything not given
+  -h, --help              Show this help
+`;
+
+function parseOptions(argv) {
+  const {values, positionals} = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      template: {type: 'string', short: 't'},
+      typescript: {type: 'boolean'},
+      javascript: {type: 'boolean'},
+      offline: {type: 'boolean', default: false},
+      'templates-url': {type: 'string'},
+      'skip-install': {type: 'boolean', default: false},
+      'dry-run': {type: 'boolean', default: false},
+      yes: {type: 'boolean', short: 'y', default: false},
+      help: {type: 'boolean', short: 'h', default: false},
+    },
+  });
+  if (positionals.length > 1) {
+    throw new Error(`Expected one project name, got ${positionals.join(' ')}.`);
+  }
+  if (values.typescript && values.javascript) {
+    throw new Error('Choose either --typescript or --javascript.');
+  }
+  return {
+    name: positionals[0],
+    template: values.template,
+    typescript: values.typescript ? true : values.javascript ? false : undefined,
+    offline: values.offline,
+    templatesUrl: values['templates-url'],
+    install: !values['skip-install'],
+    dryRun: values['dry-run'],
+    interactive: !values.yes && process.stdin.isTTY && process.stdout.isTTY,
+    help: values.help,
+  };
+}
+
+// The package manager running this command, from `npx`, `yarn create` or
+// `pnpm create`.
+function detectPackageManager() {
+  const agent = process.env.npm_config_user_agent ?? '';
+  return ['pnpm', 'yarn'].find((name) => agent.startsWith(name)) ?? 'npm';
+}
+
+async function main(argv) {
+  let options = parseOptions(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (options.name) {
+    const problem = validateProjectName(options.name);
+    if (problem) {
+      throw new Error(problem);
+    }
+  }
+
+  const {templates} = await loadTemplates({
+    offline: options.offline,
+    url: options.templatesUrl,
+    onFallback: (error) => console.warn(`Couldn't download the latest templates (${error.message}); using the bundled ones.`),
+  });
+  if (options.template && !templates.some(({name}) => name === options.template)) {
+    throw new Error(`Unknown template "${options.template}". Choose one of: ${templates.map(({name}) => name).join(', ')}.`);
+  }
+
+  if (options.interactive) {
+    options = await promptOptions(options, {templates, defaultTemplate: DEFAULT_TEMPLATE, validateName: validateProjectName});
+  }
+  const {name = 'my-refract-app', template: templateName = DEFAULT_TEMPLATE, typescript = false} = options;
+
+  const packageManager = detectPackageManager();
+  const template = templates.find((candidate) => candidate.name === templateName);
+  const files = renderProject({name, template, typescript, packageManager});
+  const directory = path.resolve(name);
+
+  if (options.dryRun) {
+    console.log(`Would create ${directory}:`);
+    Object.keys(files).forEach((file) => console.log(`  ${file}`));
+    return;
+  }
+
+  writeProject(directory, files);
+  console.log(`Created ${name} from the ${template.title} template in ${directory}.`);
+
+  if (options.install) {
+    console.log(`Installing dependencies with ${packageManager}...`);
+    const result = spawnSync(packageManager, ['install'], {
+      cwd: directory,
+      stdio: 'inherit',
+      shell: process.platform === 'win32',
+    });
+    if (result.status !== 0) {
+      console.warn(`${packageManager} install failed; run it in ${name} to try again.`);
+    }
+  }
+
+  console.log(`
+Next steps:
+  cd ${name}
+${options.install ? '' : `  ${packageManager} install\n`}  ${packageManager} start
+
+The ${template.title} tutorial explains the code: ${template.url}`);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
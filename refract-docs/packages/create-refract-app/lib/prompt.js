@@ -0,0 +1,59 @@
+// Questions asked in interactive mode, for whatever the flags left out.
+
+const readline = require('readline/promises');
+
+async function ask(rl, question, defaultValue) {
+  const answer = (await rl.question(`${question} (${defaultValue}) `)).trim();
+  return answer || defaultValue;
+}
+
+async function choose(rl, question, choices, defaultIndex) {
+  console.log(question);
+  choices.forEach((choice, index) => console.log(`  ${index + 1}. ${choice}`));
+  for (;;) {
+    const answer = await ask(rl, 'Choose', String(defaultIndex + 1));
+    const index = Number(answer) - 1;
+    if (Number.isInteger(index) && index >= 0 && index < choices.length) {
+      return index;
+    }
+    console.log(`Enter a number from 1 to ${choices.length}.`);
+  }
+}
+
+/**
+ * Asks for the options missing from `options`, and returns them completed.
+ *
+ * @param {{name?: string, template?: string, typescript?: boolean}} options
+ * @param {{templates: object[], defaultTemplate: string, validateName: (name: string) => string | null}} context
+ */
+async function promptOptions(options, {templates, defaultTemplate, validateName}) {
+  const rl = readline.createInterface({input: process.stdin, output: process.stdout});
+  try {
+    let {name, template, typescript} = options;
+    while (!name) {
+      name = await ask(rl, 'Project name:', 'my-refract-app');
+      const problem = validateName(name);
+      if (problem) {
+        console.log(problem);
+        name = undefined;
+      }
+    }
+    if (!template) {
+      const index = await choose(
+        rl,
+        'Template:',
+        templates.map(({title, description}) => `${title}: ${description}`),
+        templates.findIndex(({name: candidate}) => candidate === defaultTemplate),
+      );
+      template = templates[index].name;
+    }
+    if (typescript === undefined) {
+      typescript = (await choose(rl, 'Language:', ['JavaScript', 'TypeScript'], 0)) === 1;
+    }
+    return {...options, name, template, typescript};
+  } finally {
+    rl.close();
+  }
+}
+
+module.exports = {promptOptions};
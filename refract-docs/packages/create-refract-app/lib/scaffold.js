@@ -0,0 +1,219 @@
+// Turns a template into the files of a project: the tutorial's code, plus
+// the Vite setup, entry point and package.json around it. JavaScript
+// projects keep the tutorial's file names. TypeScript projects get a
+// TypeScript entry point and Vite config and a tsconfig.json; the tutorial's
+// code stays JavaScript, renamed to .jsx when it contains JSX, which the
+// compiler accepts without checking it, since the tutorials don't annotate
+// their types. __tests__/scaffold.test.js type-checks every template.
+
+const fs = require('fs');
+const path = require('path');
+
+const VERSIONS = {
+  'refract-js': '^1.0.0',
+  react: '^18.2.0',
+  'react-dom': '^18.2.0',
+  vite: '^5.4.0',
+  typescript: '^5.5.0',
+  '@types/react': '^18.2.0',
+  '@types/react-dom': '^18.2.0',
+};
+// The @refract/* packages are released with refract-js.
+const SCOPED_VERSION = VERSIONS['refract-js'];
+
+const JSX = /<\/|\/>/;
+
+function versionOf(name) {
+  return VERSIONS[name] ?? (name.startsWith('@refract/') ? SCOPED_VERSION : 'latest');
+}
+
+/**
+ * Returns why `name` can't name a project, or `null` if it can. It becomes
+ * the directory and the package.json name, so it follows npm's rules.
+ */
+function validateProjectName(name) {
+  if (!name) {
+    return 'The project needs a name.';
+  }
+  if (name.length > 214) {
+    return 'Project names can be at most 214 characters long.';
+  }
+  if (!/^[a-z0-9][a-z0-9._-]*$/.test(name)) {
+    return 'Project names can only contain lowercase letters, digits, dots, dashes and underscores, and must start with a letter or digit.';
+  }
+  return null;
+}
+
+function toTypeScriptProjectPath(file, content) {
+  return file.endsWith('.js') && JSX.test(content) ? file.replace(/\.js$/, '.jsx') : file;
+}
+
+function packageJson({name, template, typescript}) {
+  // The tutorials import Refract as 'refract' or 'refract-js'; both are the
+  // refract-js package (see vite.config.js).
+  const packages = template.packages.map((dependency) => (dependency === 'refract' ? 'refract-js' : dependency));
+  const dependencies = [...new Set(['refract-js', 'react', 'react-dom', ...packages])].sort();
+  // Refract's types build on React's.
+  const devDependencies = typescript ? ['@types/react', '@types/react-dom', 'typescript', 'vite'] : ['vite'];
+  const scripts = {start: 'vite', build: 'vite build', preview: 'vite preview'};
+  if (typescript) {
+    scripts.typecheck = 'tsc';
+  }
+  const json = {
+    name,
+    version: '0.1.0',
+    private: true,
+    type: 'module',
+    scripts,
+    dependencies: Object.fromEntries(dependencies.map((dependency) => [dependency, versionOf(dependency)])),
+    devDependencies: Object.fromEntries(devDependencies.map((dependency) => [dependency, versionOf(dependency)])),
+  };
+  return `${JSON.stringify(json, null, 2)}\n`;
+}
+
+function viteConfig({typescript}) {
+  // Only JavaScript projects need JSX enabled in .js files.
+  const jsxInJs = typescript
+    ? ''
+    : `
+  esbuild: {
+    // The components are .js files containing JSX.
+    loader: 'jsx',
+    include: /src\\/.*\\.js$/,
+    exclude: [],
+  },
+  optimizeDeps: {
+    esbuildOptions: { loader: { '.js': 'jsx' } },
+  },`;
+  return `import { defineConfig } from 'vite';
+
+export default defineConfig({
+  resolve: {
+    // Refract is imported as 'refract'; the package is refract-js.
+    alias: { refract: 'refract-js' },
+  },${jsxInJs}
+});
+`;
+}
+
+function tsconfig() {
+  const json = {
+    compilerOptions: {
+      target: 'ES2020',
+      lib: ['ES2020', 'DOM', 'DOM.Iterable'],
+      module: 'ESNext',
+      moduleResolution: 'bundler',
+      jsx: 'react-jsx',
+      strict: true,
+      // The tutorial code is JavaScript; it's compiled but not checked.
+      allowJs: true,
+      skipLibCheck: true,
+      noEmit: true,
+      paths: {refract: ['./node_modules/refract-js']},
+    },
+    include: ['src'],
+  };
+  return `${JSON.stringify(json, null, 2)}\n`;
+}
+
+function indexHtml({title, entry}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title}</title>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="/${entry}"></script>
+  </body>
+</html>
+`;
+}
+
+// The entry point mounts the app, unless the tutorial's App mounts itself.
+function entryPoint(app) {
+  if (/\.mount\(/.test(app)) {
+    return "import './App';\n";
+  }
+  return `import { createApp } from 'refract';
+import App from './App';
+
+createApp(App).mount('#root');
+`;
+}
+
+function readme({name, template, typescript, packageManager}) {
+  const run = packageManager === 'npm' ? 'npm run' : packageManager;
+  return `# ${name}
+
+Created with create-refract-app from the ${template.title} template${typescript ? ', in TypeScript' : ''}.
+The code is the finished app of the [${template.title} tutorial](${template.url}), which explains it step by step.
+
+## Scripts
+
+- \`${packageManager} start\`: starts the development server.
+- \`${run} build\`: builds the app for production into \`dist/\`.
+- \`${run} preview\`: serves the production build.
+${typescript ? `- \`${run} typecheck\`: checks the types.
+
+The tutorial's code is JavaScript, and TypeScript doesn't check it. Write new code in \`.ts\` and \`.tsx\` files,
+and rename a tutorial file to \`.ts\` or \`.tsx\` once you have annotated its types to have it checked too.
+` : ''}`;
+}
+
+/**
+ * Returns the files of a project made from `template`, as a map from path to
+ * content, sorted by path.
+ *
+ * @param {{name: string, template: object, typescript: boolean, packageManager: string}} options
+ */
+function renderProject({name, template, typescript = false, packageManager = 'npm'}) {
+  const files = {};
+  for (const [file, content] of Object.entries(template.files)) {
+    files[typescript ? toTypeScriptProjectPath(file, content) : file] = content;
+  }
+  const entry = typescript ? 'src/index.ts' : 'src/index.js';
+  files[entry] = entryPoint(template.files['src/App.js']);
+
+  files['index.html'] = indexHtml({title: name, entry});
+  files['package.json'] = packageJson({name, template, typescript});
+  files[typescript ? 'vite.config.ts' : 'vite.config.js'] = viteConfig({typescript});
+  files['README.md'] = readme({name, template, typescript, packageManager});
+  files['.gitignore'] = 'node_modules\ndist\n';
+  if (typescript) {
+    files['tsconfig.json'] = tsconfig();
+  }
+
+  return Object.fromEntries(Object.entries(files).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// Templates are downloaded, so a file path must not reach outside the
+// project, whether with `..` or by being absolute.
+function resolveInside(directory, file) {
+  const target = path.resolve(directory, file);
+  const relative = path.relative(directory, target);
+  if (path.isAbsolute(file) || relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`The template file "${file}" would be written outside ${directory}.`);
+  }
+  return target;
+}
+
+/**
+ * Writes `files` into `directory`, which must not exist or be empty. Throws,
+ * before writing anything, if a file path leads outside `directory`.
+ */
+function writeProject(directory, files) {
+  const root = path.resolve(directory);
+  const targets = Object.entries(files).map(([file, content]) => [resolveInside(root, file), content]);
+  if (fs.existsSync(root) && fs.readdirSync(root).length > 0) {
+    throw new Error(`${directory} already exists and isn't empty.`);
+  }
+  for (const [target, content] of targets) {
+    fs.mkdirSync(path.dirname(target), {recursive: true});
+    fs.writeFileSync(target, content);
+  }
+}
+
+module.exports = {validateProjectName, renderProject, writeProject};
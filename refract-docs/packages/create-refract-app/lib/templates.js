@@ -0,0 +1,91 @@
+// The templates, and where their files come from. The files are generated
+// from the tutorials (see tutorials.js) when the docs site is built, and
+// published next to it; `templates.json` in this package is a copy bundled
+// for `--offline` and for when the site can't be reached.
+
+const path = require('path');
+const {buildTemplate} = require('./tutorials');
+
+// Bumped when the format of templates.json changes, so older versions of the
+// CLI keep using their bundled copy instead of misreading newer templates.
+const FORMAT = 1;
+
+const DOCS_URL = 'https://refract-documentation-i7fkgvid5-samuel-bensos-projects.vercel.app';
+const TEMPLATES_URL = `${DOCS_URL}/create-refract-app/templates.json`;
+const BUNDLED_PATH = path.join(__dirname, '..', 'templates.json');
+const DOWNLOAD_TIMEOUT = 10000;
+
+const TEMPLATES = [
+  {
+    name: 'counter',
+    title: 'Counter',
+    description: 'Counters with step sizes, persistence and animation',
+    tutorial: 'tutorials/counter-app.md',
+  },
+  {
+    name: 'todo',
+    title: 'Todo List',
+    description: 'A todo list with filters, editing and local storage',
+    tutorial: 'tutorials/todo-list.md',
+  },
+  {
+    name: 'global-theme',
+    title: 'Global Theme',
+    description: 'Light and dark themes shared by every component',
+    tutorial: 'tutorials/global-theme.md',
+  },
+  {
+    name: 'animation',
+    title: 'Animation',
+    description: 'Transitions, springs and draggable cards',
+    tutorial: 'tutorials/animation-basics.md',
+  },
+];
+
+const DEFAULT_TEMPLATE = 'counter';
+
+/**
+ * Builds every template from the tutorials in `docsDir`, in the format of
+ * templates.json.
+ */
+function buildTemplates(docsDir) {
+  return {
+    format: FORMAT,
+    templates: TEMPLATES.map((template) => ({
+      ...template,
+      url: `${DOCS_URL}/docs/${template.tutorial.replace(/\.md$/, '')}`,
+      ...buildTemplate(docsDir, template.tutorial),
+    })),
+  };
+}
+
+function loadBundledTemplates() {
+  return require(BUNDLED_PATH);
+}
+
+/**
+ * Returns the templates: the latest ones published with the docs, or the
+ * bundled ones when `offline` is set or the download fails. `onFallback` is
+ * called with the reason when a download fails.
+ */
+async function loadTemplates({offline = false, url = TEMPLATES_URL, onFallback = () => {}} = {}) {
+  if (offline) {
+    return loadBundledTemplates();
+  }
+  try {
+    const response = await fetch(url, {signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT)});
+    if (!response.ok) {
+      throw new Error(`${url} responded with ${response.status}`);
+    }
+    const published = await response.json();
+    if (published.format !== FORMAT) {
+      throw new Error('the published templates need a newer version of create-refract-app');
+    }
+    return published;
+  } catch (error) {
+    onFallback(error);
+    return loadBundledTemplates();
+  }
+}
+
+module.exports = {TEMPLATES, DEFAULT_TEMPLATE, BUNDLED_PATH, buildTemplates, loadTemplates};
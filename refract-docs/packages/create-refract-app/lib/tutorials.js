@@ -0,0 +1,105 @@
+// Builds project templates from the finished code of the tutorials.
+//
+// Tutorial code blocks that write a file start with a comment naming it:
+//
+//   // src/components/Counter.js       the file, replacing earlier versions
+//   /* Add to src/styles/Counter.css */ appended to the file
+//
+// Paths are relative to the project, with `src/` assumed when missing. A
+// template holds the files reachable from `src/App.js` through relative
+// imports, so snippets the app never uses are left out, and every relative
+// import has to resolve: a tutorial whose code doesn't add up fails the build
+// of its template.
+
+const fs = require('fs');
+const path = require('path');
+
+const FENCE = /^```(\S*)/;
+const FILE_COMMENT = /^(?:\/\/|\/\*)\s*(Add to\s+)?((?:[\w-]+\/)*[\w-]+\.(?:jsx?|css))\s*(?:\*\/)?\s*$/;
+const IMPORT = /^\s*import\s+(?:[\s\S]*?\s+from\s+)?['"]([^'"]+)['"]/gm;
+const EXTENSIONS = ['', '.js', '.jsx', '.css'];
+
+const ENTRY = 'src/App.js';
+
+function normalizePath(file) {
+  return file.startsWith('src/') ? file : `src/${file}`;
+}
+
+/**
+ * Returns the files the code blocks of `markdown` write, as a map from path
+ * to content, in the order they are first written.
+ */
+function extractFiles(markdown) {
+  const files = new Map();
+  const lines = markdown.split('\n');
+  let block = null;
+
+  for (const line of lines) {
+    if (!block) {
+      if (FENCE.test(line)) {
+        block = [];
+      }
+      continue;
+    }
+    if (!line.startsWith('```')) {
+      block.push(line);
+      continue;
+    }
+    const match = block.length > 0 && FILE_COMMENT.exec(block[0].trim());
+    if (match) {
+      const file = normalizePath(match[2]);
+      const content = `${block.slice(1).join('\n').trim()}\n`;
+      files.set(file, match[1] && files.has(file) ? `${files.get(file)}\n${content}` : content);
+    }
+    block = null;
+  }
+  return files;
+}
+
+function listImports(content) {
+  return [...content.matchAll(IMPORT)].map((match) => match[1]);
+}
+
+// The package a bare import specifier belongs to: `@scope/name` or `name`.
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Builds the template for `tutorial` (a path relative to `docsDir`): the
+ * files reachable from `src/App.js` and the packages they import.
+ */
+function buildTemplate(docsDir, tutorial) {
+  const written = extractFiles(fs.readFileSync(path.join(docsDir, tutorial), 'utf8'));
+  if (!written.has(ENTRY)) {
+    throw new Error(`The tutorial ${tutorial} never writes ${ENTRY}, so it can't be turned into a template.`);
+  }
+
+  const files = {};
+  const packages = new Set();
+  const queue = [ENTRY];
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (file in files) {
+      continue;
+    }
+    files[file] = written.get(file);
+    for (const specifier of listImports(files[file])) {
+      if (!specifier.startsWith('.')) {
+        packages.add(packageName(specifier));
+        continue;
+      }
+      const target = path.posix.join(path.posix.dirname(file), specifier);
+      const resolved = EXTENSIONS.map((extension) => target + extension).find((candidate) => written.has(candidate));
+      if (!resolved) {
+        throw new Error(`In the tutorial ${tutorial}, ${file} imports "${specifier}", which the tutorial never writes.`);
+      }
+      queue.push(resolved);
+    }
+  }
+
+  return {files, packages: [...packages].sort()};
+}
+
+module.exports = {extractFiles, buildTemplate};
@@ -0,0 +1,43 @@
+/**
+ * @jest-environment node
+ */
+const rule = require('../lib/rules/consistent-import');
+const ruleTester = require('./ruleTester');
+
+ruleTester.run('consistent-import', rule, {
+  valid: [
+    `import { createApp } from 'refract';
+    import { renderToString } from 'refract/server';`,
+    `import { createApp } from 'refract-js';
+    import { routerPlugin } from '@refract/router';`,
+    {
+      code: "const { createApp } = require('refract-js');",
+      options: [{source: 'refract-js'}],
+    },
+  ],
+  invalid: [
+    {
+      code: `import { createApp } from 'refract';
+import { renderToString } from "refract-js/server";
+export * from 'refract-js';`,
+      output: `import { createApp } from 'refract';
+import { renderToString } from "refract/server";
+export * from 'refract';`,
+      errors: [
+        {messageId: 'mixed', data: {expected: 'refract', found: 'refract-js'}},
+        {messageId: 'mixed', data: {expected: 'refract', found: 'refract-js'}},
+      ],
+    },
+    {
+      code: `const { createApp } = require('refract');
+const server = import('refract/server');`,
+      output: `const { createApp } = require('refract-js');
+const server = import('refract-js/server');`,
+      options: [{source: 'refract-js'}],
+      errors: [
+        {messageId: 'preferred', data: {expected: 'refract-js', found: 'refract'}},
+        {messageId: 'preferred', data: {expected: 'refract-js', found: 'refract'}},
+      ],
+    },
+  ],
+});
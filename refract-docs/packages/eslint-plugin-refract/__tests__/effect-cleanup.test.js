@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+const rule = require('../lib/rules/effect-cleanup');
+const ruleTester = require('./ruleTester');
+
+const component = (body) => `const Widget = createComponent(({ lens }) => {
+  ${body}
+  return null;
+});`;
+
+ruleTester.run('effect-cleanup', rule, {
+  valid: [
+    component(`lens.useEffect(() => {
+      window.addEventListener('resize', onResize);
+      return () => window.removeEventListener('resize', onResize);
+    }, []);`),
+    component(`lens.useEffect(() => {
+      const id = setInterval(tick, 1000);
+      return () => clearInterval(id);
+    }, []);`),
+    component(`lens.useEffect(() => {
+      window.addEventListener('load', onLoad, { once: true });
+      window.addEventListener('resize', onResize, { signal: controller.signal });
+    }, []);`),
+    // A cleanup the rule can't see into.
+    component(`lens.useEffect(() => {
+      window.addEventListener('resize', onResize);
+      return unsubscribe;
+    }, []);`),
+    // Effects of other hooks aren't checked.
+    `useEffect(() => {
+      window.addEventListener('resize', onResize);
+    }, []);`,
+  ],
+  invalid: [
+    {
+      code: component(`lens.useEffect(() => {
+        window.addEventListener('resize', onResize);
+      }, []);`),
+      errors: [{messageId: 'listener', data: {type: 'resize'}}],
+    },
+    {
+      code: component(`lens.useEffect(() => {
+        window.addEventListener('resize', onResize);
+        return () => window.removeEventListener('scroll', onScroll);
+      }, []);`),
+      errors: [{messageId: 'listener', data: {type: 'resize'}}],
+    },
+    {
+      code: component(`lens.useEffect(() => {
+        const id = window.setInterval(tick, 1000);
+        return () => {};
+      }, []);`),
+      errors: [{messageId: 'interval'}],
+    },
+    {
+      code: component(`lens.useFlash(() => {
+        window.addEventListener('resize', onResize);
+        setInterval(tick, 1000);
+      }, []);`),
+      errors: [
+        {messageId: 'flash', data: {hook: 'lens.useFlash', resource: 'listener'}},
+        {messageId: 'flash', data: {hook: 'lens.useFlash', resource: 'interval'}},
+      ],
+    },
+  ],
+});
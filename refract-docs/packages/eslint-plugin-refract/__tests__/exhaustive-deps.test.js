@@ -0,0 +1,179 @@
+/**
+ * @jest-environment node
+ */
+const rule = require('../lib/rules/exhaustive-deps');
+const ruleTester = require('./ruleTester');
+
+const component = (body) => `const Widget = createComponent(({ lens, userId, config }) => {
+  const count = lens.useRefraction(0);
+  ${body}
+  return null;
+});`;
+
+// The dependency array only changes through suggestions, since that changes
+// when the callback runs.
+const update = (hook, array, body) => ({
+  messageId: 'updateDependencies',
+  data: {hook, array},
+  output: component(body),
+});
+
+ruleTester.run('exhaustive-deps', rule, {
+  valid: [
+    component(`lens.useEffect(() => {
+      fetchUser(userId, config.apiKey, count.value);
+    }, [userId, config.apiKey, count.value]);`),
+    // Listing an object covers the properties read from it.
+    component(`lens.useEffect(() => fetchUser(config.apiKey), [config]);`),
+    // useDerived tracks the refractions it reads.
+    component(`const double = lens.useDerived(() => count.value * 2 + userId, [userId]);`),
+    // Functions the effect creates read the value when they run.
+    component(`lens.useEffect(() => {
+      const onClick = () => console.log(count.value);
+      window.addEventListener('click', onClick);
+      return () => window.removeEventListener('click', onClick);
+    }, []);`),
+    // The lens, state setters and refractions holding an element never change.
+    `import { useState } from 'react';
+    const Field = createComponent(({ lens }) => {
+      const input = lens.useRefraction(null);
+      const [, setFocused] = useState(false);
+      lens.useEffect(() => {
+        input.value.focus();
+        setFocused(true);
+      }, []);
+      return <input ref={input.set} />;
+    });`,
+    // The array of an effect is optional.
+    component(`lens.useEffect(() => console.log(count.value));`),
+    // React's own hooks are left to react-hooks/exhaustive-deps.
+    `useEffect(() => window.scrollTo(0, 0), [page]);`,
+  ],
+  invalid: [
+    {
+      code: component(`lens.useEffect(() => {
+        fetchUser(userId, config.apiKey);
+      }, [userId]);`),
+      errors: [
+        {
+          messageId: 'missingDependency',
+          data: {hook: 'lens.useEffect', dependencies: "'config.apiKey'"},
+          suggestions: [
+            update(
+              'lens.useEffect',
+              '[userId, config.apiKey]',
+              `lens.useEffect(() => {
+        fetchUser(userId, config.apiKey);
+      }, [userId, config.apiKey]);`,
+            ),
+          ],
+        },
+      ],
+    },
+    {
+      code: component(`lens.useEffect(() => console.log(count.value, userId), []);`),
+      errors: [
+        {
+          messageId: 'missingDependencies',
+          data: {hook: 'lens.useEffect', dependencies: "'count.value', 'userId'"},
+          suggestions: [
+            update(
+              'lens.useEffect',
+              '[count.value, userId]',
+              `lens.useEffect(() => console.log(count.value, userId), [count.value, userId]);`,
+            ),
+          ],
+        },
+      ],
+    },
+    {
+      code: component(`lens.useEffect(() => console.log(count.value), [count]);`),
+      errors: [
+        {
+          messageId: 'missingDependency',
+          suggestions: [
+            update('lens.useEffect', '[count.value]', `lens.useEffect(() => console.log(count.value), [count.value]);`),
+          ],
+        },
+        {
+          messageId: 'refraction',
+          data: {hook: 'lens.useEffect', dependency: 'count'},
+          suggestions: [
+            update('lens.useEffect', '[count.value]', `lens.useEffect(() => console.log(count.value), [count.value]);`),
+          ],
+        },
+      ],
+    },
+    {
+      code: `const limit = 10;
+const Widget = createComponent(({ lens, userId, config }) => {
+  const count = lens.useRefraction(0);
+  lens.useFlash(() => console.log(userId), [lens, limit, userId, userId]);
+  return null;
+});`,
+      errors: ['stable', 'outer', 'duplicate'].map((messageId) => ({
+        messageId,
+        suggestions: [
+          {
+            messageId: 'updateDependencies',
+            data: {hook: 'lens.useFlash', array: '[userId]'},
+            output: `const limit = 10;
+const Widget = createComponent(({ lens, userId, config }) => {
+  const count = lens.useRefraction(0);
+  lens.useFlash(() => console.log(userId), [userId]);
+  return null;
+});`,
+          },
+        ],
+      })),
+    },
+    {
+      // Removing a dependency an effect doesn't read is suggested on its own.
+      code: component(`lens.useEffect(() => window.scrollTo(0, 0), [userId]);`),
+      errors: [
+        {
+          messageId: 'unused',
+          data: {hook: 'lens.useEffect', dependency: 'userId'},
+          suggestions: [
+            {
+              messageId: 'removeDependency',
+              data: {dependency: 'userId'},
+              output: component(`lens.useEffect(() => window.scrollTo(0, 0), []);`),
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: component(`const user = lens.useOptic(() => useUser(userId), [userId, config]);`),
+      errors: [
+        {
+          messageId: 'unused',
+          suggestions: [
+            update('lens.useOptic', '[userId]', `const user = lens.useOptic(() => useUser(userId), [userId]);`),
+          ],
+        },
+      ],
+    },
+    {
+      code: component(`const label = lens.useDerived(() => config.label + count.value);`),
+      errors: [
+        {
+          messageId: 'missingArray',
+          data: {hook: 'lens.useDerived', dependencies: 'config.label'},
+          suggestions: [
+            {
+              messageId: 'addDependencies',
+              data: {array: '[config.label]'},
+              output: component(`const label = lens.useDerived(() => config.label + count.value, [config.label]);`),
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: component(`lens.useEffect(() => console.log(userId), deps);`),
+      errors: [{messageId: 'notArray', data: {hook: 'lens.useEffect'}}],
+    },
+  ],
+});
@@ -0,0 +1,40 @@
+/**
+ * @jest-environment node
+ */
+const rule = require('../lib/rules/no-value-in-updater');
+const ruleTester = require('./ruleTester');
+
+ruleTester.run('no-value-in-updater', rule, {
+  valid: [
+    'count.set((previous) => previous + 1);',
+    'count.set(count.value + 1);',
+    'todos.update(0, (todo) => ({ ...todo, done: true }));',
+    // Another refraction's value.
+    'total.set((previous) => previous + count.value);',
+    // Assigning `value` isn't a read.
+    'form.set((previous) => { form.value = previous; return previous; });',
+  ],
+  invalid: [
+    {
+      code: 'count.set((previous) => count.value + 1);',
+      output: 'count.set((previous) => previous + 1);',
+      errors: [{messageId: 'valueInUpdater', data: {name: 'count', method: 'set'}}],
+    },
+    {
+      code: 'state.count.set((n) => state.count.value * 2 + state.count.value);',
+      output: 'state.count.set((n) => n * 2 + n);',
+      errors: [{messageId: 'valueInUpdater'}, {messageId: 'valueInUpdater'}],
+    },
+    {
+      // Without a parameter to use instead, the read is only reported.
+      code: 'count.set(() => count.value + 1);',
+      output: null,
+      errors: [{messageId: 'valueInUpdater'}],
+    },
+    {
+      code: 'todos.update(0, (todo) => ({ ...todo, index: todos.value.length }));',
+      output: null,
+      errors: [{messageId: 'valueInUpdater', data: {name: 'todos', method: 'update'}}],
+    },
+  ],
+});
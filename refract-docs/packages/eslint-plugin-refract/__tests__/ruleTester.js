@@ -0,0 +1,10 @@
+const {RuleTester} = require('eslint');
+
+// The rules run on JSX modules, like the components they check.
+module.exports = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    parserOptions: {ecmaFeatures: {jsx: true}},
+  },
+});
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+const rule = require('../lib/rules/rules-of-lenses');
+const ruleTester = require('./ruleTester');
+
+ruleTester.run('rules-of-lenses', rule, {
+  valid: [
+    `const Counter = createComponent(({ lens }) => {
+      const count = lens.useRefraction(0);
+      lens.useEffect(() => {}, [count.value]);
+      return count.value;
+    });`,
+    `function Profile({ lens }) {
+      const user = lens.useRefraction(null);
+      if (!user.value) {
+        return null;
+      }
+      return user.value.name;
+    }`,
+    `import { useRefraction, createOptic } from 'refract';
+    const useToggle = createOptic((initial) => {
+      const on = useRefraction(initial);
+      return [on.value, () => on.set((previous) => !previous)];
+    });`,
+    `import { useLens } from 'refract';
+    function useCount() {
+      const view = useLens();
+      return view.useRefraction(0);
+    }`,
+    `const Search = createComponent(({ lens }) => {
+      const results = lens.useOptic(() => {
+        const query = lens.useRefraction('');
+        return query.value;
+      }, []);
+      return results;
+    });`,
+    `renderOptic(() => useCounter(0));`,
+    // Not a lens, and not imported from Refract.
+    `if (ready) {
+      store.useCache();
+    }`,
+  ],
+  invalid: [
+    {
+      code: `const Profile = createComponent(({ lens, id }) => {
+        if (id) {
+          lens.useEffect(() => {}, [id]);
+        }
+        return null;
+      });`,
+      errors: [{messageId: 'conditional', data: {hook: 'lens.useEffect'}}],
+    },
+    {
+      code: `const Profile = createComponent(({ lens, id }) => {
+        const user = id ? lens.useRefraction(id) : null;
+        const name = id && lens.useDerived(() => id);
+        return null;
+      });`,
+      errors: [
+        {messageId: 'conditional', data: {hook: 'lens.useRefraction'}},
+        {messageId: 'conditional', data: {hook: 'lens.useDerived'}},
+      ],
+    },
+    {
+      code: `const List = createComponent(({ lens, items }) => {
+        for (let i = 0; i < items.length; i++) {
+          lens.useRefraction(items[i]);
+        }
+        return null;
+      });`,
+      errors: [{messageId: 'loop'}],
+    },
+    {
+      code: `const Profile = createComponent(({ lens, user }) => {
+        if (!user) {
+          return null;
+        }
+        const name = lens.useRefraction(user.name);
+        return name.value;
+      });`,
+      errors: [{messageId: 'afterReturn', data: {hook: 'lens.useRefraction'}}],
+    },
+    {
+      code: `const Button = createComponent(({ lens }) => {
+        const onClick = () => lens.useRefraction(0);
+        return <button onClick={onClick} />;
+      });`,
+      errors: [{messageId: 'callback'}],
+    },
+    {
+      code: `import { useRefraction } from 'refract';
+      const count = useRefraction(0);`,
+      errors: [{messageId: 'topLevel', data: {hook: 'useRefraction'}}],
+    },
+  ],
+});
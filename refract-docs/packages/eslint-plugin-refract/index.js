@@ -0,0 +1,45 @@
+// ESLint rules for Refract components: the rules of lenses, exhaustive
+// dependency arrays, effect cleanup, updaters and consistent imports.
+//
+//   // eslint.config.js
+//   const refract = require('eslint-plugin-refract');
+//   module.exports = [refract.configs['flat/recommended']];
+
+const {version} = require('./package.json');
+
+const rules = {
+  'rules-of-lenses': require('./lib/rules/rules-of-lenses'),
+  'exhaustive-deps': require('./lib/rules/exhaustive-deps'),
+  'effect-cleanup': require('./lib/rules/effect-cleanup'),
+  'no-value-in-updater': require('./lib/rules/no-value-in-updater'),
+  'consistent-import': require('./lib/rules/consistent-import'),
+};
+
+const recommendedRules = {
+  'refract/rules-of-lenses': 'error',
+  'refract/exhaustive-deps': 'warn',
+  'refract/effect-cleanup': 'warn',
+  'refract/no-value-in-updater': 'warn',
+  'refract/consistent-import': 'error',
+};
+
+const plugin = {
+  meta: {name: 'eslint-plugin-refract', version},
+  rules,
+  configs: {},
+};
+
+Object.assign(plugin.configs, {
+  // For .eslintrc files.
+  recommended: {
+    plugins: ['refract'],
+    rules: recommendedRules,
+  },
+  // For eslint.config.js.
+  'flat/recommended': {
+    plugins: {refract: plugin},
+    rules: recommendedRules,
+  },
+});
+
+module.exports = plugin;
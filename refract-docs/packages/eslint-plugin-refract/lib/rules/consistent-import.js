@@ -0,0 +1,74 @@
+// Refract is published as `refract-js` and usually aliased to `refract`.
+// A file (or, with the `source` option, a project) that imports both gets
+// two copies of the runtime whenever the alias is missing, and refractions
+// from one are invisible to components of the other.
+
+const {REFRACT_SOURCE, docsUrl} = require('../utils');
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: "Require Refract to be imported as either 'refract' or 'refract-js', not both",
+      recommended: true,
+      url: docsUrl('consistent-import'),
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          source: {enum: ['refract', 'refract-js']},
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      mixed: "This file imports Refract from both '{{expected}}' and '{{found}}'. Use '{{expected}}' throughout.",
+      preferred: "Import Refract from '{{expected}}' rather than '{{found}}'.",
+    },
+  },
+
+  create(context) {
+    const {source: preferred} = context.options[0] ?? {};
+    const sources = [];
+
+    const add = (node) => {
+      if (node?.type === 'Literal' && typeof node.value === 'string' && REFRACT_SOURCE.test(node.value)) {
+        sources.push(node);
+      }
+    };
+
+    return {
+      ImportDeclaration: (node) => add(node.source),
+      ExportNamedDeclaration: (node) => add(node.source),
+      ExportAllDeclaration: (node) => add(node.source),
+      ImportExpression: (node) => add(node.source),
+      CallExpression(node) {
+        if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+          add(node.arguments[0]);
+        }
+      },
+
+      'Program:exit'() {
+        if (sources.length === 0) {
+          return;
+        }
+        const expected = preferred ?? sources[0].value.match(REFRACT_SOURCE)[1];
+        sources.forEach((node) => {
+          const [, found, subpath = ''] = node.value.match(REFRACT_SOURCE);
+          if (found === expected) {
+            return;
+          }
+          const quote = node.raw[0];
+          context.report({
+            node,
+            messageId: preferred ? 'preferred' : 'mixed',
+            data: {expected, found},
+            fix: (fixer) => fixer.replaceText(node, `${quote}${expected}${subpath}${quote}`),
+          });
+        });
+      },
+    };
+  },
+};
@@ -0,0 +1,187 @@
+// Effects that add event listeners or start intervals must undo that in
+// their cleanup, or every re-run and unmount leaks one. Flash effects can't
+// clean up at all, so they shouldn't start either.
+
+const {docsUrl, getSourceCode, isFunction, walk, createHookTracker} = require('../utils');
+
+const TIMER_OWNERS = new Set(['window', 'globalThis', 'self']);
+
+// 'listener' for `target.addEventListener(...)`, 'interval' for
+// `setInterval(...)`, or null.
+function getResourceKind(node) {
+  if (node.type !== 'CallExpression') {
+    return null;
+  }
+  const {callee} = node;
+  const name =
+    callee.type === 'Identifier'
+      ? callee.name
+      : callee.type === 'MemberExpression' && !callee.computed
+        ? callee.property.name
+        : null;
+  if (name === 'addEventListener' && callee.type === 'MemberExpression') {
+    return 'listener';
+  }
+  if (
+    name === 'setInterval' &&
+    (callee.type === 'Identifier' || (callee.object.type === 'Identifier' && TIMER_OWNERS.has(callee.object.name)))
+  ) {
+    return 'interval';
+  }
+  return null;
+}
+
+function isCall(node, name) {
+  if (node.type !== 'CallExpression') {
+    return false;
+  }
+  const {callee} = node;
+  return (
+    (callee.type === 'Identifier' && callee.name === name) ||
+    (callee.type === 'MemberExpression' && !callee.computed && callee.property.name === name)
+  );
+}
+
+// Listeners added with `once` or an AbortSignal remove themselves.
+function removesItself(node) {
+  const options = node.arguments[2];
+  return (
+    options?.type === 'ObjectExpression' &&
+    options.properties.some(
+      (property) =>
+        property.type === 'Property' &&
+        !property.computed &&
+        ['once', 'signal'].includes(property.key.name) &&
+        !(property.value.type === 'Literal' && property.value.value === false),
+    )
+  );
+}
+
+function isNothing(node) {
+  return (node.type === 'Literal' && node.value === null) || (node.type === 'Identifier' && node.name === 'undefined');
+}
+
+function getEventType(node) {
+  const [type] = node.arguments;
+  return type?.type === 'Literal' && typeof type.value === 'string' ? type.value : null;
+}
+
+// The calls in `fn` that start something, outside its cleanup functions.
+function findResources(fn, cleanups) {
+  const resources = [];
+  walk(fn.body, (node) => {
+    if (cleanups.includes(node)) {
+      return false;
+    }
+    const kind = getResourceKind(node);
+    if (kind && !(kind === 'listener' && removesItself(node))) {
+      resources.push({node, kind});
+    }
+    return undefined;
+  });
+  return resources;
+}
+
+// What the effect returns: the arguments of its own return statements.
+function findReturned(fn) {
+  if (fn.body.type !== 'BlockStatement') {
+    return [fn.body];
+  }
+  const returned = [];
+  walk(fn.body, (node) => {
+    if (isFunction(node)) {
+      return false;
+    }
+    if (node.type === 'ReturnStatement' && node.argument) {
+      returned.push(node.argument);
+    }
+    return undefined;
+  });
+  return returned;
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Require effects that add event listeners or start intervals to remove them in their cleanup',
+      recommended: true,
+      url: docsUrl('effect-cleanup'),
+    },
+    schema: [],
+    messages: {
+      listener:
+        "This effect adds a '{{type}}' listener that its cleanup never removes. Return a function that calls removeEventListener, or use useEventListener from @refract/optics.",
+      interval:
+        'This effect starts an interval that its cleanup never clears. Return a function that calls clearInterval, or use useInterval from @refract/optics.',
+      flash:
+        '`{{hook}}` effects cannot clean up, so this {{resource}} is never removed. Use lens.useEffect and return a cleanup function.',
+    },
+  },
+
+  create(context) {
+    const sourceCode = getSourceCode(context);
+    const hooks = createHookTracker();
+
+    const check = (node, hook) => {
+      const [effect] = node.arguments;
+      if (!isFunction(effect)) {
+        return;
+      }
+      const returned = findReturned(effect);
+      const cleanups = returned.filter(isFunction);
+      const resources = findResources(effect, cleanups);
+      if (resources.length === 0) {
+        return;
+      }
+
+      if (hook === 'useFlash') {
+        resources.forEach((resource) =>
+          context.report({
+            node: resource.node,
+            messageId: 'flash',
+            data: {hook: sourceCode.getText(node.callee), resource: resource.kind},
+          }),
+        );
+        return;
+      }
+
+      // A cleanup we can't see into, like `return unsubscribe`, gets the
+      // benefit of the doubt.
+      if (returned.some((value) => !isFunction(value) && !getResourceKind(value) && !isNothing(value))) {
+        return;
+      }
+      const cleanupCalls = [];
+      cleanups.forEach((cleanup) => walk(cleanup.body, (child) => void cleanupCalls.push(child)));
+
+      resources.forEach(({node: resource, kind}) => {
+        if (kind === 'listener') {
+          const type = getEventType(resource);
+          const removed = cleanupCalls.some((call) => {
+            if (!isCall(call, 'removeEventListener')) {
+              return false;
+            }
+            const removedType = getEventType(call);
+            return type === null || removedType === null || removedType === type;
+          });
+          if (!removed) {
+            context.report({node: resource, messageId: 'listener', data: {type: type ?? 'event'}});
+          }
+        } else if (!cleanupCalls.some((call) => isCall(call, 'clearInterval'))) {
+          context.report({node: resource, messageId: 'interval'});
+        }
+      });
+    };
+
+    return {
+      Program: (program) => hooks.scan(program),
+      VariableDeclarator: hooks.VariableDeclarator,
+      CallExpression(node) {
+        const hook = hooks.getHookName(node);
+        if (hook === 'useEffect' || hook === 'useFlash') {
+          check(node, hook);
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,301 @@
+// Checks the dependency arrays of lens.useEffect, useFlash, useOptic and
+// useDerived against what their callbacks read from the component. Effects
+// aren't tracked, so they list the `.value` of the refractions they read;
+// useDerived tracks refraction reads and only lists plain values.
+
+const {
+  docsUrl,
+  getSourceCode,
+  isFunction,
+  getEnclosingFunction,
+  createHookTracker,
+  findVariable,
+  isScopeWithin,
+} = require('../utils');
+
+const DEPENDENCY_HOOKS = new Set(['useEffect', 'useFlash', 'useOptic', 'useDerived']);
+// Hooks whose dependency array isn't optional.
+const REQUIRES_DEPENDENCIES = new Set(['useOptic', 'useDerived']);
+const EFFECT_HOOKS = new Set(['useEffect', 'useFlash']);
+
+// The dependency a read stands for: `props.user.id` for
+// `props.user.id.toString()`, `count.value` for `count.value + 1`.
+function getDependencyPath(identifier) {
+  let node = identifier;
+  let path = identifier.name;
+  while (node.parent.type === 'MemberExpression' && node.parent.object === node && !node.parent.computed) {
+    const member = node.parent;
+    const {parent} = member;
+    // Calling a method or assigning a property depends on the object only.
+    if (
+      (parent.type === 'CallExpression' && parent.callee === member) ||
+      (parent.type === 'AssignmentExpression' && parent.left === member)
+    ) {
+      break;
+    }
+    path += `.${member.property.name}`;
+    node = member;
+  }
+  return path;
+}
+
+// The key of a declared dependency, like 'config.apiKey', or `null` when it
+// isn't an identifier or a chain of properties.
+function getDeclaredKey(node) {
+  let current = node.type === 'ChainExpression' ? node.expression : node;
+  const parts = [];
+  while (current.type === 'MemberExpression') {
+    if (current.computed || current.property.type !== 'Identifier') {
+      return null;
+    }
+    parts.unshift(current.property.name);
+    current = current.object;
+  }
+  if (current.type !== 'Identifier') {
+    return null;
+  }
+  parts.unshift(current.name);
+  return parts.join('.');
+}
+
+function isReactCall(node, name) {
+  if (node?.type !== 'CallExpression') {
+    return false;
+  }
+  const {callee} = node;
+  return (
+    (callee.type === 'Identifier' && callee.name === name) ||
+    (callee.type === 'MemberExpression' && !callee.computed && callee.property.name === name)
+  );
+}
+
+// Whether `identifier` is passed to a JSX `ref`, like `ref={element.set}`:
+// a refraction used to hold a DOM element, read like a React ref.
+function isInRefAttribute(identifier) {
+  for (let node = identifier.parent; node && node.type !== 'JSXElement'; node = node.parent) {
+    if (node.type === 'JSXAttribute') {
+      return node.name.name === 'ref';
+    }
+  }
+  return false;
+}
+
+function covers(declared, path) {
+  return path === declared || path.startsWith(`${declared}.`);
+}
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'Require the dependency arrays of lens effects, optics and derived refractions to list what they read',
+      recommended: true,
+      url: docsUrl('exhaustive-deps'),
+    },
+    hasSuggestions: true,
+    schema: [],
+    messages: {
+      missingDependency: '`{{hook}}` has a missing dependency: {{dependencies}}. Add it to the dependency array.',
+      missingDependencies: '`{{hook}}` has missing dependencies: {{dependencies}}. Add them to the dependency array.',
+      missingArray: '`{{hook}}` needs a dependency array listing the values it reads: [{{dependencies}}].',
+      notArray: '`{{hook}}` expects an array literal of dependencies, so they can be checked.',
+      outer:
+        "'{{dependency}}' is defined outside the component. Changing it doesn't re-render, so it isn't a dependency of `{{hook}}`.",
+      stable: "'{{dependency}}' never changes, so `{{hook}}` doesn't need it as a dependency.",
+      refraction:
+        "'{{dependency}}' is a refraction, whose object never changes. List '{{dependency}}.value' to re-run `{{hook}}` when its value changes.",
+      unused: "`{{hook}}` doesn't read '{{dependency}}'. Remove it from the dependencies.",
+      duplicate: "'{{dependency}}' is listed more than once in the dependencies of `{{hook}}`.",
+      updateDependencies: 'Update the dependencies of `{{hook}}` to {{array}}',
+      addDependencies: 'Add the dependency array {{array}}',
+      removeDependency: "Remove '{{dependency}}'",
+    },
+  },
+
+  create(context) {
+    const sourceCode = getSourceCode(context);
+    const hooks = createHookTracker();
+    const kinds = new Map();
+
+    // 'lens', 'refraction', 'element' (a refraction holding a DOM element),
+    // 'stable' (React refs and state setters) or null.
+    const kindOf = (variable) => {
+      if (kinds.has(variable)) {
+        return kinds.get(variable);
+      }
+      let kind = hooks.isLensName(variable.name) ? 'lens' : null;
+      const def = variable.defs[0];
+      if (!kind && def?.type === 'Variable') {
+        const {id, init} = def.node;
+        if (id.type === 'Identifier' && hooks.createsRefraction(init)) {
+          kind = variable.references.some((reference) => isInRefAttribute(reference.identifier)) ? 'element' : 'refraction';
+        } else if (id.type === 'Identifier' && isReactCall(init, 'useRef')) {
+          kind = 'stable';
+        } else if (
+          id.type === 'ArrayPattern' &&
+          id.elements[1] === def.name &&
+          (isReactCall(init, 'useState') || isReactCall(init, 'useReducer'))
+        ) {
+          kind = 'stable';
+        }
+      }
+      kinds.set(variable, kind);
+      return kind;
+    };
+
+    const check = (node, hook) => {
+      const [callback, dependencies] = node.arguments;
+      const renderFunction = getEnclosingFunction(node);
+      if (!isFunction(callback) || !renderFunction) {
+        return;
+      }
+      const renderScope = sourceCode.scopeManager.acquire(renderFunction);
+      const callbackScope = sourceCode.scopeManager.acquire(callback);
+      const label = sourceCode.getText(node.callee);
+
+      // What the callback reads from the component, as dependency paths.
+      const used = new Set();
+      callbackScope.through.forEach((reference) => {
+        const variable = reference.resolved;
+        if (!variable || !reference.isRead() || !isScopeWithin(variable.scope, renderScope)) {
+          return;
+        }
+        const kind = kindOf(variable);
+        const path = getDependencyPath(reference.identifier);
+        if (kind === 'lens' || kind === 'stable' || kind === 'element') {
+          return;
+        }
+        // Only a refraction's value changes, not the object or its methods.
+        // useDerived tracks what it reads, and functions the callback
+        // creates read the value when they're called, so it can't be stale.
+        if (
+          kind === 'refraction' &&
+          (!covers(`${variable.name}.value`, path) ||
+            hook === 'useDerived' ||
+            getEnclosingFunction(reference.identifier) !== callback)
+        ) {
+          return;
+        }
+        used.add(path);
+      });
+
+      if (!dependencies) {
+        if (REQUIRES_DEPENDENCIES.has(hook)) {
+          const list = [...used].sort().join(', ');
+          context.report({
+            node,
+            messageId: 'missingArray',
+            data: {hook: label, dependencies: list},
+            suggest: [
+              {
+                messageId: 'addDependencies',
+                data: {array: `[${list}]`},
+                fix: (fixer) => fixer.insertTextAfter(callback, `, [${list}]`),
+              },
+            ],
+          });
+        }
+        return;
+      }
+      if (dependencies.type !== 'ArrayExpression') {
+        context.report({node: dependencies, messageId: 'notArray', data: {hook: label}});
+        return;
+      }
+
+      const scope = sourceCode.getScope ? sourceCode.getScope(dependencies) : context.getScope();
+      const valid = [];
+      const problems = [];
+      const seen = new Set();
+      dependencies.elements.forEach((element) => {
+        const key = element && element.type !== 'SpreadElement' ? getDeclaredKey(element) : null;
+        // Other expressions are left alone.
+        if (!key) {
+          return;
+        }
+        const root = key.split('.')[0];
+        const variable = findVariable(scope, root);
+        const kind = variable && isScopeWithin(variable.scope, renderScope) ? kindOf(variable) : null;
+        let problem = null;
+        if (seen.has(key)) {
+          problem = 'duplicate';
+        } else if (!variable || !isScopeWithin(variable.scope, renderScope)) {
+          problem = 'outer';
+        } else if ((kind === 'lens' || kind === 'stable') && key === root) {
+          problem = 'stable';
+        } else if ((kind === 'refraction' || kind === 'element') && hook === 'useDerived') {
+          // Harmless, if not needed.
+        } else if ((kind === 'refraction' || kind === 'element') && key === root) {
+          problem = 'refraction';
+        } else if (kind !== 'element' && ![...used].some((path) => covers(key, path) || covers(path, key))) {
+          problem = 'unused';
+        }
+        seen.add(key);
+        if (problem) {
+          problems.push({element, key, problem});
+        } else {
+          valid.push(key);
+        }
+      });
+
+      const missing = [...used]
+        .filter((path) => !valid.some((key) => covers(key, path)))
+        .sort()
+        .filter((path, index, all) => !all.some((other) => other !== path && covers(other, path)));
+
+      // Changing the dependencies changes when the callback runs, so the
+      // rule only suggests it. Effects may list values they don't read on
+      // purpose, to re-run when those change, so the suggestion that fixes
+      // the whole array keeps them.
+      const isFixedWithArray = ({problem}) => problem !== 'unused' || !EFFECT_HOOKS.has(hook);
+      const arrayText = (removed, added = []) =>
+        `[${dependencies.elements
+          .filter((element) => element && !removed.includes(element))
+          .map((element) => sourceCode.getText(element))
+          .concat(added)
+          .join(', ')}]`;
+      const fixed = arrayText(problems.filter(isFixedWithArray).map(({element}) => element), missing);
+      const updateDependencies = {
+        messageId: 'updateDependencies',
+        data: {hook: label, array: fixed},
+        fix: (fixer) => fixer.replaceText(dependencies, fixed),
+      };
+
+      if (missing.length > 0) {
+        context.report({
+          node: dependencies,
+          messageId: missing.length === 1 ? 'missingDependency' : 'missingDependencies',
+          data: {hook: label, dependencies: missing.map((path) => `'${path}'`).join(', ')},
+          suggest: [updateDependencies],
+        });
+      }
+      problems.forEach((entry) => {
+        const data = {hook: label, dependency: entry.key};
+        context.report({
+          node: entry.element,
+          messageId: entry.problem,
+          data,
+          suggest: [
+            isFixedWithArray(entry)
+              ? updateDependencies
+              : {
+                  messageId: 'removeDependency',
+                  data,
+                  fix: (fixer) => fixer.replaceText(dependencies, arrayText([entry.element])),
+                },
+          ],
+        });
+      });
+    };
+
+    return {
+      Program: (program) => hooks.scan(program),
+      VariableDeclarator: hooks.VariableDeclarator,
+      CallExpression(node) {
+        const hook = hooks.getHookName(node);
+        if (DEPENDENCY_HOOKS.has(hook)) {
+          check(node, hook);
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,68 @@
+// An updater passed to `refraction.set(prev => ...)` gets the current value
+// as `prev`. Reading `refraction.value` there instead says the same thing
+// less clearly, and is tracked as a read when the write happens during a
+// render or a derived computation.
+
+const {docsUrl, getSourceCode, isFunction, walk} = require('../utils');
+
+// `set(updater)` and `update(key, updater)`.
+const UPDATER_INDEX = {set: 0, update: 1};
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'Disallow reading `refraction.value` inside an updater passed to `refraction.set` or `update`',
+      recommended: true,
+      url: docsUrl('no-value-in-updater'),
+    },
+    fixable: 'code',
+    schema: [],
+    messages: {
+      valueInUpdater:
+        "Don't read `{{name}}.value` inside the updater passed to `{{name}}.{{method}}`. Use the updater's argument instead.",
+    },
+  },
+
+  create(context) {
+    const sourceCode = getSourceCode(context);
+
+    return {
+      CallExpression(node) {
+        const {callee} = node;
+        if (callee.type !== 'MemberExpression' || callee.computed || !Object.hasOwn(UPDATER_INDEX, callee.property.name)) {
+          return;
+        }
+        const method = callee.property.name;
+        const updater = node.arguments[UPDATER_INDEX[method]];
+        if (!isFunction(updater)) {
+          return;
+        }
+        const name = sourceCode.getText(callee.object);
+        // `update`'s argument is the previous value of one key, not of the
+        // refraction, so only `set` reads are fixed.
+        const [param] = updater.params;
+        const replacement = method === 'set' && param?.type === 'Identifier' ? param.name : null;
+
+        walk(updater.body, (child) => {
+          if (
+            child.type !== 'MemberExpression' ||
+            child.computed ||
+            child.property.name !== 'value' ||
+            sourceCode.getText(child.object) !== name ||
+            (child.parent.type === 'AssignmentExpression' && child.parent.left === child)
+          ) {
+            return undefined;
+          }
+          context.report({
+            node: child,
+            messageId: 'valueInUpdater',
+            data: {name, method},
+            ...(replacement && {fix: (fixer) => fixer.replaceText(child, replacement)}),
+          });
+          return false;
+        });
+      },
+    };
+  },
+};
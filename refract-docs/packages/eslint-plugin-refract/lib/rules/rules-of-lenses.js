@@ -0,0 +1,132 @@
+// Lens hooks must run in the same order on every render: the lens matches
+// each call to its state by position. Reports calls that may be skipped or
+// repeated: in conditions, loops, after an early return, and in callbacks.
+
+const {docsUrl, getSourceCode, isFunction, getEnclosingFunction, walk, createHookTracker} = require('../utils');
+
+const COMPONENT_NAME = /^[A-Z]/;
+const HOOK_NAME = /^use[A-Z0-9]/;
+const LOOPS = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+function getFunctionName(fn) {
+  if (fn.id) {
+    return fn.id.name;
+  }
+  const {parent} = fn;
+  if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+    return parent.id.name;
+  }
+  if ((parent.type === 'Property' || parent.type === 'MethodDefinition') && !parent.computed) {
+    return parent.key.name;
+  }
+  return null;
+}
+
+// Whether `statement` can return from the function it's in.
+function containsReturn(statement) {
+  let found = false;
+  walk(statement, (node) => {
+    if (found || isFunction(node)) {
+      return false;
+    }
+    if (node.type === 'ReturnStatement') {
+      found = true;
+    }
+    return undefined;
+  });
+  return found;
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Require lens hooks to be called unconditionally, in the same order on every render',
+      recommended: true,
+      url: docsUrl('rules-of-lenses'),
+    },
+    schema: [],
+    messages: {
+      conditional: '`{{hook}}` is called conditionally. Lens hooks must be called in the same order on every render.',
+      loop: '`{{hook}}` is called in a loop. Lens hooks must be called in the same order on every render.',
+      afterReturn:
+        '`{{hook}}` is called after an early return. Lens hooks must be called in the same order on every render.',
+      callback:
+        '`{{hook}}` is called inside a callback. Call lens hooks at the top level of a component or optic.',
+      topLevel: '`{{hook}}` is called outside a component. Call lens hooks at the top level of a component or optic.',
+    },
+  },
+
+  create(context) {
+    const sourceCode = getSourceCode(context);
+    const hooks = createHookTracker();
+
+    // Whether lens hooks may be called at the top level of `fn`.
+    const canCallHooks = (fn) => {
+      const name = getFunctionName(fn);
+      if (name && (COMPONENT_NAME.test(name) || HOOK_NAME.test(name))) {
+        return true;
+      }
+      const {parent} = fn;
+      if (parent.type !== 'CallExpression' || parent.arguments[0] !== fn) {
+        return false;
+      }
+      // createComponent(render), createOptic(fn), the optic of
+      // lens.useOptic(() => ..., deps), which runs on every render, and the
+      // callbacks testing-utils render as a component.
+      return (
+        hooks.isRefractCall(parent, 'createComponent') ||
+        hooks.isRefractCall(parent, 'createOptic') ||
+        hooks.getHookName(parent) === 'useOptic' ||
+        (parent.callee.type === 'Identifier' && ['renderOptic', 'renderHook'].includes(parent.callee.name))
+      );
+    };
+
+    const check = (node, hook) => {
+      const report = (messageId) => context.report({node, messageId, data: {hook}});
+      const fn = getEnclosingFunction(node);
+      if (!fn) {
+        report('topLevel');
+        return;
+      }
+      if (!canCallHooks(fn)) {
+        report('callback');
+        return;
+      }
+
+      let child = node;
+      for (let current = node.parent; current !== fn; child = current, current = current.parent) {
+        if (
+          (current.type === 'IfStatement' && child !== current.test) ||
+          (current.type === 'ConditionalExpression' && child !== current.test) ||
+          (current.type === 'LogicalExpression' && child === current.right) ||
+          (current.type === 'SwitchCase' && child !== current.test)
+        ) {
+          report('conditional');
+          return;
+        }
+        if (LOOPS.has(current.type) && child !== current.init && child !== current.right) {
+          report('loop');
+          return;
+        }
+        if (current.type === 'BlockStatement') {
+          const index = current.body.indexOf(child);
+          if (current.body.slice(0, index).some(containsReturn)) {
+            report('afterReturn');
+            return;
+          }
+        }
+      }
+    };
+
+    return {
+      Program: (program) => hooks.scan(program),
+      VariableDeclarator: hooks.VariableDeclarator,
+      CallExpression(node) {
+        if (hooks.getHookName(node)) {
+          check(node, sourceCode.getText(node.callee));
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,203 @@
+// Helpers shared by the rules: finding lens hook calls, the functions around
+// them, and the variables their callbacks read.
+
+const DOCS_URL = 'https://refract-documentation-i7fkgvid5-samuel-bensos-projects.vercel.app/docs/advanced/linting';
+
+// 'refract', 'refract-js' and their subpaths, like 'refract/server'.
+const REFRACT_SOURCE = /^(refract|refract-js)(\/.*)?$/;
+const SCOPED_SOURCE = /^@refract\//;
+
+const HOOK_NAME = /^use[A-Z0-9]/;
+
+// Calls whose result is a refraction: an object that never changes, whose
+// `value` does.
+const REFRACTION_FACTORIES = new Set(['useRefraction', 'useDerived', 'createRefraction', 'createDerived']);
+
+function docsUrl(rule) {
+  return `${DOCS_URL}#${rule}`;
+}
+
+function getSourceCode(context) {
+  return context.sourceCode ?? context.getSourceCode();
+}
+
+function isFunction(node) {
+  return node?.type === 'ArrowFunctionExpression' || node?.type === 'FunctionExpression' || node?.type === 'FunctionDeclaration';
+}
+
+/**
+ * Returns the function `node` is in, or `null` at the top level.
+ */
+function getEnclosingFunction(node) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (isFunction(current)) {
+      return current;
+    }
+  }
+  return null;
+}
+
+/**
+ * Walks the AST below `node`, calling `visit` for every node. `visit` may
+ * return `false` to skip a node's children.
+ */
+function walk(node, visit) {
+  if (visit(node) === false) {
+    return;
+  }
+  for (const key of Object.keys(node)) {
+    if (key === 'parent') {
+      continue;
+    }
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach((item) => item && typeof item.type === 'string' && walk(item, visit));
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit);
+    }
+  }
+}
+
+/**
+ * Collects what a file imports from Refract and the optics it creates, so
+ * hook calls can be told apart from other functions named `use*`. Call
+ * `scan` on the Program node before using the other methods.
+ */
+function createHookTracker() {
+  // Local name -> imported name, for imports from refract and @refract/*.
+  const imported = new Map();
+  // Names of optics made with createOptic(fn) in this file.
+  const optics = new Set();
+  // Names the lens is known by.
+  const lensNames = new Set(['lens']);
+
+  // Snippets and files that re-export Refract may use its functions without
+  // importing them from 'refract'; a name that isn't imported as something
+  // else counts too.
+  const isRefractCall = (node, name) =>
+    node?.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    (imported.get(node.callee.name) ?? node.callee.name) === name;
+
+  const scanDeclaration = (declaration) => {
+    if (declaration?.type !== 'VariableDeclaration') {
+      return;
+    }
+    declaration.declarations.forEach(({id, init}) => {
+      if (id.type === 'Identifier' && isRefractCall(init, 'createOptic') && isFunction(init.arguments[0])) {
+        optics.add(id.name);
+      }
+    });
+  };
+
+  return {
+    scan(program) {
+      program.body.forEach((statement) => {
+        if (
+          statement.type === 'ImportDeclaration' &&
+          (REFRACT_SOURCE.test(statement.source.value) || SCOPED_SOURCE.test(statement.source.value))
+        ) {
+          statement.specifiers
+            .filter((specifier) => specifier.type === 'ImportSpecifier')
+            .forEach((specifier) => imported.set(specifier.local.name, specifier.imported.name));
+        }
+      });
+      program.body.forEach((statement) =>
+        scanDeclaration(statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement),
+      );
+    },
+
+    // `const lens = useLens()` names the lens too.
+    VariableDeclarator(node) {
+      if (node.id.type === 'Identifier' && isRefractCall(node.init, 'useLens')) {
+        lensNames.add(node.id.name);
+      }
+    },
+
+    /**
+     * Returns the name of the hook `node` calls, without `lens.`, or `null`
+     * if it isn't a lens hook. `lens.useEffect()` and an imported
+     * `useEffect()` both return 'useEffect'; optics return their own name.
+     */
+    getHookName(node) {
+      if (node.type !== 'CallExpression') {
+        return null;
+      }
+      const {callee} = node;
+      if (
+        callee.type === 'MemberExpression' &&
+        !callee.computed &&
+        callee.object.type === 'Identifier' &&
+        lensNames.has(callee.object.name) &&
+        HOOK_NAME.test(callee.property.name)
+      ) {
+        return callee.property.name;
+      }
+      if (callee.type === 'Identifier') {
+        const name = imported.get(callee.name);
+        if (name && HOOK_NAME.test(name)) {
+          return name;
+        }
+        if (optics.has(callee.name)) {
+          return callee.name;
+        }
+      }
+      return null;
+    },
+
+    isLensName(name) {
+      return lensNames.has(name);
+    },
+
+    /**
+     * Whether `node`, a variable's initializer, creates a refraction.
+     */
+    createsRefraction(node) {
+      if (node?.type !== 'CallExpression') {
+        return false;
+      }
+      const {callee} = node;
+      const name = this.getHookName(node) ?? (callee.type === 'Identifier' ? imported.get(callee.name) ?? callee.name : null);
+      return REFRACTION_FACTORIES.has(name);
+    },
+
+    isRefractCall,
+  };
+}
+
+/**
+ * Returns the variable `name` resolves to from `scope`, or `null`.
+ */
+function findVariable(scope, name) {
+  for (let current = scope; current; current = current.upper) {
+    const variable = current.set.get(name);
+    if (variable) {
+      return variable;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether `scope` is `ancestor` or inside it.
+ */
+function isScopeWithin(scope, ancestor) {
+  for (let current = scope; current; current = current.upper) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  REFRACT_SOURCE,
+  docsUrl,
+  getSourceCode,
+  isFunction,
+  getEnclosingFunction,
+  walk,
+  createHookTracker,
+  findVariable,
+  isScopeWithin,
+};
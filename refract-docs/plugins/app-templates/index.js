@@ -0,0 +1,38 @@
+// Docusaurus plugin that builds the create-refract-app templates from the
+// finished code of the tutorials, and publishes them in the build output,
+// where the CLI downloads them. A tutorial whose code doesn't add up to an
+// app (an import of a file it never writes, say) fails the build.
+//
+// The CLI also bundles a copy for `--offline`; the build warns when that copy
+// no longer matches the tutorials (`npm run build-app-templates` updates it).
+
+const fs = require('fs');
+const path = require('path');
+const {buildTemplates, BUNDLED_PATH} = require('../../packages/create-refract-app/lib/templates');
+
+module.exports = function appTemplatesPlugin(context, options) {
+  const {siteDir, i18n} = context;
+  const {outputPath = 'create-refract-app/templates.json'} = options;
+
+  return {
+    name: 'app-templates',
+
+    async postBuild({outDir}) {
+      // The templates come from the English tutorials.
+      if (i18n.currentLocale !== i18n.defaultLocale) {
+        return;
+      }
+      const json = `${JSON.stringify(buildTemplates(path.join(siteDir, 'docs')), null, 2)}\n`;
+      const target = path.join(outDir, outputPath);
+      fs.mkdirSync(path.dirname(target), {recursive: true});
+      fs.writeFileSync(target, json);
+
+      const bundled = fs.existsSync(BUNDLED_PATH) ? fs.readFileSync(BUNDLED_PATH, 'utf8') : null;
+      if (bundled !== json) {
+        console.warn(
+          `[WARNING] The templates bundled with create-refract-app are out of date with the tutorials. Run \`npm run build-app-templates\` to update them.`,
+        );
+      }
+    },
+  };
+};
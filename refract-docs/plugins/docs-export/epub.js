@@ -0,0 +1,122 @@
+// Packages the export as an EPUB 3 book: one XHTML file per chapter, a
+// navigation document built from the outline and the shared stylesheet.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+const {escapeHtml, renderToc} = require('./outline');
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+function xhtml({title, lang, body}) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Chapters live in separate files, so links into other chapters need the
+// file name in front of the anchor.
+function toXhtml(chapter) {
+  const $ = cheerio.load(chapter.html, null, false);
+  $('a[data-chapter]').each((index, element) => {
+    const link = $(element);
+    const target = link.attr('data-chapter');
+    link.attr('href', `${target === chapter.id ? '' : `${target}.xhtml`}${link.attr('href')}`);
+    link.removeAttr('data-chapter');
+  });
+  $('svg:not([xmlns])').attr('xmlns', SVG_NAMESPACE);
+  return $.xml();
+}
+
+function renderPackage({title, lang, identifier, modified, chapters}) {
+  const items = chapters
+    .map((chapter) => {
+      const properties = chapter.hasSvg ? ' properties="svg"' : '';
+      return `<item id="${chapter.id}" href="${chapter.id}.xhtml" media-type="application/xhtml+xml"${properties}/>`;
+    })
+    .join('\n    ');
+  const itemRefs = chapters.map((chapter) => `<itemref idref="${chapter.id}"/>`).join('\n    ');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${identifier}</dc:identifier>
+    <dc:title>${escapeHtml(title)}</dc:title>
+    <dc:language>${lang}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+    ${items}
+  </manifest>
+  <spine>
+    <itemref idref="nav"/>
+    ${itemRefs}
+  </spine>
+</package>
+`;
+}
+
+const CONTAINER = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+/**
+ * Writes the EPUB to `filePath`. The identifier is derived from the content,
+ * so rebuilding unchanged docs produces the same book.
+ */
+async function writeEpub(filePath, {title, lang, outline, chapters, css}) {
+  const files = chapters.map((chapter) => {
+    const body = `<section class="chapter" id="${chapter.id}">\n${toXhtml(chapter)}\n</section>`;
+    return {id: chapter.id, hasSvg: body.includes('<svg'), content: xhtml({title: chapter.title, lang, body})};
+  });
+  const hash = crypto.createHash('sha1');
+  files.forEach((file) => hash.update(file.content));
+  const digest = hash.digest('hex');
+  const identifier = `urn:uuid:${digest.slice(0, 8)}-${digest.slice(8, 12)}-${digest.slice(12, 16)}-${digest.slice(16, 20)}-${digest.slice(20, 32)}`;
+
+  const nav = xhtml({
+    title,
+    lang,
+    body: `<nav epub:type="toc" id="toc" class="toc">\n<h1>Contents</h1>\n${renderToc(outline, (id) => `${id}.xhtml#${id}`)}\n</nav>`,
+  });
+
+  const zip = new JSZip();
+  // The mimetype entry has to come first and must not be compressed.
+  zip.file('mimetype', 'application/epub+zip', {compression: 'STORE'});
+  zip.file('META-INF/container.xml', CONTAINER);
+  zip.file(
+    'OEBPS/content.opf',
+    renderPackage({
+      title,
+      lang,
+      identifier,
+      modified: new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+      chapters: files,
+    }),
+  );
+  zip.file('OEBPS/nav.xhtml', nav);
+  zip.file('OEBPS/style.css', css);
+  files.forEach((file) => zip.file(`OEBPS/${file.id}.xhtml`, file.content));
+
+  const buffer = await zip.generateAsync({type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip'});
+  await fs.promises.writeFile(filePath, buffer);
+}
+
+module.exports = {writeEpub};
@@ -0,0 +1,93 @@
+// Turns the HTML Docusaurus generated for each doc into export chapters:
+// the page chrome is dropped, IDs are made unique across the whole export
+// and links between exported docs become in-document anchors.
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+// Interactive parts that make no sense on paper. Components can opt out of
+// the export with `data-export-hidden`.
+const REMOVED = ['.hash-link', 'button', '[data-export-hidden]', '.theme-doc-toc-mobile'].join(', ');
+
+function getChapterId(doc) {
+  return doc.id.replace(/[^A-Za-z0-9_-]+/g, '-');
+}
+
+function getAnchor(chapterId, id) {
+  return id ? `${chapterId}--${id}` : chapterId;
+}
+
+function normalizePath(pathname) {
+  return pathname.replace(/\.html$/, '').replace(/\/index$/, '').replace(/\/$/, '') || '/';
+}
+
+/**
+ * Reads the built HTML page of `doc` from `outDir`. Pages are written as
+ * `docs/intro.html` or `docs/intro/index.html` depending on `trailingSlash`,
+ * and category index docs have a permalink ending in `/`.
+ */
+function readDocPage(outDir, doc) {
+  const base = doc.permalink.replace(/\/$/, '');
+  const candidates = [`${base}.html`, `${base}/index.html`];
+  for (const candidate of candidates) {
+    const filePath = path.join(outDir, candidate);
+    if (fs.existsSync(filePath)) {
+      return fs.readFileSync(filePath, 'utf8');
+    }
+  }
+  throw new Error(`Cannot export "${doc.id}": no built page found for ${doc.permalink} in ${outDir}.`);
+}
+
+/**
+ * Builds one chapter per doc. `chapters[n].html` is the doc's rendered
+ * Markdown, with internal links pointing at `#<anchor>` and carrying a
+ * `data-chapter` attribute so formats that split chapters into files can
+ * rewrite them.
+ */
+function buildChapters({outDir, docs, siteUrl}) {
+  const chapterIds = new Map(docs.map((doc) => [normalizePath(doc.permalink), getChapterId(doc)]));
+
+  return docs.map((doc) => {
+    const chapterId = getChapterId(doc);
+    const $ = cheerio.load(readDocPage(outDir, doc));
+    const content = $('article .theme-doc-markdown').first();
+    if (content.length === 0) {
+      throw new Error(`Cannot export "${doc.id}": the page has no Markdown content.`);
+    }
+
+    content.find(REMOVED).remove();
+    // Live code blocks: keep the code, drop the editor chrome and preview.
+    content.find('[class*="playgroundContainer"]').each((index, element) => {
+      const code = $(element).find('[class*="playgroundEditor"] pre').first();
+      $(element).replaceWith(code.length > 0 ? code : '');
+    });
+
+    content.find('[id]').each((index, element) => {
+      $(element).attr('id', getAnchor(chapterId, $(element).attr('id')));
+    });
+
+    content.find('a[href]').each((index, element) => {
+      const link = $(element);
+      const url = new URL(link.attr('href'), `${siteUrl}${doc.permalink}`);
+      if (url.origin !== new URL(siteUrl).origin) {
+        return;
+      }
+      const target = chapterIds.get(normalizePath(url.pathname));
+      if (target) {
+        link.attr('href', `#${getAnchor(target, url.hash.slice(1))}`);
+        link.attr('data-chapter', target);
+      } else {
+        link.attr('href', url.href);
+      }
+    });
+
+    content.find('img[src]').each((index, element) => {
+      $(element).attr('src', new URL($(element).attr('src'), `${siteUrl}${doc.permalink}`).href);
+    });
+
+    return {id: chapterId, doc, title: doc.title, html: content.html()};
+  });
+}
+
+module.exports = {buildChapters, getChapterId};
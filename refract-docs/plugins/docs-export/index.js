@@ -0,0 +1,86 @@
+// Docusaurus plugin that exports the docs as a single PDF and EPUB. Docs are
+// read from the built pages in sidebar order, so the export looks like the
+// site: code keeps the configured prism theme's colours and links between
+// docs become in-document anchors. The files are written to `outputDir`
+// inside the build output and linked from the footer.
+//
+// The export is of the released version readers land on, `lastVersion` in
+// Docusaurus terms, unless `version` names another one. Its links to
+// `/docs/...` then resolve to chapters of the export.
+//
+// Rendering the PDF starts a headless Chrome, so only the formats listed in
+// `formats` are built; see docusaurus.config.js.
+
+const fs = require('fs');
+const path = require('path');
+const {buildChapters} = require('./html');
+const {collectOutline} = require('./outline');
+
+const FORMATS = ['pdf', 'epub'];
+
+module.exports = function docsExportPlugin(context, options) {
+  const {siteConfig, i18n} = context;
+  const {
+    formats = [],
+    version = null,
+    sidebar = 'tutorialSidebar',
+    outputDir = 'downloads',
+    fileName = 'refract-docs',
+  } = options;
+
+  const unknown = formats.filter((format) => !FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown docs export format(s): ${unknown.join(', ')}. Supported: ${FORMATS.join(', ')}`);
+  }
+
+  let exported = null;
+
+  return {
+    name: 'docs-export',
+
+    async allContentLoaded({allContent}) {
+      const docsContent = allContent['docusaurus-plugin-content-docs']?.default;
+      const loadedVersion = docsContent?.loadedVersions.find((candidate) =>
+        version === null ? candidate.isLast : candidate.versionName === version,
+      );
+      if (!loadedVersion) {
+        throw new Error(`Cannot export docs: unknown docs version "${version}".`);
+      }
+      const items = loadedVersion.sidebars[sidebar];
+      if (!items) {
+        throw new Error(`Cannot export docs: version "${loadedVersion.versionName}" has no sidebar "${sidebar}".`);
+      }
+      const docsById = new Map(loadedVersion.docs.map((doc) => [doc.id, doc]));
+      exported = {label: loadedVersion.label, ...collectOutline(items, docsById)};
+    },
+
+    async postBuild({outDir}) {
+      // The export is in English; other locales link to the same files.
+      if (formats.length === 0 || i18n.currentLocale !== i18n.defaultLocale) {
+        return;
+      }
+
+      const chapters = buildChapters({outDir, docs: exported.docs, siteUrl: siteConfig.url});
+      const document = {
+        title: `${siteConfig.title} Documentation`,
+        subtitle: `${siteConfig.tagline}. Version ${exported.label}.`,
+        lang: i18n.defaultLocale,
+        outline: exported.outline,
+        chapters,
+        css: fs.readFileSync(path.join(__dirname, 'export.css'), 'utf8'),
+      };
+
+      const targetDir = path.join(outDir, outputDir);
+      await fs.promises.mkdir(targetDir, {recursive: true});
+      if (formats.includes('epub')) {
+        const {writeEpub} = require('./epub');
+        await writeEpub(path.join(targetDir, `${fileName}.epub`), document);
+      }
+      if (formats.includes('pdf')) {
+        // Loaded lazily so builds without the PDF export never load Puppeteer.
+        const {writePdf} = require('./pdf');
+        await writePdf(path.join(targetDir, `${fileName}.pdf`), document);
+      }
+    },
+  };
+};
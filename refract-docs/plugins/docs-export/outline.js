@@ -0,0 +1,60 @@
+// The export follows the sidebar: docs in sidebar order, with categories
+// becoming parts of the table of contents.
+
+const {getChapterId} = require('./html');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Walks processed sidebar items and returns the outline used for the table
+ * of contents, plus the docs in reading order. Links to other sites are
+ * skipped, and a category's linked doc comes before its items.
+ */
+function collectOutline(items, docsById) {
+  const docs = [];
+
+  const visit = (item) => {
+    if (item.type === 'doc' || item.type === 'ref') {
+      const doc = docsById.get(item.id);
+      docs.push(doc);
+      return {type: 'doc', id: getChapterId(doc), title: item.label ?? doc.title};
+    }
+    if (item.type === 'category') {
+      const linked = item.link?.type === 'doc' ? docsById.get(item.link.id) : null;
+      if (linked) {
+        docs.push(linked);
+      }
+      return {
+        type: 'category',
+        label: item.label,
+        id: linked ? getChapterId(linked) : null,
+        items: item.items.map(visit).filter(Boolean),
+      };
+    }
+    return null;
+  };
+
+  return {outline: items.map(visit).filter(Boolean), docs};
+}
+
+/**
+ * Renders the outline as nested `<ol>` lists. `href(id)` returns the link to
+ * a chapter; categories without a linked doc are plain labels.
+ */
+function renderToc(outline, href) {
+  const renderItem = (item) => {
+    const label = item.type === 'doc' ? item.title : item.label;
+    const title = item.id ? `<a href="${escapeHtml(href(item.id))}">${escapeHtml(label)}</a>` : `<span>${escapeHtml(label)}</span>`;
+    const children = item.type === 'category' ? renderToc(item.items, href) : '';
+    return `<li>${title}${children}</li>`;
+  };
+  return `<ol>${outline.map(renderItem).join('')}</ol>`;
+}
+
+module.exports = {collectOutline, escapeHtml, renderToc};
@@ -0,0 +1,62 @@
+// Renders the export as a single HTML document and prints it to PDF with
+// headless Chrome. The outline (PDF bookmarks) is generated from headings.
+
+const puppeteer = require('puppeteer');
+const {escapeHtml, renderToc} = require('./outline');
+
+function renderDocument({title, subtitle, outline, chapters, css}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${css}</style>
+</head>
+<body>
+<section class="title-page">
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(subtitle)}</p>
+</section>
+<nav class="toc">
+<h1>Contents</h1>
+${renderToc(outline, (id) => `#${id}`)}
+</nav>
+${chapters.map((chapter) => `<section class="chapter" id="${chapter.id}">\n${chapter.html}\n</section>`).join('\n')}
+</body>
+</html>`;
+}
+
+const FOOTER = `<div style="width: 100%; font-size: 8pt; text-align: center; color: #606770;">
+<span class="pageNumber"></span> / <span class="totalPages"></span>
+</div>`;
+
+/**
+ * Writes the PDF to `filePath`. Set `PUPPETEER_EXECUTABLE_PATH` to use an
+ * installed Chrome instead of the one Puppeteer downloads.
+ */
+async function writePdf(filePath, options) {
+  const browser = await puppeteer.launch({
+    // Build containers usually run as root, where Chrome's sandbox is unavailable.
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+  });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(renderDocument(options), {waitUntil: 'load', timeout: 120000});
+    await page.pdf({
+      path: filePath,
+      format: 'A4',
+      margin: {top: '20mm', bottom: '20mm', left: '18mm', right: '18mm'},
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: FOOTER,
+      outline: true,
+      tagged: true,
+      timeout: 300000,
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = {renderDocument, writePdf};
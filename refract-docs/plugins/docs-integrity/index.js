@@ -0,0 +1,106 @@
+// Docusaurus plugin that fails the build on docs no sidebar links to, and on
+// custom heading IDs (`## Batching Updates {#batching}`) that are malformed or
+// used twice on a page. Broken links and anchors are reported by Docusaurus
+// itself through `onBrokenLinks` and `onBrokenAnchors`.
+
+const fs = require('fs');
+const path = require('path');
+
+const FENCE = /^\s*(```|~~~)/;
+const CUSTOM_ID = /^#{1,6}\s.*\{#([^}]*)\}\s*$/;
+const VALID_ID = /^[A-Za-z0-9_-]+$/;
+
+function collectSidebarDocIds(items, ids = new Set()) {
+  items.forEach((item) => {
+    if (item.type === 'doc' || item.type === 'ref') {
+      ids.add(item.id);
+    } else if (item.type === 'category') {
+      if (item.link?.type === 'doc') {
+        ids.add(item.link.id);
+      }
+      collectSidebarDocIds(item.items, ids);
+    }
+  });
+  return ids;
+}
+
+function findOrphans(version) {
+  const ids = new Set();
+  Object.values(version.sidebars).forEach((items) => collectSidebarDocIds(items, ids));
+  return version.docs.filter((doc) => !doc.unlisted && !ids.has(doc.id));
+}
+
+function checkHeadingIds(filePath) {
+  const problems = [];
+  const seen = new Map();
+  let fence = null;
+
+  fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .forEach((line, index) => {
+      const marker = FENCE.exec(line)?.[1];
+      if (marker && (!fence || fence === marker)) {
+        fence = fence ? null : marker;
+        return;
+      }
+      const match = fence ? null : CUSTOM_ID.exec(line);
+      if (!match) {
+        return;
+      }
+      const id = match[1];
+      const lineNumber = index + 1;
+      if (!VALID_ID.test(id)) {
+        problems.push(`line ${lineNumber}: heading ID "{#${id}}" may only contain letters, digits, "-" and "_"`);
+      } else if (seen.has(id)) {
+        problems.push(`line ${lineNumber}: heading ID "{#${id}}" is already used on line ${seen.get(id)}`);
+      } else {
+        seen.set(id, lineNumber);
+      }
+    });
+  return problems;
+}
+
+function report(severity, message) {
+  if (severity === 'throw') {
+    throw new Error(message);
+  }
+  if (severity === 'warn') {
+    console.warn(`[WARNING] ${message}`);
+  }
+}
+
+module.exports = function docsIntegrityPlugin(context, options) {
+  const {siteDir} = context;
+  const {onOrphanDocs = 'throw', onInvalidHeadingIds = 'throw'} = options;
+
+  return {
+    name: 'docs-integrity',
+
+    async allContentLoaded({allContent}) {
+      const docsContent = allContent['docusaurus-plugin-content-docs']?.default;
+      if (!docsContent) {
+        return;
+      }
+      const sourcePath = (doc) => doc.source.replace(/^@site\//, '');
+
+      const orphans = docsContent.loadedVersions.flatMap((version) =>
+        findOrphans(version).map((doc) => `- ${doc.id} (version ${version.label}: ${sourcePath(doc)})`),
+      );
+      if (orphans.length > 0) {
+        report(
+          onOrphanDocs,
+          `Docs not reachable from any sidebar. Add them to sidebars.js (or the versioned sidebar), or mark them \`unlisted: true\`:\n${orphans.join('\n')}`,
+        );
+      }
+
+      const invalidIds = docsContent.loadedVersions.flatMap((version) =>
+        version.docs.flatMap((doc) =>
+          checkHeadingIds(path.join(siteDir, sourcePath(doc))).map((problem) => `- ${sourcePath(doc)} ${problem}`),
+        ),
+      );
+      if (invalidIds.length > 0) {
+        report(onInvalidHeadingIds, `Invalid custom heading IDs:\n${invalidIds.join('\n')}`);
+      }
+    },
+  };
+};
@@ -0,0 +1,24 @@
+// Workbox manifest transform that makes sure the local search index is
+// precached, so search keeps working offline. The search plugin writes
+// `search-index.json` in its own postBuild, which runs alongside the PWA
+// plugin's, so the file may not exist yet when the precache manifest is made.
+
+const crypto = require('crypto');
+
+const SEARCH_INDEX = /^search-index[^/]*\.json$/;
+
+module.exports = function precacheSearchIndex(entries) {
+  if (entries.some((entry) => SEARCH_INDEX.test(entry.url))) {
+    return {manifest: entries, warnings: []};
+  }
+  // The index is built from the generated pages, so it only changes when one
+  // of them does.
+  const hash = crypto.createHash('md5');
+  entries
+    .filter((entry) => entry.url.endsWith('.html'))
+    .forEach((entry) => hash.update(`${entry.url}:${entry.revision}`));
+  return {
+    manifest: [...entries, {url: 'search-index.json', revision: hash.digest('hex'), size: 0}],
+    warnings: [],
+  };
+};
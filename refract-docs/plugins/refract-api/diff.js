@@ -0,0 +1,71 @@
+// Compares two API schemas for the "What changed in this version" page.
+
+const {formatSignature, getOverloads} = require('./schema');
+
+function describeParamChanges(previous, next) {
+  const changes = [];
+  const previousByName = new Map(previous.map((param) => [param.name, param]));
+  const nextByName = new Map(next.map((param) => [param.name, param]));
+
+  next.forEach((param) => {
+    const before = previousByName.get(param.name);
+    if (!before) {
+      changes.push(`Parameter \`${param.name}\` added (\`${param.type}\`${param.required ? '' : ', optional'})`);
+      return;
+    }
+    if (before.type !== param.type) {
+      changes.push(`Parameter \`${param.name}\` type changed from \`${before.type}\` to \`${param.type}\``);
+    }
+    if (Boolean(before.required) !== Boolean(param.required)) {
+      changes.push(`Parameter \`${param.name}\` is now ${param.required ? 'required' : 'optional'}`);
+    }
+  });
+  previous
+    .filter((param) => !nextByName.has(param.name))
+    .forEach((param) => changes.push(`Parameter \`${param.name}\` removed`));
+
+  const shared = (params) =>
+    params.map((param) => param.name).filter((name) => previousByName.has(name) && nextByName.has(name));
+  if (changes.length === 0 && shared(previous).join() !== shared(next).join()) {
+    changes.push(`Parameters reordered to \`(${next.map((param) => param.name).join(', ')})\``);
+  }
+  return changes;
+}
+
+function describeApiChanges(previous, next) {
+  const before = getOverloads(previous);
+  const after = getOverloads(next);
+
+  if (before.length !== after.length) {
+    const list = (api) => getOverloads(api).map((overload) => `\`${formatSignature(api.name, overload.params)}\``);
+    return [`Signatures changed from ${list(previous).join(', ')} to ${list(next).join(', ')}`];
+  }
+
+  return after.flatMap((overload, index) => {
+    const changes = describeParamChanges(before[index].params, overload.params);
+    if (before[index].returns.type !== overload.returns.type) {
+      changes.push(`Return type changed from \`${before[index].returns.type}\` to \`${overload.returns.type}\``);
+    }
+    return changes;
+  });
+}
+
+/**
+ * Lists the APIs added, removed and changed between two schemas. Changes
+ * are human-readable sentences that may contain `code` spans.
+ */
+function diffSchemas(previous, next) {
+  const previousByName = new Map(previous.apis.map((api) => [api.name, api]));
+  const nextNames = new Set(next.apis.map((api) => api.name));
+
+  return {
+    added: next.apis.filter((api) => !previousByName.has(api.name)),
+    removed: previous.apis.filter((api) => !nextNames.has(api.name)),
+    changed: next.apis
+      .filter((api) => previousByName.has(api.name))
+      .map((api) => ({api, changes: describeApiChanges(previousByName.get(api.name), api)}))
+      .filter(({changes}) => changes.length > 0),
+  };
+}
+
+module.exports = {diffSchemas};
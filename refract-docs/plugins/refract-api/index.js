@@ -0,0 +1,46 @@
+// Docusaurus plugin that validates the API schemas up front and rebuilds the
+// docs when they change. Page content is generated by ./remark.js.
+
+const fs = require('fs');
+const path = require('path');
+const {getVersionedSchemaPath, loadSchema, readVersions} = require('./schema');
+
+module.exports = function refractApiPlugin(context, options) {
+  const {siteDir} = context;
+  const schemaPath = path.resolve(siteDir, options.schemaPath);
+  const getSchemaPaths = () => [
+    schemaPath,
+    ...readVersions(siteDir).map((version) => getVersionedSchemaPath(siteDir, version)),
+  ];
+
+  return {
+    name: 'refract-api',
+
+    async loadContent() {
+      getSchemaPaths().forEach((schemaFile) => loadSchema(schemaFile));
+    },
+
+    getPathsToWatch() {
+      return [...getSchemaPaths(), path.join(siteDir, 'versions.json')];
+    },
+
+    extendCli(cli) {
+      cli
+        .command('api:version <version>')
+        .description('Snapshot the API schema for a docs version created with docs:version.')
+        .action((version) => {
+          if (!readVersions(siteDir).includes(version)) {
+            throw new Error(`Version ${version} is not in versions.json. Run "docusaurus docs:version ${version}" first.`);
+          }
+          const target = getVersionedSchemaPath(siteDir, version);
+          if (fs.existsSync(target)) {
+            throw new Error(`The API schema for version ${version} already exists at ${target}.`);
+          }
+          loadSchema(schemaPath);
+          fs.mkdirSync(path.dirname(target), {recursive: true});
+          fs.copyFileSync(schemaPath, target);
+          console.log(`Saved the API schema for version ${version} to ${path.relative(siteDir, target)}.`);
+        });
+    },
+  };
+};
@@ -0,0 +1,266 @@
+// Remark plugin that expands the API schema into docs pages and fails the
+// build when a handwritten signature disagrees with it.
+//
+//   ::api-signature{name="useRefraction"}  Syntax, Parameters and Return Value
+//   ::api-table{category="state"}          overview table for a category
+//   ::api-types{names="Refraction,Lens"}   TypeScript definitions
+//   ::api-changes                          API diff against the previous version
+//
+// Pages in versioned_docs/ are expanded from that version's schema snapshot.
+
+const {diffSchemas} = require('./diff');
+const {
+  checkCall,
+  findApi,
+  formatSignature,
+  getDocVersion,
+  getOverloads,
+  loadVersionSchema,
+  parseCalls,
+  readVersions,
+} = require('./schema');
+
+function text(value) {
+  return {type: 'text', value};
+}
+
+function inlineCode(value) {
+  return {type: 'inlineCode', value};
+}
+
+// Descriptions may contain `code` spans; everything else is plain text.
+function inline(value) {
+  return value
+    .split(/(`[^`]*`)/)
+    .filter(Boolean)
+    .map((part) => (part.startsWith('`') ? inlineCode(part.slice(1, -1)) : text(part)));
+}
+
+function paragraph(children) {
+  return {type: 'paragraph', children};
+}
+
+function heading(depth, children) {
+  return {type: 'heading', depth, children};
+}
+
+function code(lang, value) {
+  return {type: 'code', lang, meta: null, value};
+}
+
+function list(items, nested = []) {
+  return {
+    type: 'list',
+    ordered: false,
+    spread: false,
+    children: items.map((children, index) => ({
+      type: 'listItem',
+      spread: false,
+      children: [paragraph(children), ...(nested[index] ? [nested[index]] : [])],
+    })),
+  };
+}
+
+function field(label, children) {
+  return [{type: 'strong', children: [text(`${label}:`)]}, text(' '), ...children];
+}
+
+function getApi(schema, name, node, file) {
+  const api = findApi(schema, name);
+  if (!api) {
+    file.fail(`Unknown API "${name}" in ::${node.name}. Add it to the API schema first.`, node);
+  }
+  return api;
+}
+
+function renderParams(schema, api) {
+  const seen = new Set();
+  const params = getOverloads(api)
+    .flatMap((overload) => overload.params)
+    .filter((param) => !seen.has(param.name) && seen.add(param.name));
+
+  if (params.length === 0) {
+    return [paragraph(inline(`None. \`${api.name}\` takes no parameters.`))];
+  }
+
+  return params.flatMap((param) => [
+    heading(3, [inlineCode(param.name)]),
+    list([
+      field('Type', [inlineCode(param.type)]),
+      field('Required', [text(param.required ? 'Yes' : 'No')]),
+      field('Description', inline(param.description ?? '')),
+    ]),
+    ...(param.typeDefinition ? [code('typescript', schema.types[param.typeDefinition])] : []),
+  ]);
+}
+
+function renderReturns(schema, api) {
+  return getOverloads(api).flatMap(({returns}) => [
+    paragraph(inline(returns.description ?? `Returns \`${returns.type}\`.`)),
+    ...(returns.typeDefinition ? [code('typescript', schema.types[returns.typeDefinition])] : []),
+  ]);
+}
+
+function renderSignature(schema, node, file) {
+  const api = getApi(schema, node.attributes.name, node, file);
+  const syntax =
+    api.syntax ?? getOverloads(api).map((overload) => formatSignature(api.name, overload.params));
+  return [
+    heading(2, [text('Syntax')]),
+    code('javascript', syntax.join('\n')),
+    heading(2, [text('Parameters')]),
+    ...renderParams(schema, api),
+    heading(2, [text('Return Value')]),
+    ...renderReturns(schema, api),
+  ];
+}
+
+// Links are relative to the docs root rather than the current file, so they
+// also resolve from untranslated pages to translated ones in other locales.
+function linkToApi(api) {
+  return `${api.page}.md${api.anchor ? `#${api.anchor}` : ''}`;
+}
+
+function renderTable(schema, node, file) {
+  const {category} = node.attributes;
+  if (!schema.categories[category]) {
+    file.fail(`Unknown API category "${category}" in ::api-table.`, node);
+  }
+  const cell = (children) => ({type: 'tableCell', children});
+  const row = (cells) => ({type: 'tableRow', children: cells.map(cell)});
+  const apis = schema.apis.filter((api) => api.overview?.category === category);
+  return [
+    {
+      type: 'table',
+      align: [null, null, null],
+      children: [
+        row([[text('API')], [text('Description')], [text('Use Case')]]),
+        ...apis.map((api) =>
+          row([
+            [{type: 'link', url: linkToApi(api), children: [inlineCode(`${api.name}()`)]}],
+            inline(api.summary),
+            inline(api.overview.useCase),
+          ]),
+        ),
+      ],
+    },
+  ];
+}
+
+function renderTypes(schema, node, file) {
+  const names = (node.attributes.names ?? '').split(',').map((name) => name.trim()).filter(Boolean);
+  const missing = names.filter((name) => !schema.types[name]);
+  if (names.length === 0 || missing.length > 0) {
+    file.fail(`Unknown type(s) in ::api-types: ${missing.join(', ') || '(none given)'}`, node);
+  }
+  return [code('typescript', names.map((name) => schema.types[name]).join('\n\n'))];
+}
+
+function renderChanges(schema, node, file, options) {
+  const version = getDocVersion(file.path);
+  const versions = readVersions(options.siteDir);
+  const previous =
+    node.attributes.from ?? (version === 'current' ? versions[0] : versions[versions.indexOf(version) + 1]);
+  if (!previous) {
+    return [paragraph([text('This is the first documented version, so there is nothing to compare it with.')])];
+  }
+  if (previous !== 'current' && !versions.includes(previous)) {
+    file.fail(`Unknown version "${previous}" in ::api-changes. Known versions: ${versions.join(', ')}`, node);
+  }
+
+  const {added, removed, changed} = diffSchemas(loadVersionSchema(options, previous), schema);
+  if (added.length + removed.length + changed.length === 0) {
+    return [paragraph([text(`No API changes since version ${previous}.`)])];
+  }
+
+  const apiLink = (api) => ({type: 'link', url: linkToApi(api), children: [inlineCode(api.name)]});
+  const section = (title, items, nested) =>
+    items.length > 0 ? [heading(2, [text(title)]), list(items, nested)] : [];
+
+  return [
+    paragraph([text(`Changes to the API reference since version ${previous}.`)]),
+    ...section('Added', added.map((api) => [apiLink(api), text(' — '), ...inline(api.summary ?? '')])),
+    ...section('Removed', removed.map((api) => [inlineCode(api.name)])),
+    ...section(
+      'Changed',
+      changed.map(({api}) => [apiLink(api)]),
+      changed.map(({changes}) => list(changes.map(inline))),
+    ),
+  ];
+}
+
+const DIRECTIVES = {
+  'api-signature': renderSignature,
+  'api-table': renderTable,
+  'api-types': renderTypes,
+  'api-changes': renderChanges,
+};
+
+function walk(node, visitor) {
+  visitor(node);
+  (node.children ?? []).forEach((child) => walk(child, visitor));
+}
+
+function toPlainText(node) {
+  if (node.type === 'text' || node.type === 'inlineCode') {
+    return node.value;
+  }
+  return (node.children ?? []).map(toPlainText).join('');
+}
+
+// Handwritten signatures live in headings (`### \`lens.batch(callback)\``)
+// and in the code blocks of "Syntax" sections.
+function collectSignatureMismatches(schema, root) {
+  const mismatches = [];
+  const check = (source, node) => {
+    parseCalls(source).forEach((call) => {
+      const expected = checkCall(schema, call);
+      if (expected) {
+        mismatches.push({node, call, expected});
+      }
+    });
+  };
+
+  let syntaxDepth = null;
+  root.children.forEach((node) => {
+    if (node.type === 'heading') {
+      if (syntaxDepth !== null && node.depth <= syntaxDepth) {
+        syntaxDepth = null;
+      }
+      if (toPlainText(node).trim() === 'Syntax') {
+        syntaxDepth = node.depth;
+      }
+      node.children
+        .filter((child) => child.type === 'inlineCode')
+        .forEach((child) => check(child.value, node));
+    } else if (node.type === 'code' && syntaxDepth !== null) {
+      check(node.value, node);
+    }
+  });
+  return mismatches;
+}
+
+module.exports = function refractApiRemarkPlugin(options) {
+  return (root, file) => {
+    const schema = loadVersionSchema(options, getDocVersion(file.path));
+
+    const mismatches = collectSignatureMismatches(schema, root);
+    if (mismatches.length > 0) {
+      const details = mismatches.map(({node, call, expected}) => {
+        const written = `${call.callee}(${call.params.map((param) => param.name).join(', ')})`;
+        return `  line ${node.position?.start.line}: \`${written}\` does not match the API schema (expected ${expected.map((signature) => `\`${signature}\``).join(' or ')})`;
+      });
+      throw new Error(`Signature mismatch in ${file.path}:\n${details.join('\n')}`);
+    }
+
+    walk(root, (node) => {
+      if (!node.children) {
+        return;
+      }
+      node.children = node.children.flatMap((child) => {
+        const render = child.type === 'leafDirective' && DIRECTIVES[child.name];
+        return render ? render(schema, child, file, options) : [child];
+      });
+    });
+  };
+};
@@ -0,0 +1,178 @@
+// Remark plugin that parses every JavaScript code sample with Babel and fails
+// the build on syntax errors or on names from 'refract' that are not part of
+// the documented API surface, whether they are imported, re-exported,
+// required or read from a namespace. Add `noCheck` to the fence meta to skip
+// pseudo-code:
+//
+//   ```jsx noCheck
+
+const {parse} = require('@babel/parser');
+const {getDocVersion, loadVersionSchema} = require('./schema');
+
+const LANGUAGES = new Set(['js', 'jsx', 'javascript']);
+const PACKAGES = new Set(['refract', 'refract-js', 'refract/server', 'refract-js/server']);
+const OPT_OUT = 'noCheck';
+
+// Samples often show several files, or a "bad" and a "good" version, in one
+// block, so redeclaring a name is not treated as an error.
+const IGNORED_ERRORS = new Set(['VarRedeclaration', 'ParamDupe']);
+
+function getSurface(schema) {
+  return new Set(schema.apis.map((api) => api.name).filter((name) => !name.includes('.')));
+}
+
+function parseSample(source) {
+  return parse(source, {
+    sourceType: 'module',
+    plugins: ['jsx'],
+    errorRecovery: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowReturnOutsideFunction: true,
+    allowUndeclaredExports: true,
+  });
+}
+
+function isPackage(source) {
+  return source?.type === 'StringLiteral' && PACKAGES.has(source.value);
+}
+
+function isRequire(node) {
+  return (
+    node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' &&
+    node.arguments.length === 1 &&
+    isPackage(node.arguments[0])
+  );
+}
+
+function getName(node) {
+  return node.name ?? node.value;
+}
+
+function getPropertyName(node) {
+  if (!node.computed) {
+    return node.property.name;
+  }
+  return node.property.type === 'StringLiteral' ? node.property.value : null;
+}
+
+// Calls `visitor(node, parent)` for every node of a Babel AST.
+function visit(node, visitor, parent = null) {
+  visitor(node, parent);
+  Object.keys(node).forEach((key) => {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments') {
+      return;
+    }
+    const value = node[key];
+    const children = Array.isArray(value) ? value : [value];
+    children
+      .filter((child) => child && typeof child.type === 'string')
+      .forEach((child) => visit(child, visitor, node));
+  });
+}
+
+function checkSample(source, surface) {
+  let ast;
+  try {
+    ast = parseSample(source);
+  } catch (error) {
+    return [{line: error.loc?.line ?? 1, message: error.message}];
+  }
+
+  const problems = ast.errors
+    .filter((error) => !IGNORED_ERRORS.has(error.reasonCode))
+    .map((error) => ({line: error.loc.line, message: error.message}));
+
+  const report = (name, node, source) => {
+    if (!surface.has(name)) {
+      problems.push({
+        line: node.loc.start.line,
+        message: `'${name}' is imported from '${source}' but is not a documented API`,
+      });
+    }
+  };
+  // Local names bound to the whole module, mapped to the package they name.
+  const namespaces = new Map();
+
+  visit(ast.program, (node, parent) => {
+    if ((node.type === 'ImportDeclaration' || node.type === 'ExportNamedDeclaration') && isPackage(node.source)) {
+      node.specifiers.forEach((specifier) => {
+        if (specifier.type === 'ImportSpecifier') {
+          report(getName(specifier.imported), specifier, node.source.value);
+        } else if (specifier.type === 'ExportSpecifier') {
+          report(getName(specifier.local), specifier, node.source.value);
+        } else if (specifier.type === 'ImportDefaultSpecifier') {
+          problems.push({
+            line: specifier.loc.start.line,
+            message: `'${node.source.value}' has no default export; import its APIs by name`,
+          });
+        } else {
+          namespaces.set(specifier.local.name, node.source.value);
+        }
+      });
+    } else if (isRequire(node)) {
+      const source = node.arguments[0].value;
+      if (parent?.type === 'VariableDeclarator' && parent.init === node) {
+        if (parent.id.type === 'ObjectPattern') {
+          parent.id.properties
+            .filter((property) => property.type === 'ObjectProperty' && !property.computed)
+            .forEach((property) => report(getName(property.key), property, source));
+        } else if (parent.id.type === 'Identifier') {
+          namespaces.set(parent.id.name, source);
+        }
+      } else if (parent?.type === 'MemberExpression' && parent.object === node) {
+        const name = getPropertyName(parent);
+        if (name) {
+          report(name, parent, source);
+        }
+      }
+    }
+  });
+
+  // Namespaces are collected first, so `refract.x` is checked wherever it
+  // appears in the sample.
+  visit(ast.program, (node) => {
+    if (node.type === 'MemberExpression' && node.object.type === 'Identifier' && namespaces.has(node.object.name)) {
+      const name = getPropertyName(node);
+      if (name) {
+        report(name, node, namespaces.get(node.object.name));
+      }
+    }
+  });
+
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+function walk(node, visitor) {
+  visitor(node);
+  (node.children ?? []).forEach((child) => walk(child, visitor));
+}
+
+module.exports = function validateSamplesRemarkPlugin(options) {
+  return (root, file) => {
+    const surface = getSurface(loadVersionSchema(options, getDocVersion(file.path)));
+    const problems = [];
+
+    walk(root, (node) => {
+      if (node.type !== 'code' || !LANGUAGES.has(node.lang)) {
+        return;
+      }
+      if ((node.meta ?? '').split(/\s+/).includes(OPT_OUT)) {
+        return;
+      }
+      // Line 1 of the sample is the line after the opening fence.
+      const offset = node.position?.start.line ?? 0;
+      checkSample(node.value, surface).forEach(({line, message}) => {
+        problems.push(`  ${file.path}:${offset + line}: ${message}`);
+      });
+    });
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Invalid code samples (add "${OPT_OUT}" to the fence to skip pseudo-code):\n${problems.join('\n')}`,
+      );
+    }
+  };
+};
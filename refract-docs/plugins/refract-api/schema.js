@@ -0,0 +1,232 @@
+// Loading, validation and signature helpers for the machine-readable API
+// schema (src/refract/api.json).
+
+const fs = require('fs');
+const path = require('path');
+
+const cache = new Map();
+
+// Matches versioned_docs/version-1.0.0/ and its translations in
+// i18n/<locale>/docusaurus-plugin-content-docs/version-1.0.0/.
+const VERSIONED_DOC = /[\\/](?:versioned_docs|docusaurus-plugin-content-docs)[\\/]version-([^\\/]+)[\\/]/;
+
+function getOverloads(api) {
+  return api.overloads ?? [{params: api.params ?? [], returns: api.returns}];
+}
+
+function validateSchema(schema) {
+  const errors = [];
+  const names = new Set();
+  const categories = schema.categories ?? {};
+  const types = schema.types ?? {};
+
+  if (!Array.isArray(schema.apis)) {
+    return ['"apis" must be an array'];
+  }
+
+  schema.apis.forEach((api, index) => {
+    const label = api.name ?? `apis[${index}]`;
+    if (!api.name) {
+      errors.push(`apis[${index}] is missing "name"`);
+    } else if (names.has(api.name)) {
+      errors.push(`"${api.name}" is declared more than once`);
+    }
+    names.add(api.name);
+    if (!api.page) {
+      errors.push(`${label} is missing "page"`);
+    }
+    if (api.overview && !categories[api.overview.category]) {
+      errors.push(`${label} uses unknown overview category "${api.overview.category}"`);
+    }
+    getOverloads(api).forEach(({params, returns}) => {
+      if (!Array.isArray(params)) {
+        errors.push(`${label} must declare "params" (an empty array if it takes none)`);
+        return;
+      }
+      params.forEach((param) => {
+        if (!param.name || !param.type) {
+          errors.push(`${label} has a parameter without "name" or "type"`);
+        }
+        if (param.typeDefinition && !types[param.typeDefinition]) {
+          errors.push(`${label} parameter "${param.name}" references unknown type "${param.typeDefinition}"`);
+        }
+      });
+      if (!returns?.type) {
+        errors.push(`${label} is missing "returns.type"`);
+      } else if (returns.typeDefinition && !types[returns.typeDefinition]) {
+        errors.push(`${label} return value references unknown type "${returns.typeDefinition}"`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Reads and validates the schema at `schemaPath`. Parsed schemas are cached
+ * until the file changes.
+ */
+function loadSchema(schemaPath) {
+  const {mtimeMs} = fs.statSync(schemaPath);
+  const cached = cache.get(schemaPath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.schema;
+  }
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  const errors = validateSchema(schema);
+  if (errors.length > 0) {
+    throw new Error(`Invalid API schema ${schemaPath}:\n- ${errors.join('\n- ')}`);
+  }
+  cache.set(schemaPath, {mtimeMs, schema});
+  return schema;
+}
+
+/**
+ * The docs version a file belongs to: a name from versions.json for versioned
+ * pages, otherwise `'current'`.
+ */
+function getDocVersion(filePath) {
+  return VERSIONED_DOC.exec(filePath)?.[1] ?? 'current';
+}
+
+/**
+ * Versioned schemas are snapshotted next to versioned_docs/ and
+ * versioned_sidebars/ by the `api:version` command.
+ */
+function getVersionedSchemaPath(siteDir, version) {
+  return path.join(siteDir, 'versioned_api', `version-${version}-api.json`);
+}
+
+/**
+ * Released versions, newest first, as written by `docs:version`.
+ */
+function readVersions(siteDir) {
+  const versionsPath = path.join(siteDir, 'versions.json');
+  return fs.existsSync(versionsPath) ? JSON.parse(fs.readFileSync(versionsPath, 'utf8')) : [];
+}
+
+function loadVersionSchema({schemaPath, siteDir}, version) {
+  return loadSchema(version === 'current' ? schemaPath : getVersionedSchemaPath(siteDir, version));
+}
+
+function findApi(schema, name) {
+  return schema.apis.find((api) => api.name === name);
+}
+
+/**
+ * Finds the schema entries a handwritten callee can refer to. Qualified
+ * names (`lens.batch`) must match exactly; bare names also match methods
+ * (`mount` matches `app.mount`).
+ */
+function findCandidates(schema, callee) {
+  const exact = schema.apis.filter((api) => api.name === callee);
+  if (exact.length > 0 || callee.includes('.')) {
+    return exact;
+  }
+  return schema.apis.filter((api) => api.name.split('.').pop() === callee);
+}
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    }
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function parseParam(text) {
+  const withoutDefault = splitAt(text, '=');
+  const optional = withoutDefault !== text || /^[^:]*\?/.test(text);
+  const name = splitAt(withoutDefault, ':').replace(/\?$/, '').replace(/^\.\.\./, '').trim();
+  return {name, optional};
+}
+
+function splitAt(text, separator) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === separator && depth === 0 && text[i + 1] !== '>') {
+      return text.slice(0, i).trim();
+    }
+  }
+  return text;
+}
+
+const CALL = /([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\(([^()]*(?:\([^()]*\)[^()]*)*)\)/g;
+
+/**
+ * Extracts every `callee(params)` in `text`.
+ */
+function parseCalls(text) {
+  return Array.from(text.matchAll(CALL), (match) => ({
+    callee: match[1],
+    params: splitTopLevel(match[2]).map(parseParam),
+  }));
+}
+
+function formatSignature(name, params) {
+  const list = params.map((param) => `${param.name}${param.required ? '' : '?'}`);
+  return `${name}(${list.join(', ')})`;
+}
+
+function matchesOverload(params, overload) {
+  if (params.length !== overload.params.length) {
+    return false;
+  }
+  return params.every((param, index) => {
+    const expected = overload.params[index];
+    return param.name === expected.name && !(param.optional && expected.required);
+  });
+}
+
+/**
+ * Compares a handwritten call against the schema. Returns `null` when it
+ * matches (or does not refer to a documented API), otherwise the signatures
+ * the schema allows.
+ */
+function checkCall(schema, call) {
+  const candidates = findCandidates(schema, call.callee);
+  if (candidates.length === 0) {
+    return null;
+  }
+  const matches = candidates.some((api) =>
+    getOverloads(api).some((overload) => matchesOverload(call.params, overload)),
+  );
+  if (matches) {
+    return null;
+  }
+  return candidates.flatMap((api) =>
+    getOverloads(api).map((overload) => formatSignature(api.name, overload.params)),
+  );
+}
+
+module.exports = {
+  loadSchema,
+  loadVersionSchema,
+  getDocVersion,
+  getVersionedSchemaPath,
+  readVersions,
+  validateSchema,
+  getOverloads,
+  findApi,
+  parseCalls,
+  checkCall,
+  formatSignature,
+};
@@ -0,0 +1,14 @@
+// Regenerates the templates bundled with create-refract-app from the
+// tutorials. Run it after changing a tutorial's code, so `--offline` creates
+// the same projects as the published templates.
+//
+//   npm run build-app-templates
+
+const fs = require('fs');
+const path = require('path');
+const {buildTemplates, BUNDLED_PATH} = require('../packages/create-refract-app/lib/templates');
+
+const docsDir = path.resolve(__dirname, '..', 'docs');
+
+fs.writeFileSync(BUNDLED_PATH, `${JSON.stringify(buildTemplates(docsDir), null, 2)}\n`);
+console.log(`Wrote ${path.relative(process.cwd(), BUNDLED_PATH)}.`);
@@ -0,0 +1,131 @@
+// Prints, for every locale, which docs and blog pages are translated and
+// flags translations that are older than their English source. Pages are
+// compared by the time of their last commit, or their modification time when
+// they have uncommitted changes.
+//
+//   npm run translation-status
+//   npm run translation-status -- --locale es --fail-on-stale
+
+const fs = require('fs');
+const path = require('path');
+const {execFileSync} = require('child_process');
+const config = require('../docusaurus.config');
+
+const siteDir = path.resolve(__dirname, '..');
+const PAGE = /\.mdx?$/;
+
+function git(...args) {
+  try {
+    return execFileSync('git', args, {cwd: siteDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore']}).trim();
+  } catch {
+    return '';
+  }
+}
+
+function lastModified(file) {
+  const committed = git('log', '-1', '--format=%ct', '--', file);
+  if (!committed || git('status', '--porcelain', '--', file)) {
+    return fs.statSync(file).mtimeMs;
+  }
+  return Number(committed) * 1000;
+}
+
+function listPages(dir, prefix = '') {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, {withFileTypes: true}).flatMap((entry) => {
+    const relative = path.posix.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      return listPages(path.join(dir, entry.name), relative);
+    }
+    return PAGE.test(entry.name) && !entry.name.startsWith('_') ? [relative] : [];
+  });
+}
+
+function getSections(locale) {
+  const localeDir = path.join(siteDir, 'i18n', locale);
+  const versionsPath = path.join(siteDir, 'versions.json');
+  const versions = fs.existsSync(versionsPath) ? JSON.parse(fs.readFileSync(versionsPath, 'utf8')) : [];
+  return [
+    {
+      name: 'docs (Next)',
+      source: path.join(siteDir, 'docs'),
+      target: path.join(localeDir, 'docusaurus-plugin-content-docs', 'current'),
+    },
+    ...versions.map((version) => ({
+      name: `docs (${version})`,
+      source: path.join(siteDir, 'versioned_docs', `version-${version}`),
+      target: path.join(localeDir, 'docusaurus-plugin-content-docs', `version-${version}`),
+    })),
+    {
+      name: 'blog',
+      source: path.join(siteDir, 'blog'),
+      target: path.join(localeDir, 'docusaurus-plugin-content-blog'),
+    },
+  ];
+}
+
+function checkSection({source, target}) {
+  return listPages(source).map((page) => {
+    const translation = path.join(target, page);
+    if (!fs.existsSync(translation)) {
+      return {page, status: 'missing'};
+    }
+    const sourceTime = lastModified(path.join(source, page));
+    const translationTime = lastModified(translation);
+    return {
+      page,
+      status: translationTime < sourceTime ? 'stale' : 'translated',
+      sourceTime,
+      translationTime,
+    };
+  });
+}
+
+function formatDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function formatPage({page, status, sourceTime, translationTime}, width) {
+  const label = page.padEnd(width);
+  if (status === 'missing') {
+    return `  ✗ ${label}  missing`;
+  }
+  if (status === 'stale') {
+    return `  ! ${label}  stale: English updated ${formatDate(sourceTime)}, translation ${formatDate(translationTime)}`;
+  }
+  return `  ✓ ${page}`;
+}
+
+function main(argv) {
+  const localeIndex = argv.indexOf('--locale');
+  const requested = localeIndex === -1 ? null : argv[localeIndex + 1];
+  const {defaultLocale, locales} = config.i18n;
+  const targets = locales.filter((locale) => locale !== defaultLocale && (!requested || locale === requested));
+  if (requested && targets.length === 0) {
+    throw new Error(`Unknown locale "${requested}". Configured locales: ${locales.join(', ')}`);
+  }
+
+  let staleCount = 0;
+  targets.forEach((locale) => {
+    getSections(locale).forEach((section) => {
+      const results = checkSection(section);
+      const translated = results.filter((result) => result.status !== 'missing').length;
+      const stale = results.filter((result) => result.status === 'stale').length;
+      const percent = results.length === 0 ? 100 : Math.round((translated / results.length) * 100);
+      const width = Math.max(0, ...results.map((result) => result.page.length));
+      staleCount += stale;
+
+      console.log(`\n[${locale}] ${section.name}: ${translated}/${results.length} pages translated (${percent}%), ${stale} stale`);
+      results.forEach((result) => console.log(formatPage(result, width)));
+    });
+  });
+
+  if (argv.includes('--fail-on-stale') && staleCount > 0) {
+    console.error(`\n${staleCount} translated page(s) are older than their English source.`);
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2));
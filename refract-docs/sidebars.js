@@ -16,6 +16,7 @@ const sidebars = {
   // By default, Docusaurus generates a sidebar from the docs folder structure
   tutorialSidebar: [
     'intro',
+    'installation',
     'getting-started',
     {
       type: 'category',
@@ -26,11 +27,16 @@ const sidebars = {
         'concepts/lenses',
         'concepts/optics',
         'concepts/effects',
+        'concepts/state-management',
       ],
     },
     {
       type: 'category',
       label: 'API Reference',
+      link: {
+        type: 'doc',
+        id: 'api/api',
+      },
       items: [
         'api/overview',
         'api/createApp',
@@ -38,21 +44,42 @@ const sidebars = {
         'api/useLens',
         'api/useOptic',
         'api/createOptic',
+        'api/useMachine',
         'api/useRefraction',
         'api/useEffect',
+        'api/useResource',
         'api/useFlash',
+        'api/changes',
       ],
     },
     {
       type: 'category',
       label: 'Tutorials',
       items: [
+        'tutorials/getting-started',
         'tutorials/counter-app',
         'tutorials/todo-list',
         'tutorials/global-theme',
         'tutorials/animation-basics',
       ],
     },
+    {
+      type: 'category',
+      label: 'Advanced',
+      items: [
+        'advanced/performance',
+        'advanced/scheduling',
+        'advanced/testing',
+        'advanced/linting',
+        'advanced/typescript',
+        'advanced/devtools',
+        'advanced/routing',
+        'advanced/persistence',
+        'advanced/optics-library',
+        'advanced/middleware',
+        'advanced/react-interop',
+      ],
+    },
     'contributing',
   ],
 };
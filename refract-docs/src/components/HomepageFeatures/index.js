@@ -1,58 +1,75 @@
 import React from 'react';
 import clsx from 'clsx';
 import Link from '@docusaurus/Link';
+import Translate from '@docusaurus/Translate';
 import styles from './styles.module.css';
 
 const FeatureList = [
   {
-    title: 'Updates Automatically',
+    title: <Translate id="homepage.features.automatic.title">Updates Automatically</Translate>,
     icon: 'AUTO',
     gradient: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
     description: (
-      <>
+      <Translate id="homepage.features.automatic.description">
         When you change something in your code, your website updates by itself.
         No need to refresh the page or write extra code to make things work.
         It just happens automatically.
-      </>
+      </Translate>
     ),
     link: '/docs/concepts/components',
-    linkText: 'Learn How It Works'
+    linkText: <Translate id="homepage.features.automatic.link">Learn How It Works</Translate>
   },
   {
-    title: 'Easy to Build With',
+    title: <Translate id="homepage.features.composable.title">Easy to Build With</Translate>,
     icon: 'BUILD',
     gradient: 'linear-gradient(135deg, #8b5cf6 0%, #6366f1 100%)',
     description: (
-      <>
+      <Translate id="homepage.features.composable.description">
         Make pieces of code that you can use again and again.
         Build websites with small parts that work together.
         Keep your code organized and easy to understand.
-      </>
+      </Translate>
     ),
     link: '/docs/concepts/lenses',
-    linkText: 'See Examples'
+    linkText: <Translate id="homepage.features.composable.link">See Examples</Translate>
   },
   {
-    title: 'Beginner Friendly',
+    title: <Translate id="homepage.features.beginner.title">Beginner Friendly</Translate>,
     icon: 'LEARN',
     gradient: 'linear-gradient(135deg, #06b6d4 0%, #3b82f6 100%)',
     description: (
-      <>
+      <Translate id="homepage.features.beginner.description">
         Uses simple JavaScript that looks familiar.
         Comes with helpful error messages when something goes wrong.
         Great tools to help you learn and build faster.
-      </>
+      </Translate>
     ),
     link: '/docs/installation',
-    linkText: 'Start Learning'
+    linkText: <Translate id="homepage.features.beginner.link">Start Learning</Translate>
   },
 ];
 
 const TechHighlights = [
-  { label: 'File Size', value: 'Very Small', icon: 'SIZE' },
-  { label: 'Speed', value: 'Super Fast', icon: 'SPEED' },
-  { label: 'TypeScript', value: 'Built In', icon: 'TYPE' },
-  { label: 'Works With', value: 'Everything', icon: 'COMPAT' },
+  {
+    label: <Translate id="homepage.highlights.size.label">File Size</Translate>,
+    value: <Translate id="homepage.highlights.size.value">Very Small</Translate>,
+    icon: 'SIZE',
+  },
+  {
+    label: <Translate id="homepage.highlights.speed.label">Speed</Translate>,
+    value: <Translate id="homepage.highlights.speed.value">Super Fast</Translate>,
+    icon: 'SPEED',
+  },
+  {
+    label: <Translate id="homepage.highlights.typescript.label">TypeScript</Translate>,
+    value: <Translate id="homepage.highlights.typescript.value">Built In</Translate>,
+    icon: 'TYPE',
+  },
+  {
+    label: <Translate id="homepage.highlights.compatibility.label">Works With</Translate>,
+    value: <Translate id="homepage.highlights.compatibility.value">Everything</Translate>,
+    icon: 'COMPAT',
+  },
 ];
 
 function Feature({icon, title, description, gradient, link, linkText}) {
@@ -101,9 +118,13 @@ export default function HomepageFeatures() {
       <section className={styles.features}>
         <div className="container">
           <div className={styles.sectionHeader}>
-            <h2 className={styles.sectionTitle}>Why Use Refract?</h2>
+            <h2 className={styles.sectionTitle}>
+              <Translate id="homepage.features.title">Why Use Refract?</Translate>
+            </h2>
             <p className={styles.sectionSubtitle}>
-              Simple tools that make building websites fun and easy
+              <Translate id="homepage.features.subtitle">
+                Simple tools that make building websites fun and easy
+              </Translate>
             </p>
           </div>
           <div className="row">
@@ -117,9 +138,13 @@ export default function HomepageFeatures() {
       <section className={styles.techSection}>
         <div className="container">
           <div className={styles.sectionHeader}>
-            <h2 className={styles.sectionTitle}>What Makes It Great</h2>
+            <h2 className={styles.sectionTitle}>
+              <Translate id="homepage.highlights.title">What Makes It Great</Translate>
+            </h2>
             <p className={styles.sectionSubtitle}>
-              Fast, small, and works with all your favorite tools
+              <Translate id="homepage.highlights.subtitle">
+                Fast, small, and works with all your favorite tools
+              </Translate>
             </p>
           </div>
           <div className={styles.techGrid}>
@@ -128,19 +153,21 @@ export default function HomepageFeatures() {
             ))}
           </div>
           <div className={styles.ctaSection}>
-            <h3 className={styles.ctaTitle}>Ready to build something cool?</h3>
+            <h3 className={styles.ctaTitle}>
+              <Translate id="homepage.cta.title">Ready to build something cool?</Translate>
+            </h3>
             <div className={styles.ctaButtons}>
               <Link 
                 className="button button--primary button--lg"
                 to="/docs/installation"
               >
-                Start Building
+                <Translate id="homepage.cta.start">Start Building</Translate>
               </Link>
               <Link 
                 className="button button--secondary button--lg"
                 to="/docs/tutorials/counter-app"
               >
-                See Examples
+                <Translate id="homepage.cta.examples">See Examples</Translate>
               </Link>
             </div>
           </div>
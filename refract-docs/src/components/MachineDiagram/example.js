@@ -0,0 +1,71 @@
+// The machine shown on the useMachine page. The request fails the first time
+// and succeeds when retried, so both outcomes can be tried out.
+
+export const SOURCE = `const fetchMachine = createMachine({
+  id: 'fetch',
+  initial: 'idle',
+  states: {
+    idle: {
+      on: { FETCH: 'loading' },
+    },
+    loading: {
+      invoke: {
+        src: 'fetchUser',
+        onDone: 'success',
+        onError: 'failure',
+      },
+      after: { 5000: 'failure' },
+      on: { CANCEL: 'idle' },
+    },
+    failure: {
+      on: { RETRY: { target: 'loading', guard: 'canRetry' } },
+    },
+    success: { type: 'final' },
+  },
+});`;
+
+export function createFetchExample() {
+  let attempts = 0;
+
+  const config = {
+    id: 'fetch',
+    initial: 'idle',
+    states: {
+      idle: {
+        on: {FETCH: 'loading'},
+      },
+      loading: {
+        invoke: {
+          src: 'fetchUser',
+          onDone: 'success',
+          onError: 'failure',
+        },
+        after: {5000: 'failure'},
+        on: {CANCEL: 'idle'},
+      },
+      failure: {
+        on: {RETRY: {target: 'loading', guard: 'canRetry'}},
+      },
+      success: {type: 'final'},
+    },
+  };
+
+  const options = {
+    guards: {
+      canRetry: () => attempts < 3,
+    },
+    services: {
+      fetchUser: (event, {signal}) =>
+        new Promise((resolve, reject) => {
+          attempts += 1;
+          const timeout = setTimeout(
+            () => (attempts === 1 ? reject(new Error('Network error')) : resolve({name: 'Ada'})),
+            1200,
+          );
+          signal.addEventListener('abort', () => clearTimeout(timeout));
+        }),
+    },
+  };
+
+  return {config, options};
+}
@@ -0,0 +1,197 @@
+import React, {useEffect, useState} from 'react';
+import clsx from 'clsx';
+import CodeBlock from '@theme/CodeBlock';
+import {createMachine, createService, describeMachine} from '@site/src/refract/machine';
+import {SOURCE, createFetchExample} from './example';
+import styles from './styles.module.css';
+
+function formatDelay(delay) {
+  return delay % 1000 === 0 ? `${delay / 1000}s` : `${delay}ms`;
+}
+
+// The label of a transition's trigger: the event type, or what causes the
+// internal events of `after`, `invoke` and `onDone`.
+function triggerLabel(transition) {
+  if (transition.delay !== undefined) {
+    return `after ${formatDelay(transition.delay)}`;
+  }
+  if (transition.invoke !== undefined) {
+    return transition.event.startsWith('error.') ? 'onError' : 'onDone';
+  }
+  if (transition.done) {
+    return 'onDone';
+  }
+  return transition.event;
+}
+
+// Events a user can send: the ones that aren't raised by the machine itself.
+function userEvents(graph) {
+  const events = graph.transitions
+    .filter((transition) => transition.delay === undefined && transition.invoke === undefined && !transition.done)
+    .map((transition) => transition.event);
+  return [...new Set(events)];
+}
+
+function Transition({transition, states}) {
+  const target = transition.target === null ? null : states.get(transition.target);
+  return (
+    <li className={styles.transition}>
+      <code className={styles.trigger}>{triggerLabel(transition)}</code>
+      {transition.guard && <span className={styles.guard}> [{transition.guard}]</span>}
+      {target ? <> → {target.key}</> : null}
+      {transition.actions.length > 0 && <span className={styles.actions}> / {transition.actions.join(', ')}</span>}
+    </li>
+  );
+}
+
+function StateNode({state, graph, states, isActive}) {
+  const parent = state.parent === null ? null : states.get(state.parent);
+  const children = graph.states.filter((child) => child.parent === state.id);
+  const transitions = graph.transitions.filter((transition) => transition.source === state.id);
+  const initial = parent?.initial === state.id;
+  const details = [
+    ...state.entry.map((action) => `entry / ${action}`),
+    ...state.exit.map((action) => `exit / ${action}`),
+    ...state.invoke.map((invocation) => `invoke ${invocation.src}`),
+  ];
+
+  return (
+    <li
+      className={clsx(
+        styles.state,
+        state.type === 'final' && styles.final,
+        state.type === 'parallel' && styles.parallel,
+        isActive(state.id) && styles.active,
+      )}>
+      <div className={styles.header}>
+        {initial && (
+          <span className={styles.initial} title="Initial state">
+            ●→{' '}
+          </span>
+        )}
+        <strong className={styles.name}>{state.parent === null ? graph.id : state.key}</strong>
+        {state.type === 'final' && <span className={styles.type}> (final)</span>}
+        {state.type === 'parallel' && <span className={styles.type}> (parallel)</span>}
+      </div>
+      {details.length > 0 && (
+        <ul className={styles.details}>
+          {details.map((detail) => (
+            <li key={detail}>{detail}</li>
+          ))}
+        </ul>
+      )}
+      {transitions.length > 0 && (
+        <ul className={styles.transitions}>
+          {transitions.map((transition, index) => (
+            <Transition key={index} transition={transition} states={states} />
+          ))}
+        </ul>
+      )}
+      {children.length > 0 && (
+        <ul className={styles.children}>
+          {children.map((child) => (
+            <StateNode key={child.id} state={child} graph={graph} states={states} isActive={isActive} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function Diagram({graph, isActive = () => false}) {
+  const states = new Map(graph.states.map((state) => [state.id, state]));
+  return (
+    <ul className={styles.diagram} aria-label={`States of the ${graph.id} machine`}>
+      <StateNode state={states.get('')} graph={graph} states={states} isActive={isActive} />
+    </ul>
+  );
+}
+
+function InteractiveDiagram({machine, options, onReset}) {
+  const [service, setService] = useState(() => createService(createMachine(machine), options));
+  const [snapshot, setSnapshot] = useState(() => service.state.peek());
+
+  useEffect(() => {
+    const unsubscribe = service.state.subscribe(setSnapshot);
+    service.start();
+    setSnapshot(service.state.peek());
+    return () => {
+      unsubscribe();
+      service.stop();
+    };
+  }, [service]);
+
+  const graph = describeMachine(machine);
+  const reset = onReset ?? (() => setService(createService(createMachine(machine), options)));
+
+  return (
+    <>
+      <div className={styles.events} data-export-hidden>
+        {userEvents(graph).map((event) => (
+          <button
+            key={event}
+            type="button"
+            className={styles.event}
+            disabled={!snapshot.can(event)}
+            onClick={() => service.send(event)}>
+            <code>{event}</code>
+          </button>
+        ))}
+        <button type="button" className={styles.reset} onClick={reset}>
+          Reset
+        </button>
+      </div>
+      <Diagram graph={graph} isActive={(id) => id !== '' && snapshot.matches(id)} />
+      <p className={styles.status} aria-live="polite" data-export-hidden>
+        State: <code>{JSON.stringify(snapshot.value)}</code>
+        {snapshot.event.type !== 'init' && (
+          <>
+            {' '}
+            after <code>{snapshot.event.type}</code>
+          </>
+        )}
+        {snapshot.done && ' (done)'}
+      </p>
+    </>
+  );
+}
+
+/**
+ * Draws a state machine from `describeMachine`: states as nested boxes, each
+ * listing its transitions. With `interactive`, the machine runs on the real
+ * runtime, its active states are highlighted and its events can be sent.
+ * `machine` is a machine or a config; `options` are its named actions,
+ * guards and services.
+ */
+export default function MachineDiagram({machine, options = {}, interactive = false}) {
+  return (
+    <div className={styles.machine}>
+      {interactive ? (
+        <InteractiveDiagram machine={machine} options={options} />
+      ) : (
+        <Diagram graph={describeMachine(machine)} />
+      )}
+    </div>
+  );
+}
+
+/** The fetch machine from the useMachine page, with its source. */
+export function FetchMachineDemo() {
+  // Resetting starts over with a new example, so the first request fails
+  // again.
+  const [run, setRun] = useState(() => ({count: 0, example: createFetchExample()}));
+  const reset = () => setRun(({count}) => ({count: count + 1, example: createFetchExample()}));
+  return (
+    <div className={styles.machine}>
+      <CodeBlock language="javascript" title="Example">
+        {SOURCE}
+      </CodeBlock>
+      <InteractiveDiagram
+        key={run.count}
+        machine={run.example.config}
+        options={run.example.options}
+        onReset={reset}
+      />
+    </div>
+  );
+}
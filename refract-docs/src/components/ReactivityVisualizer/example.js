@@ -0,0 +1,172 @@
+import {
+  batch,
+  createDerived,
+  createRefraction,
+  observeRefractions,
+  subscribeToDependencies,
+  track,
+} from '@site/src/refract/refraction';
+
+// Nodes are laid out in columns: refractions, derived values, then effects.
+export const NODES = [
+  {id: 'price', kind: 'refraction', column: 0},
+  {id: 'quantity', kind: 'refraction', column: 0},
+  {id: 'coupon', kind: 'refraction', column: 0},
+  {id: 'subtotal', kind: 'derived', column: 1},
+  {id: 'total', kind: 'derived', column: 2},
+  {id: 'totalLabel', kind: 'effect', column: 3},
+  {id: 'cartBadge', kind: 'effect', column: 3},
+];
+
+export const SOURCE = `const price = createRefraction(12);
+const quantity = createRefraction(1);
+const coupon = createRefraction(0);
+
+const subtotal = createDerived(() => price.value * quantity.value);
+const total = createDerived(() => Math.max(subtotal.value - coupon.value, 0));
+
+// Effects re-run whenever something they read changes.
+effect(function totalLabel() { return \`Total: $\${total.value}\`; });
+effect(function cartBadge() { return \`🛒 \${quantity.value}\`; });`;
+
+/**
+ * Splits the events recorded while an action ran into passes: each write
+ * outside a batch starts a pass of its own, while every write inside a batch
+ * shares the single pass that runs when the batch ends.
+ */
+function toPasses(events) {
+  const passes = [];
+  let current = null;
+  let inBatch = false;
+
+  events.forEach((event) => {
+    if (event.type === 'batch') {
+      inBatch = event.phase === 'start';
+      if (inBatch) {
+        current = {batched: true, writes: [], steps: []};
+        passes.push(current);
+      }
+    } else if (event.type === 'write') {
+      if (!inBatch) {
+        current = {batched: false, writes: [], steps: []};
+        passes.push(current);
+      }
+      current.writes.push(event.id);
+    } else if (current) {
+      current.steps.push(event.id);
+    }
+  });
+  return passes.filter((pass) => pass.writes.length > 0);
+}
+
+/**
+ * Builds the shopping cart graph shown by the visualizer. `perform` runs one
+ * of the actions and returns the passes it caused, with every recompute and
+ * effect run in the order the runtime executed them.
+ */
+export function createCartExample() {
+  const price = createRefraction(12);
+  const quantity = createRefraction(1);
+  const coupon = createRefraction(0);
+  const subtotal = createDerived(() => price.value * quantity.value);
+  const total = createDerived(() => Math.max(subtotal.value - coupon.value, 0));
+
+  const refractions = {price, quantity, coupon, subtotal, total};
+  const ids = new Map(Object.entries(refractions).map(([id, refraction]) => [refraction, id]));
+  const dependencies = {};
+  const outputs = {};
+  let events = [];
+
+  const record = (event) => {
+    if (event.type === 'batch') {
+      events.push(event);
+      return;
+    }
+    const id = ids.get(event.refraction);
+    if (id === undefined) {
+      // Another refraction on the page, e.g. in a live code block.
+      return;
+    }
+    if (event.type === 'compute') {
+      dependencies[id] = event.dependencies.map((refraction) => ids.get(refraction));
+    }
+    events.push({type: event.type, id});
+  };
+
+  const effect = (id, run) => {
+    let unsubscribe = () => {};
+    const execute = () => {
+      unsubscribe();
+      const {result, dependencies: read} = track(run);
+      outputs[id] = result;
+      dependencies[id] = Array.from(read.keys(), (refraction) => ids.get(refraction));
+      events.push({type: 'effect', id});
+      unsubscribe = subscribeToDependencies(read, execute);
+    };
+    execute();
+  };
+
+  const observe = (fn) => {
+    const stop = observeRefractions(record);
+    try {
+      fn();
+    } finally {
+      stop();
+    }
+    const recorded = events;
+    events = [];
+    return recorded;
+  };
+
+  observe(() => {
+    effect('totalLabel', () => `Total: $${total.value}`);
+    effect('cartBadge', () => `🛒 ${quantity.value}`);
+  });
+
+  const actions = [
+    {
+      id: 'price',
+      code: 'price.set((p) => p + 1)',
+      run: () => price.set((p) => p + 1),
+    },
+    {
+      id: 'quantity',
+      code: 'quantity.set((q) => q + 1)',
+      run: () => quantity.set((q) => q + 1),
+    },
+    {
+      id: 'coupon',
+      code: 'coupon.set((c) => (c ? 0 : 5))',
+      run: () => coupon.set((c) => (c ? 0 : 5)),
+    },
+    {
+      id: 'unbatched',
+      code: 'price.set((p) => p + 1);\nquantity.set((q) => q + 1);',
+      run: () => {
+        price.set((p) => p + 1);
+        quantity.set((q) => q + 1);
+      },
+    },
+    {
+      id: 'batched',
+      code: 'lens.batch(() => {\n  price.set((p) => p + 1);\n  quantity.set((q) => q + 1);\n});',
+      run: () =>
+        batch(() => {
+          price.set((p) => p + 1);
+          quantity.set((q) => q + 1);
+        }),
+    },
+  ];
+
+  return {
+    actions,
+    perform(action) {
+      return toPasses(observe(action.run));
+    },
+    getDependencies: () => ({...dependencies}),
+    getValues: () => ({
+      ...Object.fromEntries(Object.entries(refractions).map(([id, refraction]) => [id, refraction.peek()])),
+      ...outputs,
+    }),
+  };
+}
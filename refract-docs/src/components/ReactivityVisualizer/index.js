@@ -0,0 +1,274 @@
+import React, {useEffect, useState} from 'react';
+import clsx from 'clsx';
+import CodeBlock from '@theme/CodeBlock';
+import {NODES, SOURCE, createCartExample} from './example';
+import styles from './styles.module.css';
+
+const STEP_MS = 700;
+const NODE_WIDTH = 120;
+const NODE_HEIGHT = 44;
+const COLUMN_WIDTH = 160;
+const ROW_HEIGHT = 64;
+const PADDING = 16;
+
+const KIND_LABELS = {
+  refraction: 'Refractions',
+  derived: 'Derived',
+  effect: 'Effects',
+};
+
+function layoutNodes() {
+  const columns = new Map();
+  NODES.forEach((node) => {
+    columns.set(node.column, [...(columns.get(node.column) ?? []), node]);
+  });
+  const rows = Math.max(...Array.from(columns.values(), (nodes) => nodes.length));
+  const positions = {};
+  columns.forEach((nodes, column) => {
+    const offset = ((rows - nodes.length) * ROW_HEIGHT) / 2;
+    nodes.forEach((node, row) => {
+      positions[node.id] = {
+        x: PADDING + column * COLUMN_WIDTH,
+        y: PADDING + 24 + offset + row * ROW_HEIGHT,
+      };
+    });
+  });
+  return {
+    positions,
+    width: PADDING * 2 + (columns.size - 1) * COLUMN_WIDTH + NODE_WIDTH,
+    height: PADDING * 2 + 24 + rows * ROW_HEIGHT - (ROW_HEIGHT - NODE_HEIGHT),
+  };
+}
+
+const LAYOUT = layoutNodes();
+
+// One frame for the writes that start each pass, then one per recompute or
+// effect run in that pass.
+function toFrames(passes) {
+  return passes.flatMap((pass, passIndex) => [
+    {passIndex, step: null, active: pass.writes, visited: []},
+    ...pass.steps.map((id, index) => ({
+      passIndex,
+      step: id,
+      active: [id],
+      visited: [...pass.writes, ...pass.steps.slice(0, index)],
+    })),
+  ]);
+}
+
+function countRuns(frames) {
+  const counts = {};
+  frames
+    .filter((frame) => frame.step)
+    .forEach(({step}) => {
+      counts[step] = (counts[step] ?? 0) + 1;
+    });
+  return counts;
+}
+
+function formatValue(value) {
+  return typeof value === 'number' ? `= ${value}` : value;
+}
+
+function Edge({from, to, active}) {
+  const start = LAYOUT.positions[from];
+  const end = LAYOUT.positions[to];
+  const x1 = start.x + NODE_WIDTH;
+  const y1 = start.y + NODE_HEIGHT / 2;
+  const x2 = end.x;
+  const y2 = end.y + NODE_HEIGHT / 2;
+  const bend = (x2 - x1) / 2;
+  return (
+    <path
+      className={clsx(styles.edge, active && styles.edgeActive)}
+      fill="none"
+      stroke="#8d949e"
+      d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+      markerEnd="url(#reactivity-visualizer-arrow)"
+    />
+  );
+}
+
+function Graph({dependencies, values, frame, counts}) {
+  const active = new Set(frame?.active ?? []);
+  const visited = new Set(frame?.visited ?? []);
+  const kindColumns = new Map();
+  NODES.forEach((node) => {
+    kindColumns.set(node.kind, new Set([...(kindColumns.get(node.kind) ?? []), node.column]));
+  });
+
+  return (
+    <svg
+      className={styles.graph}
+      viewBox={`0 0 ${LAYOUT.width} ${LAYOUT.height}`}
+      role="img"
+      aria-label="Dependency graph of the example: price and quantity feed subtotal, subtotal and coupon feed total, total feeds the total label effect and quantity feeds the cart badge effect.">
+      <defs>
+        <marker
+          id="reactivity-visualizer-arrow"
+          viewBox="0 0 10 10"
+          refX="10"
+          refY="5"
+          markerWidth="6"
+          markerHeight="6"
+          orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z" className={styles.arrow} />
+        </marker>
+      </defs>
+      {Array.from(kindColumns, ([kind, columns]) => {
+        // Centred over all the columns of that kind.
+        const column = [...columns].reduce((sum, index) => sum + index, 0) / columns.size;
+        return (
+          <text
+            key={kind}
+            className={styles.columnLabel}
+            x={PADDING + column * COLUMN_WIDTH + NODE_WIDTH / 2}
+            y={PADDING + 8}>
+            {KIND_LABELS[kind]}
+          </text>
+        );
+      })}
+      {Object.entries(dependencies).flatMap(([to, sources]) =>
+        sources.map((from) => (
+          <Edge
+            key={`${from}-${to}`}
+            from={from}
+            to={to}
+            active={active.has(to) && (visited.has(from) || active.has(from))}
+          />
+        )),
+      )}
+      {NODES.map((node) => {
+        const {x, y} = LAYOUT.positions[node.id];
+        return (
+          <g
+            key={node.id}
+            className={clsx(
+              styles.node,
+              styles[node.kind],
+              visited.has(node.id) && styles.visited,
+              active.has(node.id) && styles.active,
+            )}>
+            {/* The attributes are fallbacks for the PDF and EPUB exports, which
+                do not load the CSS module. */}
+            <rect
+              x={x}
+              y={y}
+              width={NODE_WIDTH}
+              height={NODE_HEIGHT}
+              rx="6"
+              fill="#ffffff"
+              stroke="#8d949e"
+            />
+            <text className={styles.nodeName} x={x + 8} y={y + 17}>
+              {node.id}
+            </text>
+            <text className={styles.nodeValue} x={x + 8} y={y + 34}>
+              {formatValue(values[node.id])}
+            </text>
+            {counts[node.id] > 0 && (
+              <text className={styles.count} x={x + NODE_WIDTH - 8} y={y + 17}>
+                ×{counts[node.id]}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function describePass(pass) {
+  const writes = pass.writes.join(' and ');
+  const runs = pass.steps.length > 0 ? pass.steps.join(' → ') : 'nothing else';
+  return `${pass.batched ? `Batch writes ${writes}` : `Write to ${writes}`}, then ${runs}`;
+}
+
+/**
+ * Runs a small shopping cart example on the real Refract runtime and animates
+ * its dependency graph: every `set` lights up the nodes that recompute, in
+ * order, and `lens.batch` shows several writes collapsing into one pass.
+ */
+export default function ReactivityVisualizer() {
+  const [example, setExample] = useState(() => createCartExample());
+  const [run, setRun] = useState(() => ({action: null, passes: [], values: example.getValues()}));
+  const [frameIndex, setFrameIndex] = useState(0);
+
+  const frames = toFrames(run.passes);
+  const frame = frames[frameIndex];
+  const playing = frameIndex < frames.length - 1;
+
+  useEffect(() => {
+    if (!playing) {
+      return undefined;
+    }
+    const timeout = setTimeout(() => setFrameIndex((index) => index + 1), STEP_MS);
+    return () => clearTimeout(timeout);
+  }, [playing, frameIndex]);
+
+  const perform = (action) => {
+    const passes = example.perform(action);
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    setRun({action, passes, values: example.getValues()});
+    setFrameIndex(reduceMotion ? Math.max(toFrames(passes).length - 1, 0) : 0);
+  };
+
+  const reset = () => {
+    const next = createCartExample();
+    setExample(next);
+    setRun({action: null, passes: [], values: next.getValues()});
+    setFrameIndex(0);
+  };
+
+  // Counts go up as the animation reaches each node.
+  const counts = countRuns(frames.slice(0, frameIndex + 1));
+  const totalRuns = frames.filter((item) => item.step).length;
+
+  return (
+    <div className={styles.visualizer}>
+      <CodeBlock language="javascript" title="Example">
+        {SOURCE}
+      </CodeBlock>
+      <div className={styles.actions} data-export-hidden>
+        {example.actions.map((action) => (
+          <button
+            key={action.id}
+            type="button"
+            className={clsx(styles.action, run.action === action && styles.selected)}
+            onClick={() => perform(action)}>
+            <code>{action.code}</code>
+          </button>
+        ))}
+        <button type="button" className={styles.reset} onClick={reset}>
+          Reset
+        </button>
+      </div>
+      <Graph
+        dependencies={example.getDependencies()}
+        values={run.values}
+        frame={frame}
+        counts={counts}
+      />
+      <div className={styles.log} aria-live="polite" data-export-hidden>
+        {run.action === null ? (
+          <p>Click an update above to see which nodes recompute.</p>
+        ) : (
+          <>
+            <p>
+              <strong>
+                {run.passes.length === 1 ? '1 pass' : `${run.passes.length} passes`}, {totalRuns}{' '}
+                {totalRuns === 1 ? 'recompute' : 'recomputes'}
+              </strong>
+              {playing && ` (showing pass ${frame.passIndex + 1})`}
+            </p>
+            <ol>
+              {run.passes.map((pass, index) => (
+                <li key={index}>{describePass(pass)}</li>
+              ))}
+            </ol>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
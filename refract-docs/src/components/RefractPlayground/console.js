@@ -0,0 +1,75 @@
+const LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+const MAX_ENTRIES = 200;
+
+function formatValue(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return `${value.name}: ${value.message}`;
+  }
+  if (typeof value === 'function') {
+    return `ƒ ${value.name || 'anonymous'}()`;
+  }
+  if (typeof value === 'undefined') {
+    return 'undefined';
+  }
+  try {
+    return JSON.stringify(value, null, 2) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Creates a console replacement for a single playground. Entries are kept in a
+ * small external store so the output panel can subscribe to it; listeners are
+ * notified on a microtask because examples often log while rendering.
+ */
+export function createPlaygroundConsole() {
+  let entries = [];
+  let nextId = 0;
+  let scheduled = false;
+  const listeners = new Set();
+
+  const notify = () => {
+    if (scheduled) {
+      return;
+    }
+    scheduled = true;
+    queueMicrotask(() => {
+      scheduled = false;
+      listeners.forEach((listener) => listener());
+    });
+  };
+
+  const push = (level, args) => {
+    const entry = {
+      id: nextId++,
+      level,
+      text: args.map(formatValue).join(' '),
+    };
+    entries = [...entries, entry].slice(-MAX_ENTRIES);
+    notify();
+  };
+
+  const playgroundConsole = {};
+  LEVELS.forEach((level) => {
+    playgroundConsole[level] = (...args) => push(level, args);
+  });
+  playgroundConsole.clear = () => {
+    entries = [];
+    notify();
+  };
+
+  return {
+    console: playgroundConsole,
+    push,
+    clear: playgroundConsole.clear,
+    getEntries: () => entries,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,138 @@
+import React, {useCallback, useEffect, useMemo, useState, useSyncExternalStore} from 'react';
+import clsx from 'clsx';
+import {LiveError, LivePreview, LiveProvider} from 'react-live';
+import BrowserOnly from '@docusaurus/BrowserOnly';
+import ErrorBoundary from '@docusaurus/ErrorBoundary';
+import {ErrorBoundaryErrorMessageFallback, usePrismTheme} from '@docusaurus/theme-common';
+import PlaygroundContainer from '@theme/Playground/Container';
+import PlaygroundEditor from '@theme/Playground/Editor';
+import PlaygroundHeader from '@theme/Playground/Header';
+import ReactLiveScope from '@theme/ReactLiveScope';
+import {createPlaygroundConsole} from './console';
+import {createPlaygroundRefract} from './playgroundRefract';
+import {
+  createPlaygroundRequire,
+  isNoInline,
+  playgroundModules,
+  prepareCode,
+} from './prepareCode';
+import styles from './styles.module.css';
+
+function PlaygroundConsole({playgroundConsole, onReset}) {
+  const entries = useSyncExternalStore(
+    playgroundConsole.subscribe,
+    playgroundConsole.getEntries,
+    playgroundConsole.getEntries,
+  );
+
+  return (
+    <>
+      <PlaygroundHeader>
+        <div className={styles.consoleHeader}>
+          <span>Console</span>
+          <button type="button" className={styles.headerButton} onClick={onReset}>
+            Reset
+          </button>
+          <button
+            type="button"
+            className={styles.headerButton}
+            onClick={playgroundConsole.clear}
+            disabled={entries.length === 0}>
+            Clear
+          </button>
+        </div>
+      </PlaygroundHeader>
+      <div className={styles.console} role="log" aria-live="polite">
+        {entries.length === 0 ? (
+          <div className={styles.consoleEmpty}>No output</div>
+        ) : (
+          entries.map((entry) => (
+            <pre
+              key={entry.id}
+              className={clsx(styles.consoleEntry, styles[entry.level])}>
+              {entry.text}
+            </pre>
+          ))
+        )}
+      </div>
+    </>
+  );
+}
+
+function PlaygroundPreview({playgroundConsole, onReset}) {
+  return (
+    <>
+      <PlaygroundHeader>Result</PlaygroundHeader>
+      <div className={styles.preview}>
+        {/* No SSR for the live preview, examples may touch the DOM. */}
+        <BrowserOnly fallback={<div>Loading...</div>}>
+          {() => (
+            <ErrorBoundary
+              fallback={(params) => (
+                <ErrorBoundaryErrorMessageFallback {...params} />
+              )}>
+              <LivePreview />
+            </ErrorBoundary>
+          )}
+        </BrowserOnly>
+      </div>
+      <LiveError className={styles.liveError} />
+      <PlaygroundConsole playgroundConsole={playgroundConsole} onReset={onReset} />
+    </>
+  );
+}
+
+export default function RefractPlayground({children, metastring, className}) {
+  const prismTheme = usePrismTheme();
+  const initialCode = String(children).replace(/\n$/, '');
+  const [revision, setRevision] = useState(0);
+  const playgroundConsole = useMemo(() => createPlaygroundConsole(), []);
+
+  const refract = useMemo(() => createPlaygroundRefract(), []);
+  useEffect(() => refract.dispose, [refract]);
+
+  const scope = useMemo(
+    () => ({
+      ...ReactLiveScope,
+      ...refract.module,
+      console: playgroundConsole.console,
+      require: createPlaygroundRequire({
+        ...playgroundModules,
+        refract: refract.module,
+        'refract-js': refract.module,
+      }),
+      __renderMountedApp: refract.renderMountedApp,
+    }),
+    [refract, playgroundConsole],
+  );
+
+  // Every edit re-runs the example, so output from the previous run is dropped.
+  const transformCode = useCallback(
+    (code) => {
+      playgroundConsole.clear();
+      return prepareCode(code);
+    },
+    [playgroundConsole],
+  );
+
+  const reset = () => {
+    playgroundConsole.clear();
+    setRevision((value) => value + 1);
+  };
+
+  return (
+    <PlaygroundContainer>
+      <LiveProvider
+        key={revision}
+        code={initialCode}
+        scope={scope}
+        theme={prismTheme}
+        language={className?.replace(/^language-/, '') || 'jsx'}
+        noInline={isNoInline(initialCode, metastring)}
+        transformCode={transformCode}>
+        <PlaygroundEditor />
+        <PlaygroundPreview playgroundConsole={playgroundConsole} onReset={reset} />
+      </LiveProvider>
+    </PlaygroundContainer>
+  );
+}
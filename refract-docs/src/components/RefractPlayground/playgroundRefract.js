@@ -0,0 +1,48 @@
+import * as Refract from '@site/src/refract';
+import {createAppElement} from '@site/src/refract/app';
+import {installMiddleware} from '@site/src/refract/middleware';
+
+/**
+ * Returns a copy of the refract module whose apps render into the playground
+ * preview instead of a DOM container. `renderMountedApp()` returns the element
+ * for the last app the example mounted; `dispose()` unmounts it.
+ */
+export function createPlaygroundRefract() {
+  let mountedApp = null;
+  let uninstallMiddleware = () => {};
+
+  const unmountApp = () => {
+    uninstallMiddleware();
+    uninstallMiddleware = () => {};
+    mountedApp = null;
+  };
+
+  const createApp = (RootComponent, options) => {
+    const app = Refract.createApp(RootComponent, options);
+    // Every edit re-runs the example and mounts a new app in place of the
+    // previous one.
+    app.mount = () => {
+      unmountApp();
+      mountedApp = app;
+      uninstallMiddleware = installMiddleware(app, app.getConfig().middleware);
+      return () => app.unmount();
+    };
+    app.unmount = () => {
+      if (mountedApp === app) {
+        unmountApp();
+      }
+    };
+    return app;
+  };
+
+  return {
+    module: {...Refract, createApp},
+    dispose: unmountApp,
+    renderMountedApp() {
+      if (!mountedApp) {
+        throw new Error('The example did not mount an app. End it with createApp(App).mount(\'#root\').');
+      }
+      return createAppElement(mountedApp);
+    },
+  };
+}
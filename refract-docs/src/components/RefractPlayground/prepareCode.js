@@ -0,0 +1,62 @@
+import React from 'react';
+import * as RefractOptics from '@site/src/refract/optics';
+
+// Modules that live examples may import, besides Refract itself. Anything
+// else (relative paths, third-party packages) is reported as unavailable
+// instead of failing silently.
+export const playgroundModules = {
+  react: React,
+  '@refract/optics': RefractOptics,
+};
+
+const STYLESHEET = /\.(css|scss|sass|less)$/;
+const EXPORT_DEFAULT_IDENTIFIER = /^export\s+default\s+[A-Za-z_$][\w$]*\s*;?[ \t]*$/gm;
+const EXPORT_KEYWORD = /^export\s+(default\s+)?/gm;
+const RENDER_CALL = /\brender\s*\(/;
+const MOUNT_CALL = /\.mount\s*\(/;
+
+/**
+ * Builds the `require` that react-live's import transform compiles
+ * `import ... from '...'` statements into.
+ */
+export function createPlaygroundRequire(modules = playgroundModules) {
+  return function playgroundRequire(name) {
+    if (Object.prototype.hasOwnProperty.call(modules, name)) {
+      return modules[name];
+    }
+    if (STYLESHEET.test(name)) {
+      return {};
+    }
+    throw new Error(
+      `Cannot import '${name}' in the playground. Available modules: ${Object.keys(
+        modules,
+      ).join(', ')}.`,
+    );
+  };
+}
+
+/**
+ * Examples are written as modules (`export default Counter;`), but the
+ * playground evaluates them as a function body, so export statements are
+ * reduced to plain declarations. Examples that end with
+ * `createApp(App).mount(...)` get a `render` call for the mounted app.
+ */
+export function prepareCode(code) {
+  const body = code.replace(EXPORT_DEFAULT_IDENTIFIER, '').replace(EXPORT_KEYWORD, '');
+  if (MOUNT_CALL.test(body) && !RENDER_CALL.test(body)) {
+    return `${body}\nrender(__renderMountedApp());`;
+  }
+  return body;
+}
+
+/**
+ * Whether the example renders through `render(...)` or by mounting an app,
+ * rather than being a single JSX expression.
+ */
+export function isNoInline(code, metastring = '') {
+  return (
+    metastring.split(' ').includes('noInline') ||
+    RENDER_CALL.test(code) ||
+    MOUNT_CALL.test(code)
+  );
+}
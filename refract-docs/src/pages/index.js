@@ -1,6 +1,7 @@
 import React from 'react';
 import clsx from 'clsx';
 import Link from '@docusaurus/Link';
+import Translate, {translate} from '@docusaurus/Translate';
 import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
 import Layout from '@theme/Layout';
 import HomepageFeatures from '@site/src/components/HomepageFeatures';
@@ -16,41 +17,63 @@ function HomepageHeader() {
           <div className={styles.heroText}>
             <h1 className="hero__title">
               <span className={styles.titleMain}>{siteConfig.title}</span>
-              <span className={styles.titleAccent}>Framework</span>
+              <span className={styles.titleAccent}>
+                <Translate id="homepage.hero.titleAccent">Framework</Translate>
+              </span>
             </h1>
             <p className="hero__subtitle">
-              A simple JavaScript tool that makes building websites easier. 
-              Your website updates automatically when things change.
+              <Translate id="homepage.hero.subtitle">
+                A simple JavaScript tool that makes building websites easier.
+                Your website updates automatically when things change.
+              </Translate>
             </p>
             <div className={styles.heroStats}>
               <div className={styles.stat}>
-                <div className={styles.statNumber}>Fast</div>
-                <div className={styles.statLabel}>Super Quick</div>
+                <div className={styles.statNumber}>
+                  <Translate id="homepage.hero.stats.fast.value">Fast</Translate>
+                </div>
+                <div className={styles.statLabel}>
+                  <Translate id="homepage.hero.stats.fast.label">Super Quick</Translate>
+                </div>
               </div>
               <div className={styles.stat}>
-                <div className={styles.statNumber}>Auto</div>
-                <div className={styles.statLabel}>Updates Itself</div>
+                <div className={styles.statNumber}>
+                  <Translate id="homepage.hero.stats.auto.value">Auto</Translate>
+                </div>
+                <div className={styles.statLabel}>
+                  <Translate id="homepage.hero.stats.auto.label">Updates Itself</Translate>
+                </div>
               </div>
               <div className={styles.stat}>
-                <div className={styles.statNumber}>Easy</div>
-                <div className={styles.statLabel}>Simple to Use</div>
+                <div className={styles.statNumber}>
+                  <Translate id="homepage.hero.stats.easy.value">Easy</Translate>
+                </div>
+                <div className={styles.statLabel}>
+                  <Translate id="homepage.hero.stats.easy.label">Simple to Use</Translate>
+                </div>
               </div>
             </div>
             <div className={styles.buttons}>
               <Link
                 className="button button--primary button--lg"
                 to="/docs/installation">
-                <span>Start Now</span>
+                <span>
+                  <Translate id="homepage.hero.start">Start Now</Translate>
+                </span>
               </Link>
               <Link
                 className="button button--secondary button--lg"
                 to="/docs/getting-started">
-                <span>Learn How</span>
+                <span>
+                  <Translate id="homepage.hero.learn">Learn How</Translate>
+                </span>
               </Link>
               <Link
                 className="button button--outline button--secondary button--lg"
                 to="/docs/api/overview">
-                <span>All Features</span>
+                <span>
+                  <Translate id="homepage.hero.features">All Features</Translate>
+                </span>
               </Link>
             </div>
           </div>
@@ -103,8 +126,14 @@ export default function Home() {
   const {siteConfig} = useDocusaurusContext();
   return (
     <Layout
-      title={`Hello from ${siteConfig.title}`}
-      description="A reactive, composable JavaScript framework for building modern UIs">
+      title={translate(
+        {id: 'homepage.title', message: 'Hello from {title}'},
+        {title: siteConfig.title},
+      )}
+      description={translate({
+        id: 'homepage.description',
+        message: 'A reactive, composable JavaScript framework for building modern UIs',
+      })}>
       <HomepageHeader />
       <main>
         <HomepageFeatures />
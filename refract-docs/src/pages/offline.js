@@ -0,0 +1,49 @@
+import React from 'react';
+import Head from '@docusaurus/Head';
+import Link from '@docusaurus/Link';
+import Translate, {translate} from '@docusaurus/Translate';
+import Layout from '@theme/Layout';
+
+// Served by the service worker (src/sw.js) when a page is not available
+// offline and the network request fails.
+export default function Offline() {
+  return (
+    <Layout
+      title={translate({id: 'offline.title', message: 'You are offline'})}
+      description={translate({
+        id: 'offline.description',
+        message: 'This page is not available offline',
+      })}>
+      <Head>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <main className="container margin-vert--xl">
+        <div className="row">
+          <div className="col col--6 col--offset-3">
+            <h1 className="hero__title">
+              <Translate id="offline.heading">You are offline</Translate>
+            </h1>
+            <p>
+              <Translate id="offline.message">
+                This page has not been saved for offline reading yet. The rest
+                of the docs, the blog and search are stored on this device and
+                keep working without a connection.
+              </Translate>
+            </p>
+            <div className="margin-top--lg">
+              <button
+                type="button"
+                className="button button--primary margin-right--md"
+                onClick={() => window.location.reload()}>
+                <Translate id="offline.retry">Try again</Translate>
+              </button>
+              <Link className="button button--secondary" to="/docs/intro">
+                <Translate id="offline.docs">Read the docs</Translate>
+              </Link>
+            </div>
+          </div>
+        </div>
+      </main>
+    </Layout>
+  );
+}
@@ -0,0 +1,76 @@
+/**
+ * Renders on the server with Node's react-dom/server, then hydrates in jsdom.
+ *
+ * @jest-environment-options {"customExportConditions": ["node"]}
+ */
+import * as refract from '..';
+import {act} from '../testing-utils';
+
+function createTestApp(text, options, {createApp, createComponent, createRefraction} = refract) {
+  const count = createRefraction(0);
+  const App = createComponent(() => (
+    <button onClick={() => count.set((previous) => previous + 1)}>
+      {text()}: {count.value}
+    </button>
+  ));
+  return {app: createApp(App, {state: {count}, ...options}), count};
+}
+
+// Renders with its own copy of React and Refract, as a real server would.
+// Sharing them with the client makes React warn that two renderers render
+// the same context provider concurrently.
+async function renderOnServer(text, count) {
+  const container = document.createElement('div');
+  await jest.isolateModulesAsync(async () => {
+    const {app} = createTestApp(text, {ssr: true}, require('..'));
+    const {renderToString} = require('../server');
+    app.getConfig().state.count.set(count);
+    // With a window present, components use layout effects, which React warns
+    // about on the server. A real server has no window.
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    container.innerHTML = await renderToString(app);
+    consoleError.mockRestore();
+  });
+  document.body.append(container);
+  return container;
+}
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+it('reuses the server DOM and restores the state', async () => {
+  const container = await renderOnServer(() => 'Clicks', 5);
+  const button = container.querySelector('button');
+  const {app, count} = createTestApp(() => 'Clicks', {hydrate: true});
+
+  act(() => {
+    app.mount(container);
+  });
+
+  expect(count.value).toBe(5);
+  expect(container.querySelector('button')).toBe(button);
+  expect(container.querySelector('script')).toBeNull();
+
+  act(() => {
+    button.click();
+  });
+  expect(button.textContent).toBe('Clicks: 6');
+  act(() => app.unmount());
+});
+
+it('reports mismatches in development', async () => {
+  const container = await renderOnServer(() => 'Server', 1);
+  const onHydrationMismatch = jest.fn();
+  const {app} = createTestApp(() => 'Client', {hydrate: true, devMode: true, onHydrationMismatch});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  act(() => {
+    app.mount(container);
+  });
+
+  expect(onHydrationMismatch).toHaveBeenCalled();
+  expect(container.textContent).toBe('Client: 1');
+  act(() => app.unmount());
+  console.error.mockRestore();
+});
@@ -0,0 +1,124 @@
+import {expectAssignable, expectError, expectNotAssignable, expectType} from 'tsd';
+import {
+  batch,
+  createApp,
+  createComponent,
+  createDerived,
+  createOptic,
+  createRefraction,
+  createResource,
+  type Derived,
+  type Lens,
+  type Middleware,
+  type Optic,
+  type Path,
+  type PathValue,
+  type Refraction,
+  type Resource,
+  type Traversal,
+  useMachine,
+} from '..';
+
+// Refractions take their type from the initial value.
+
+const count = createRefraction(0);
+expectType<Refraction<number>>(count);
+count.set(1);
+count.set((previous) => previous + 1);
+expectError(count.set('one'));
+
+const user = createRefraction<{name: string}>(null);
+expectType<Refraction<{name: string} | null>>(user);
+
+const profile = createRefraction({name: 'Ada', age: 36});
+profile.update('age', (age) => age + 1);
+expectError(profile.update('email', ''));
+expectError(profile.update('age', 'thirty-six'));
+
+const double = createDerived(() => count.value * 2);
+expectType<Derived<number>>(double);
+expectError((double.value = 4));
+
+expectType<string>(batch(() => 'done'));
+
+// Components take the props of their render function, except `lens`.
+
+const Greeting = createComponent<{name: string}>(({lens, name}) => {
+  expectType<Lens>(lens);
+  const visits = lens.useRefraction(0);
+  expectType<Refraction<number>>(visits);
+  const label = lens.useDerived(() => `${name} (${visits.value})`, [name]);
+  expectType<Derived<string>>(label);
+  lens.useEffect(() => () => {}, [name]);
+  expectError(lens.useEffect(() => 1, []));
+  expectError(lens.useOptic(() => name));
+  return label.value;
+});
+Greeting({name: 'Ada'});
+expectError(Greeting({}));
+expectError(Greeting({name: 1}));
+
+const Untyped = createComponent(({anything}) => anything);
+Untyped({anything: 1, other: 'two'});
+
+// Resources take their type from the fetcher, and their key type from the key.
+
+const posts = createResource(['posts', 1] as const, async ([, page], {signal}) => {
+  expectType<1>(page);
+  expectType<AbortSignal>(signal);
+  return [{id: page, title: 'Hello'}];
+});
+expectType<Resource<{id: 1; title: string}[]>>(posts);
+expectAssignable<{id: number; title: string}[] | undefined>(posts.data);
+expectError(createResource('posts', () => 1, {staleTime: '1s'}));
+
+const Posts = createComponent(({lens}) => {
+  const page = lens.useResource('page', () => Promise.resolve('Home'), {cacheTime: 0});
+  expectType<string>(page.read());
+  return null;
+});
+
+// Path optics take their types from the path and the state they're used with.
+
+interface State {
+  user: {name: string};
+  todos: {text: string; done: boolean}[];
+}
+const state: State = {user: {name: 'Ada'}, todos: []};
+
+const name = createOptic('user.name');
+expectType<string>(name.get(state));
+expectType<(state: State) => State>(name.set('Grace'));
+expectError(name.set<State>(1));
+expectError(createOptic('user..name'));
+
+const done = createOptic('todos[*].done');
+expectType<boolean[]>(done.get(state));
+
+expectType<Optic<State, string>>(createOptic<State, 'user.name'>('user.name'));
+expectType<Traversal<State, string>>(createOptic<State, 'todos[*].text'>('todos[*].text'));
+expectError(createOptic<State, 'user.email'>('user.email'));
+
+expectType<boolean>({} as PathValue<State, 'todos[0].done'>);
+expectAssignable<Path<State>>('todos[0].text');
+expectNotAssignable<Path<State>>('todos.text');
+
+// Apps, middleware and machines.
+
+const logWrites: Middleware = (context, next) => {
+  if (context.type === 'set') {
+    expectType<Refraction<any>>(context.refraction);
+  }
+  expectError(context.refraction);
+  next();
+};
+const app = createApp(Posts, {middleware: [logWrites], state: {count}});
+expectType<typeof app>(app.use((installed) => installed.addMiddleware(logWrites)));
+expectType<() => void>(app.mount('#root'));
+expectError(createApp(Posts, {state: {count: 0}}));
+
+const [machineState, send] = useMachine({initial: 'idle', states: {idle: {on: {START: 'running'}}, running: {}}});
+expectType<boolean>(machineState.matches('idle'));
+send('START');
+send({type: 'START', speed: 2});
+expectError(useMachine({states: {idle: {on: {START: 1}}}}));
@@ -0,0 +1,66 @@
+import {createComponent, createOptic, createRefraction, useRefraction} from '..';
+import {act, fireEvent, render} from '../testing-utils';
+
+describe('lens.useOptic', () => {
+  const useLikes = createOptic((label) => {
+    const likes = useRefraction(0);
+    return {text: `${label}: ${likes.value}`, like: () => likes.set((previous) => previous + 1)};
+  });
+
+  it('runs the optic from the render where its dependencies last changed', () => {
+    const Post = createComponent(({lens, id, title}) => {
+      const likes = lens.useOptic(() => useLikes(`${title} #${id}`), [id]);
+      return <button onClick={likes.like}>{likes.text}</button>;
+    });
+    const {container, rerender} = render(<Post id={1} title="Draft" />);
+
+    rerender(<Post id={1} title="Hello" />);
+    expect(container.textContent).toBe('Draft #1: 0');
+
+    rerender(<Post id={2} title="Hello" />);
+    expect(container.textContent).toBe('Hello #2: 0');
+  });
+
+  it('runs the optic on every render, so its own state stays current', () => {
+    const Post = createComponent(({lens}) => {
+      const likes = lens.useOptic(() => useLikes('Hello'), []);
+      return <button onClick={likes.like}>{likes.text}</button>;
+    });
+    const {container} = render(<Post />);
+
+    fireEvent.click(container.querySelector('button'));
+    fireEvent.click(container.querySelector('button'));
+
+    expect(container.textContent).toBe('Hello: 2');
+  });
+
+  it('runs the latest optic when no dependencies are given', () => {
+    const Post = createComponent(({lens, title}) => lens.useOptic(() => useLikes(title)).text);
+    const {container, rerender} = render(<Post title="Draft" />);
+
+    rerender(<Post title="Hello" />);
+
+    expect(container.textContent).toBe('Hello: 0');
+  });
+});
+
+describe('lens.useDerived', () => {
+  it('keeps the derived refraction across renders when no dependencies are given', () => {
+    const count = createRefraction(1);
+    const compute = jest.fn(() => count.value * 2);
+    const derived = [];
+    const Double = createComponent(({lens, label}) => {
+      const double = lens.useDerived(compute);
+      derived.push(double);
+      return `${label}${double.value}`;
+    });
+    const {container, rerender} = render(<Double label="a" />);
+
+    rerender(<Double label="b" />);
+    act(() => count.set(2));
+
+    expect(container.textContent).toBe('b4');
+    expect(new Set(derived).size).toBe(1);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,378 @@
+import {StrictMode} from 'react';
+import {createComponent, createMachine, useMachine} from '..';
+import {createService} from '../machine';
+import {act, render} from '../testing-utils';
+
+function createTrafficLight(entries, fetchPhase) {
+  return createMachine({
+    initial: 'red',
+    states: {
+      red: {
+        entry: () => entries.push('red'),
+        after: {1000: 'green'},
+      },
+      green: {
+        entry: () => entries.push('green'),
+        invoke: {src: fetchPhase, onDone: 'red'},
+      },
+    },
+  });
+}
+
+function renderLight(machine, wrap = (element) => element) {
+  const Light = createComponent(({lens}) => {
+    const [state, send] = lens.useOptic(() => useMachine(machine), []);
+    return <button onClick={() => send('NEXT')}>{state.value}</button>;
+  });
+  return render(wrap(<Light />));
+}
+
+// A started service, stopped after the test.
+const services = [];
+
+function startService(config, options) {
+  const service = createService(createMachine(config), options);
+  services.push(service);
+  service.start();
+  return service;
+}
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+afterEach(() => {
+  services.splice(0).forEach((service) => service.stop());
+  jest.useRealTimers();
+});
+
+it('runs the entry actions of the initial state once when StrictMode remounts', () => {
+  jest.useFakeTimers();
+  const entries = [];
+  const {container} = renderLight(createTrafficLight(entries, () => new Promise(() => {})), (element) => (
+    <StrictMode>{element}</StrictMode>
+  ));
+
+  expect(entries).toEqual(['red']);
+  expect(container.textContent).toBe('red');
+});
+
+it('restarts the timers of the current state when it resumes', () => {
+  jest.useFakeTimers();
+  const entries = [];
+  const {container} = renderLight(createTrafficLight(entries, () => new Promise(() => {})), (element) => (
+    <StrictMode>{element}</StrictMode>
+  ));
+
+  act(() => jest.advanceTimersByTime(1000));
+
+  expect(entries).toEqual(['red', 'green']);
+  expect(container.textContent).toBe('green');
+});
+
+it('restarts the services of the current state when it resumes', async () => {
+  const entries = [];
+  const load = jest.fn(() => Promise.resolve('ready'));
+  const machine = createMachine({
+    initial: 'loading',
+    states: {
+      loading: {
+        entry: () => entries.push('loading'),
+        invoke: {src: load, onDone: 'ready'},
+      },
+      ready: {},
+    },
+  });
+  const {container} = renderLight(machine, (element) => <StrictMode>{element}</StrictMode>);
+  await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+
+  expect(entries).toEqual(['loading']);
+  expect(load).toHaveBeenCalledTimes(2);
+  expect(load.mock.calls[0][1].signal.aborted).toBe(true);
+  expect(load.mock.calls[1][0]).toBe(load.mock.calls[0][0]);
+  expect(container.textContent).toBe('ready');
+});
+
+describe('state', () => {
+  it('is only published when the active states change', () => {
+    const track = jest.fn();
+    const service = startService({
+      initial: 'idle',
+      states: {
+        idle: {on: {START: 'running', PING: {actions: track}}},
+        running: {on: {RESTART: 'running'}},
+      },
+    });
+    const initial = service.state.value;
+
+    service.send('PING');
+    service.send('STOP');
+    expect(track).toHaveBeenCalledTimes(1);
+    expect(service.state.value).toBe(initial);
+
+    service.send({type: 'START', speed: 2});
+    const running = service.state.value;
+    expect(running.value).toBe('running');
+    expect(running.event).toEqual({type: 'START', speed: 2});
+
+    service.send('RESTART');
+    expect(service.state.value).toBe(running);
+  });
+
+  it('re-renders the component only for events that change the state', () => {
+    const renders = jest.fn();
+    const machine = createMachine({
+      initial: 'closed',
+      states: {closed: {on: {OPEN: 'open', HOVER: {actions: () => {}}}}, open: {}},
+    });
+    let send;
+    const Menu = createComponent(({lens}) => {
+      const [state, sendEvent] = lens.useOptic(() => useMachine(machine), []);
+      send = sendEvent;
+      renders();
+      return state.value;
+    });
+    const {container} = render(<Menu />);
+    renders.mockClear();
+
+    act(() => send('HOVER'));
+    expect(renders).not.toHaveBeenCalled();
+
+    act(() => send('OPEN'));
+    expect(renders).toHaveBeenCalledTimes(1);
+    expect(container.textContent).toBe('open');
+  });
+});
+
+describe('guards', () => {
+  it('take the first transition whose guard passes, with the event', () => {
+    const checkout = {
+      initial: 'cart',
+      states: {
+        cart: {
+          on: {
+            CHECKOUT: [
+              {target: 'payment', guard: (event) => event.items > 0},
+              {target: 'empty', guard: 'isEmpty'},
+            ],
+          },
+        },
+        payment: {},
+        empty: {},
+      },
+    };
+    const service = startService(checkout, {guards: {isEmpty: (event) => event.items === 0}});
+
+    service.send({type: 'CHECKOUT', items: -1});
+    expect(service.state.value.value).toBe('cart');
+    expect(service.state.value.can({type: 'CHECKOUT', items: 0})).toBe(true);
+    service.send({type: 'CHECKOUT', items: 0});
+    expect(service.state.value.value).toBe('empty');
+  });
+
+  it('throw for names missing from the options', () => {
+    const service = startService({initial: 'a', states: {a: {on: {GO: {target: 'b', guard: 'ready'}}}, b: {}}});
+
+    expect(() => service.send('GO')).toThrow('Unknown guard "ready". Pass it in options.guards.');
+  });
+});
+
+describe('nested states', () => {
+  const editor = {
+    initial: 'viewing',
+    states: {
+      viewing: {on: {EDIT: 'editing'}},
+      editing: {
+        initial: 'typing',
+        on: {CANCEL: 'viewing', SAVE: '.saving'},
+        onDone: 'viewing',
+        states: {
+          typing: {on: {CANCEL: 'typing'}},
+          saving: {on: {SAVED: 'saved', FAIL: '#viewing'}},
+          saved: {type: 'final'},
+        },
+      },
+    },
+  };
+
+  it('enter the initial child and report the state as an object', () => {
+    const service = startService(editor);
+
+    service.send('EDIT');
+
+    expect(service.state.value.value).toEqual({editing: 'typing'});
+    expect(service.state.value.matches('editing')).toBe(true);
+    expect(service.state.value.matches('editing.typing')).toBe(true);
+  });
+
+  it("prefer the child's transition, and fall back to the parent's", () => {
+    const service = startService(editor);
+    service.send('EDIT');
+
+    service.send('CANCEL');
+    expect(service.state.value.value).toEqual({editing: 'typing'});
+
+    service.send('SAVE');
+    expect(service.state.value.value).toEqual({editing: 'saving'});
+    service.send('CANCEL');
+    expect(service.state.value.value).toBe('viewing');
+
+    service.send('EDIT');
+    service.send('SAVE');
+    service.send('FAIL');
+    expect(service.state.value.value).toBe('viewing');
+  });
+
+  it('take the onDone transition of the parent when a final child is entered', () => {
+    const service = startService(editor);
+
+    service.send('EDIT');
+    service.send('SAVE');
+    service.send('SAVED');
+
+    expect(service.state.value.value).toBe('viewing');
+    expect(service.state.value.event).toEqual({type: 'done.state.editing'});
+    expect(service.state.value.done).toBe(false);
+  });
+});
+
+describe('parallel states', () => {
+  const player = {
+    initial: 'on',
+    states: {
+      on: {
+        type: 'parallel',
+        onDone: 'off',
+        states: {
+          playback: {
+            initial: 'paused',
+            states: {
+              paused: {on: {PLAY: 'playing'}},
+              playing: {on: {PAUSE: 'paused', END: 'ended'}},
+              ended: {type: 'final'},
+            },
+          },
+          volume: {
+            initial: 'normal',
+            states: {
+              normal: {on: {MUTE: 'muted'}},
+              muted: {on: {UNMUTE: 'normal', EJECT: 'ejected'}},
+              ejected: {type: 'final'},
+            },
+          },
+        },
+      },
+      off: {type: 'final'},
+    },
+  };
+
+  it('keep every region active and handle events in each', () => {
+    const service = startService(player);
+
+    service.send('PLAY');
+    service.send('MUTE');
+
+    expect(service.state.value.value).toEqual({on: {playback: 'playing', volume: 'muted'}});
+    expect(service.state.value.matches('on.volume.muted')).toBe(true);
+  });
+
+  it('are done when every region has reached a final state', () => {
+    const service = startService(player);
+
+    service.send('PLAY');
+    service.send('END');
+    expect(service.state.value.value).toEqual({on: {playback: 'ended', volume: 'normal'}});
+
+    service.send('MUTE');
+    service.send('EJECT');
+    expect(service.state.value.value).toBe('off');
+    expect(service.state.value.done).toBe(true);
+
+    service.send('PLAY');
+    expect(service.state.value.value).toBe('off');
+  });
+});
+
+describe('delayed transitions', () => {
+  const toast = {
+    initial: 'visible',
+    states: {
+      visible: {after: {3000: 'hidden'}, on: {DISMISS: 'dismissed'}},
+      hidden: {},
+      dismissed: {},
+    },
+  };
+
+  it('are taken after their delay', () => {
+    jest.useFakeTimers();
+    const service = startService(toast);
+
+    jest.advanceTimersByTime(2999);
+    expect(service.state.value.value).toBe('visible');
+    jest.advanceTimersByTime(1);
+
+    expect(service.state.value.value).toBe('hidden');
+  });
+
+  it('are cancelled when the state is left first, or the service stops', () => {
+    jest.useFakeTimers();
+    const dismissed = startService(toast);
+    const stopped = startService(toast);
+
+    dismissed.send('DISMISS');
+    stopped.stop();
+    jest.advanceTimersByTime(3000);
+
+    expect(dismissed.state.value.value).toBe('dismissed');
+    expect(stopped.state.value.value).toBe('visible');
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
+
+describe('services', () => {
+  const loader = (src) => ({
+    initial: 'loading',
+    states: {
+      loading: {invoke: {src, onDone: 'loaded', onError: 'failed'}, on: {CANCEL: 'cancelled'}},
+      loaded: {entry: 'store'},
+      failed: {},
+      cancelled: {},
+    },
+  });
+
+  it('take onDone with the result, or onError with the rejection', async () => {
+    const store = jest.fn();
+    const loaded = startService(loader(() => Promise.resolve('data')), {actions: {store}});
+    const failed = startService(loader(() => Promise.reject(new Error('offline'))), {actions: {store}});
+
+    await flushPromises();
+
+    expect(loaded.state.value.value).toBe('loaded');
+    expect(store).toHaveBeenCalledWith(expect.objectContaining({type: 'done.invoke.loading:invoke[0]', data: 'data'}));
+    expect(failed.state.value.value).toBe('failed');
+    expect(failed.state.value.event.data).toEqual(new Error('offline'));
+  });
+
+  it('are aborted, and their results ignored, when the state is left', async () => {
+    let resolve;
+    const src = jest.fn(() => new Promise((done) => (resolve = done)));
+    const service = startService(loader(src), {actions: {store: () => {}}});
+    await flushPromises();
+
+    service.send('CANCEL');
+    resolve('late');
+    await flushPromises();
+
+    expect(src.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(service.state.value.value).toBe('cancelled');
+  });
+
+  it('are aborted when the component unmounts', async () => {
+    const src = jest.fn(() => new Promise(() => {}));
+    const {unmount} = renderLight(createMachine(loader(src)));
+    await act(flushPromises);
+
+    unmount();
+
+    expect(src).toHaveBeenCalledTimes(1);
+    expect(src.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+});
@@ -0,0 +1,125 @@
+import {batch, createApp, createComponent, createRefraction} from '..';
+import {act} from '../testing-utils';
+
+function recorder(seen) {
+  return (context, next) => {
+    seen.push(context.type);
+    next();
+  };
+}
+
+function mountApp(Root, options) {
+  const seen = [];
+  const app = createApp(Root, {...options, middleware: [recorder(seen)]});
+  act(() => {
+    app.mount(document.createElement('div'));
+  });
+  return {app, seen};
+}
+
+const Empty = createComponent(() => null);
+
+it('runs writes to an app state refraction through that app only', () => {
+  const count = createRefraction(0);
+  const first = mountApp(Empty, {state: {count}});
+  const second = mountApp(Empty);
+
+  act(() => count.set(1));
+
+  expect(first.seen).toEqual(['mount', 'set']);
+  expect(second.seen).toEqual(['mount']);
+  act(() => first.app.unmount());
+  act(() => second.app.unmount());
+});
+
+it('runs writes to component state through the app it renders in', () => {
+  let setOpen;
+  const Panel = createComponent(({lens}) => {
+    const open = lens.useRefraction(false);
+    setOpen = (value) => open.set(value);
+    return open.value ? 'open' : 'closed';
+  });
+  const first = mountApp(Panel);
+  const second = mountApp(Empty);
+
+  act(() => setOpen(true));
+
+  expect(first.seen).toEqual(['mount', 'set']);
+  expect(second.seen).toEqual(['mount']);
+  act(() => first.app.unmount());
+  act(() => second.app.unmount());
+});
+
+it('runs lens effects and errors through their app only', () => {
+  const Fails = createComponent(({lens}) => {
+    lens.useEffect(() => {}, []);
+    const broken = lens.useRefraction(false);
+    if (broken.value) {
+      throw new Error('Broken');
+    }
+    lens.useEffect(() => broken.set(true), []);
+    return null;
+  });
+  // React logs the error it caught before the boundary reports it.
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const first = mountApp(Fails, {onError: () => {}});
+  const second = mountApp(Empty);
+  consoleError.mockRestore();
+
+  expect(first.seen).toEqual(['mount', 'effect', 'effect', 'set', 'error']);
+  expect(second.seen).toEqual(['mount']);
+  act(() => first.app.unmount());
+  act(() => second.app.unmount());
+});
+
+it('runs a batch through the apps owning its writes', () => {
+  const a = createRefraction(0);
+  const b = createRefraction(0);
+  const first = mountApp(Empty, {state: {a, b}});
+  const second = mountApp(Empty);
+
+  act(() =>
+    batch(() => {
+      a.set(1);
+      b.set(1);
+    }),
+  );
+
+  expect(first.seen).toEqual(['mount', 'set', 'set', 'batch']);
+  expect(second.seen).toEqual(['mount']);
+  act(() => first.app.unmount());
+  act(() => second.app.unmount());
+});
+
+it('runs writes nobody owns through every mounted app', () => {
+  const owned = createRefraction(0);
+  const global = createRefraction(0);
+  const first = mountApp(Empty, {state: {owned}});
+  const second = mountApp(Empty);
+
+  act(() =>
+    batch(() => {
+      owned.set(1);
+      global.set(1);
+    }),
+  );
+
+  expect(first.seen).toEqual(['mount', 'set', 'set', 'batch']);
+  expect(second.seen).toEqual(['mount', 'set', 'batch']);
+  act(() => first.app.unmount());
+  act(() => second.app.unmount());
+});
+
+it('treats the state of an unmounted app as unowned', () => {
+  const count = createRefraction(0);
+  const first = mountApp(Empty, {state: {count}});
+  const second = mountApp(Empty);
+  act(() => first.app.unmount());
+
+  act(() => count.set(1));
+
+  expect(count.peek()).toBe(1);
+  expect(first.seen).toEqual(['mount', 'unmount']);
+  expect(second.seen).toEqual(['mount', 'set']);
+  act(() => second.app.unmount());
+});
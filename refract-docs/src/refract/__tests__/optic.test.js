@@ -0,0 +1,139 @@
+/**
+ * @jest-environment node
+ */
+import {compose, createOptic} from '..';
+
+const state = {
+  user: {name: 'Ada', 'in progress': true},
+  todos: [
+    {id: 1, text: 'Learn Refract', done: true},
+    {id: 2, text: 'Ship it', done: false},
+  ],
+  labels: {work: {color: 'red'}, home: {color: 'blue'}},
+};
+
+describe('paths', () => {
+  it('read keys, indices and quoted keys', () => {
+    expect(createOptic('user.name').get(state)).toBe('Ada');
+    expect(createOptic('todos[1].text').get(state)).toBe('Ship it');
+    expect(createOptic('user["in progress"]').get(state)).toBe(true);
+    expect(createOptic("user['in progress']").get(state)).toBe(true);
+    expect(createOptic('[0]').get(['first'])).toBe('first');
+  });
+
+  it('read every item with [*], over arrays and objects', () => {
+    expect(createOptic('todos[*].done').get(state)).toEqual([true, false]);
+    expect(createOptic('labels[*].color').get(state)).toEqual(['red', 'blue']);
+    expect(createOptic('todos[*]').get({todos: []})).toEqual([]);
+  });
+
+  it('read the items matching the predicates with [?], in order', () => {
+    const open = createOptic('todos[?].text', (todo) => !todo.done);
+    const evenIndices = createOptic('todos[?]', (todo, index) => index % 2 === 0);
+    const nested = createOptic('[?].items[?]', (list) => list.open, (item) => item > 1);
+
+    expect(open.get(state)).toEqual(['Ship it']);
+    expect(evenIndices.get(state)).toEqual([state.todos[0]]);
+    expect(nested.get([{open: true, items: [1, 2, 3]}, {open: false, items: [4]}])).toEqual([2, 3]);
+  });
+
+  it('return undefined for a missing last step', () => {
+    expect(createOptic('user.email').get(state)).toBeUndefined();
+    expect(createOptic('todos[5]').get(state)).toBeUndefined();
+  });
+});
+
+describe('set and over', () => {
+  it('update the focused value, or every focused value of a traversal', () => {
+    expect(createOptic('user.name').set('Grace')(state).user.name).toBe('Grace');
+    expect(createOptic('todos[*].done').set(true)(state).todos.map((todo) => todo.done)).toEqual([true, true]);
+    const shout = createOptic('todos[?].text', (todo) => todo.id === 2).over((text) => text.toUpperCase());
+    expect(shout(state).todos).toEqual([state.todos[0], {id: 2, text: 'SHIP IT', done: false}]);
+  });
+
+  it('add a missing last step', () => {
+    expect(createOptic('user.email').set('ada@example.com')(state).user).toEqual({
+      name: 'Ada',
+      'in progress': true,
+      email: 'ada@example.com',
+    });
+    expect(createOptic('[2]').set('c')(['a', 'b'])).toEqual(['a', 'b', 'c']);
+  });
+
+  it('copy only the branches that change', () => {
+    const next = createOptic('todos[1].done').set(true)(state);
+
+    expect(next).not.toBe(state);
+    expect(next.todos).not.toBe(state.todos);
+    expect(next.todos[1]).not.toBe(state.todos[1]);
+    expect(next.todos[0]).toBe(state.todos[0]);
+    expect(next.user).toBe(state.user);
+    expect(next.labels).toBe(state.labels);
+    expect(state.todos[1].done).toBe(false);
+  });
+
+  it('return the state itself when nothing changes', () => {
+    expect(createOptic('todos[*].id').over((id) => id)(state)).toBe(state);
+    expect(createOptic('user.name').set('Ada')(state)).toBe(state);
+    expect(createOptic('todos[?]', () => false).set(null)(state)).toBe(state);
+  });
+});
+
+describe('compose', () => {
+  it('behaves like the joined path', () => {
+    const todos = createOptic('todos');
+    const byId = (id) => createOptic('[?]', (todo) => todo.id === id);
+    const text = compose(todos, byId(2), createOptic('text'));
+
+    expect(text.path).toBe('todos[?].text');
+    expect(text.get(state)).toEqual(['Ship it']);
+    expect(text.set('Ship it today')(state).todos[1].text).toBe('Ship it today');
+    expect(compose(createOptic('user'), createOptic('name')).path).toBe('user.name');
+  });
+
+  it('composes optics that were composed', () => {
+    const firstTodo = compose(createOptic('todos'), createOptic('[0]'));
+
+    expect(compose(firstTodo, createOptic('text')).get(state)).toBe('Learn Refract');
+  });
+
+  it('rejects optics that are not path optics', () => {
+    expect(() => compose()).toThrow('compose(...optics) expects at least one optic.');
+    expect(() => compose(createOptic('todos'), createOptic(() => null))).toThrow(
+      'compose(...optics) only accepts optics created with createOptic(path) or compose().',
+    );
+  });
+});
+
+describe('errors', () => {
+  it('reject invalid paths when the optic is created', () => {
+    expect(() => createOptic('')).toThrow(TypeError);
+    expect(() => createOptic('todos[x]')).toThrow('Invalid optic path "todos[x]": unexpected "[x]" at position 5.');
+    expect(() => createOptic('.user')).toThrow('Invalid optic path ".user"');
+    expect(() => createOptic('todos[?]')).toThrow('every "[?]" needs a predicate argument.');
+    expect(() => createOptic('todos[?]', 'done')).toThrow('predicates must be functions.');
+    expect(() => createOptic('todos', () => true)).toThrow('1 predicate(s) given for 0 "[?]".');
+  });
+
+  it('name the step that cannot be reached', () => {
+    expect(() => createOptic('todos[5].done').get(state)).toThrow(
+      'Cannot read "todos[5].done": "todos[5]" is undefined.',
+    );
+    expect(() => createOptic('todos[0].text.length').set(0)(state)).toThrow(
+      'Cannot update "todos[0].text.length": "todos[0].text" is a string.',
+    );
+    expect(() => createOptic('user.name').get(null)).toThrow('Cannot read "user.name": the state is null.');
+    expect(() => createOptic('todos[*].tags[0]').over((tag) => tag)(state)).toThrow(
+      'Cannot update "todos[*].tags[0]": "todos[0].tags" is undefined.',
+    );
+  });
+
+  it('reject traversals over values that are not arrays or objects, in get as in set and over', () => {
+    const each = createOptic('a[*]');
+
+    expect(() => each.get({a: 5})).toThrow(new TypeError('Cannot read "a[*]": "a" is a number.'));
+    expect(() => each.set(0)({a: 5})).toThrow(new TypeError('Cannot update "a[*]": "a" is a number.'));
+    expect(() => each.over((value) => value)({a: 'text'})).toThrow('Cannot update "a[*]": "a" is a string.');
+    expect(() => createOptic('a[?]', () => true).get({a: 'text'})).toThrow('Cannot read "a[?]": "a" is a string.');
+  });
+});
@@ -0,0 +1,199 @@
+import {createApp, createComponent, createResource, Suspense} from '..';
+import {act, render} from '../testing-utils';
+
+function createUser(fetchUser) {
+  return createComponent(({lens}) => {
+    const user = lens.useResource('user', fetchUser);
+    return user.status === 'success' ? user.data : user.status;
+  });
+}
+
+async function flushRequests() {
+  await act(async () => {});
+}
+
+// A fetcher whose requests settle when the test says so.
+function createDeferredFetcher() {
+  const requests = [];
+  const fetcher = jest.fn((key, {signal}) => {
+    const request = {key, signal};
+    requests.push(request);
+    return new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+  });
+  return {fetcher, requests};
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+it('caches resources per app', async () => {
+  let requests = 0;
+  const User = createUser(() => Promise.resolve(`User ${++requests}`));
+
+  const first = render(<User />);
+  const second = render(<User />);
+  await flushRequests();
+
+  expect(first.container.textContent).toBe('User 1');
+  expect(second.container.textContent).toBe('User 2');
+});
+
+it('shares a resource created for an app with its components', async () => {
+  const fetchUser = jest.fn(() => Promise.resolve('Ada'));
+  const User = createUser(fetchUser);
+  const app = createApp(User);
+  const user = createResource('user', fetchUser, {app});
+  await user.revalidate();
+
+  const container = document.createElement('div');
+  act(() => {
+    app.mount(container);
+  });
+
+  expect(container.textContent).toBe('Ada');
+  act(() => app.unmount());
+});
+
+it('keeps unused data for cacheTime, then drops it', async () => {
+  jest.useFakeTimers();
+  const fetchUser = jest.fn(() => Promise.resolve('Ada'));
+  const User = createComponent(({lens}) => {
+    const user = lens.useResource('user', fetchUser, {staleTime: Infinity, cacheTime: 1000});
+    return user.status === 'success' ? user.data : user.status;
+  });
+  const app = createApp(User);
+  const container = document.createElement('div');
+  const remount = () =>
+    act(() => {
+      app.unmount();
+      app.mount(container);
+    });
+
+  act(() => {
+    app.mount(container);
+  });
+  await flushRequests();
+  remount();
+  act(() => jest.advanceTimersByTime(999));
+  remount();
+
+  expect(container.textContent).toBe('Ada');
+  expect(fetchUser).toHaveBeenCalledTimes(1);
+
+  act(() => app.unmount());
+  act(() => jest.advanceTimersByTime(1000));
+  act(() => {
+    app.mount(container);
+  });
+
+  expect(container.textContent).toBe('pending');
+  expect(fetchUser).toHaveBeenCalledTimes(2);
+  act(() => app.unmount());
+});
+
+it('fetches once for a component that suspends until the data loads', async () => {
+  const fetchUser = jest.fn(() => Promise.resolve('Ada'));
+  const User = createComponent(({lens}) => lens.useResource('user', fetchUser).read());
+  const {container} = render(
+    <Suspense fallback="Loading">
+      <User />
+    </Suspense>,
+  );
+  expect(container.textContent).toBe('Loading');
+
+  await flushRequests();
+  await flushRequests();
+
+  expect(container.textContent).toBe('Ada');
+  expect(fetchUser).toHaveBeenCalledTimes(1);
+});
+
+it('revalidates stale data when a component mounts again', async () => {
+  const fetchUser = jest.fn(() => Promise.resolve('Ada'));
+  const User = createComponent(({lens}) => lens.useResource('user', fetchUser).read());
+  const ui = (
+    <Suspense fallback="Loading">
+      <User />
+    </Suspense>
+  );
+  const {container, rerender} = render(ui);
+  await flushRequests();
+  await flushRequests();
+  rerender(null);
+
+  rerender(ui);
+  await flushRequests();
+
+  expect(container.textContent).toBe('Ada');
+  expect(fetchUser).toHaveBeenCalledTimes(2);
+});
+
+it('aborts the request in flight when the last component unmounts', () => {
+  const {fetcher, requests} = createDeferredFetcher();
+  const User = createUser(fetcher);
+  const {unmount} = render(<User />);
+
+  expect(requests[0].signal.aborted).toBe(false);
+  unmount();
+
+  expect(requests[0].signal.aborted).toBe(true);
+});
+
+it('aborts the request for the previous key when the key changes', async () => {
+  const {fetcher, requests} = createDeferredFetcher();
+  const User = createComponent(({lens, id}) => {
+    const user = lens.useResource(['user', id], fetcher);
+    return user.status === 'success' ? user.data : user.status;
+  });
+  const {container, rerender} = render(<User id={1} />);
+
+  rerender(<User id={2} />);
+  await act(async () => {
+    requests[0].resolve('User 1');
+    requests[1].resolve('User 2');
+  });
+
+  expect(requests.map(({key}) => key)).toEqual([
+    ['user', 1],
+    ['user', 2],
+  ]);
+  expect(requests[0].signal.aborted).toBe(true);
+  expect(container.textContent).toBe('User 2');
+});
+
+it('shows stale data while revalidating it', async () => {
+  const {fetcher, requests} = createDeferredFetcher();
+  const User = createComponent(({lens}) => {
+    const user = lens.useResource('user', fetcher);
+    return `${user.data ?? 'none'}${user.isValidating ? ' (validating)' : ''}`;
+  });
+  const {container, rerender} = render(<User />);
+  await act(async () => requests[0].resolve('Ada'));
+  expect(container.textContent).toBe('Ada');
+  rerender(null);
+
+  rerender(<User />);
+  await flushRequests();
+  expect(container.textContent).toBe('Ada (validating)');
+  await act(async () => requests[1].resolve('Grace'));
+
+  expect(container.textContent).toBe('Grace');
+});
+
+it('puts the previous data back when an optimistic mutation fails', async () => {
+  const user = createResource('user', () => Promise.resolve('Ada'));
+  await user.revalidate();
+  const commit = jest.fn(() => Promise.reject(new Error('Offline')));
+
+  const mutation = user.mutate('Grace', {commit});
+  expect(user.data).toBe('Grace');
+  await expect(mutation).rejects.toThrow('Offline');
+
+  expect(commit).toHaveBeenCalledWith('Grace');
+  expect(user.data).toBe('Ada');
+  expect(user.status).toBe('success');
+});
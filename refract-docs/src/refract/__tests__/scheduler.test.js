@@ -0,0 +1,186 @@
+import {createComponent, createRefraction, runWithPriority, startTransition} from '..';
+import {getCurrentLane, runInScope, scheduleUpdate} from '../scheduler';
+import {act, render} from '../testing-utils';
+
+// Checks what happens before a write returns, without `act` applying the
+// renders it queued.
+function outsideAct(fn) {
+  const previous = globalThis.IS_REACT_ACT_ENVIRONMENT;
+  globalThis.IS_REACT_ACT_ENVIRONMENT = false;
+  try {
+    return fn();
+  } finally {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = previous;
+  }
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('lanes', () => {
+  it('runs sync updates straight away and default updates after the current task', async () => {
+    const order = [];
+    scheduleUpdate(() => order.push('default'), 'default');
+    scheduleUpdate(() => order.push('sync'), 'sync');
+    order.push('returned');
+
+    await Promise.resolve();
+
+    expect(order).toEqual(['sync', 'returned', 'default']);
+  });
+
+  it('runs an update queued twice once, in the more urgent lane', async () => {
+    const update = jest.fn();
+    scheduleUpdate(update, 'default');
+    scheduleUpdate(update, 'transition');
+    scheduleUpdate(update, 'sync');
+
+    expect(update).toHaveBeenCalledTimes(1);
+    await Promise.resolve();
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps sync updates queued in a scope until the outermost scope ends', () => {
+    const update = jest.fn();
+
+    runInScope(() => {
+      runInScope(() => scheduleUpdate(update, 'sync'));
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs idle updates when the browser is idle', async () => {
+    jest.useFakeTimers();
+    const update = jest.fn();
+    scheduleUpdate(update, 'idle');
+
+    await Promise.resolve();
+    expect(update).not.toHaveBeenCalled();
+    jest.runAllTimers();
+
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  it('puts writes in discrete events in the sync lane', () => {
+    const lanes = [];
+    const button = document.createElement('button');
+    button.addEventListener('click', () => lanes.push(getCurrentLane()));
+    button.addEventListener('mousemove', () => lanes.push(getCurrentLane()));
+
+    button.dispatchEvent(new MouseEvent('click'));
+    button.dispatchEvent(new MouseEvent('mousemove'));
+
+    expect(lanes).toEqual(['sync', 'default']);
+  });
+});
+
+describe('startTransition and runWithPriority', () => {
+  it('run their callback in the transition or the given lane', () => {
+    const lanes = [];
+
+    startTransition(() => lanes.push(getCurrentLane()));
+    runWithPriority('idle', () => {
+      lanes.push(getCurrentLane());
+      runWithPriority('sync', () => lanes.push(getCurrentLane()));
+    });
+    lanes.push(getCurrentLane());
+
+    expect(lanes).toEqual(['transition', 'idle', 'sync', 'default']);
+  });
+
+  it('return what the callback returns and reject unknown priorities', () => {
+    expect(runWithPriority('default', () => 42)).toBe(42);
+    expect(() => runWithPriority('urgent', () => {})).toThrow(
+      'Unknown priority "urgent". Use one of: sync, default, transition, idle.',
+    );
+  });
+
+  it('render sync writes before the write returns', () => {
+    const count = createRefraction(0);
+    const Count = createComponent(() => count.value);
+    const {container} = render(<Count />);
+
+    outsideAct(() => runWithPriority('sync', () => count.set(1)));
+
+    expect(container.textContent).toBe('1');
+  });
+
+  it('render transitions with the other writes of the scope', () => {
+    const count = createRefraction(0);
+    const label = createRefraction('a');
+    const renders = [];
+    const Both = createComponent(() => {
+      renders.push(`${label.value}${count.value}`);
+      return null;
+    });
+    render(<Both />);
+
+    act(() => {
+      startTransition(() => {
+        count.set(1);
+        label.set('b');
+      });
+    });
+
+    expect(renders).toEqual(['a0', 'b1']);
+  });
+});
+
+describe('lens.useTransition', () => {
+  it('is pending until the transition has rendered', () => {
+    const count = createRefraction(0);
+    const renders = [];
+    let start;
+    const Counter = createComponent(({lens}) => {
+      const [isPending, startCounting] = lens.useTransition();
+      start = startCounting;
+      renders.push(`${isPending}:${count.value}`);
+      return null;
+    });
+    render(<Counter />);
+
+    act(() => start(() => count.set(1)));
+
+    // The urgent render that sets isPending already reads the new value:
+    // a refraction holds one value, not one per lane.
+    expect(renders).toEqual(['false:0', 'true:1', 'false:1']);
+  });
+});
+
+describe('lens.useFlash', () => {
+  it('renders its writes before the update that ran it returns, so they show in the same paint', () => {
+    const label = createRefraction('ab');
+    const Measured = createComponent(({lens}) => {
+      const text = label.value;
+      const width = lens.useRefraction(0);
+      lens.useFlash(() => width.set(text.length), [text]);
+      return `${text}:${width.value}`;
+    });
+    const {container} = render(<Measured />);
+    expect(container.textContent).toBe('ab:2');
+
+    outsideAct(() => runWithPriority('sync', () => label.set('abc')));
+
+    expect(container.textContent).toBe('abc:3');
+  });
+
+  it('runs before lens effects', () => {
+    const order = [];
+    const Effects = createComponent(({lens}) => {
+      lens.useEffect(() => {
+        order.push('effect');
+      }, []);
+      lens.useFlash(() => {
+        order.push('flash');
+      }, []);
+      return null;
+    });
+
+    render(<Effects />);
+
+    expect(order).toEqual(['flash', 'effect']);
+  });
+});
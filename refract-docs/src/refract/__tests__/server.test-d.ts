@@ -0,0 +1,32 @@
+import {expectError, expectType} from 'tsd';
+import {createApp} from '..';
+import {renderToStream, renderToString, type WritableDestination} from '../server';
+
+const app = createApp(() => null, {ssr: true});
+
+expectType<Promise<string>>(renderToString(app));
+
+// Anything shaped like a Node.js Writable, without depending on @types/node.
+class Response implements WritableDestination {
+  statusCode = 200;
+  write(chunk: Uint8Array | string): boolean {
+    return chunk.length > 0;
+  }
+  end(): this {
+    return this;
+  }
+  destroy(error?: Error): this {
+    return this;
+  }
+  on(event: string | symbol, listener: (...args: any[]) => void): this {
+    return this;
+  }
+}
+
+const stream = renderToStream(app, {
+  onShellReady: () => expectType<Response>(stream.pipe(new Response())),
+  onShellError: (error) => expectType<Error>(error),
+});
+expectError(stream.pipe({write: () => true}));
+stream.abort();
+expectError(renderToStream(app, {onReady: () => {}}));
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+import {Writable} from 'stream';
+import {createApp, createComponent, createRefraction, lazy, Suspense} from '..';
+import {renderToStream, renderToString} from '../server';
+
+const Greeting = lazy(() => Promise.resolve({default: ({name}) => <em>Hello, {name}</em>}));
+
+function createTestApp(options) {
+  const count = createRefraction(3);
+  const App = createComponent(() => (
+    <main>
+      <p>Count: {count.value}</p>
+      <Suspense fallback={<span>Loading</span>}>
+        <Greeting name="Ada" />
+      </Suspense>
+    </main>
+  ));
+  return {app: createApp(App, {ssr: true, state: {count}, ...options}), count};
+}
+
+function collect(stream, event) {
+  return new Promise((resolve, reject) => {
+    let html = '';
+    const destination = new Writable({
+      write(chunk, encoding, callback) {
+        html += chunk;
+        callback();
+      },
+    });
+    destination.on('finish', () => resolve(html));
+    destination.on('error', reject);
+    const rendered = renderToStream(stream, {
+      [event]: () => rendered.pipe(destination),
+      onShellError: reject,
+    });
+  });
+}
+
+describe('renderToString', () => {
+  it('renders in Node without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+  });
+
+  it('waits for lazy components and appends the state', async () => {
+    const {app} = createTestApp();
+    const html = await renderToString(app);
+
+    expect(html).toContain('<em>Hello, <!-- -->Ada</em>');
+    expect(html).not.toContain('Loading');
+    expect(html).toMatch(/<script type="application\/json" data-refract-state>{"count":3}<\/script>$/);
+  });
+
+  it('escapes state that would close the script element', async () => {
+    const note = createRefraction('</script><b>');
+    const app = createApp(() => null, {ssr: true, state: {note}});
+
+    expect(await renderToString(app)).toBe(
+      '<script type="application/json" data-refract-state>{"note":"\\u003c/script>\\u003cb>"}</script>',
+    );
+  });
+
+  it('gives every render its own resource cache', async () => {
+    let requests = 0;
+    const fetchUser = () => Promise.resolve(`User ${++requests}`);
+    const User = createComponent(({lens}) => <p>{lens.useResource('user', fetchUser).read()}</p>);
+    const app = createApp(
+      () => (
+        <Suspense fallback={null}>
+          <User />
+        </Suspense>
+      ),
+      {ssr: true},
+    );
+
+    const pages = await Promise.all([renderToString(app), renderToString(app)]);
+
+    expect(pages).toEqual(['<!--$--><p>User 1</p><!--/$-->', '<!--$--><p>User 2</p><!--/$-->']);
+  });
+
+  it('rejects when the shell fails to render', async () => {
+    const Broken = () => {
+      throw new Error('Broken shell');
+    };
+    const onError = jest.fn();
+
+    await expect(renderToString(createApp(Broken, {ssr: true, onError}))).rejects.toThrow('Broken shell');
+  });
+});
+
+describe('renderToStream', () => {
+  it('streams the fallback first and the state last', async () => {
+    const {app} = createTestApp();
+    const html = await collect(app, 'onShellReady');
+
+    expect(html.indexOf('Loading')).toBeLessThan(html.indexOf('Hello'));
+    expect(html).toMatch(/data-refract-state>{"count":3}<\/script>$/);
+  });
+
+  it('serializes the state when the stream ends', async () => {
+    const {app, count} = createTestApp();
+    const html = collect(app, 'onAllReady');
+    count.set(4);
+
+    expect(await html).toContain('{"count":4}');
+  });
+});
+
+describe('createApp', () => {
+  it('refuses to mount an ssr app', () => {
+    const {app} = createTestApp();
+
+    expect(() => app.mount('#root')).toThrow('Render it with renderToString() or renderToStream().');
+  });
+});
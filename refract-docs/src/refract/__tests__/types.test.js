@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const {apis, types} = require('../api.json');
+
+// The API reference shows simplified versions of the declarations in
+// index.d.ts and server.d.ts. They may spell member types more plainly, but
+// not add, drop or rename members, type parameters or literal values.
+function describeDeclarations(text) {
+  const source = ts.createSourceFile('types.ts', text, ts.ScriptTarget.Latest, true);
+  const declarations = new Map();
+  const literals = (node) => {
+    const found = new Set();
+    const visit = (child) => {
+      if (ts.isLiteralTypeNode(child) && ts.isStringLiteral(child.literal)) {
+        found.add(child.literal.text);
+      }
+      ts.forEachChild(child, visit);
+    };
+    visit(node);
+    return [...found].sort();
+  };
+  const memberKey = (member) => {
+    if (ts.isCallSignatureDeclaration(member)) {
+      return '()';
+    }
+    if (ts.isIndexSignatureDeclaration(member)) {
+      return '[]';
+    }
+    return `${member.name.getText(source)}${member.questionToken ? '?' : ''}`;
+  };
+  source.statements.forEach((statement) => {
+    if (!ts.isInterfaceDeclaration(statement) && !ts.isTypeAliasDeclaration(statement)) {
+      return;
+    }
+    const members = ts.isInterfaceDeclaration(statement)
+      ? statement.members
+      : ts.isTypeLiteralNode(statement.type)
+        ? statement.type.members
+        : [];
+    declarations.set(statement.name.text, {
+      typeParameters: statement.typeParameters?.length ?? 0,
+      members: [...new Set(members.map(memberKey))].sort(),
+      literals: literals(statement),
+    });
+  });
+  return declarations;
+}
+
+const declared = new Map([
+  ...describeDeclarations(fs.readFileSync(path.join(__dirname, '../index.d.ts'), 'utf8')),
+  ...describeDeclarations(fs.readFileSync(path.join(__dirname, '../server.d.ts'), 'utf8')),
+]);
+
+describe('the types of the API reference', () => {
+  const documented = Object.entries(types).flatMap(([entry, text]) =>
+    [...describeDeclarations(text)].map(([name, declaration]) => [entry, name, declaration]),
+  );
+
+  it.each(documented)('%s: %s matches the type declarations', (entry, name, declaration) => {
+    expect(declared.has(name)).toBe(true);
+    expect(declaration).toEqual(declared.get(name));
+  });
+});
+
+describe('the API reference', () => {
+  const documented = new Set(apis.map(({name}) => name));
+  const exported = [...Object.keys(require('..')), ...Object.keys(require('../server'))];
+
+  it.each(exported)('documents the export %s', (name) => {
+    expect(documented.has(name)).toBe(true);
+  });
+});
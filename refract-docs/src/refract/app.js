@@ -0,0 +1,272 @@
+import React from 'react';
+import {createRoot, hydrateRoot} from 'react-dom/client';
+import {createLens} from './lens';
+import {installMiddleware, runMiddleware} from './middleware';
+import {batch, isRefraction} from './refraction';
+import {ResourceCacheContext, getResourceCache} from './resource';
+
+const DEFAULT_OPTIONS = {
+  devMode: false,
+  errorBoundary: null,
+  onError: null,
+  batchUpdates: true,
+  plugins: [],
+  middleware: [],
+  ssr: false,
+  hydrate: false,
+  state: {},
+  onHydrationMismatch: null,
+};
+
+const STATE_ATTRIBUTE = 'data-refract-state';
+
+/**
+ * The app a component renders in. Lets components pick up what plugins
+ * registered on their app, like lens extensions.
+ */
+export const AppContext = React.createContext(null);
+
+// Methods plugins added to every lens with `app.extendLens`.
+const lensExtensions = new WeakMap();
+
+/**
+ * Returns the lens methods registered on `app` with `extendLens`.
+ */
+export function getLensExtensions(app) {
+  return lensExtensions.get(app) ?? {};
+}
+
+// Callbacks waiting for each app's next mount to commit.
+const mountCallbacks = new WeakMap();
+
+/**
+ * Calls `callback` once, after the tree of the app's next `mount` has been
+ * committed to the DOM. For a hydrating app that is when hydration is done,
+ * so plugins can change state without causing a mismatch.
+ */
+export function whenMounted(app, callback) {
+  const callbacks = mountCallbacks.get(app) ?? [];
+  mountCallbacks.set(app, [...callbacks, callback]);
+}
+
+function runMountCallbacks(app) {
+  const callbacks = mountCallbacks.get(app) ?? [];
+  mountCallbacks.delete(app);
+  callbacks.forEach((callback) => callback());
+}
+
+class AppErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {error: null};
+    this.reset = () => this.setState({error: null});
+  }
+
+  static getDerivedStateFromError(error) {
+    return {error};
+  }
+
+  componentDidMount() {
+    this.props.onMount?.();
+  }
+
+  componentDidCatch(error, errorInfo) {
+    const {app, config} = this.props;
+    const report = (context) => {
+      if (config.onError) {
+        config.onError(context.error, context.errorInfo);
+      } else {
+        console.error(context.error);
+      }
+    };
+    runMiddleware({type: 'error', error, errorInfo}, report, [app]);
+  }
+
+  render() {
+    const {config, children} = this.props;
+    const {error} = this.state;
+    const Fallback = config.errorBoundary;
+    if (!Fallback) {
+      return error ? null : children;
+    }
+    return (
+      <Fallback error={error ?? undefined} reset={this.reset}>
+        {error ? null : children}
+      </Fallback>
+    );
+  }
+}
+
+function resolveContainer(container) {
+  const element =
+    typeof container === 'string' ? document.querySelector(container) : container;
+  if (!element) {
+    throw new Error(`Cannot mount app: no element matches "${container}".`);
+  }
+  return element;
+}
+
+/**
+ * Serializes the values of the app's `state` refractions into a
+ * `<script type="application/json">` element that `mount` reads back when
+ * hydrating. Returns an empty string when the app has no `state`.
+ */
+export function serializeState(app) {
+  const entries = Object.entries(app.getConfig().state);
+  if (entries.length === 0) {
+    return '';
+  }
+  const values = Object.fromEntries(entries.map(([key, refraction]) => [key, refraction.peek()]));
+  // `<` would let a value close the script element; U+2028 and U+2029 are
+  // valid in JSON but not in older JavaScript parsers.
+  const json = JSON.stringify(values)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+  return `<script type="application/json" ${STATE_ATTRIBUTE}>${json}</script>`;
+}
+
+function restoreState(config, container) {
+  const script = container.querySelector(`:scope > script[${STATE_ATTRIBUTE}]`);
+  if (!script) {
+    return;
+  }
+  const values = JSON.parse(script.textContent);
+  // Removed before hydrating so React doesn't see a node it didn't render.
+  script.remove();
+  batch(() => {
+    Object.entries(values).forEach(([key, value]) => config.state[key]?.set(value));
+  });
+}
+
+// React recovers from a mismatch by rendering the tree again on the client,
+// throwing away the server HTML for it.
+function reportRecoverableError(config, error, errorInfo) {
+  if (!config.devMode) {
+    return;
+  }
+  if (config.onHydrationMismatch) {
+    config.onHydrationMismatch(error, errorInfo);
+  } else {
+    console.warn(
+      `Refract: the server HTML did not match the client render and was replaced. ${error.message}${errorInfo?.componentStack ?? ''}`,
+    );
+  }
+}
+
+/**
+ * Builds the React element for the whole application, including the root
+ * error boundary. Shared by `mount`, the server renderers, the docs
+ * playground and `@refract/react` islands, which pass the `element` to
+ * render instead of the root component. Resources are cached in the app's
+ * cache unless a `resourceCache` is given, as the server renderers do for
+ * every render.
+ */
+export function createAppElement(app, element, resourceCache = getResourceCache(app)) {
+  const config = app.getConfig();
+  const Root = app.component;
+  return (
+    <AppContext.Provider value={app}>
+      <ResourceCacheContext.Provider value={resourceCache}>
+        <AppErrorBoundary app={app} config={config} onMount={() => runMountCallbacks(app)}>
+          {element ?? <Root />}
+        </AppErrorBoundary>
+      </ResourceCacheContext.Provider>
+    </AppContext.Provider>
+  );
+}
+
+/**
+ * Creates an application instance for `RootComponent`.
+ *
+ * @param {Function} RootComponent
+ * @param {object} [options]
+ */
+export function createApp(RootComponent, options = {}) {
+  const config = {...DEFAULT_OPTIONS, ...options, plugins: [], middleware: []};
+  Object.entries(config.state).forEach(([key, refraction]) => {
+    if (!isRefraction(refraction)) {
+      throw new TypeError(`options.state.${key} must be a refraction created with createRefraction().`);
+    }
+  });
+  let root = null;
+  let uninstallMiddleware = null;
+
+  const app = {
+    component: RootComponent,
+
+    mount(container) {
+      if (config.ssr) {
+        throw new Error('This app was created with ssr: true. Render it with renderToString() or renderToStream().');
+      }
+      if (root) {
+        throw new Error('This app is already mounted. Call unmount() first.');
+      }
+      const element = resolveContainer(container);
+      uninstallMiddleware = installMiddleware(app, config.middleware);
+      if (config.hydrate) {
+        restoreState(config, element);
+        root = hydrateRoot(element, createAppElement(app), {
+          onRecoverableError: (error, errorInfo) => reportRecoverableError(config, error, errorInfo),
+        });
+      } else {
+        root = createRoot(element);
+        root.render(createAppElement(app));
+      }
+      return () => app.unmount();
+    },
+
+    unmount() {
+      if (!root) {
+        return;
+      }
+      root.unmount();
+      root = null;
+      uninstallMiddleware();
+      uninstallMiddleware = null;
+    },
+
+    getConfig() {
+      return config;
+    },
+
+    use(plugin) {
+      if (typeof plugin === 'function') {
+        plugin(app);
+      } else if (plugin && typeof plugin.install === 'function') {
+        plugin.install(app);
+      } else {
+        throw new TypeError('A plugin must be a function or an object with an install(app) method.');
+      }
+      config.plugins.push(plugin);
+      return app;
+    },
+
+    extendLens(methods) {
+      const extensions = getLensExtensions(app);
+      const builtIn = createLens();
+      Object.entries(methods).forEach(([name, method]) => {
+        if (typeof method !== 'function') {
+          throw new TypeError(`extendLens() expects functions, but lens.${name} is ${typeof method}.`);
+        }
+        if (name in extensions || name in builtIn) {
+          throw new Error(`Cannot extend the lens: lens.${name} already exists.`);
+        }
+      });
+      lensExtensions.set(app, {...extensions, ...methods});
+      return app;
+    },
+
+    addMiddleware(middleware) {
+      if (typeof middleware !== 'function') {
+        throw new TypeError('addMiddleware() expects a function (context, next).');
+      }
+      config.middleware.push(middleware);
+      return app;
+    },
+  };
+
+  (options.middleware ?? []).forEach((middleware) => app.addMiddleware(middleware));
+  (options.plugins ?? []).forEach((plugin) => app.use(plugin));
+  return app;
+}
@@ -0,0 +1,115 @@
+import React, {useContext, useReducer, useState} from 'react';
+import {AppContext, getLensExtensions} from './app';
+import {createLens, useIsomorphicLayoutEffect, withLens} from './lens';
+import {setOwner} from './middleware';
+import {subscribeToDependencies, track} from './refraction';
+import {runInLifecycle, scheduleUpdate} from './scheduler';
+
+// The component instance rendering a subtree, so each instance knows its
+// parent.
+const ComponentContext = React.createContext(null);
+
+const mountedComponents = new Set();
+const componentObservers = new Set();
+const componentsByLens = new WeakMap();
+let nextComponentId = 1;
+
+function emitComponentEvent(event) {
+  componentObservers.forEach((observer) => observer(event));
+}
+
+/**
+ * Calls `observer` with `{type: 'mount' | 'unmount', component}` as
+ * components created with `createComponent` mount and unmount, starting with
+ * a `mount` for every component already mounted. `component` is
+ * `{id, name, parent, lens}`. Meant for debugging tools. Returns a function
+ * that removes the observer.
+ */
+export function observeComponents(observer) {
+  componentObservers.add(observer);
+  mountedComponents.forEach((component) => observer({type: 'mount', component}));
+  return () => {
+    componentObservers.delete(observer);
+  };
+}
+
+/**
+ * Returns the mounted component instance that owns `lens`, or `null`.
+ */
+export function getComponentForLens(lens) {
+  return componentsByLens.get(lens) ?? null;
+}
+
+/**
+ * Turns a render function into a component. The function receives its props
+ * plus a `lens`, and re-renders only when a refraction it read during the
+ * last render changes.
+ *
+ * @param {(props: object) => React.ReactNode} render
+ */
+export function createComponent(render) {
+  function RefractComponent(props) {
+    const [, forceRender] = useReducer((count) => count + 1, 0);
+    const parent = useContext(ComponentContext);
+    const app = useContext(AppContext);
+    const [component] = useState(() => {
+      const lens = createLens(getLensExtensions(app));
+      setOwner(lens, app);
+      return {id: nextComponentId++, name: RefractComponent.displayName, parent, lens};
+    });
+    const {lens} = component;
+
+    // A lens passed explicitly (e.g. by lens middleware) wins over our own.
+    const {result, dependencies} = track(() =>
+      withLens(props.lens ?? lens, () => render({lens, ...props})),
+    );
+
+    // Re-renders go through the scheduler, in the lane of the write. A
+    // dependency that changed since render is caught up before paint.
+    useIsomorphicLayoutEffect(
+      () => runInLifecycle(() => subscribeToDependencies(dependencies, () => scheduleUpdate(forceRender)), 'sync'),
+      [dependencies],
+    );
+
+    useIsomorphicLayoutEffect(() => {
+      mountedComponents.add(component);
+      componentsByLens.set(lens, component);
+      emitComponentEvent({type: 'mount', component});
+      return () => {
+        mountedComponents.delete(component);
+        componentsByLens.delete(lens);
+        emitComponentEvent({type: 'unmount', component});
+      };
+    }, [component]);
+
+    return (
+      <ComponentContext.Provider value={component}>
+        {result === undefined ? null : result}
+      </ComponentContext.Provider>
+    );
+  }
+
+  RefractComponent.displayName = render.displayName || render.name || 'RefractComponent';
+  return RefractComponent;
+}
+
+/**
+ * Skips re-rendering `Component` while its props are shallowly equal, or
+ * while `areEqual(prevProps, nextProps)` returns true.
+ */
+export function memo(Component, areEqual) {
+  return React.memo(Component, areEqual);
+}
+
+/**
+ * Defines a component that is loaded on first render. Render it inside a
+ * `Suspense` boundary.
+ *
+ * @param {() => Promise<{default: Function}>} load
+ */
+export function lazy(load) {
+  return React.lazy(load);
+}
+
+export const Suspense = React.Suspense;
+export const Fragment = React.Fragment;
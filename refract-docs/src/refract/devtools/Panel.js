@@ -0,0 +1,226 @@
+// The in-page panel. It is written with plain React state rather than
+// refractions, so using it never shows up in the history it displays.
+import React, {useRef, useState, useSyncExternalStore} from 'react';
+import {styles} from './styles';
+
+const PREVIEW_LENGTH = 80;
+
+function preview(value) {
+  if (value === undefined) {
+    return 'undefined';
+  }
+  if (typeof value === 'function') {
+    return `ƒ ${value.name || 'anonymous'}()`;
+  }
+  let text;
+  try {
+    text = JSON.stringify(value) ?? String(value);
+  } catch (error) {
+    text = Object.prototype.toString.call(value);
+  }
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+}
+
+function previewSnapshot({replayable, value}) {
+  return replayable ? preview(value) : `${value} (not replayable)`;
+}
+
+function ComponentNode({node}) {
+  return (
+    <li>
+      <span style={styles.componentName}>{`<${node.name}>`}</span>
+      {node.state.map(({refraction, kind, key}) => (
+        <div key={key} style={styles.stateRow}>
+          <span style={styles.key}>{key}: </span>
+          {preview(refraction.peek())}
+          {kind === 'derived' ? <span style={styles.key}> (derived)</span> : null}
+        </div>
+      ))}
+      {node.children.length > 0 ? (
+        <ul style={styles.tree}>
+          {node.children.map((child) => (
+            <ComponentNode key={child.id} node={child} />
+          ))}
+        </ul>
+      ) : null}
+    </li>
+  );
+}
+
+function ComponentTree({inspector}) {
+  const roots = inspector.getTree();
+  if (roots.length === 0) {
+    return <div style={styles.empty}>No components created with createComponent() are mounted.</div>;
+  }
+  return (
+    <ul style={{...styles.tree, paddingLeft: 0}}>
+      {roots.map((node) => (
+        <ComponentNode key={node.id} node={node} />
+      ))}
+    </ul>
+  );
+}
+
+function HistoryEntry({entry, index, cursor, onSelect}) {
+  const style = {
+    ...styles.entry,
+    ...(index + 1 === cursor ? styles.currentEntry : null),
+    ...(index >= cursor ? styles.futureEntry : null),
+  };
+  return (
+    <li style={style} onClick={() => onSelect(index + 1)}>
+      <div style={styles.key}>
+        #{index + 1} {new Date(entry.time).toLocaleTimeString()}
+      </div>
+      {entry.writes.map((write, writeIndex) => (
+        <div key={writeIndex} style={styles.write}>
+          <div>
+            {write.label}: {previewSnapshot(write.previous)} → {previewSnapshot(write.value)}
+            {write.refraction ? null : <span style={styles.key}> (no matching refraction)</span>}
+          </div>
+          {write.component ? (
+            <div style={styles.key}>
+              {write.owner ? 'state of' : 'by'} {`<${write.component}>`}
+            </div>
+          ) : null}
+          {write.stack ? (
+            <details onClick={(event) => event.stopPropagation()}>
+              <summary style={styles.key}>Stack</summary>
+              <pre style={styles.stack}>{write.stack}</pre>
+            </details>
+          ) : null}
+        </div>
+      ))}
+    </li>
+  );
+}
+
+function History({devtools}) {
+  const fileInput = useRef(null);
+  const [message, setMessage] = useState(null);
+  const {entries, cursor} = devtools.getHistory();
+
+  const exportSession = () => {
+    const blob = new Blob([devtools.exportSession()], {type: 'application/json'});
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `refract-session-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    // Revoked on the next task; some browsers start the download async.
+    setTimeout(() => URL.revokeObjectURL(link.href));
+  };
+
+  const importSession = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      const {unmatched} = devtools.importSession(await file.text());
+      setMessage(unmatched.length > 0 ? `No refraction matches: ${unmatched.join(', ')}` : null);
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  return (
+    <>
+      <div style={styles.toolbar}>
+        <button type="button" style={styles.button} onClick={devtools.back} disabled={cursor === 0}>
+          ◀ Back
+        </button>
+        <button
+          type="button"
+          style={styles.button}
+          onClick={devtools.forward}
+          disabled={cursor === entries.length}>
+          Forward ▶
+        </button>
+        <button
+          type="button"
+          style={styles.button}
+          onClick={() => devtools.jumpTo(entries.length)}
+          disabled={cursor === entries.length}>
+          Live
+        </button>
+        <button type="button" style={styles.button} onClick={devtools.clear} disabled={entries.length === 0}>
+          Clear
+        </button>
+        <button type="button" style={styles.button} onClick={exportSession} disabled={entries.length === 0}>
+          Export
+        </button>
+        <button type="button" style={styles.button} onClick={() => fileInput.current.click()}>
+          Import
+        </button>
+        <input ref={fileInput} type="file" accept="application/json,.json" hidden onChange={importSession} />
+        <span style={styles.position}>
+          {cursor} / {entries.length}
+        </span>
+      </div>
+      {message ? <p style={styles.message}>{message}</p> : null}
+      <div style={styles.body}>
+        {entries.length === 0 ? (
+          <div style={styles.empty}>No refraction writes recorded yet.</div>
+        ) : (
+          <ol style={{...styles.tree, paddingLeft: 0}}>
+            {entries.map((entry, index) => (
+              <HistoryEntry
+                key={entry.id}
+                entry={entry}
+                index={index}
+                cursor={cursor}
+                onSelect={devtools.jumpTo}
+              />
+            ))}
+          </ol>
+        )}
+      </div>
+    </>
+  );
+}
+
+/**
+ * Floating devtools panel. Re-renders whenever `store` reports a change:
+ * a recorded write, a step through the history or a component mounting or
+ * unmounting.
+ */
+export default function Panel({devtools, inspector, store, initiallyOpen}) {
+  useSyncExternalStore(store.subscribe, store.getRevision, store.getRevision);
+  const [open, setOpen] = useState(initiallyOpen);
+  const [tab, setTab] = useState('components');
+
+  const tabStyle = (name) => ({...styles.tab, ...(tab === name ? styles.activeTab : null)});
+
+  return (
+    <>
+      {open ? (
+        <section style={styles.panel} aria-label="Refract devtools">
+          <div style={styles.header}>
+            <span style={styles.title}>Refract devtools</span>
+            <button type="button" style={tabStyle('components')} onClick={() => setTab('components')}>
+              Components
+            </button>
+            <button type="button" style={tabStyle('history')} onClick={() => setTab('history')}>
+              History
+            </button>
+          </div>
+          {tab === 'components' ? (
+            <div style={styles.body}>
+              <ComponentTree inspector={inspector} />
+            </div>
+          ) : (
+            <History devtools={devtools} />
+          )}
+        </section>
+      ) : null}
+      <button
+        type="button"
+        style={styles.toggle}
+        aria-expanded={open}
+        onClick={() => setOpen((value) => !value)}>
+        {open ? 'Close devtools' : 'Refract'}
+      </button>
+    </>
+  );
+}
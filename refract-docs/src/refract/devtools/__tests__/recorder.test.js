@@ -0,0 +1,179 @@
+import {batch, createComponent, createRefraction} from '../..';
+import {act, fireEvent, render} from '../../testing-utils';
+import {devToolsPlugin} from '..';
+
+function setup(options) {
+  const todos = createRefraction([]);
+  const filter = createRefraction('all');
+  const Counter = createComponent(function Counter({lens}) {
+    const count = lens.useRefraction(0);
+    return (
+      <button onClick={() => count.set((previous) => previous + 1)}>
+        {filter.value}: {count.value}
+      </button>
+    );
+  });
+  const devtools = devToolsPlugin({captureStacks: false, refractions: {filter}, ...options});
+  const rendered = render(<Counter />, {state: {todos}, plugins: [devtools]});
+  const click = () => fireEvent.click(rendered.container.querySelector('button'));
+  return {...rendered, devtools, todos, filter, click};
+}
+
+const labels = (devtools) => devtools.getHistory().entries.map(({writes}) => writes.map(({label}) => label));
+
+describe('recording', () => {
+  it('records a write, or the writes of a batch, as one entry', () => {
+    const {devtools, todos, filter, click} = setup();
+
+    act(() => todos.set(['Learn Refract']));
+    act(() => {
+      batch(() => {
+        todos.set([]);
+        filter.set('done');
+      });
+    });
+    click();
+
+    expect(labels(devtools)).toEqual([['todos'], ['todos', 'filter'], [expect.stringMatching(/Counter\/state\[0\]$/)]]);
+    expect(devtools.getHistory().cursor).toBe(3);
+    expect(devtools.getHistory().entries[0].writes[0]).toMatchObject({
+      previous: {value: []},
+      value: {value: ['Learn Refract']},
+      stack: null,
+    });
+  });
+
+  it('keeps the latest maxEntries entries', () => {
+    const {devtools, filter} = setup({maxEntries: 2});
+
+    ['a', 'b', 'c'].forEach((value) => act(() => filter.set(value)));
+
+    expect(devtools.getHistory().entries.map(({writes}) => writes[0].value.value)).toEqual(['b', 'c']);
+  });
+
+  it('stops recording when the app unmounts', () => {
+    const {devtools, filter, unmount} = setup();
+
+    unmount();
+    filter.set('done');
+
+    expect(() => devtools.getHistory()).toThrow('The devtools are not running.');
+  });
+});
+
+describe('time travel', () => {
+  it('steps back and forward through the history, a batch at a time', () => {
+    const {devtools, todos, filter, click, container} = setup();
+    act(() => {
+      batch(() => {
+        todos.set(['Learn Refract']);
+        filter.set('active');
+      });
+    });
+    click();
+
+    act(() => expect(devtools.back()).toBe(true));
+    expect(container.textContent).toBe('active: 0');
+    act(() => expect(devtools.back()).toBe(true));
+    expect([todos.value, filter.value]).toEqual([[], 'all']);
+    expect(devtools.back()).toBe(false);
+
+    act(() => expect(devtools.forward()).toBe(true));
+    expect([todos.value, filter.value]).toEqual([['Learn Refract'], 'active']);
+    expect(devtools.getHistory().cursor).toBe(1);
+  });
+
+  it('jumps to any point of the history without recording the replay', () => {
+    const {devtools, filter, container} = setup();
+    ['a', 'b', 'c'].forEach((value) => act(() => filter.set(value)));
+
+    act(() => devtools.jumpTo(1));
+    expect(container.textContent).toBe('a: 0');
+    act(() => devtools.jumpTo(3));
+    expect(container.textContent).toBe('c: 0');
+
+    expect(devtools.getHistory().entries).toHaveLength(3);
+    expect(() => devtools.jumpTo(4)).toThrow('jumpTo(index) expects an index from 0 to 3, got 4.');
+  });
+
+  it('discards the entries after the cursor when the app writes while stepped back', () => {
+    const {devtools, filter} = setup();
+    ['a', 'b', 'c'].forEach((value) => act(() => filter.set(value)));
+
+    act(() => devtools.jumpTo(1));
+    act(() => filter.set('d'));
+
+    expect(devtools.getHistory().entries.map(({writes}) => writes[0].value.value)).toEqual(['a', 'd']);
+    expect(devtools.getHistory().cursor).toBe(2);
+    expect(devtools.forward()).toBe(false);
+  });
+});
+
+describe('sessions', () => {
+  it('exports the history as JSON and imports it back, at the exported cursor', () => {
+    const first = setup();
+    act(() => first.todos.set(['Learn Refract']));
+    act(() => first.filter.set('done'));
+    act(() => first.devtools.back());
+    const json = first.devtools.exportSession();
+    first.unmount();
+
+    const second = setup();
+    let result;
+    act(() => {
+      result = second.devtools.importSession(json);
+    });
+
+    expect(result).toEqual({unmatched: []});
+    expect(second.todos.value).toEqual(['Learn Refract']);
+    expect(second.filter.value).toBe('all');
+    expect(second.devtools.getHistory().cursor).toBe(1);
+    act(() => second.devtools.forward());
+    expect(second.container.textContent).toBe('done: 0');
+  });
+
+  it("reports labels that match nothing, and doesn't replay values JSON can't hold", () => {
+    const {devtools, filter} = setup();
+    const write = (label, previous, value) => ({label, previous: {replayable: true, value: previous}, value});
+    const json = JSON.stringify({
+      format: 'refract-devtools-session',
+      version: 1,
+      cursor: 2,
+      entries: [
+        {time: 0, writes: [write('filter', 'all', {replayable: false, value: '[object Map]'})]},
+        {time: 1, writes: [write('settings', {}, {replayable: true, value: {dark: true}})]},
+      ],
+    });
+    act(() => filter.set('done'));
+
+    let result;
+    act(() => {
+      result = devtools.importSession(json);
+    });
+
+    expect(result).toEqual({unmatched: ['settings']});
+    expect(filter.value).toBe('all');
+  });
+
+  it('exports values JSON cannot hold as a description', () => {
+    const {devtools, todos} = setup();
+    act(() => todos.set(new Map()));
+    act(() => todos.set(undefined));
+
+    const [map, missing] = JSON.parse(devtools.exportSession()).entries.map(({writes}) => writes[0].value);
+
+    expect(map).toEqual({replayable: true, value: {}});
+    expect(missing).toEqual({replayable: false, value: 'undefined'});
+  });
+
+  it('rejects what the devtools did not export', () => {
+    const {devtools} = setup();
+
+    expect(() => devtools.importSession('{"entries": []}')).toThrow(
+      'importSession(json) expects a session exported by the Refract devtools.',
+    );
+    expect(() => devtools.importSession({format: 'refract-devtools-session', version: 2, entries: []})).toThrow(
+      'Unsupported devtools session version 2; expected 1.',
+    );
+  });
+});
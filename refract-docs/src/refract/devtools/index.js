@@ -0,0 +1,145 @@
+// Reference implementation of `@refract/devtools`: an in-page panel showing
+// the component tree with each component's lens state, and a history of
+// refraction writes that can be stepped through, exported and imported.
+import React from 'react';
+import {createRoot} from 'react-dom/client';
+import {observeRefractions} from '../refraction';
+import {createInspector} from './inspector';
+import Panel from './Panel';
+import {createRecorder} from './recorder';
+
+const DEFAULT_OPTIONS = {
+  open: false,
+  maxEntries: 500,
+  captureStacks: true,
+  refractions: {},
+};
+
+// Only one panel per page; installing the plugin again (e.g. in another app)
+// replaces it.
+let activePanel = null;
+
+// Batches panel updates to one per frame, however many writes happen.
+function createStore() {
+  const listeners = new Set();
+  let revision = 0;
+  let scheduled = false;
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    getRevision() {
+      return revision;
+    },
+    update() {
+      if (scheduled) {
+        return;
+      }
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        revision++;
+        listeners.forEach((listener) => listener());
+      });
+    },
+  };
+}
+
+function showPanel(props) {
+  activePanel?.unmount();
+  const container = document.createElement('div');
+  container.setAttribute('data-refract-devtools', '');
+  document.body.appendChild(container);
+  const root = createRoot(container);
+  root.render(<Panel {...props} />);
+
+  const panel = {
+    unmount() {
+      root.unmount();
+      container.remove();
+      if (activePanel === panel) {
+        activePanel = null;
+      }
+    },
+  };
+  activePanel = panel;
+  return panel;
+}
+
+/**
+ * Creates the devtools plugin. Recording starts when the app mounts and
+ * stops when it unmounts; the panel is only shown in the browser, and the
+ * plugin does nothing in apps created with `ssr: true`.
+ *
+ * The returned plugin also drives the devtools from code: `back()`,
+ * `forward()`, `jumpTo(index)`, `clear()`, `getHistory()`,
+ * `exportSession()` and `importSession(json)`.
+ *
+ * @param {object} [options]
+ */
+export function devToolsPlugin(options = {}) {
+  const config = {...DEFAULT_OPTIONS, ...options};
+  let recorder = null;
+
+  const getRecorder = () => {
+    if (!recorder) {
+      throw new Error('The devtools are not running. Install them with app.use(devToolsPlugin()) and mount the app.');
+    }
+    return recorder;
+  };
+
+  const plugin = {
+    name: 'devtools',
+
+    install(app) {
+      const appConfig = app.getConfig();
+      if (appConfig.ssr) {
+        return;
+      }
+      const inspector = createInspector({names: {...appConfig.state, ...config.refractions}});
+      const store = createStore();
+      let stopObserving = null;
+      let panel = null;
+
+      const {mount, unmount} = app;
+      app.mount = (container) => {
+        const unmountApp = mount(container);
+        recorder = createRecorder({inspector, maxEntries: config.maxEntries, captureStacks: config.captureStacks});
+        recorder.subscribe(store.update);
+        inspector.start(store.update);
+        recorder.start();
+        // Values shown in the component tree change with every write.
+        stopObserving = observeRefractions((event) => {
+          if (event.type === 'write') {
+            store.update();
+          }
+        });
+        panel = showPanel({devtools: plugin, inspector, store, initiallyOpen: config.open});
+        return unmountApp;
+      };
+      app.unmount = () => {
+        unmount();
+        panel?.unmount();
+        stopObserving?.();
+        recorder?.stop();
+        inspector.stop();
+        panel = null;
+        recorder = null;
+      };
+    },
+
+    back: () => getRecorder().back(),
+    forward: () => getRecorder().forward(),
+    jumpTo: (index) => getRecorder().jumpTo(index),
+    clear: () => getRecorder().clear(),
+    getHistory: () => getRecorder().getHistory(),
+    exportSession: () => getRecorder().exportSession(),
+    importSession: (json) => getRecorder().importSession(json),
+  };
+
+  return plugin;
+}
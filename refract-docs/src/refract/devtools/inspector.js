@@ -0,0 +1,134 @@
+import {getComponentForLens, observeComponents} from '../component';
+import {getActiveLens, getLensState} from '../lens';
+
+/**
+ * Keeps track of the mounted component tree and gives every refraction a
+ * label that stays the same between page loads, so recorded sessions can be
+ * replayed after a reload:
+ *
+ * - refractions passed by name (the `refractions` option of the plugin and
+ *   the app's `state` option) use that name;
+ * - component state uses the component's path and the hook's position,
+ *   e.g. `App/TodoList/TodoItem[2]/state[0]`;
+ * - anything else gets a number in the order it was first seen.
+ *
+ * @param {{names: Record<string, object>}} options
+ */
+export function createInspector({names}) {
+  const namesByRefraction = new Map(Object.entries(names).map(([name, refraction]) => [refraction, name]));
+  const anonymous = new WeakMap();
+  let anonymousCount = 0;
+  const components = new Set();
+  let stopObserving = null;
+
+  const childrenOf = (parent) =>
+    Array.from(components)
+      .filter((component) => component.parent === parent)
+      .sort((a, b) => a.id - b.id);
+
+  // Siblings with the same name are told apart by their position.
+  const getPathSegment = (component) => {
+    const siblings = childrenOf(component.parent).filter((sibling) => sibling.name === component.name);
+    return siblings.length > 1 ? `${component.name}[${siblings.indexOf(component)}]` : component.name;
+  };
+
+  const getPath = (component) => {
+    const segments = [];
+    for (let current = component; current; current = current.parent) {
+      segments.unshift(getPathSegment(current));
+    }
+    return segments.join('/');
+  };
+
+  const getState = (component) => {
+    const counts = {refraction: 0, derived: 0};
+    return getLensState(component.lens).map(([refraction, kind]) => {
+      const key = `${kind === 'derived' ? 'derived' : 'state'}[${counts[kind]++}]`;
+      return {refraction, kind, key};
+    });
+  };
+
+  const findOwner = (refraction) => {
+    for (const component of components) {
+      const entry = getState(component).find((candidate) => candidate.refraction === refraction);
+      if (entry) {
+        return {component, key: entry.key};
+      }
+    }
+    return null;
+  };
+
+  const inspector = {
+    start(onChange) {
+      stopObserving = observeComponents(({type, component}) => {
+        if (type === 'mount') {
+          components.add(component);
+        } else {
+          components.delete(component);
+        }
+        onChange();
+      });
+    },
+
+    stop() {
+      stopObserving?.();
+      stopObserving = null;
+      components.clear();
+    },
+
+    getLabel(refraction) {
+      if (namesByRefraction.has(refraction)) {
+        return namesByRefraction.get(refraction);
+      }
+      const owner = findOwner(refraction);
+      if (owner) {
+        return `${getPath(owner.component)}/${owner.key}`;
+      }
+      if (!anonymous.has(refraction)) {
+        anonymous.set(refraction, ++anonymousCount);
+      }
+      return `refraction #${anonymous.get(refraction)}`;
+    },
+
+    findRefraction(label) {
+      const named = Array.from(namesByRefraction).find(([, name]) => name === label);
+      if (named) {
+        return named[0];
+      }
+      for (const component of components) {
+        const path = getPath(component);
+        const entry = getState(component).find(({key}) => `${path}/${key}` === label);
+        if (entry) {
+          return entry.refraction;
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Path of the component that is rendering or running a lens effect, or
+     * of the component that owns `refraction` when there is none (writes from
+     * event handlers, timers and promises).
+     */
+    getWriter(refraction) {
+      const active = getComponentForLens(getActiveLens());
+      if (active) {
+        return {component: getPath(active), owner: false};
+      }
+      const owner = findOwner(refraction);
+      return owner ? {component: getPath(owner.component), owner: true} : {component: null, owner: false};
+    },
+
+    getTree() {
+      const toNode = (component) => ({
+        id: component.id,
+        name: getPathSegment(component),
+        state: getState(component),
+        children: childrenOf(component).map(toNode),
+      });
+      return childrenOf(null).map(toNode);
+    },
+  };
+
+  return inspector;
+}
@@ -0,0 +1,233 @@
+import {batch, observeRefractions} from '../refraction';
+
+export const SESSION_FORMAT = 'refract-devtools-session';
+const SESSION_VERSION = 1;
+
+// The stack of the code that wrote to a refraction. The first frames belong
+// to Refract itself (the observer, `emit` and `set`).
+function captureStack() {
+  return (new Error().stack ?? '').split('\n').slice(1).join('\n');
+}
+
+// Sessions are exported as JSON, so values that don't survive
+// `JSON.stringify` are exported as a description and can't be replayed.
+function toSnapshot({replayable, value}) {
+  if (!replayable) {
+    return {replayable, value};
+  }
+  try {
+    const json = JSON.stringify(value);
+    return json === undefined ? {replayable: false, value: String(value)} : {replayable: true, value: JSON.parse(json)};
+  } catch (error) {
+    return {replayable: false, value: Object.prototype.toString.call(value)};
+  }
+}
+
+/**
+ * Records every refraction write while started. Writes made in the same
+ * batch form one entry, so stepping through the history never shows a state
+ * the app was never in.
+ *
+ * The cursor is the number of entries applied to the app; it equals
+ * `entries.length` unless the user stepped back. Writing to a refraction
+ * while stepped back discards the entries after the cursor, like typing
+ * after an undo.
+ *
+ * @param {{inspector: object, maxEntries: number, captureStacks: boolean}} options
+ */
+export function createRecorder({inspector, maxEntries, captureStacks}) {
+  const listeners = new Set();
+  let entries = [];
+  let cursor = 0;
+  let pending = null;
+  let replaying = false;
+  let nextEntryId = 1;
+  let stopObserving = null;
+
+  const notify = () => listeners.forEach((listener) => listener());
+
+  const commit = (writes) => {
+    entries = entries.slice(0, cursor);
+    entries.push({id: nextEntryId++, time: Date.now(), writes});
+    if (entries.length > maxEntries) {
+      entries = entries.slice(entries.length - maxEntries);
+    }
+    cursor = entries.length;
+    notify();
+  };
+
+  const recordWrite = ({refraction, value, previous}) => {
+    const write = {
+      refraction,
+      label: inspector.getLabel(refraction),
+      ...inspector.getWriter(refraction),
+      stack: captureStacks ? captureStack() : null,
+      previous: {replayable: true, value: previous},
+      value: {replayable: true, value},
+    };
+    if (pending) {
+      pending.push(write);
+    } else {
+      commit([write]);
+    }
+  };
+
+  const apply = (writes, key) => {
+    replaying = true;
+    try {
+      batch(() => {
+        writes
+          .filter((write) => write.refraction && write[key].replayable)
+          .forEach((write) => write.refraction.set(() => write[key].value));
+      });
+    } finally {
+      replaying = false;
+    }
+  };
+
+  const recorder = {
+    start() {
+      stopObserving = observeRefractions((event) => {
+        if (replaying) {
+          return;
+        }
+        if (event.type === 'write') {
+          recordWrite(event);
+        } else if (event.type === 'batch' && event.phase === 'start') {
+          pending = [];
+        } else if (event.type === 'batch' && event.phase === 'end') {
+          const writes = pending;
+          pending = null;
+          if (writes.length > 0) {
+            commit(writes);
+          }
+        }
+      });
+    },
+
+    stop() {
+      stopObserving?.();
+      stopObserving = null;
+      pending = null;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+
+    getHistory() {
+      return {entries, cursor};
+    },
+
+    back() {
+      if (cursor === 0) {
+        return false;
+      }
+      cursor--;
+      apply([...entries[cursor].writes].reverse(), 'previous');
+      notify();
+      return true;
+    },
+
+    forward() {
+      if (cursor === entries.length) {
+        return false;
+      }
+      apply(entries[cursor].writes, 'value');
+      cursor++;
+      notify();
+      return true;
+    },
+
+    jumpTo(index) {
+      if (!Number.isInteger(index) || index < 0 || index > entries.length) {
+        throw new RangeError(`jumpTo(index) expects an index from 0 to ${entries.length}, got ${index}.`);
+      }
+      while (cursor > index) {
+        recorder.back();
+      }
+      while (cursor < index) {
+        recorder.forward();
+      }
+    },
+
+    clear() {
+      entries = [];
+      cursor = 0;
+      notify();
+    },
+
+    exportSession() {
+      return JSON.stringify(
+        {
+          format: SESSION_FORMAT,
+          version: SESSION_VERSION,
+          exportedAt: new Date().toISOString(),
+          cursor,
+          entries: entries.map(({time, writes}) => ({
+            time,
+            writes: writes.map(({refraction, previous, value, ...write}) => ({
+              ...write,
+              previous: toSnapshot(previous),
+              value: toSnapshot(value),
+            })),
+          })),
+        },
+        null,
+        2,
+      );
+    },
+
+    /**
+     * Replaces the history with an exported session and moves the app to the
+     * state the session was in when it was exported. Writes are matched to
+     * the app's refractions by label; returns the labels that matched
+     * nothing.
+     */
+    importSession(json) {
+      const session = typeof json === 'string' ? JSON.parse(json) : json;
+      if (session?.format !== SESSION_FORMAT || !Array.isArray(session.entries)) {
+        throw new TypeError('importSession(json) expects a session exported by the Refract devtools.');
+      }
+      if (session.version !== SESSION_VERSION) {
+        throw new TypeError(`Unsupported devtools session version ${session.version}; expected ${SESSION_VERSION}.`);
+      }
+
+      const unmatched = new Set();
+      const resolve = (label) => {
+        const refraction = inspector.findRefraction(label);
+        if (!refraction) {
+          unmatched.add(label);
+        }
+        return refraction;
+      };
+      const imported = session.entries.map(({time, writes}) => ({
+        id: nextEntryId++,
+        time,
+        writes: writes.map((write) => ({...write, refraction: resolve(write.label)})),
+      }));
+
+      // Rewind every refraction to its value before the session's first
+      // write, then replay up to the exported cursor.
+      const initial = new Map();
+      imported.forEach(({writes}) =>
+        writes.forEach((write) => {
+          if (!initial.has(write.label)) {
+            initial.set(write.label, write);
+          }
+        }),
+      );
+      apply(Array.from(initial.values()), 'previous');
+      entries = imported;
+      cursor = 0;
+      recorder.jumpTo(Math.min(Math.max(session.cursor ?? imported.length, 0), imported.length));
+      notify();
+      return {unmatched: Array.from(unmatched)};
+    },
+  };
+
+  return recorder;
+}
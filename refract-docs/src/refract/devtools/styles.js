@@ -0,0 +1,136 @@
+// Inline styles, so the panel looks the same in any app and needs no CSS
+// loader.
+
+const font = '12px/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+
+export const styles = {
+  toggle: {
+    position: 'fixed',
+    right: 16,
+    bottom: 16,
+    zIndex: 2147483646,
+    padding: '6px 12px',
+    border: 'none',
+    borderRadius: 16,
+    background: '#667eea',
+    color: '#fff',
+    font,
+    fontWeight: 600,
+    cursor: 'pointer',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.25)',
+  },
+  panel: {
+    position: 'fixed',
+    right: 16,
+    bottom: 56,
+    zIndex: 2147483647,
+    display: 'flex',
+    flexDirection: 'column',
+    width: 'min(480px, calc(100vw - 32px))',
+    height: 'min(520px, calc(100vh - 88px))',
+    background: '#1e1e2e',
+    color: '#e0e0f0',
+    font,
+    borderRadius: 8,
+    boxShadow: '0 8px 32px rgba(0, 0, 0, 0.4)',
+    overflow: 'hidden',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 4,
+    padding: '6px 8px',
+    background: '#2a2a3e',
+    borderBottom: '1px solid #3a3a52',
+  },
+  title: {
+    marginRight: 'auto',
+    fontWeight: 600,
+  },
+  tab: {
+    padding: '2px 8px',
+    border: '1px solid transparent',
+    borderRadius: 4,
+    background: 'none',
+    color: 'inherit',
+    font,
+    cursor: 'pointer',
+  },
+  activeTab: {
+    borderColor: '#667eea',
+    color: '#a5b4fc',
+  },
+  toolbar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 4,
+    padding: '6px 8px',
+    borderBottom: '1px solid #3a3a52',
+  },
+  button: {
+    padding: '2px 8px',
+    border: '1px solid #4a4a66',
+    borderRadius: 4,
+    background: '#2a2a3e',
+    color: 'inherit',
+    font,
+    cursor: 'pointer',
+  },
+  position: {
+    marginLeft: 'auto',
+    color: '#9090b0',
+  },
+  body: {
+    flex: 1,
+    overflow: 'auto',
+    padding: 8,
+  },
+  message: {
+    margin: 0,
+    padding: '6px 8px',
+    background: '#3a2a2e',
+    color: '#fca5a5',
+  },
+  empty: {
+    color: '#9090b0',
+  },
+  tree: {
+    margin: 0,
+    paddingLeft: 16,
+    listStyle: 'none',
+  },
+  componentName: {
+    color: '#a5b4fc',
+  },
+  stateRow: {
+    paddingLeft: 12,
+    whiteSpace: 'nowrap',
+  },
+  key: {
+    color: '#9090b0',
+  },
+  entry: {
+    padding: '4px 6px',
+    borderRadius: 4,
+    cursor: 'pointer',
+  },
+  currentEntry: {
+    background: '#2f2f4a',
+  },
+  futureEntry: {
+    opacity: 0.45,
+  },
+  write: {
+    overflowWrap: 'anywhere',
+  },
+  stack: {
+    margin: '2px 0 0',
+    padding: 6,
+    background: '#151522',
+    color: '#b0b0c8',
+    fontSize: 11,
+    whiteSpace: 'pre',
+    overflowX: 'auto',
+  },
+};
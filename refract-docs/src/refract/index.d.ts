@@ -0,0 +1,504 @@
+// Type declarations for the Refract runtime. Refractions and resources take
+// their type from their initial value or fetcher, components from their
+// props, and path optics from the path string: `createOptic('user.name')`
+// focuses on `state.user.name` of whatever state it is used with.
+
+import * as React from 'react';
+
+// Refractions
+
+/** A value written to a refraction, or a function from the previous value to the next. */
+export type SetStateAction<T> = T | ((previous: T) => T);
+
+/**
+ * Reactive state. Components and derived refractions that read `value`
+ * re-render or recompute when it changes.
+ */
+export interface Refraction<T> {
+  /** The current value. Reading it tracks the refraction; assigning it calls `set`. */
+  value: T;
+  /** Writes a new value, or the result of an updater called with the current one. */
+  set(next: SetStateAction<T>): void;
+  /** Writes a copy of the object or array with `key` changed. */
+  update<K extends keyof T>(key: K, next: SetStateAction<T[K]>): void;
+  /** Calls `callback` with the new value after every change. Returns a function that unsubscribes. */
+  subscribe(callback: (value: T) => void): () => void;
+  /** Returns the value without tracking the read. */
+  peek(): T;
+}
+
+/** A read-only refraction computed from other refractions. */
+export interface Derived<T> {
+  readonly value: T;
+  /** Throws: derived refractions are read-only. */
+  set(next: never): never;
+  subscribe(callback: (value: T) => void): () => void;
+  peek(): T;
+  /** Stops tracking the refractions it reads until it is read again. */
+  dispose(): void;
+}
+
+/**
+ * Creates a standalone refraction. A refraction created with `null` holds
+ * `T | null`, with `T` given as a type argument (`any` otherwise).
+ */
+export function createRefraction<T = any>(initialValue: null): Refraction<T | null>;
+export function createRefraction<T>(initialValue: T): Refraction<T>;
+export function createRefraction<T = undefined>(): Refraction<T | undefined>;
+export function createDerived<T>(compute: () => T): Derived<T>;
+export function isRefraction(value: unknown): value is Refraction<unknown> | Derived<unknown>;
+/** Groups writes so subscribers are notified once, when `fn` returns. Returns what `fn` returns. */
+export function batch<T>(fn: () => T): T;
+/** Runs `fn` without tracking the refractions it reads. */
+export function untracked<T>(fn: () => T): T;
+
+// Effects and optics
+
+export type EffectFunction = () => void | (() => void);
+export type EffectDeps = readonly unknown[] | undefined;
+export type FlashFunction = () => void;
+export type OpticFunction<T> = () => T;
+export type OpticDeps = readonly unknown[];
+
+// Resources
+
+export type ResourceKey = string | readonly unknown[];
+
+export type Fetcher<T, K extends ResourceKey = ResourceKey> = (
+  key: K,
+  context: {signal: AbortSignal},
+) => T | Promise<T>;
+
+export interface ResourceOptions<T = unknown> {
+  /** Milliseconds the data counts as fresh (0). */
+  staleTime?: number;
+  /** Milliseconds the data stays cached once no component uses it (300000). */
+  cacheTime?: number;
+  /** Shown until the first request succeeds. */
+  initialData?: T;
+}
+
+export interface CreateResourceOptions<T = unknown> extends ResourceOptions<T> {
+  /** The app whose components share the resource; without it, components outside apps do. */
+  app?: App;
+}
+
+export interface Resource<T> {
+  key: ResourceKey | null;
+  /** `undefined` until the first request succeeds. */
+  data: T | undefined;
+  /** The error of the last request. */
+  error: Error | null;
+  status: 'idle' | 'pending' | 'success' | 'error';
+  /** A request is in flight. */
+  isValidating: boolean;
+  /** Suspends until the data has loaded; throws the error if it failed. */
+  read(): T;
+  revalidate(): Promise<void>;
+  mutate(
+    next: T | ((current: T | undefined) => T),
+    options?: {commit?: (data: T) => Promise<T | void>; revalidate?: boolean},
+  ): Promise<void>;
+}
+
+export function createResource<T, K extends ResourceKey>(
+  key: K,
+  fetcher: Fetcher<T, K>,
+  options?: CreateResourceOptions<T>,
+): Resource<T>;
+
+// Lenses
+
+/**
+ * The hooks a component gets as its `lens` prop. Each `use*` method must be
+ * called unconditionally, in the same order on every render.
+ *
+ * Plugins that add methods with `app.extendLens` declare them by augmenting
+ * this interface:
+ *
+ *     declare module 'refract' {
+ *       interface Lens {
+ *         track(event: string): void;
+ *       }
+ *     }
+ */
+export interface Lens {
+  useRefraction<T = any>(initialValue: null): Refraction<T | null>;
+  useRefraction<T>(initialValue: T): Refraction<T>;
+  useDerived<T>(compute: () => T, deps: readonly unknown[]): Derived<T>;
+  useEffect(effect: EffectFunction, deps?: EffectDeps): void;
+  useFlash(effect: FlashFunction, deps?: EffectDeps): void;
+  useOptic<T>(optic: OpticFunction<T>, deps: OpticDeps): T;
+  useResource<T, K extends ResourceKey>(
+    key: K | null | undefined | false,
+    fetcher: Fetcher<T, K>,
+    options?: ResourceOptions<T>,
+  ): Resource<T>;
+  useTransition(): [isPending: boolean, startTransition: (fn: () => void) => void];
+  batch<T>(fn: () => T): T;
+}
+
+export function useLens(): Lens;
+export function useRefraction<T = any>(initialValue: null): Refraction<T | null>;
+export function useRefraction<T>(initialValue: T): Refraction<T>;
+export function useDerived<T>(compute: () => T, deps: readonly unknown[]): Derived<T>;
+export function useEffect(effect: EffectFunction, deps?: EffectDeps): void;
+export function useFlash(effect: FlashFunction, deps?: EffectDeps): void;
+export function useOptic<T>(optic: OpticFunction<T>, deps: OpticDeps): T;
+export function useResource<T, K extends ResourceKey>(
+  key: K | null | undefined | false,
+  fetcher: Fetcher<T, K>,
+  options?: ResourceOptions<T>,
+): Resource<T>;
+export function useTransition(): [isPending: boolean, startTransition: (fn: () => void) => void];
+
+// Components
+
+/** Props of components whose props aren't typed: any prop, of any type. */
+export type UntypedProps = {[prop: string]: any};
+
+/** The function passed to `createComponent`: its props plus the `lens`. */
+export type ComponentRender<P = UntypedProps> = (props: P & {lens: Lens}) => React.ReactNode;
+
+/** A component created with `createComponent`. It takes the props of its render function, except `lens`. */
+export interface Component<P = UntypedProps> {
+  (props: Omit<P, 'lens'>): React.ReactElement | null;
+  displayName: string;
+}
+
+/**
+ * Turns a render function into a component. Give the props type as a type
+ * argument, `createComponent<Props>(...)`, or annotate the render function's
+ * parameter; otherwise the component accepts any props.
+ */
+export function createComponent<P = UntypedProps>(render: ComponentRender<P>): Component<P>;
+export function memo<P extends object>(
+  component: React.ComponentType<P>,
+  areEqual?: (previous: Readonly<P>, next: Readonly<P>) => boolean,
+): React.MemoExoticComponent<React.ComponentType<P>>;
+export function lazy<C extends React.ComponentType<any>>(load: () => Promise<{default: C}>): React.LazyExoticComponent<C>;
+export const Suspense: typeof React.Suspense;
+export const Fragment: typeof React.Fragment;
+
+// Apps, plugins and middleware
+
+export type Plugin = ((app: App) => void) | {install(app: App): void};
+
+export type MiddlewareContext = {app: App} & (
+  | {type: 'set'; refraction: Refraction<any>; value: any; previous: any}
+  | {type: 'batch'}
+  | {type: 'effect'; lens: Lens; kind: 'effect' | 'flash'}
+  | {type: 'error'; error: Error; errorInfo: any}
+  | {type: 'mount'}
+  | {type: 'unmount'}
+);
+
+export type Middleware = (context: MiddlewareContext, next: () => void) => void;
+
+export interface AppOptions {
+  devMode?: boolean;
+  /** Rendered around the app, with the error it caught, if any, and `reset` to render the app again. */
+  errorBoundary?: React.ComponentType<{error?: Error; reset: () => void; children?: React.ReactNode}> | null;
+  onError?: ((error: Error, errorInfo: any) => void) | null;
+  batchUpdates?: boolean;
+  plugins?: Plugin[];
+  middleware?: Middleware[];
+  ssr?: boolean;
+  hydrate?: boolean;
+  /** Refractions serialized by the server renderers and restored when hydrating. */
+  state?: Record<string, Refraction<any>>;
+  onHydrationMismatch?: ((error: Error, errorInfo: any) => void) | null;
+}
+
+/** The options of an app, with the defaults filled in. */
+export type AppConfig = Required<AppOptions>;
+
+export interface App {
+  component: React.ComponentType<any>;
+  /** Mounts the app in an element or the element matching a selector. Returns a function that unmounts it. */
+  mount(container: string | Element): () => void;
+  unmount(): void;
+  getConfig(): AppConfig;
+  use(plugin: Plugin): App;
+  /** Adds methods to the lens of every component in the app; each is called with the lens followed by the caller's arguments. */
+  extendLens(methods: Record<string, (lens: Lens, ...args: any[]) => unknown>): App;
+  addMiddleware(middleware: Middleware): App;
+}
+
+export function createApp(RootComponent: React.ComponentType<any>, options?: AppOptions): App;
+export const logger: Middleware;
+export const freeze: Middleware;
+
+// Scheduling
+
+/** Update lanes, most urgent first. */
+export type Priority = 'sync' | 'default' | 'transition' | 'idle';
+
+export function startTransition(fn: () => void): void;
+export function runWithPriority<T>(priority: Priority, fn: () => T): T;
+
+// Path optics
+
+type Digit = '0' | '1' | '2' | '3' | '4' | '5' | '6' | '7' | '8' | '9';
+
+// A path segment: a key, a `[0]` index, or a `[*]` or `[?]` traversal.
+type Segment = {key: string} | {index: number} | 'each' | 'filter';
+
+// Splits the key at the start of `P` from the rest of the path.
+type TakeKey<P extends string, Key extends string = ''> = P extends `${infer C}${infer Rest}`
+  ? C extends '.' | '['
+    ? [Key, P]
+    : TakeKey<Rest, `${Key}${C}`>
+  : [Key, ''];
+
+type BracketSegment<Inner extends string> = Inner extends '*'
+  ? 'each'
+  : Inner extends '?'
+    ? 'filter'
+    : Inner extends `"${infer Key}"` | `'${infer Key}'`
+      ? {key: Key}
+      : Inner extends `${Digit}${string}`
+        ? Inner extends `${infer Index extends number}`
+          ? {index: Index}
+          : never
+        : never;
+
+/**
+ * The segments of an optic path, or `never` when the path is invalid:
+ * `'todos[0].done'` is `[{key: 'todos'}, {index: 0}, {key: 'done'}]`.
+ */
+export type PathSegments<P extends string, Result extends Segment[] = [], First extends boolean = true> = P extends ''
+  ? First extends true
+    ? never
+    : Result
+  : P extends `[${infer Inner}]${infer Rest}`
+    ? [BracketSegment<Inner>] extends [never]
+      ? never
+      : PathSegments<Rest, [...Result, BracketSegment<Inner>], false>
+    : P extends `.${infer Rest}`
+      ? First extends true
+        ? never
+        : TakeKey<Rest> extends ['', string]
+          ? never
+          : PathSegments<TakeKey<Rest>[1], [...Result, {key: TakeKey<Rest>[0]}], false>
+      : First extends true
+        ? TakeKey<P> extends ['', string]
+          ? never
+          : PathSegments<TakeKey<P>[1], [...Result, {key: TakeKey<P>[0]}], false>
+        : never;
+
+type Elements<S> = S extends readonly (infer E)[] ? E : S extends object ? S[keyof S] : never;
+
+type Step<S, Seg> = Seg extends {key: infer K}
+  ? K extends keyof S
+    ? S[K]
+    : never
+  : Seg extends {index: number}
+    ? S extends readonly unknown[]
+      ? S[number]
+      : number extends keyof S
+        ? S[number & keyof S]
+        : never
+    : Elements<S>;
+
+type Walk<S, Segments> = Segments extends [infer Seg, ...infer Rest]
+  ? Walk<Step<NonNullable<S>, Seg>, Rest>
+  : S;
+
+type HasTraversal<Segments> = Segments extends [infer Seg, ...infer Rest]
+  ? Seg extends 'each' | 'filter'
+    ? true
+    : HasTraversal<Rest>
+  : false;
+
+// The state a path can be read from: objects with the keys on the path.
+type Source<Segments> = Segments extends [infer Seg, ...infer Rest]
+  ? Seg extends {key: infer K extends string}
+    ? {readonly [_ in K]?: Source<Rest> | null}
+    : Seg extends {index: number}
+      ? {readonly [index: number]: Source<Rest> | undefined}
+      : object
+  : unknown;
+
+/** The value at path `P` of state `S`: `PathValue<State, 'user.name'>` is `State['user']['name']`. */
+export type PathValue<S, P extends string> = Walk<S, PathSegments<P>>;
+
+/**
+ * Every path into `S` made of keys and indexes, for typing path arguments:
+ * `'user' | 'user.name' | 'todos' | `todos[${number}]` | ...`. Stops after
+ * five levels.
+ */
+export type Path<S, Depth extends unknown[] = []> = Depth['length'] extends 5
+  ? never
+  : S extends readonly (infer E)[]
+    ? `[${number | '*' | '?'}]` | `[${number | '*' | '?'}]${SubPath<E, Depth>}`
+    : S extends object
+      ? {
+          [K in keyof S & string]: K | `${K}${SubPath<NonNullable<S[K]>, Depth>}`;
+        }[keyof S & string]
+      : never;
+
+type SubPath<S, Depth extends unknown[]> = S extends readonly unknown[]
+  ? Path<S, [...Depth, unknown]>
+  : S extends object
+    ? `.${Path<S, [...Depth, unknown]>}`
+    : never;
+
+/** An optic on a state of type `S`, focused on a value of type `A`. */
+export interface Optic<S = any, A = any> {
+  readonly path: string;
+  get(state: S): A;
+  /** Returns a function from a state to an updated copy of it. */
+  set(value: A): (state: S) => S;
+  over(fn: (value: A) => A): (state: S) => S;
+}
+
+/** An optic whose path has `[*]` or `[?]`, focused on several values of type `A`. */
+export interface Traversal<S = any, A = any> {
+  readonly path: string;
+  /** The focused values, in order. */
+  get(state: S): A[];
+  /** Returns a function from a state to a copy of it with every focused value updated. */
+  set(value: A): (state: S) => S;
+  over(fn: (value: A) => A): (state: S) => S;
+}
+
+/**
+ * An optic created from a path. Its methods take their types from the state
+ * they are used with: `get` returns the value at the path, or an array of
+ * the values for paths with `[*]` or `[?]`, and `set` and `over` only accept
+ * values of that type.
+ */
+export interface PathOptic<P extends string> {
+  readonly path: P;
+  get<S extends Source<PathSegments<P>>>(
+    state: S,
+  ): HasTraversal<PathSegments<P>> extends true ? PathValue<S, P>[] : PathValue<S, P>;
+  set<S extends Source<PathSegments<P>>>(value: PathValue<S, P>): (state: S) => S;
+  over<S extends Source<PathSegments<P>>>(fn: (value: PathValue<S, P>) => PathValue<S, P>): (state: S) => S;
+}
+
+type Predicate = (item: any, key: string | number) => boolean;
+
+/**
+ * Creates a path optic focused on a nested value, like `'todos[0].done'`.
+ * `[*]` focuses on every item and `[?]` on the items matching the next
+ * predicate. Pass the state type and the path as type arguments,
+ * `createOptic<State, 'user.name'>('user.name')`, for an `Optic` tied to that
+ * state.
+ */
+export function createOptic<const P extends string>(
+  path: [PathSegments<P>] extends [never] ? never : P,
+  ...predicates: Predicate[]
+): PathOptic<P>;
+export function createOptic<S = never, P extends Path<S> = never>(
+  path: [S] extends [never] ? never : P,
+  ...predicates: Predicate[]
+): HasTraversal<PathSegments<P>> extends true ? Traversal<S, PathValue<S, P>> : Optic<S, PathValue<S, P>>;
+/** Marks `optic` as a reusable optic that may call hooks. Use it through `lens.useOptic`. */
+export function createOptic<F extends (...args: any[]) => any>(optic: F): F & {displayName: string};
+
+/** Combines path optics, outermost first, into one focused on the innermost value. */
+export function compose<P extends string, Rest extends PathOptic<string>[]>(
+  first: PathOptic<P>,
+  ...rest: Rest
+): PathOptic<JoinPaths<[PathOptic<P>, ...Rest]>>;
+export function compose(...optics: (Optic | Traversal)[]): Optic | Traversal;
+
+type JoinPaths<Optics> = Optics extends [PathOptic<infer P>, ...infer Rest]
+  ? Rest extends []
+    ? P
+    : JoinPaths<Rest> extends `[${string}`
+      ? `${P}${JoinPaths<Rest>}`
+      : `${P}.${JoinPaths<Rest>}`
+  : never;
+
+// State machines
+
+export type MachineAction = string | ((event: MachineEvent) => void);
+export type MachineGuard = (event: MachineEvent) => boolean;
+export type MachineService = (event: MachineEvent, context: {signal: AbortSignal}) => any;
+
+export type MachineTransition =
+  | string
+  | {target?: string; guard?: string | MachineGuard; actions?: MachineAction | MachineAction[]};
+
+export interface StateConfig {
+  type?: 'atomic' | 'compound' | 'parallel' | 'final';
+  /** Required with `states`, unless the state is parallel. */
+  initial?: string;
+  states?: Record<string, StateConfig>;
+  on?: Record<string, MachineTransition | MachineTransition[]>;
+  /** Transitions taken after a delay in milliseconds. */
+  after?: Record<number, MachineTransition | MachineTransition[]>;
+  invoke?: {src: string | MachineService; onDone?: MachineTransition; onError?: MachineTransition};
+  /** Taken when a final child state is reached. */
+  onDone?: MachineTransition;
+  entry?: MachineAction | MachineAction[];
+  exit?: MachineAction | MachineAction[];
+}
+
+export interface MachineConfig extends StateConfig {
+  id?: string;
+}
+
+export interface MachineOptions {
+  actions?: Record<string, (event: MachineEvent) => void>;
+  guards?: Record<string, MachineGuard>;
+  services?: Record<string, MachineService>;
+}
+
+export interface MachineEvent {
+  type: string;
+  /** The result or error of an invoked service. */
+  data?: any;
+  [key: string]: any;
+}
+
+export interface MachineState {
+  /** `'idle'`, or `{editing: 'saving'}` when nested. */
+  value: string | Record<string, any>;
+  /** The event that led here. */
+  event: MachineEvent;
+  /** A top-level final state was reached. */
+  done: boolean;
+  matches(path: string): boolean;
+  can(event: string | MachineEvent): boolean;
+}
+
+/** A compiled statechart. */
+export interface Machine {
+  readonly id: string;
+}
+
+export interface MachineGraph {
+  id: string;
+  states: {
+    id: string;
+    key: string;
+    parent: string | null;
+    type: 'atomic' | 'compound' | 'parallel' | 'final';
+    initial: string | null;
+    entry: string[];
+    exit: string[];
+    invoke: {id: string; src: string}[];
+  }[];
+  transitions: {
+    source: string;
+    target: string | null;
+    event: string;
+    guard: string | null;
+    actions: string[];
+    delay?: number;
+    invoke?: string;
+    done?: true;
+  }[];
+}
+
+export function createMachine(config: MachineConfig | Machine, options?: MachineOptions): Machine;
+export function describeMachine(machine: MachineConfig | Machine): MachineGraph;
+/** Runs a state machine in the component. Use it through `lens.useOptic`. */
+export const useMachine: ((
+  machine: MachineConfig | Machine,
+  options?: MachineOptions,
+) => [state: MachineState, send: (event: string | MachineEvent) => void]) & {displayName: string};
@@ -0,0 +1,29 @@
+// Reference implementation of the Refract runtime used by the docs site.
+// Rendering is delegated to React; reactivity, lenses and effects follow the
+// semantics described in the API reference. The server renderers live in
+// `./server` so that the browser bundle never loads react-dom/server.
+
+export {createApp} from './app';
+export {createComponent, memo, lazy, Suspense, Fragment} from './component';
+export {
+  useLens,
+  useRefraction,
+  useDerived,
+  useEffect,
+  useFlash,
+  useOptic,
+  useResource,
+  useTransition,
+} from './lens';
+export {freeze, logger} from './middleware';
+export {createMachine, describeMachine, useMachine} from './machine';
+export {compose, createOptic} from './optic';
+export {createResource} from './resource';
+export {runWithPriority, startTransition} from './scheduler';
+export {
+  createRefraction,
+  createDerived,
+  batch,
+  isRefraction,
+  untracked,
+} from './refraction';
@@ -0,0 +1,190 @@
+import {
+  useCallback,
+  useEffect as useReactEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+  useTransition as useReactTransition,
+} from 'react';
+import {getOwner, runMiddleware, setOwner} from './middleware';
+import {batch, createDerived, createRefraction} from './refraction';
+import {useResourceHandle} from './resource';
+import {runInLifecycle, startTransition} from './scheduler';
+
+let currentLens = null;
+// The lens whose component is running a lens effect, so debugging tools can
+// attribute refraction writes made there.
+let effectLens = null;
+
+// Refractions created through each lens, mapped to their kind
+// ('refraction' or 'derived'), in the order they were created.
+const lensState = new WeakMap();
+
+// React warns about useLayoutEffect during server rendering; flash effects
+// never run on the server anyway.
+export const useIsomorphicLayoutEffect =
+  typeof window === 'undefined' ? useReactEffect : useLayoutEffect;
+
+/**
+ * Creates the lens handed to a component. Every `use*` method is a hook and
+ * must be called unconditionally, in the same order on every render.
+ * `extensions` are methods plugins added with `app.extendLens`; each is
+ * called with the lens followed by the caller's arguments.
+ */
+export function createLens(extensions = {}) {
+  const state = new Map();
+
+  const lens = {
+    useRefraction(initialValue) {
+      const [refraction] = useState(() => {
+        const created = createRefraction(initialValue);
+        // Writes to component state only run through its app's middleware.
+        setOwner(created, getOwner(lens));
+        return created;
+      });
+      state.set(refraction, 'refraction');
+      return refraction;
+    },
+
+    useDerived(compute, deps = []) {
+      const computeRef = useRef(compute);
+      computeRef.current = compute;
+      // Reads inside `compute` are tracked, so `deps` only needs to list
+      // plain values (props, closures) the computation depends on. Without
+      // them the derived refraction lives as long as the component.
+      const derived = useMemo(
+        () => createDerived(() => computeRef.current()),
+        deps,
+      );
+      useReactEffect(() => {
+        state.set(derived, 'derived');
+        return () => {
+          state.delete(derived);
+          derived.dispose();
+        };
+      }, [derived]);
+      return derived;
+    },
+
+    useEffect(effect, deps) {
+      useReactEffect(() => runEffect(lens, 'effect', effect), deps);
+    },
+
+    useFlash(effect, deps) {
+      // Flash effects cannot clean up, so any return value is dropped. Their
+      // writes are sync, so they render in the same frame, before paint.
+      useIsomorphicLayoutEffect(() => {
+        runEffect(lens, 'flash', effect);
+      }, deps);
+    },
+
+    useResource(key, fetcher, options) {
+      return useResourceHandle(key, fetcher, options);
+    },
+
+    useOptic(optic, deps) {
+      // Optics call lens hooks themselves, so they have to run on every
+      // render to keep the hook order stable. `deps` decides which render's
+      // `optic` runs: the one from when they last changed, with the props
+      // and closures it captured then, like a `useCallback`.
+      const current = useMemo(() => optic, deps);
+      return current();
+    },
+
+    useTransition() {
+      const [isPending, startReactTransition] = useReactTransition();
+      const start = useCallback((fn) => startReactTransition(() => startTransition(fn)), []);
+      return [isPending, start];
+    },
+
+    batch(fn) {
+      return batch(fn);
+    },
+  };
+  Object.entries(extensions).forEach(([name, method]) => {
+    lens[name] = (...args) => method(lens, ...args);
+  });
+  lensState.set(lens, state);
+  return lens;
+}
+
+function runEffect(lens, kind, effect) {
+  const previous = effectLens;
+  effectLens = lens;
+  try {
+    return runInLifecycle(() => runMiddleware({type: 'effect', lens, kind}, effect), kind === 'flash' ? 'sync' : null);
+  } finally {
+    effectLens = previous;
+  }
+}
+
+/**
+ * Returns the refractions created through `lens` as `[refraction, kind]`
+ * pairs, where `kind` is `'refraction'` or `'derived'`.
+ */
+export function getLensState(lens) {
+  return Array.from(lensState.get(lens) ?? []);
+}
+
+/**
+ * Returns the lens of the component that is rendering or running a lens
+ * effect, or `null`.
+ */
+export function getActiveLens() {
+  return currentLens ?? effectLens;
+}
+
+/**
+ * Runs `fn` with `lens` as the lens returned by `useLens()` and the
+ * module-level hooks.
+ */
+export function withLens(lens, fn) {
+  const previous = currentLens;
+  currentLens = lens;
+  try {
+    return fn();
+  } finally {
+    currentLens = previous;
+  }
+}
+
+/**
+ * Returns the lens of the component that is currently rendering.
+ */
+export function useLens() {
+  if (!currentLens) {
+    throw new Error(
+      'useLens() and the refract hooks can only be called while a component created with createComponent() is rendering.',
+    );
+  }
+  return currentLens;
+}
+
+export function useRefraction(initialValue) {
+  return useLens().useRefraction(initialValue);
+}
+
+export function useDerived(compute, deps) {
+  return useLens().useDerived(compute, deps);
+}
+
+export function useEffect(effect, deps) {
+  return useLens().useEffect(effect, deps);
+}
+
+export function useFlash(effect, deps) {
+  return useLens().useFlash(effect, deps);
+}
+
+export function useOptic(optic, deps) {
+  return useLens().useOptic(optic, deps);
+}
+
+export function useResource(key, fetcher, options) {
+  return useLens().useResource(key, fetcher, options);
+}
+
+export function useTransition() {
+  return useLens().useTransition();
+}
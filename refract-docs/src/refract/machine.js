@@ -0,0 +1,549 @@
+import {useState} from 'react';
+import {getActiveLens, useEffect} from './lens';
+import {getOwner, setOwner} from './middleware';
+import {createOptic} from './optic';
+import {createRefraction} from './refraction';
+
+// Statecharts: `createMachine(config)` compiles the states, `useMachine`
+// runs a machine in a component and `describeMachine` returns its graph.
+//
+// States are identified by their path from the root, like
+// `'editing.uploading'`. Transition targets are resolved from the state the
+// transition is defined on: `'idle'` is a sibling, `'.child'` a child and
+// `'#editing.saved'` a path from the root.
+
+const MACHINE = Symbol('refract.machine');
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function describeFunction(fn) {
+  return typeof fn === 'string' ? fn : fn.name || 'anonymous';
+}
+
+/**
+ * Compiles a statechart. Each state may have:
+ *
+ * - `on`: transitions by event type. A transition is a target, an object
+ *   `{target, guard, actions}`, or a list of those; the first whose guard
+ *   passes is taken. Without a `target` only the actions run.
+ * - `entry` and `exit`: actions run when the state is entered or left.
+ * - `after`: transitions taken after a delay in milliseconds, e.g.
+ *   `{3000: 'timeout'}`, cancelled when the state is left first.
+ * - `invoke`: `{src, onDone, onError}`; `src(event, {signal})` is called
+ *   when the state is entered and may return a promise. Leaving the state
+ *   aborts `signal` and ignores the result.
+ * - `states` and `initial` for nested states, `type: 'parallel'` to have
+ *   all child states active at once, `type: 'final'` for a state that
+ *   completes its parent, which then takes its `onDone` transition.
+ *
+ * Actions, guards and services can be functions or names looked up in
+ * `options.actions`, `options.guards` and `options.services`.
+ *
+ * @param {object} config
+ * @param {{actions?: object, guards?: object, services?: object}} [options]
+ */
+export function createMachine(config, options = {}) {
+  if (isMachine(config)) {
+    return config;
+  }
+  if (!config || typeof config !== 'object' || !config.states) {
+    throw new TypeError('createMachine(config) expects a config with `states`.');
+  }
+
+  const nodes = new Map();
+  const transitions = [];
+  let order = 0;
+
+  const compileTransitions = (source, event, value, extra = {}) =>
+    toArray(value).map((definition) => {
+      const {target, guard = null, actions} =
+        typeof definition === 'string' ? {target: definition} : definition;
+      const transition = {
+        source,
+        targetPath: target,
+        target: null,
+        guard,
+        actions: toArray(actions),
+        event,
+        ...extra,
+      };
+      transitions.push(transition);
+      return transition;
+    });
+
+  const addTransitions = (node, event, value, extra) => {
+    node.on[event] = [...(node.on[event] ?? []), ...compileTransitions(node, event, value, extra)];
+  };
+
+  const compileNode = (stateConfig, key, parent) => {
+    const id = parent ? [parent.id, key].filter(Boolean).join('.') : '';
+    const childKeys = Object.keys(stateConfig.states ?? {});
+    const type = stateConfig.type ?? (childKeys.length > 0 ? 'compound' : 'atomic');
+    const label = id === '' ? 'The machine' : `State "${id}"`;
+    if (type === 'compound' && !stateConfig.initial) {
+      throw new Error(`${label} has child states but no \`initial\` state.`);
+    }
+    if (type === 'parallel' && childKeys.length === 0) {
+      throw new Error(`${label} is parallel but has no child states.`);
+    }
+    if (stateConfig.initial && !childKeys.includes(stateConfig.initial)) {
+      throw new Error(`${label} has initial state "${stateConfig.initial}", which is not one of its states.`);
+    }
+
+    const node = {
+      id,
+      key,
+      parent,
+      type,
+      order: order++,
+      initial: null,
+      children: [],
+      entry: toArray(stateConfig.entry),
+      exit: toArray(stateConfig.exit),
+      on: {},
+      after: [],
+      invoke: [],
+    };
+    nodes.set(id, node);
+
+    Object.entries(stateConfig.on ?? {}).forEach(([event, value]) => addTransitions(node, event, value));
+    Object.entries(stateConfig.after ?? {}).forEach(([delayKey, value]) => {
+      const delay = Number(delayKey);
+      if (!Number.isFinite(delay) || delay < 0) {
+        throw new Error(`${label} has an invalid delay "${delayKey}" in \`after\`.`);
+      }
+      const event = `after(${delay})#${id}`;
+      node.after.push({delay, event});
+      addTransitions(node, event, value, {delay});
+    });
+    toArray(stateConfig.invoke).forEach((invokeConfig, index) => {
+      const invokeId = invokeConfig.id ?? `${id || 'root'}:invoke[${index}]`;
+      const invocation = {
+        id: invokeId,
+        src: invokeConfig.src,
+        doneEvent: `done.invoke.${invokeId}`,
+        errorEvent: `error.invoke.${invokeId}`,
+        handlesError: invokeConfig.onError !== undefined,
+      };
+      node.invoke.push(invocation);
+      addTransitions(node, invocation.doneEvent, invokeConfig.onDone, {invoke: invokeId});
+      addTransitions(node, invocation.errorEvent, invokeConfig.onError, {invoke: invokeId});
+    });
+    if (stateConfig.onDone !== undefined) {
+      addTransitions(node, `done.state.${id}`, stateConfig.onDone, {done: true});
+    }
+
+    node.children = childKeys.map((childKey) => compileNode(stateConfig.states[childKey], childKey, node));
+    node.initial = node.children.find((child) => child.key === stateConfig.initial) ?? null;
+    return node;
+  };
+
+  const root = compileNode(config, config.id ?? 'machine', null);
+
+  transitions.forEach((transition) => {
+    const {source, targetPath} = transition;
+    if (targetPath === undefined) {
+      return;
+    }
+    let path;
+    if (targetPath.startsWith('#')) {
+      path = targetPath.slice(1);
+    } else if (targetPath.startsWith('.')) {
+      path = [source.id, targetPath.slice(1)].filter(Boolean).join('.');
+    } else {
+      path = [source.parent?.id ?? '', targetPath].filter(Boolean).join('.');
+    }
+    transition.target = nodes.get(path);
+    if (!transition.target) {
+      const from = source.id === '' ? 'the machine' : `state "${source.id}"`;
+      throw new Error(`Unknown target "${targetPath}" in the "${transition.event}" transition of ${from}.`);
+    }
+  });
+
+  return {[MACHINE]: true, id: root.key, root, nodes, transitions, options};
+}
+
+function isMachine(value) {
+  return Boolean(value?.[MACHINE]);
+}
+
+function isAncestor(ancestor, node) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function isLeaf(node) {
+  return node.children.length === 0;
+}
+
+// The states entered along with `node`: its initial child, recursively, or
+// every region of a parallel state.
+function addInitialStates(node, states) {
+  states.add(node);
+  if (node.type === 'compound') {
+    addInitialStates(node.initial, states);
+  } else if (node.type === 'parallel') {
+    node.children.forEach((child) => addInitialStates(child, states));
+  }
+  return states;
+}
+
+function stateValue(node, active) {
+  const children = node.children.filter((child) => active.has(child));
+  if (node.type === 'parallel') {
+    return Object.fromEntries(children.map((child) => [child.key, stateValue(child, active)]));
+  }
+  const [child] = children;
+  if (!child) {
+    return {};
+  }
+  return isLeaf(child) ? child.key : {[child.key]: stateValue(child, active)};
+}
+
+function toEvent(event) {
+  const result = typeof event === 'string' ? {type: event} : event;
+  if (typeof result?.type !== 'string') {
+    throw new TypeError('send(event) expects an event type or an object with a `type`.');
+  }
+  return result;
+}
+
+/**
+ * Runs `machine`. The current state is the refraction `service.state`;
+ * actions, timers and services only run between `start()` and `stop()`, and
+ * events sent before `start()` wait for it. Starting again after `stop()`
+ * resumes in the states it stopped in: their timers and services restart,
+ * but their entry actions don't run again.
+ */
+export function createService(machine, options = {}) {
+  let currentOptions = options;
+  const active = addInitialStates(machine.root, new Set());
+  const running = new Map();
+  // The event each active state was entered with, to restart its services
+  // with when the service resumes.
+  const entryEvents = new Map();
+  const queue = [];
+  let started = false;
+  let entered = false;
+  let processing = false;
+  let done = false;
+
+  const lookup = (kind, reference) => {
+    if (typeof reference === 'function') {
+      return reference;
+    }
+    const implementation = currentOptions[kind]?.[reference] ?? machine.options[kind]?.[reference];
+    if (typeof implementation !== 'function') {
+      throw new Error(`Unknown ${kind.slice(0, -1)} "${reference}". Pass it in options.${kind}.`);
+    }
+    return implementation;
+  };
+
+  const enabled = (transition, event) => !transition.guard || lookup('guards', transition.guard)(event);
+
+  // For every active leaf, the innermost transition for `event` whose guard
+  // passes.
+  const select = (event, states = active) => {
+    const selected = [];
+    Array.from(states)
+      .filter(isLeaf)
+      .sort((a, b) => a.order - b.order)
+      .forEach((leaf) => {
+        for (let node = leaf; node; node = node.parent) {
+          const transition = node.on[event.type]?.find((candidate) => enabled(candidate, event));
+          if (transition) {
+            if (!selected.includes(transition)) {
+              selected.push(transition);
+            }
+            return;
+          }
+        }
+      });
+    return selected;
+  };
+
+  const snapshot = (event) => {
+    const current = new Set(active);
+    return {
+      value: stateValue(machine.root, current),
+      event,
+      done,
+      matches: (path) => current.has(machine.nodes.get(path)),
+      can: (type) => select(toEvent(type), current).length > 0,
+    };
+  };
+
+  const state = createRefraction(snapshot({type: 'init'}));
+  // The states active in `state`, to tell whether an event changed them.
+  let published = new Set(active);
+
+  const raise = (event) => {
+    queue.push(event);
+  };
+
+  const startActivities = (node, event) => {
+    const activities = {timers: [], controllers: []};
+    running.set(node, activities);
+    node.after.forEach(({delay, event: type}) => {
+      activities.timers.push(setTimeout(() => service.send({type}), delay));
+    });
+    node.invoke.forEach((invocation) => {
+      const controller = new AbortController();
+      activities.controllers.push(controller);
+      const settle = (type, data) => {
+        if (!controller.signal.aborted) {
+          service.send({type, data});
+        }
+      };
+      Promise.resolve()
+        .then(() => lookup('services', invocation.src)(event, {signal: controller.signal}))
+        .then(
+          (data) => settle(invocation.doneEvent, data),
+          (error) => {
+            if (!invocation.handlesError && !controller.signal.aborted) {
+              console.error(error);
+            }
+            settle(invocation.errorEvent, error);
+          },
+        );
+    });
+  };
+
+  const stopActivities = (node) => {
+    const activities = running.get(node);
+    if (activities) {
+      activities.timers.forEach(clearTimeout);
+      activities.controllers.forEach((controller) => controller.abort());
+      running.delete(node);
+    }
+  };
+
+  const enter = (node, event) => {
+    active.add(node);
+    entryEvents.set(node, event);
+    node.entry.forEach((action) => lookup('actions', action)(event));
+    startActivities(node, event);
+    if (node.type !== 'final') {
+      return;
+    }
+    const parent = node.parent;
+    if (parent === machine.root) {
+      done = true;
+      return;
+    }
+    raise({type: `done.state.${parent.id}`});
+    const parallel = parent.parent;
+    if (parallel?.type === 'parallel') {
+      const complete = parallel.children.every((child) =>
+        child.children.some((grandchild) => active.has(grandchild) && grandchild.type === 'final'),
+      );
+      if (complete) {
+        raise({type: `done.state.${parallel.id}`});
+      }
+    }
+  };
+
+  const exit = (node, event) => {
+    stopActivities(node);
+    node.exit.forEach((action) => lookup('actions', action)(event));
+    active.delete(node);
+    entryEvents.delete(node);
+  };
+
+  const take = (transition, event) => {
+    const {source, target} = transition;
+    if (!active.has(source)) {
+      // Left by a transition taken earlier for the same event.
+      return;
+    }
+    if (!target) {
+      transition.actions.forEach((action) => lookup('actions', action)(event));
+      return;
+    }
+
+    // The innermost state containing both ends; everything active below it
+    // is left, and the path down to the target is entered.
+    let domain = source.parent;
+    while (domain && !isAncestor(domain, target)) {
+      domain = domain.parent;
+    }
+    domain ??= machine.root;
+
+    Array.from(active)
+      .filter((node) => isAncestor(domain, node))
+      .sort((a, b) => b.order - a.order)
+      .forEach((node) => exit(node, event));
+
+    transition.actions.forEach((action) => lookup('actions', action)(event));
+
+    const entering = new Set();
+    const path = [];
+    for (let node = target; node !== domain; node = node.parent) {
+      path.unshift(node);
+    }
+    path.forEach((node) => entering.add(node));
+    addInitialStates(target, entering);
+    path.forEach((node) => {
+      if (node.type === 'parallel') {
+        node.children
+          .filter((child) => !entering.has(child))
+          .forEach((child) => addInitialStates(child, entering));
+      }
+    });
+    Array.from(entering)
+      .sort((a, b) => a.order - b.order)
+      .forEach((node) => enter(node, event));
+  };
+
+  // Runs an event to completion, with the done events it raises, before
+  // publishing the new state.
+  const process = (event) => {
+    let last = event;
+    for (let next = event; next; next = queue.shift()) {
+      if (done) {
+        queue.length = 0;
+        break;
+      }
+      last = next;
+      select(next).forEach((transition) => take(transition, next));
+    }
+    // Events that leave the same states active, like ignored events and
+    // transitions that only run actions, don't publish a new state.
+    const changed =
+      done !== state.peek().done ||
+      published.size !== active.size ||
+      Array.from(active).some((node) => !published.has(node));
+    if (changed) {
+      published = new Set(active);
+      state.set(snapshot(last));
+    }
+  };
+
+  const service = {
+    state,
+
+    setOptions(nextOptions) {
+      currentOptions = nextOptions;
+    },
+
+    start() {
+      if (started) {
+        return;
+      }
+      started = true;
+      processing = true;
+      try {
+        const init = {type: 'init'};
+        const nodes = Array.from(active).sort((a, b) => a.order - b.order);
+        if (entered) {
+          // Resuming, e.g. when StrictMode remounts the component: only the
+          // events sent while it was stopped are processed.
+          nodes.forEach((node) => startActivities(node, entryEvents.get(node)));
+          if (queue.length > 0) {
+            process(queue.shift());
+          }
+          return;
+        }
+        entered = true;
+        nodes.forEach((node) => {
+          active.delete(node);
+          enter(node, init);
+        });
+        // Also runs the events sent before the machine started.
+        process(init);
+      } finally {
+        processing = false;
+      }
+    },
+
+    stop() {
+      started = false;
+      active.forEach(stopActivities);
+    },
+
+    send(event) {
+      const next = toEvent(event);
+      if (!started || processing) {
+        queue.push(next);
+        return;
+      }
+      processing = true;
+      try {
+        process(next);
+      } finally {
+        processing = false;
+      }
+    },
+  };
+
+  return service;
+}
+
+/**
+ * Runs a state machine in the component and returns `[state, send]`. Use it
+ * through `lens.useOptic`. `state.value` is the current state (a string,
+ * or an object for nested and parallel states), `state.matches(path)` tests
+ * for an active state and `state.can(event)` for an enabled transition.
+ *
+ * The machine starts when the component mounts; timers and services stop
+ * when it unmounts. `options` override the machine's named actions, guards
+ * and services, and may change on every render.
+ */
+export const useMachine = createOptic(function useMachine(machine, options = {}) {
+  const [service] = useState(() => {
+    const created = createService(createMachine(machine), options);
+    setOwner(created.state, getOwner(getActiveLens()));
+    return created;
+  });
+  service.setOptions(options);
+
+  useEffect(() => {
+    service.start();
+    return () => service.stop();
+  }, [service]);
+
+  return [service.state.value, service.send];
+});
+
+/**
+ * Returns the graph of `machine` (a machine or a config) for diagrams:
+ * `states`, each `{id, key, parent, type, initial, entry, exit, invoke}`,
+ * and `transitions`, each `{source, target, event, guard, actions}` plus
+ * `delay` for `after` transitions, `invoke` for service results and
+ * `done` for `onDone`. Functions are described by name.
+ */
+export function describeMachine(machine) {
+  const {id, nodes, transitions} = createMachine(machine);
+  return {
+    id,
+    states: Array.from(nodes.values()).map((node) => ({
+      id: node.id,
+      key: node.key,
+      parent: node.parent?.id ?? null,
+      type: node.type,
+      initial: node.initial?.id ?? null,
+      entry: node.entry.map(describeFunction),
+      exit: node.exit.map(describeFunction),
+      invoke: node.invoke.map((invocation) => ({id: invocation.id, src: describeFunction(invocation.src)})),
+    })),
+    transitions: transitions.map((transition) => ({
+      source: transition.source.id,
+      target: transition.target?.id ?? null,
+      event: transition.event,
+      guard: transition.guard ? describeFunction(transition.guard) : null,
+      actions: transition.actions.map(describeFunction),
+      ...(transition.delay !== undefined && {delay: transition.delay}),
+      ...(transition.invoke !== undefined && {invoke: transition.invoke}),
+      ...(transition.done && {done: true}),
+    })),
+  };
+}
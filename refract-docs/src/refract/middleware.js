@@ -0,0 +1,226 @@
+// Middleware pipeline. Mounted apps install their middleware here, and the
+// runtime passes every refraction write, batch commit, lens effect run and
+// reported error through it.
+//
+// A middleware is `(context, next)`. `context.type` is one of:
+//
+//   'set'     {refraction, value, previous}: a write. `value` may be
+//             replaced; not calling `next()` vetoes the write.
+//   'batch'   {}: the outermost batch notifying its subscribers.
+//   'effect'  {lens, kind: 'effect' | 'flash'}: a lens effect running.
+//   'error'   {error, errorInfo}: an error caught by the app's boundary.
+//             Not calling `next()` leaves it unreported.
+//   'mount'   {}: the app installing its middleware, before its first
+//             render.
+//   'unmount' {}: the app removing its middleware after it unmounted.
+//
+// Each context only runs through the middleware of the apps that own what
+// it is about: the app a lens renders in owns the lens and the refractions
+// created through it, the apps listing a refraction in their `state` own
+// it, and a batch is owned by the owners of the refractions written in it.
+// Errors, mounts and unmounts belong to their app. Contexts nobody owns,
+// like writes to a global refraction no app lists, run through the
+// middleware of every mounted app.
+//
+// `context.app` is the app whose middleware is running. Middleware runs in
+// the order apps were mounted, then in the order each app lists it, the
+// first one outermost.
+
+// The pipelines of the mounted apps, `{app, middleware}`, in mount order.
+const installed = [];
+
+// Lenses and the refractions created through them, mapped to the app the
+// lens renders in.
+const owners = new WeakMap();
+
+// Batch commits and the lifecycle can't be skipped: when a middleware
+// returns without calling `next()`, it is called for it.
+const REQUIRED = new Set(['batch', 'mount', 'unmount']);
+
+// Passes `context` through `entries` ({app, handler}), innermost calling
+// `step(context)`, and returns what `step` returned.
+function run(entries, context, step) {
+  let result;
+
+  const dispatch = (index) => {
+    if (index === entries.length) {
+      result = step(context);
+      return;
+    }
+    const {app, handler} = entries[index];
+    let called = false;
+    let returned = false;
+    const next = () => {
+      if (returned) {
+        throw new Error('Middleware must call next() before it returns.');
+      }
+      if (called) {
+        throw new Error('Middleware called next() more than once.');
+      }
+      called = true;
+      try {
+        dispatch(index + 1);
+      } finally {
+        context.app = app;
+      }
+    };
+    context.app = app;
+    try {
+      handler(context, next);
+    } finally {
+      returned = true;
+    }
+    if (!called && REQUIRED.has(context.type)) {
+      returned = false;
+      next();
+    }
+  };
+
+  dispatch(0);
+  delete context.app;
+  return result;
+}
+
+function toEntries({app, middleware}) {
+  return middleware.map((handler) => ({app, handler}));
+}
+
+/**
+ * Records that `target`, a lens or a refraction created through one,
+ * belongs to `app`, so only that app's middleware sees it.
+ */
+export function setOwner(target, app) {
+  if (app) {
+    owners.set(target, app);
+  }
+}
+
+/**
+ * Returns the app that owns `target` through `setOwner`, or `null`.
+ */
+export function getOwner(target) {
+  return owners.get(target) ?? null;
+}
+
+/**
+ * Returns the apps that own `target`, a lens or a refraction: the app it
+ * was created in, or the mounted apps that list it in their `state`.
+ * Empty when nobody owns it.
+ */
+export function getOwners(target) {
+  const owner = owners.get(target);
+  if (owner) {
+    return [owner];
+  }
+  return installed
+    .filter(({app}) => Object.values(app.getConfig().state).includes(target))
+    .map(({app}) => app);
+}
+
+function getContextOwners(context) {
+  if (context.type === 'set') {
+    return getOwners(context.refraction);
+  }
+  if (context.type === 'effect') {
+    return getOwners(context.lens);
+  }
+  return [];
+}
+
+/**
+ * Adds `middleware` (an array the app keeps adding to) to the pipeline on
+ * behalf of `app`, passing it a `'mount'` context. Returns a function that
+ * removes it and passes it an `'unmount'` context.
+ */
+export function installMiddleware(app, middleware) {
+  const pipeline = {app, middleware};
+  installed.push(pipeline);
+  try {
+    run(toEntries(pipeline), {type: 'mount'}, () => {});
+  } catch (error) {
+    installed.splice(installed.indexOf(pipeline), 1);
+    throw error;
+  }
+  return () => {
+    const index = installed.indexOf(pipeline);
+    if (index !== -1) {
+      installed.splice(index, 1);
+      run(toEntries(pipeline), {type: 'unmount'}, () => {});
+    }
+  };
+}
+
+/**
+ * Passes `context` through the middleware of the mounted apps among
+ * `apps`, innermost calling `step(context)`, and returns what `step`
+ * returned (`undefined` when a middleware skipped it). `apps` defaults to
+ * the owners of the context's refraction or lens; when it is empty, every
+ * mounted app's middleware runs.
+ */
+export function runMiddleware(context, step, apps = getContextOwners(context)) {
+  const pipelines = apps.length > 0 ? installed.filter(({app}) => apps.includes(app)) : installed;
+  if (pipelines.length === 0) {
+    return step(context);
+  }
+  return run(pipelines.flatMap(toEntries), context, step);
+}
+
+// The name the app's `state` option gives `refraction`, if any.
+function stateName(app, refraction) {
+  const entry = Object.entries(app.getConfig().state).find(([, value]) => value === refraction);
+  return entry ? entry[0] : 'refraction';
+}
+
+/**
+ * Logs every refraction write with its previous and new value, and writes
+ * that inner middleware vetoed.
+ */
+export function logger(context, next) {
+  if (context.type !== 'set') {
+    next();
+    return;
+  }
+  const {app, refraction, previous} = context;
+  const name = stateName(app, refraction);
+  next();
+  const value = refraction.peek();
+  if (Object.is(value, previous)) {
+    console.log(`[refract] ${name}: write vetoed`);
+  } else {
+    console.log(`[refract] ${name}:`, previous, '→', value);
+  }
+}
+
+function isFreezable(value) {
+  if (value === null || typeof value !== 'object' || Object.isFrozen(value)) {
+    return false;
+  }
+  // React elements and lazy components are plain objects React writes to.
+  if ('$$typeof' in value) {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return Array.isArray(value) || prototype === Object.prototype || prototype === null;
+}
+
+function deepFreeze(value) {
+  if (!isFreezable(value)) {
+    return value;
+  }
+  Object.freeze(value);
+  Object.values(value).forEach(deepFreeze);
+  return value;
+}
+
+/**
+ * In `devMode`, deep-freezes every value written to a refraction, so code
+ * that mutates state instead of writing a new value throws. Only plain
+ * objects and arrays are frozen, never React elements. Does nothing
+ * outside `devMode`.
+ */
+export function freeze(context, next) {
+  if (context.type === 'set' && context.app.getConfig().devMode) {
+    deepFreeze(context.value);
+  }
+  next();
+}
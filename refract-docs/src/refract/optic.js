@@ -0,0 +1,193 @@
+// Path syntax: `user.name`, `todos[3].done`, `todos[*].done` (every item) and
+// `todos[?].done` (items matching the next predicate argument). Quoted keys
+// (`labels["in progress"]`) allow any property name.
+const TOKEN = /\.?([^.[\]]+)|\[(\d+)\]|\[(\*)\]|\[(\?)\]|\[(["'])((?:(?!\5).)*)\5\]/y;
+
+// Optics made by `createOptic(path)` and `compose`, mapped to their parsed
+// segments so they can be composed.
+const segmentsByOptic = new WeakMap();
+
+function parsePath(path, predicates) {
+  if (typeof path !== 'string' || path === '') {
+    throw new TypeError('createOptic(path) expects a non-empty path string such as "todos[0].done".');
+  }
+
+  const segments = [];
+  let remaining = [...predicates];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < path.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(path);
+    if (!match || (start === 0 && path[0] === '.') || (start > 0 && match[1] && path[start] !== '.')) {
+      throw new TypeError(`Invalid optic path "${path}": unexpected "${path.slice(start)}" at position ${start}.`);
+    }
+    const [, key, index, each, filter, , quoted] = match;
+    if (key !== undefined || quoted !== undefined) {
+      segments.push({type: 'key', key: key ?? quoted});
+    } else if (index !== undefined) {
+      segments.push({type: 'key', key: Number(index)});
+    } else if (each) {
+      segments.push({type: 'each'});
+    } else if (filter) {
+      if (remaining.length === 0) {
+        throw new TypeError(`Invalid optic path "${path}": every "[?]" needs a predicate argument.`);
+      }
+      const [predicate, ...rest] = remaining;
+      if (typeof predicate !== 'function') {
+        throw new TypeError(`Invalid optic path "${path}": predicates must be functions.`);
+      }
+      segments.push({type: 'filter', predicate});
+      remaining = rest;
+    }
+  }
+  if (remaining.length > 0) {
+    throw new TypeError(
+      `Invalid optic path "${path}": ${predicates.length} predicate(s) given for ${predicates.length - remaining.length} "[?]".`,
+    );
+  }
+  return segments;
+}
+
+function formatStep(trail, segment, key) {
+  if (segment.type === 'key' && typeof key === 'string' && /^[A-Za-z_$][\w$-]*$/.test(key)) {
+    return trail === '' ? key : `${trail}.${key}`;
+  }
+  return `${trail}[${typeof key === 'string' ? JSON.stringify(key) : key}]`;
+}
+
+function isTraversal(segment) {
+  return segment.type === 'each' || segment.type === 'filter';
+}
+
+// Entries of an array or object that a traversal segment focuses on.
+function focusedEntries(value, segment) {
+  const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+  return segment.type === 'filter' ? entries.filter(([key, item]) => segment.predicate(item, key)) : entries;
+}
+
+function throughUndefined(path, action, trail, value) {
+  const name = trail === '' ? 'the state' : `"${trail}"`;
+  const actual = value === null || value === undefined ? String(value) : `a ${typeof value}`;
+  return new TypeError(`Cannot ${action} "${path}": ${name} is ${actual}.`);
+}
+
+function readPath(path, segments, state) {
+  const results = [];
+  const visit = (value, index, trail) => {
+    if (index === segments.length) {
+      results.push(value);
+      return;
+    }
+    if (value === undefined || value === null) {
+      throw throughUndefined(path, 'read', trail, value);
+    }
+    const segment = segments[index];
+    if (segment.type === 'key') {
+      visit(value[segment.key], index + 1, formatStep(trail, segment, segment.key));
+      return;
+    }
+    // Only arrays and objects have items to traverse; `set` and `over` reject
+    // anything else too.
+    if (typeof value !== 'object') {
+      throw throughUndefined(path, 'read', trail, value);
+    }
+    focusedEntries(value, segment).forEach(([key, item]) => {
+      visit(item, index + 1, formatStep(trail, segment, key));
+    });
+  };
+  visit(state, 0, '');
+  return segments.some(isTraversal) ? results : results[0];
+}
+
+function copyWith(value, key, next) {
+  const copy = Array.isArray(value) ? [...value] : {...value};
+  copy[key] = next;
+  return copy;
+}
+
+// Rebuilds only the branches that change; everything else keeps its identity,
+// and `state` itself is returned when `fn` changes nothing.
+function updatePath(path, segments, state, fn) {
+  const update = (value, index, trail) => {
+    if (index === segments.length) {
+      return fn(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      throw throughUndefined(path, 'update', trail, value);
+    }
+    const segment = segments[index];
+    if (segment.type === 'key') {
+      const current = value[segment.key];
+      const next = update(current, index + 1, formatStep(trail, segment, segment.key));
+      return Object.is(next, current) ? value : copyWith(value, segment.key, next);
+    }
+    let copy = null;
+    focusedEntries(value, segment).forEach(([key, item]) => {
+      const next = update(item, index + 1, formatStep(trail, segment, key));
+      if (!Object.is(next, item)) {
+        copy ??= Array.isArray(value) ? [...value] : {...value};
+        copy[key] = next;
+      }
+    });
+    return copy ?? value;
+  };
+  return update(state, 0, '');
+}
+
+function createPathOptic(path, segments) {
+  const optic = {
+    path,
+    get(state) {
+      return readPath(path, segments, state);
+    },
+    set(value) {
+      return (state) => updatePath(path, segments, state, () => value);
+    },
+    over(fn) {
+      return (state) => updatePath(path, segments, state, fn);
+    },
+  };
+  segmentsByOptic.set(optic, segments);
+  return optic;
+}
+
+/**
+ * Creates an optic.
+ *
+ * - `createOptic(path, ...predicates)` returns a path optic focused on a
+ *   nested value, with `get(state)`, `set(value)(state)` and
+ *   `over(fn)(state)`. Paths with `[*]` or `[?]` focus on several values:
+ *   `get` returns them as an array and `set`/`over` update each of them.
+ * - `createOptic(fn)` marks `fn` as a reusable optic that may call the refract
+ *   hooks; use it through `lens.useOptic(() => optic(...), deps)`.
+ */
+export function createOptic(pathOrOptic, ...predicates) {
+  if (typeof pathOrOptic === 'function') {
+    const optic = (...args) => pathOrOptic(...args);
+    optic.displayName = pathOrOptic.name || 'Optic';
+    return optic;
+  }
+  return createPathOptic(pathOrOptic, parsePath(pathOrOptic, predicates));
+}
+
+/**
+ * Combines path optics, outermost first, into one optic focused on the
+ * innermost value: `compose(createOptic('todos[*]'), createOptic('done'))`
+ * behaves like `createOptic('todos[*].done')`.
+ */
+export function compose(...optics) {
+  if (optics.length === 0) {
+    throw new TypeError('compose(...optics) expects at least one optic.');
+  }
+  const segments = optics.flatMap((optic) => {
+    const opticSegments = segmentsByOptic.get(optic);
+    if (!opticSegments) {
+      throw new TypeError('compose(...optics) only accepts optics created with createOptic(path) or compose().');
+    }
+    return opticSegments;
+  });
+  const path = optics
+    .map((optic) => optic.path)
+    .reduce((joined, part) => (part.startsWith('[') ? `${joined}${part}` : `${joined}.${part}`));
+  return createPathOptic(path, segments);
+}
@@ -0,0 +1,353 @@
+import {act, renderOptic} from '../../testing-utils';
+import {createRefraction} from '../..';
+import {
+  useCounter,
+  useDebouncedRefraction,
+  useEventListener,
+  useForm,
+  useInterval,
+  useLocalStorage,
+  useMediaQuery,
+  useToggle,
+} from '..';
+
+// A validator whose calls settle when the test says so.
+function createDeferredValidator() {
+  const calls = [];
+  const validator = jest.fn((value, values, {signal}) => {
+    let resolve;
+    const promise = new Promise((done) => {
+      resolve = done;
+    });
+    calls.push({value, signal, resolve});
+    return promise;
+  });
+  return {validator, calls};
+}
+
+afterEach(() => {
+  localStorage.clear();
+  jest.useRealTimers();
+});
+
+describe('useCounter and useToggle', () => {
+  it('keeps the count within its bounds', () => {
+    const {result} = renderOptic(() => useCounter(9, {step: 2, max: 10}));
+
+    act(() => result.current.increment());
+    expect(result.current.count).toBe(10);
+    act(() => result.current.set(-5));
+    expect(result.current.count).toBe(-5);
+    act(() => result.current.reset());
+    expect(result.current.count).toBe(9);
+  });
+
+  it('toggles', () => {
+    const {result} = renderOptic(() => useToggle());
+
+    act(() => result.current.toggle());
+    expect(result.current.isToggled).toBe(true);
+    act(() => result.current.setToggle(0));
+    expect(result.current.isToggled).toBe(false);
+  });
+});
+
+describe('useForm', () => {
+  it('validates a touched field on every change', () => {
+    const required = (value) => (value ? null : 'Required');
+    const {result} = renderOptic(() => useForm({name: ''}, {name: required}));
+
+    act(() => result.current.setValue('name', ''));
+    expect(result.current.errors).toEqual({});
+
+    act(() => result.current.setTouched('name'));
+    expect(result.current.errors).toEqual({name: 'Required'});
+
+    act(() => result.current.field('name').onChange({target: {type: 'text', value: 'Ada'}}));
+    expect(result.current.errors).toEqual({name: null});
+    expect(result.current.isDirty).toBe(true);
+  });
+
+  it('keeps the result of the latest async validation when an older one settles last', async () => {
+    const {validator, calls} = createDeferredValidator();
+    const {result} = renderOptic(() => useForm({email: ''}, {email: validator}));
+
+    act(() => result.current.setTouched('email'));
+    act(() => result.current.setValue('email', 'taken@example.com'));
+    expect(result.current.isValidating).toBe(true);
+    expect(calls[0].signal.aborted).toBe(true);
+    expect(calls[1].signal.aborted).toBe(false);
+
+    await act(async () => calls[1].resolve(null));
+    expect(result.current.errors).toEqual({email: null});
+    expect(result.current.isValidating).toBe(false);
+
+    await act(async () => calls[0].resolve('Enter an email'));
+    expect(result.current.errors).toEqual({email: null});
+    expect(result.current.isValid).toBe(true);
+  });
+
+  it('validates every field in handleSubmit and only submits a valid form', async () => {
+    const {validator, calls} = createDeferredValidator();
+    const onSubmit = jest.fn();
+    const {result} = renderOptic(() => useForm({email: 'ada@example.com'}, {email: validator}));
+
+    let submitted;
+    await act(async () => {
+      submitted = result.current.handleSubmit(onSubmit);
+    });
+    expect(result.current.isSubmitting).toBe(true);
+    await act(async () => calls[0].resolve('Taken'));
+
+    expect(await submitted).toBe(false);
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(result.current.errors).toEqual({email: 'Taken'});
+    expect(result.current.isSubmitting).toBe(false);
+  });
+
+  it('aborts validations in flight when reset', async () => {
+    const {validator, calls} = createDeferredValidator();
+    const {result} = renderOptic(() => useForm({email: ''}, {email: validator}));
+
+    act(() => result.current.setTouched('email'));
+    act(() => result.current.reset({email: 'new@example.com'}));
+
+    expect(calls[0].signal.aborted).toBe(true);
+    expect(result.current.values).toEqual({email: 'new@example.com'});
+    expect(result.current.isValidating).toBe(false);
+    await act(async () => calls[0].resolve('Enter an email'));
+    expect(result.current.errors).toEqual({});
+  });
+
+  it('aborts validations in flight when the component unmounts', () => {
+    const {validator, calls} = createDeferredValidator();
+    const {result, unmount} = renderOptic(() => useForm({email: ''}, {email: validator}));
+
+    act(() => result.current.setTouched('email'));
+    unmount();
+
+    expect(calls[0].signal.aborted).toBe(true);
+  });
+});
+
+describe('useLocalStorage', () => {
+  function writeFromAnotherTab(key, value) {
+    localStorage.setItem(key, value);
+    window.dispatchEvent(new StorageEvent('storage', {key, newValue: value, storageArea: localStorage}));
+  }
+
+  it('reads the stored value and saves new ones as JSON', () => {
+    localStorage.setItem('theme', '"dark"');
+    const {result} = renderOptic(() => useLocalStorage('theme', 'light'));
+
+    expect(result.current.value).toBe('dark');
+    act(() => result.current.setValue('light'));
+    expect(localStorage.getItem('theme')).toBe('"light"');
+    act(() => result.current.remove());
+    expect(localStorage.getItem('theme')).toBeNull();
+    expect(result.current.value).toBe('light');
+  });
+
+  it('picks up what other tabs write to its key', () => {
+    const {result} = renderOptic(() => useLocalStorage('theme', 'light'));
+
+    act(() => writeFromAnotherTab('theme', '"dark"'));
+    expect(result.current.value).toBe('dark');
+
+    act(() => writeFromAnotherTab('language', '"fr"'));
+    expect(result.current.value).toBe('dark');
+
+    act(() => {
+      localStorage.clear();
+      window.dispatchEvent(new StorageEvent('storage', {key: null, storageArea: localStorage}));
+    });
+    expect(result.current.value).toBe('light');
+  });
+
+  it('stops listening to other tabs after unmount', () => {
+    const removeEventListener = jest.spyOn(window, 'removeEventListener');
+    const {unmount} = renderOptic(() => useLocalStorage('theme', 'light'));
+
+    unmount();
+
+    expect(removeEventListener).toHaveBeenCalledWith('storage', expect.any(Function));
+    removeEventListener.mockRestore();
+  });
+});
+
+describe('useDebouncedRefraction', () => {
+  it('follows the source once it stops changing', () => {
+    jest.useFakeTimers();
+    const source = createRefraction('a');
+    const {result} = renderOptic(() => useDebouncedRefraction(source, 100).value);
+
+    act(() => source.set('ab'));
+    act(() => jest.advanceTimersByTime(60));
+    act(() => source.set('abc'));
+    act(() => jest.advanceTimersByTime(60));
+    expect(result.current).toBe('a');
+
+    act(() => jest.advanceTimersByTime(40));
+    expect(result.current).toBe('abc');
+  });
+
+  it('drops the pending update when the component unmounts', () => {
+    jest.useFakeTimers();
+    const {result, rerender, unmount} = renderOptic(({value}) => useDebouncedRefraction(value, 100), {
+      initialProps: {value: 'a'},
+    });
+    const debounced = result.current;
+    rerender({value: 'b'});
+
+    unmount();
+    jest.advanceTimersByTime(100);
+
+    expect(debounced.peek()).toBe('a');
+  });
+});
+
+describe('useInterval', () => {
+  it('calls the latest callback every delay', () => {
+    jest.useFakeTimers();
+    const first = jest.fn();
+    const second = jest.fn();
+    const {rerender} = renderOptic(({callback}) => useInterval(callback, 100), {initialProps: {callback: first}});
+
+    act(() => jest.advanceTimersByTime(100));
+    rerender({callback: second});
+    act(() => jest.advanceTimersByTime(200));
+
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledTimes(2);
+  });
+
+  it('restarts when the delay changes, pauses on null and stops on unmount', () => {
+    jest.useFakeTimers();
+    const callback = jest.fn();
+    const {rerender, unmount} = renderOptic(({delay}) => useInterval(callback, delay), {initialProps: {delay: 100}});
+
+    act(() => jest.advanceTimersByTime(50));
+    rerender({delay: 200});
+    act(() => jest.advanceTimersByTime(150));
+    expect(callback).not.toHaveBeenCalled();
+    act(() => jest.advanceTimersByTime(50));
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    rerender({delay: null});
+    act(() => jest.advanceTimersByTime(1000));
+    expect(callback).toHaveBeenCalledTimes(1);
+    rerender({delay: 100});
+    act(() => jest.advanceTimersByTime(100));
+    expect(callback).toHaveBeenCalledTimes(2);
+
+    unmount();
+    jest.advanceTimersByTime(1000);
+    expect(callback).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('useEventListener', () => {
+  it('calls the latest handler for events on the target', () => {
+    const button = document.createElement('button');
+    const first = jest.fn();
+    const second = jest.fn();
+    const {rerender} = renderOptic(({handler}) => useEventListener(button, 'click', handler), {
+      initialProps: {handler: first},
+    });
+
+    button.click();
+    rerender({handler: second});
+    button.click();
+
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  it('moves the listener when the target or the type changes, and removes it on unmount', () => {
+    const first = document.createElement('button');
+    const second = document.createElement('button');
+    const target = createRefraction(first);
+    const handler = jest.fn();
+    const {rerender, unmount} = renderOptic(({type}) => useEventListener(target, type, handler), {
+      initialProps: {type: 'click'},
+    });
+
+    act(() => target.set(second));
+    first.click();
+    second.click();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    rerender({type: 'focus'});
+    second.click();
+    second.dispatchEvent(new FocusEvent('focus'));
+    expect(handler).toHaveBeenCalledTimes(2);
+
+    act(() => target.set(null));
+    second.dispatchEvent(new FocusEvent('focus'));
+    act(() => target.set(second));
+    unmount();
+    second.dispatchEvent(new FocusEvent('focus'));
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('useMediaQuery', () => {
+  // jsdom has no matchMedia; media query lists here match when the test
+  // says so.
+  function mockMatchMedia() {
+    const lists = new Map();
+    window.matchMedia = jest.fn((query) => {
+      if (!lists.has(query)) {
+        const listeners = new Set();
+        lists.set(query, {
+          matches: false,
+          listeners,
+          addEventListener: (type, listener) => listeners.add(listener),
+          removeEventListener: (type, listener) => listeners.delete(listener),
+        });
+      }
+      return lists.get(query);
+    });
+    const setMatches = (query, matches) => {
+      const list = lists.get(query);
+      list.matches = matches;
+      list.listeners.forEach((listener) => listener({matches}));
+    };
+    return {lists, setMatches};
+  }
+
+  afterEach(() => {
+    delete window.matchMedia;
+  });
+
+  it('follows the query as it starts and stops matching', () => {
+    const {setMatches} = mockMatchMedia();
+    const {result} = renderOptic(() => useMediaQuery('(min-width: 600px)'));
+    expect(result.current).toBe(false);
+
+    act(() => setMatches('(min-width: 600px)', true));
+    expect(result.current).toBe(true);
+    act(() => setMatches('(min-width: 600px)', false));
+    expect(result.current).toBe(false);
+  });
+
+  it('stops listening to the old query when it changes, and to any on unmount', () => {
+    const {lists} = mockMatchMedia();
+    const {rerender, unmount} = renderOptic(({query}) => useMediaQuery(query), {
+      initialProps: {query: '(min-width: 600px)'},
+    });
+
+    rerender({query: '(prefers-color-scheme: dark)'});
+    expect(lists.get('(min-width: 600px)').listeners.size).toBe(0);
+    expect(lists.get('(prefers-color-scheme: dark)').listeners.size).toBe(1);
+
+    unmount();
+    expect(lists.get('(prefers-color-scheme: dark)').listeners.size).toBe(0);
+  });
+
+  it('uses the default value without matchMedia', () => {
+    const {result} = renderOptic(() => useMediaQuery('(min-width: 600px)', true));
+
+    expect(result.current).toBe(true);
+  });
+});
@@ -0,0 +1,373 @@
+// Reference implementation of `@refract/optics`: the optics the docs keep
+// writing by hand, as a package. Every optic is used through
+// `lens.useOptic`, and cleans up what it starts when the component unmounts
+// or its dependencies change: timers are cleared, listeners removed and
+// async validations aborted.
+import {useRef, useState} from 'react';
+import {useEffect, useRefraction} from '../lens';
+import {createOptic} from '../optic';
+import {batch, isRefraction} from '../refraction';
+
+function isThenable(value) {
+  return typeof value?.then === 'function';
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * A number with `increment`, `decrement`, `set` and `reset`. `options` may
+ * set the `step` (1) and a `min` and `max` the count is kept within.
+ */
+export const useCounter = createOptic(function useCounter(initialValue = 0, options = {}) {
+  const {step = 1, min = -Infinity, max = Infinity} = options;
+  const count = useRefraction(clamp(initialValue, min, max));
+
+  return {
+    count: count.value,
+    increment: () => count.set((value) => clamp(value + step, min, max)),
+    decrement: () => count.set((value) => clamp(value - step, min, max)),
+    set: (value) => count.set(clamp(value, min, max)),
+    reset: () => count.set(clamp(initialValue, min, max)),
+  };
+});
+
+/**
+ * A boolean with `toggle` and `setToggle`.
+ */
+export const useToggle = createOptic(function useToggle(initialValue = false) {
+  const isToggled = useRefraction(Boolean(initialValue));
+
+  return {
+    isToggled: isToggled.value,
+    toggle: () => isToggled.set((value) => !value),
+    setToggle: (value) => isToggled.set(Boolean(value)),
+  };
+});
+
+// Runs the validators of one field in order and returns the first error, or
+// `null`. Stays synchronous until a validator returns a promise.
+function runValidators(validators, value, values, signal) {
+  const list = [].concat(validators ?? []);
+  const from = (index) => {
+    for (let i = index; i < list.length; i++) {
+      const result = list[i](value, values, {signal});
+      if (isThenable(result)) {
+        return result.then((error) => error || from(i + 1));
+      }
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  };
+  return from(0);
+}
+
+/**
+ * Form state with field-level validation. `validators` maps field names to a
+ * validator, or an array of them run in order until one fails. A validator
+ * is `(value, values, {signal}) => error`, returning an error message or
+ * nothing, or a promise of one; `signal` is aborted when the field is
+ * validated again, the form is reset or the component unmounts.
+ *
+ * A field is validated when it is first touched (blurred), then on every
+ * change; `validate()` and `handleSubmit()` validate every field.
+ */
+export const useForm = createOptic(function useForm(initialValues, validators = {}) {
+  const initial = useRefraction(initialValues);
+  const values = useRefraction(initialValues);
+  const errors = useRefraction({});
+  const touched = useRefraction({});
+  const validating = useRefraction({});
+  const isSubmitting = useRefraction(false);
+  // Async validations in flight, by field: `{controller, promise}`.
+  const [pending] = useState(() => new Map());
+  const validatorsRef = useRef(validators);
+  validatorsRef.current = validators;
+
+  const abortAll = () => {
+    pending.forEach(({controller}) => controller.abort());
+    pending.clear();
+  };
+
+  useEffect(() => abortAll, []);
+
+  const validateField = (field, allValues = values.peek()) => {
+    pending.get(field)?.controller.abort();
+    pending.delete(field);
+    const controller = new AbortController();
+    const result = runValidators(validatorsRef.current[field], allValues[field], allValues, controller.signal);
+
+    const settle = (error) => {
+      batch(() => {
+        errors.update(field, error || null);
+        validating.update(field, false);
+      });
+      return error || null;
+    };
+    if (!isThenable(result)) {
+      return Promise.resolve(settle(result));
+    }
+
+    validating.update(field, true);
+    const promise = result.then(
+      (error) => {
+        // A newer validation of the field replaced this one.
+        if (pending.get(field)?.controller !== controller) {
+          return pending.get(field)?.promise ?? errors.peek()[field] ?? null;
+        }
+        pending.delete(field);
+        return settle(error);
+      },
+      (error) => {
+        if (pending.get(field)?.controller === controller) {
+          pending.delete(field);
+          validating.update(field, false);
+        }
+        throw error;
+      },
+    );
+    pending.set(field, {controller, promise});
+    return promise;
+  };
+
+  const fields = () => [...new Set([...Object.keys(values.peek()), ...Object.keys(validatorsRef.current)])];
+
+  const validate = () => {
+    const allValues = values.peek();
+    return Promise.all(fields().map((field) => validateField(field, allValues))).then((results) =>
+      results.every((error) => !error),
+    );
+  };
+
+  const setValue = (field, value) => {
+    values.update(field, value);
+    if (touched.peek()[field]) {
+      validateField(field);
+    }
+  };
+
+  const setTouched = (field, isTouched = true) => {
+    touched.update(field, isTouched);
+    if (isTouched) {
+      validateField(field);
+    }
+  };
+
+  const handleSubmit = async (onSubmit) => {
+    batch(() => {
+      touched.set(Object.fromEntries(fields().map((field) => [field, true])));
+      isSubmitting.set(true);
+    });
+    try {
+      if (!(await validate())) {
+        return false;
+      }
+      await onSubmit(values.peek());
+      return true;
+    } finally {
+      isSubmitting.set(false);
+    }
+  };
+
+  const reset = (nextValues = initial.peek()) => {
+    abortAll();
+    batch(() => {
+      initial.set(nextValues);
+      values.set(nextValues);
+      errors.set({});
+      touched.set({});
+      validating.set({});
+      isSubmitting.set(false);
+    });
+  };
+
+  const field = (name) => ({
+    name,
+    value: values.value[name],
+    onChange: (eventOrValue) => {
+      const target = eventOrValue?.target;
+      setValue(name, target ? (target.type === 'checkbox' ? target.checked : target.value) : eventOrValue);
+    },
+    onBlur: () => setTouched(name),
+  });
+
+  const dirty = Object.fromEntries(
+    Object.keys(values.value)
+      .filter((name) => !Object.is(values.value[name], initial.value[name]))
+      .map((name) => [name, true]),
+  );
+  const isValidating = Object.values(validating.value).some(Boolean);
+
+  return {
+    values: values.value,
+    errors: errors.value,
+    touched: touched.value,
+    dirty,
+    validating: validating.value,
+    isDirty: Object.keys(dirty).length > 0,
+    isValid: !isValidating && Object.values(errors.value).every((error) => !error),
+    isValidating,
+    isSubmitting: isSubmitting.value,
+    setValue,
+    setTouched,
+    validateField,
+    validate,
+    handleSubmit,
+    reset,
+    field,
+  };
+});
+
+/**
+ * A refraction that follows `source`, a refraction or a value, once it has
+ * stopped changing for `delay` milliseconds. Pending updates are dropped
+ * when the component unmounts.
+ */
+export const useDebouncedRefraction = createOptic(function useDebouncedRefraction(source, delay = 300) {
+  const current = isRefraction(source) ? source.value : source;
+  const debounced = useRefraction(current);
+
+  useEffect(() => {
+    const timer = setTimeout(() => debounced.set(current), delay);
+    return () => clearTimeout(timer);
+  }, [current, delay]);
+
+  return debounced;
+});
+
+/**
+ * Calls `callback` every `delay` milliseconds while the component is
+ * mounted. A `null` delay pauses it. The latest `callback` is called, so it
+ * can change on every render without restarting the interval.
+ */
+export const useInterval = createOptic(function useInterval(callback, delay) {
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    if (delay === null || delay === undefined) {
+      return undefined;
+    }
+    const interval = setInterval(() => callbackRef.current(), delay);
+    return () => clearInterval(interval);
+  }, [delay]);
+});
+
+/**
+ * Listens to `type` events on `target` (an element, `window`, `document`,
+ * or a refraction holding one) while the component is mounted. A `null`
+ * target listens to nothing. The latest `handler` is called, so it can
+ * change on every render without adding the listener again.
+ */
+export const useEventListener = createOptic(function useEventListener(target, type, handler, options = {}) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  const element = isRefraction(target) ? target.value : target;
+  const {capture = false, passive, once} = typeof options === 'boolean' ? {capture: options} : options;
+
+  useEffect(() => {
+    if (!element?.addEventListener) {
+      return undefined;
+    }
+    const listener = (event) => handlerRef.current(event);
+    element.addEventListener(type, listener, {capture, passive, once});
+    return () => element.removeEventListener(type, listener, {capture});
+  }, [element, type, capture, passive, once]);
+});
+
+function matchMediaQuery(query) {
+  return typeof window !== 'undefined' && typeof window.matchMedia === 'function' ? window.matchMedia(query) : null;
+}
+
+/**
+ * Whether the media query matches, updated when it starts or stops
+ * matching. `defaultValue` is used where there is no `window`, such as
+ * during server rendering.
+ */
+export const useMediaQuery = createOptic(function useMediaQuery(query, defaultValue = false) {
+  const matches = useRefraction(matchMediaQuery(query)?.matches ?? defaultValue);
+
+  useEffect(() => {
+    const list = matchMediaQuery(query);
+    if (!list) {
+      return undefined;
+    }
+    const update = () => matches.set(list.matches);
+    update();
+    list.addEventListener('change', update);
+    return () => list.removeEventListener('change', update);
+  }, [query]);
+
+  return matches.value;
+});
+
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    // Reading `localStorage` throws when storage is disabled.
+    return null;
+  }
+}
+
+function readStored(key, defaultValue, deserialize) {
+  try {
+    const item = getStorage()?.getItem(key);
+    return item === null || item === undefined ? defaultValue : deserialize(item);
+  } catch (error) {
+    console.warn(`Cannot read localStorage key "${key}":`, error);
+    return defaultValue;
+  }
+}
+
+/**
+ * A value saved to `localStorage` under `key`, with `setValue` and
+ * `remove`. Changes made in other tabs are picked up. Values are stored as
+ * JSON unless `options` give a `serialize` and `deserialize`. Where storage
+ * is unavailable or full, the value still works but isn't saved.
+ */
+export const useLocalStorage = createOptic(function useLocalStorage(key, defaultValue, options = {}) {
+  const {serialize = JSON.stringify, deserialize = JSON.parse} = options;
+  const [stored] = useState(() => readStored(key, defaultValue, deserialize));
+  const value = useRefraction(stored);
+  const keyRef = useRef(key);
+
+  useEffect(() => {
+    if (keyRef.current !== key) {
+      keyRef.current = key;
+      value.set(readStored(key, defaultValue, deserialize));
+    }
+    // Other tabs' writes; this tab writes through setValue.
+    const onStorage = (event) => {
+      if (event.storageArea === getStorage() && (event.key === key || event.key === null)) {
+        value.set(readStored(key, defaultValue, deserialize));
+      }
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, [key]);
+
+  const setValue = (next) => {
+    const resolved = typeof next === 'function' ? next(value.peek()) : next;
+    value.set(resolved);
+    try {
+      getStorage()?.setItem(key, serialize(resolved));
+    } catch (error) {
+      console.warn(`Cannot write localStorage key "${key}":`, error);
+    }
+  };
+
+  const remove = () => {
+    value.set(defaultValue);
+    try {
+      getStorage()?.removeItem(key);
+    } catch (error) {
+      console.warn(`Cannot remove localStorage key "${key}":`, error);
+    }
+  };
+
+  return {value: value.value, setValue, remove};
+});
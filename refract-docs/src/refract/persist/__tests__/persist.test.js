@@ -0,0 +1,167 @@
+import {createApp, createComponent, createRefraction} from '../..';
+import {act} from '../../testing-utils';
+import {memoryAdapter, persistState} from '..';
+
+function stored(state, version = 1) {
+  return {version, state};
+}
+
+function mountApp(options) {
+  const container = document.createElement('div');
+  const count = createRefraction(0);
+  const Counter = createComponent(() => <p>{count.value}</p>);
+  const app = createApp(Counter, {state: {count}, ...options});
+  act(() => {
+    app.mount(container);
+  });
+  return {app, container, count};
+}
+
+// Stands in for the BroadcastChannel between two tabs.
+class FakeChannel {
+  static open = new Set();
+
+  constructor(name) {
+    this.name = name;
+    FakeChannel.open.add(this);
+  }
+
+  postMessage(data) {
+    FakeChannel.open.forEach((channel) => {
+      if (channel !== this && channel.name === this.name) {
+        channel.onmessage?.({data});
+      }
+    });
+  }
+
+  close() {
+    FakeChannel.open.delete(this);
+  }
+}
+
+afterEach(() => {
+  delete globalThis.BroadcastChannel;
+  FakeChannel.open.clear();
+});
+
+it('restores the stored state before the first render', () => {
+  const storage = memoryAdapter({counter: stored({count: 5})});
+  const {container, count} = mountApp({middleware: [persistState('counter', {storage})]});
+
+  expect(count.value).toBe(5);
+  expect(container.textContent).toBe('5');
+});
+
+it('saves writes while the app is mounted', () => {
+  const storage = memoryAdapter();
+  const {count} = mountApp({middleware: [persistState('counter', {storage, throttle: 0})]});
+
+  act(() => count.set(1));
+
+  expect(storage.get('counter')).toEqual(stored({count: 1}));
+});
+
+it("doesn't save writes vetoed by other middleware", () => {
+  const storage = memoryAdapter();
+  const veto = (context, next) => {
+    if (context.type !== 'set' || context.value < 10) {
+      next();
+    }
+  };
+  const {count} = mountApp({middleware: [persistState('counter', {storage, throttle: 0}), veto]});
+
+  act(() => count.set(20));
+
+  expect(count.value).toBe(0);
+  expect(storage.get('counter')).toBeNull();
+});
+
+it('saves a throttled write on unmount, and nothing after', () => {
+  jest.useFakeTimers();
+  const storage = memoryAdapter();
+  const {app, count} = mountApp({middleware: [persistState('counter', {storage})]});
+
+  act(() => count.set(1));
+  expect(storage.get('counter')).toBeNull();
+
+  act(() => app.unmount());
+  expect(storage.get('counter')).toEqual(stored({count: 1}));
+
+  count.set(2);
+  jest.runAllTimers();
+  expect(storage.get('counter')).toEqual(stored({count: 1}));
+  jest.useRealTimers();
+});
+
+it('saves on pagehide only while the app is mounted', () => {
+  jest.useFakeTimers();
+  const storage = memoryAdapter();
+  const {app, count} = mountApp({middleware: [persistState('counter', {storage})]});
+
+  act(() => count.set(1));
+  window.dispatchEvent(new Event('pagehide'));
+  expect(storage.get('counter')).toEqual(stored({count: 1}));
+
+  act(() => app.unmount());
+  count.set(2);
+  window.dispatchEvent(new Event('pagehide'));
+  expect(storage.get('counter')).toEqual(stored({count: 1}));
+  jest.useRealTimers();
+});
+
+it('upgrades stored state with the migrations', () => {
+  const storage = memoryAdapter({counter: stored({count: '7'})});
+  const {count} = mountApp({
+    middleware: [persistState('counter', {storage, version: 2, migrate: {2: (state) => ({count: Number(state.count)})}})],
+  });
+
+  expect(count.value).toBe(7);
+});
+
+it('reports stored state it cannot read', () => {
+  const onError = jest.fn();
+  const storage = memoryAdapter({counter: stored({count: 1}, 3)});
+  const {count} = mountApp({middleware: [persistState('counter', {storage, onError})]});
+
+  expect(count.value).toBe(0);
+  expect(onError).toHaveBeenCalledWith(expect.objectContaining({message: expect.stringContaining('newer than 1')}));
+});
+
+it('fails to mount when there is nothing to persist', () => {
+  const app = createApp(() => null, {middleware: [persistState('empty')]});
+
+  expect(() => app.mount(document.createElement('div'))).toThrow('has nothing to persist');
+});
+
+it('keeps tabs in sync while mounted, and stops listening after unmount', () => {
+  globalThis.BroadcastChannel = FakeChannel;
+  const first = mountApp({middleware: [persistState('cart', {storage: memoryAdapter(), throttle: 0, sync: true})]});
+  const second = mountApp({middleware: [persistState('cart', {storage: memoryAdapter(), throttle: 0, sync: true})]});
+
+  act(() => first.count.set(3));
+  expect(second.count.value).toBe(3);
+
+  act(() => second.app.unmount());
+  expect(FakeChannel.open.size).toBe(1);
+  act(() => first.count.set(4));
+  expect(second.count.value).toBe(3);
+});
+
+it("doesn't open a channel when an async load finishes after unmount", async () => {
+  globalThis.BroadcastChannel = FakeChannel;
+  let load;
+  const storage = {
+    get: () => new Promise((resolve) => (load = resolve)),
+    set: jest.fn(),
+    remove: jest.fn(),
+  };
+  const persist = persistState('cart', {storage, sync: true});
+  const {app, count} = mountApp({middleware: [persist]});
+
+  act(() => app.unmount());
+  load(stored({count: 9}));
+  await persist.ready;
+
+  expect(count.value).toBe(9);
+  expect(FakeChannel.open.size).toBe(0);
+});
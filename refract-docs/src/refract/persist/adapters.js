@@ -0,0 +1,109 @@
+// Storage adapters. Each stores JSON-compatible values under string keys:
+//
+//   get(key)            the stored value, or null
+//   set(key, value)     store a value
+//   remove(key)         delete it
+//
+// Any of them may return a promise; persistState waits for it.
+
+function webStorageAdapter(name) {
+  // Looked up on every call: reading `window.localStorage` throws when
+  // storage is disabled, which should surface as a persistence error rather
+  // than when the adapter is created.
+  const storage = () => {
+    if (typeof window === 'undefined') {
+      throw new Error(`${name} is not available outside the browser.`);
+    }
+    return window[name];
+  };
+
+  return {
+    get(key) {
+      const raw = storage().getItem(key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    set(key, value) {
+      storage().setItem(key, JSON.stringify(value));
+    },
+    remove(key) {
+      storage().removeItem(key);
+    },
+  };
+}
+
+/** Stores state in `localStorage`, shared by every tab of the origin. */
+export function localStorageAdapter() {
+  return webStorageAdapter('localStorage');
+}
+
+/** Stores state in `sessionStorage`, kept for the lifetime of the tab. */
+export function sessionStorageAdapter() {
+  return webStorageAdapter('sessionStorage');
+}
+
+/**
+ * Stores state in an IndexedDB object store, for state too large for
+ * `localStorage`. The database is opened on first use.
+ *
+ * @param {{database?: string, store?: string}} [options]
+ */
+export function indexedDBAdapter({database = 'refract', store = 'state'} = {}) {
+  let connection = null;
+
+  const open = () => {
+    connection ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(database, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return connection;
+  };
+
+  const run = (mode, operation) =>
+    open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const transaction = db.transaction(store, mode);
+          const request = operation(transaction.objectStore(store));
+          transaction.oncomplete = () => resolve(request.result);
+          transaction.onerror = () => reject(transaction.error);
+          transaction.onabort = () => reject(transaction.error);
+        }),
+    );
+
+  return {
+    get(key) {
+      return run('readonly', (objectStore) => objectStore.get(key)).then((value) => value ?? null);
+    },
+    set(key, value) {
+      return run('readwrite', (objectStore) => objectStore.put(value, key)).then(() => {});
+    },
+    remove(key) {
+      return run('readwrite', (objectStore) => objectStore.delete(key)).then(() => {});
+    },
+  };
+}
+
+/**
+ * Stores state in memory, for tests and server rendering. Values are copied
+ * in and out, like a real storage would. `initial` seeds it, keyed like the
+ * storage: `memoryAdapter({'app-state': {version: 1, state: {...}}})`.
+ *
+ * @param {Record<string, any>} [initial]
+ */
+export function memoryAdapter(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    items,
+    get(key) {
+      return items.has(key) ? structuredClone(items.get(key)) : null;
+    },
+    set(key, value) {
+      items.set(key, structuredClone(value));
+    },
+    remove(key) {
+      items.delete(key);
+    },
+  };
+}
@@ -0,0 +1,352 @@
+// Reference implementation of `@refract/persist`: middleware that saves
+// global refractions to a storage adapter, restores them when the app mounts
+// and optionally keeps every tab of the app in sync.
+import {whenMounted} from '../app';
+import {batch, isRefraction} from '../refraction';
+import {localStorageAdapter} from './adapters';
+
+export {indexedDBAdapter, localStorageAdapter, memoryAdapter, sessionStorageAdapter} from './adapters';
+
+function isThenable(value) {
+  return typeof value?.then === 'function';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Turns `['settings.theme', 'cart']` into `{settings: {theme: true}, cart:
+// true}`, where `true` keeps the whole value. Without paths every refraction
+// is kept whole.
+function toPathTree(names, paths) {
+  if (!paths) {
+    return Object.fromEntries(names.map((name) => [name, true]));
+  }
+  const tree = {};
+  paths.forEach((path) => {
+    const keys = path.split('.');
+    if (!names.includes(keys[0])) {
+      throw new Error(`Cannot persist "${path}": there is no refraction named "${keys[0]}".`);
+    }
+    let node = tree;
+    keys.forEach((key, index) => {
+      if (node[key] === true) {
+        return;
+      }
+      if (index === keys.length - 1) {
+        node[key] = true;
+      } else {
+        node = node[key] ??= {};
+      }
+    });
+  });
+  return tree;
+}
+
+// The parts of `value` selected by `tree`.
+function pick(value, tree) {
+  if (tree === true) {
+    return value;
+  }
+  if (!isPlainObject(value)) {
+    return undefined;
+  }
+  const picked = {};
+  Object.entries(tree).forEach(([key, subtree]) => {
+    if (key in value) {
+      const part = pick(value[key], subtree);
+      if (part !== undefined) {
+        picked[key] = part;
+      }
+    }
+  });
+  return picked;
+}
+
+// `current` with the parts selected by `tree` taken from `stored`.
+function merge(current, stored, tree) {
+  if (tree === true) {
+    return stored;
+  }
+  if (!isPlainObject(current) || !isPlainObject(stored)) {
+    return current;
+  }
+  let merged = current;
+  Object.entries(tree).forEach(([key, subtree]) => {
+    if (key in stored) {
+      const next = merge(current[key], stored[key], subtree);
+      if (!Object.is(next, current[key])) {
+        merged = merged === current ? {...current} : merged;
+        merged[key] = next;
+      }
+    }
+  });
+  return merged;
+}
+
+/**
+ * Persistence middleware: saves global refractions under `key`. Add it to
+ * the app's `middleware`; when the app mounts, the stored state is restored
+ * before the first render (or as soon as an async adapter has loaded it),
+ * and every write to a persisted refraction is saved while the app is
+ * mounted. Apps rendered on the server never mount, so nothing is restored
+ * or saved there.
+ *
+ * Options:
+ * - `refractions`: the refractions to persist, by name. Defaults to the
+ *   app's `state` option.
+ * - `storage`: a storage adapter. Defaults to `localStorageAdapter()`.
+ * - `paths`: persist only these parts of the state, like
+ *   `['settings.theme', 'cart']`; each starts with a refraction name.
+ * - `version` and `migrate`: the version of the stored shape, and
+ *   functions upgrading it, keyed by the version they upgrade to.
+ * - `throttle`: save at most once per this many milliseconds (100).
+ * - `sync`: share writes with the app's other tabs over a
+ *   `BroadcastChannel`.
+ * - `onError(error)`: called when the state can't be loaded, migrated or
+ *   saved. Defaults to a warning in `devMode`.
+ *
+ * @param {string} key
+ * @param {object} [options]
+ */
+export function persistState(key, options = {}) {
+  const {
+    refractions: givenRefractions,
+    storage = localStorageAdapter(),
+    paths,
+    version = 1,
+    migrate = {},
+    throttle = 100,
+    sync = false,
+    onError,
+  } = options;
+  if (typeof key !== 'string' || key === '') {
+    throw new TypeError('persistState(key) expects a non-empty storage key.');
+  }
+
+  let refractions = {};
+  let tree = {};
+  let persisted = new Set();
+  let config = null;
+  let mounted = false;
+  let restoring = true;
+  let applying = false;
+  let timer = null;
+  let channel = null;
+  let resolveReady;
+  const ready = new Promise((resolve) => {
+    resolveReady = resolve;
+  });
+
+  const report = (error) => {
+    if (onError) {
+      onError(error);
+    } else if (config?.devMode) {
+      console.warn(`persistState("${key}"): ${error.message}`);
+    }
+  };
+
+  const attempt = (operation) => {
+    try {
+      const result = operation();
+      if (isThenable(result)) {
+        result.catch(report);
+      }
+    } catch (error) {
+      report(error);
+    }
+  };
+
+  // Brings stored data up to the current version.
+  const upgrade = (stored) => {
+    if (!isPlainObject(stored) || !isPlainObject(stored.state)) {
+      throw new Error('The stored data is not a persisted state; ignoring it.');
+    }
+    let {state} = stored;
+    const from = stored.version ?? 1;
+    if (from > version) {
+      throw new Error(`The stored state has version ${from}, newer than ${version}; ignoring it.`);
+    }
+    for (let next = from + 1; next <= version; next++) {
+      if (typeof migrate[next] !== 'function') {
+        throw new Error(`No migration to version ${next}; ignoring the stored state.`);
+      }
+      state = migrate[next](state);
+    }
+    return state;
+  };
+
+  // Writes stored state into the refractions without saving it again.
+  const apply = (stored) => {
+    const state = upgrade(stored);
+    applying = true;
+    try {
+      batch(() => {
+        Object.keys(tree).forEach((name) => {
+          if (name in state) {
+            const refraction = refractions[name];
+            refraction.set(() => merge(refraction.peek(), state[name], tree[name]));
+          }
+        });
+      });
+    } finally {
+      applying = false;
+    }
+  };
+
+  const snapshot = () =>
+    pick(
+      Object.fromEntries(Object.keys(tree).map((name) => [name, refractions[name].peek()])),
+      tree,
+    );
+
+  const save = () => {
+    timer = null;
+    const data = {version, state: snapshot()};
+    attempt(() => storage.set(key, data));
+    channel?.postMessage(data);
+  };
+
+  const scheduleSave = () => {
+    if (restoring || applying) {
+      return;
+    }
+    if (throttle <= 0) {
+      save();
+    } else if (timer === null) {
+      timer = setTimeout(save, throttle);
+    }
+  };
+
+  const openChannel = () => {
+    if (sync && !channel && typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(`refract-persist:${key}`);
+      channel.onmessage = (event) => attempt(() => apply(event.data));
+    }
+  };
+
+  const closeChannel = () => {
+    channel?.close();
+    channel = null;
+  };
+
+  const finishRestore = (stored) => {
+    if (stored !== null && stored !== undefined) {
+      attempt(() => apply(stored));
+    }
+    restoring = false;
+    // An async adapter may finish after the app unmounted.
+    if (mounted) {
+      openChannel();
+    }
+    resolveReady();
+  };
+
+  let loading = false;
+  const restore = () => {
+    if (loading) {
+      return;
+    }
+    loading = true;
+    let stored;
+    try {
+      stored = storage.get(key);
+    } catch (error) {
+      report(error);
+      stored = null;
+    }
+    if (isThenable(stored)) {
+      stored.then(finishRestore, (error) => {
+        report(error);
+        finishRestore(null);
+      });
+    } else {
+      finishRestore(stored);
+    }
+  };
+
+  const flush = () => {
+    if (timer !== null) {
+      clearTimeout(timer);
+      save();
+    }
+  };
+
+  const onMount = (app) => {
+    config = app.getConfig();
+    refractions = givenRefractions ?? config.state;
+    const names = Object.keys(refractions);
+    if (names.length === 0) {
+      throw new Error(
+        `persistState("${key}") has nothing to persist. Name the refractions with createApp's state option, or pass them as options.refractions.`,
+      );
+    }
+    names.forEach((name) => {
+      if (!isRefraction(refractions[name])) {
+        throw new TypeError(`persistState("${key}"): refractions.${name} is not a refraction.`);
+      }
+    });
+    tree = toPathTree(names, paths);
+    persisted = new Set(Object.keys(tree).map((name) => refractions[name]));
+    mounted = true;
+
+    // Don't lose a throttled save when the page goes away.
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', flush);
+    }
+    if (!restoring) {
+      openChannel();
+    } else if (config.hydrate) {
+      // A hydrating app has to render the state the server sent first; the
+      // stored state is applied once hydration is done, and nothing is
+      // saved until then.
+      whenMounted(app, restore);
+    } else {
+      restore();
+    }
+  };
+
+  // Saves what is pending and stops listening to the page and other tabs.
+  const onUnmount = () => {
+    mounted = false;
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', flush);
+    }
+    flush();
+    closeChannel();
+  };
+
+  function persist(context, next) {
+    if (context.type === 'mount') {
+      onMount(context.app);
+    }
+    next();
+    if (context.type === 'unmount') {
+      onUnmount();
+    } else if (
+      context.type === 'set' &&
+      persisted.has(context.refraction) &&
+      !Object.is(context.refraction.peek(), context.previous)
+    ) {
+      // Vetoed writes leave the value as it was and aren't saved.
+      scheduleSave();
+    }
+  }
+
+  return Object.assign(persist, {
+    /** Resolves once the stored state has been restored. */
+    ready,
+
+    /** Saves a pending throttled write now. */
+    flush,
+
+    /** Deletes the stored state. The refractions keep their values. */
+    clear() {
+      if (timer !== null) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      attempt(() => storage.remove(key));
+    },
+  });
+}
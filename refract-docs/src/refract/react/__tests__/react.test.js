@@ -0,0 +1,215 @@
+import {forwardRef, startTransition, useEffect} from 'react';
+import {createRoot} from 'react-dom/client';
+import {createApp, createComponent, createDerived, createRefraction} from '../..';
+import {act, render} from '../../testing-utils';
+import {RefractIsland, fromReact, toReactHook} from '..';
+
+// Counts the subscriptions to `refraction` that haven't been undone.
+function trackSubscriptions(refraction) {
+  const tracker = {active: 0};
+  const {subscribe} = refraction;
+  jest.spyOn(refraction, 'subscribe').mockImplementation((callback) => {
+    const unsubscribe = subscribe(callback);
+    tracker.active++;
+    return () => {
+      tracker.active--;
+      unsubscribe();
+    };
+  });
+  return tracker;
+}
+
+// A React root, unmounted after the test.
+let root = null;
+let rootContainer = null;
+
+function renderReact(element) {
+  rootContainer = document.body.appendChild(document.createElement('div'));
+  root = createRoot(rootContainer);
+  act(() => {
+    root.render(element);
+  });
+  return rootContainer;
+}
+
+afterEach(() => {
+  if (root) {
+    act(() => root.unmount());
+    rootContainer.remove();
+    root = null;
+  }
+});
+
+describe('toReactHook', () => {
+  it('never renders two values of a refraction written during a concurrent render', () => {
+    const count = createRefraction(0);
+    const useCount = toReactHook(count);
+    const Reader = () => <span>{useCount()}</span>;
+    // Writes between the two readers, like a store updated while React
+    // yields in the middle of a transition.
+    const Writer = () => {
+      if (count.peek() === 0) {
+        count.set(1);
+      }
+      return null;
+    };
+    const container = renderReact(null);
+
+    act(() => {
+      startTransition(() => {
+        root.render(
+          <>
+            <Reader />
+            <Writer />
+            <Reader />
+          </>,
+        );
+      });
+    });
+
+    expect(container.textContent).toBe('11');
+  });
+
+  it('updates every reader with writes made in transitions', () => {
+    const count = createRefraction(0);
+    const double = createDerived(() => count.value * 2);
+    const useCount = toReactHook(count);
+    const useDouble = toReactHook(double);
+    const Counter = () => `${useCount()}:${useDouble()} `;
+    const container = renderReact(
+      <>
+        <Counter />
+        <Counter />
+      </>,
+    );
+
+    act(() => {
+      startTransition(() => count.set(1));
+      count.set(2);
+    });
+
+    expect(container.textContent).toBe('2:4 2:4 ');
+  });
+
+  it('unsubscribes when the React component unmounts', () => {
+    const count = createRefraction(0);
+    const subscriptions = trackSubscriptions(count);
+    const useCount = toReactHook(count);
+    const renders = jest.fn();
+    const Reader = () => {
+      renders();
+      return useCount();
+    };
+    renderReact(<Reader />);
+    expect(subscriptions.active).toBe(1);
+
+    act(() => root.render(null));
+    act(() => count.set(1));
+
+    expect(subscriptions.active).toBe(0);
+    expect(renders).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects values that are not refractions', () => {
+    expect(() => toReactHook({value: 1})).toThrow('toReactHook(refraction) expects a refraction');
+  });
+});
+
+describe('RefractIsland', () => {
+  it('cleans up the effects of its Refract components when React unmounts it', () => {
+    const events = [];
+    const Timer = createComponent(({lens, label}) => {
+      lens.useEffect(() => {
+        events.push(`start ${label}`);
+        return () => events.push(`stop ${label}`);
+      }, [label]);
+      return label;
+    });
+    const container = renderReact(<RefractIsland component={Timer} label="a" />);
+
+    act(() => root.render(<RefractIsland component={Timer} label="b" />));
+    expect(container.textContent).toBe('b');
+    act(() => root.render(null));
+
+    expect(events).toEqual(['start a', 'stop a', 'start b', 'stop b']);
+  });
+
+  it("runs the app's middleware until the last of its islands unmounts", () => {
+    const count = createRefraction(0);
+    const middleware = jest.fn((context, next) => next());
+    const app = createApp(createComponent(() => count.value), {state: {count}, middleware: [middleware]});
+    const writes = () => middleware.mock.calls.filter(([context]) => context.type === 'set').length;
+    const container = renderReact(
+      <>
+        <RefractIsland app={app} />
+        <RefractIsland app={app} />
+      </>,
+    );
+
+    act(() => count.set(1));
+    expect(container.textContent).toBe('11');
+    expect(writes()).toBe(1);
+
+    act(() => root.render(<RefractIsland app={app} />));
+    act(() => count.set(2));
+    expect(writes()).toBe(2);
+
+    act(() => root.render(null));
+    act(() => count.set(3));
+    expect(writes()).toBe(2);
+  });
+});
+
+describe('fromReact', () => {
+  it('re-renders the React component without its Refract parent', () => {
+    const count = createRefraction(0);
+    const parentRenders = jest.fn();
+    const Label = fromReact(({count, suffix}) => `${count}${suffix}`);
+    const Parent = createComponent(() => {
+      parentRenders();
+      return <Label count={count} suffix="!" />;
+    });
+    const {container} = render(<Parent />);
+
+    act(() => count.set(1));
+
+    expect(container.textContent).toBe('1!');
+    expect(parentRenders).toHaveBeenCalledTimes(1);
+  });
+
+  it('unsubscribes when the Refract tree unmounts or passes another refraction', () => {
+    const first = createRefraction('first');
+    const second = createRefraction('second');
+    const firstSubscriptions = trackSubscriptions(first);
+    const secondSubscriptions = trackSubscriptions(second);
+    const cleanup = jest.fn();
+    const Label = fromReact(({text}) => {
+      useEffect(() => cleanup, []);
+      return text;
+    });
+    const {container, rerender, unmount} = render(<Label text={first} />);
+    expect(firstSubscriptions.active).toBe(1);
+
+    rerender(<Label text={second} />);
+    expect(container.textContent).toBe('second');
+    expect(firstSubscriptions.active).toBe(0);
+    expect(secondSubscriptions.active).toBe(1);
+
+    unmount();
+    expect(secondSubscriptions.active).toBe(0);
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  it('forwards refs and names the wrapper after the component', () => {
+    function Field(props, ref) {
+      return <input ref={ref} {...props} />;
+    }
+    const WrappedField = fromReact(forwardRef(Field));
+    const ref = {current: null};
+    const value = createRefraction('Ada');
+    render(<WrappedField ref={ref} value={value} readOnly />);
+
+    expect(ref.current.value).toBe('Ada');
+    expect(fromReact(Field).displayName).toBe('fromReact(Field)');
+  });
+});
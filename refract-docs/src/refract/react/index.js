@@ -0,0 +1,123 @@
+// Reference implementation of `@refract/react`: runs Refract and React
+// components on the same page while an app migrates. Refract components
+// render in React trees through `RefractIsland`, React components read
+// refractions through `toReactHook`, and `fromReact` wraps React components
+// for Refract trees.
+//
+// React components subscribe with `useSyncExternalStore`, so a concurrent
+// render never shows two values of one refraction, and they unsubscribe when
+// they unmount.
+import React, {forwardRef, useRef, useSyncExternalStore} from 'react';
+import {createAppElement} from '../app';
+import {useIsomorphicLayoutEffect} from '../lens';
+import {installMiddleware} from '../middleware';
+import {isRefraction} from '../refraction';
+
+// Apps rendered by islands, mapped to how many islands are mounted and the
+// function that removes the app's middleware once the last one unmounts.
+const islandApps = new Map();
+
+function retainApp(app) {
+  let entry = islandApps.get(app);
+  if (!entry) {
+    entry = {count: 0, uninstall: installMiddleware(app, app.getConfig().middleware)};
+    islandApps.set(app, entry);
+  }
+  entry.count++;
+  return () => {
+    entry.count--;
+    if (entry.count === 0) {
+      entry.uninstall();
+      islandApps.delete(app);
+    }
+  };
+}
+
+/**
+ * Renders a Refract component in a React tree. Props other than
+ * `component` and `app` are passed to the component. With `app`, a
+ * `createApp` instance that isn't mounted itself, the island renders in
+ * that app: its lens extensions, middleware and error boundary apply, and
+ * `component` defaults to the app's root component.
+ */
+export function RefractIsland({component, app, ...props}) {
+  const Component = component ?? app?.component;
+  if (!Component) {
+    throw new TypeError('<RefractIsland> needs a `component` or an `app` to render.');
+  }
+
+  // Middleware runs while at least one island of the app is mounted.
+  useIsomorphicLayoutEffect(() => (app ? retainApp(app) : undefined), [app]);
+
+  const element = <Component {...props} />;
+  return app ? createAppElement(app, element) : element;
+}
+
+/**
+ * Returns a React hook that returns the current value of `refraction`, a
+ * refraction made with `createRefraction` or `createDerived`. Components
+ * using the hook re-render when the value changes.
+ *
+ * @template T
+ * @param {{value: T}} refraction
+ * @returns {() => T}
+ */
+export function toReactHook(refraction) {
+  if (!isRefraction(refraction)) {
+    throw new TypeError('toReactHook(refraction) expects a refraction created with createRefraction() or createDerived().');
+  }
+  const {subscribe, peek} = refraction;
+  return function useRefractionValue() {
+    return useSyncExternalStore(subscribe, peek, peek);
+  };
+}
+
+function isSameList(a, b) {
+  return a.length === b.length && a.every((item, index) => Object.is(item, b[index]));
+}
+
+// The values of `refractions`, kept the same array until one changes, as
+// `useSyncExternalStore` requires. Resubscribes when the refractions change.
+function useRefractionValues(refractions) {
+  const store = useRef(null);
+  if (!store.current || !isSameList(store.current.refractions, refractions)) {
+    const entry = {
+      refractions,
+      values: null,
+      subscribe(onChange) {
+        const unsubscribes = refractions.map((refraction) => refraction.subscribe(onChange));
+        return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+      },
+      getSnapshot() {
+        const values = refractions.map((refraction) => refraction.peek());
+        if (!entry.values || !isSameList(entry.values, values)) {
+          entry.values = values;
+        }
+        return entry.values;
+      },
+    };
+    store.current = entry;
+  }
+  const {subscribe, getSnapshot} = store.current;
+  return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+}
+
+/**
+ * Wraps a React component for use in a Refract tree. Props that are
+ * refractions are passed to it as their values, and it re-renders when they
+ * change without re-rendering the Refract component that passed them. Refs
+ * are forwarded.
+ */
+export function fromReact(Component) {
+  const Wrapped = forwardRef(function FromReact(props, ref) {
+    const names = Object.keys(props).filter((name) => isRefraction(props[name]));
+    const values = useRefractionValues(names.map((name) => props[name]));
+    const resolved = {...props};
+    names.forEach((name, index) => {
+      resolved[name] = values[index];
+    });
+    return <Component {...resolved} ref={ref} />;
+  });
+  Wrapped.displayName = `fromReact(${Component.displayName || Component.name || 'Component'})`;
+  return Wrapped;
+}
@@ -0,0 +1,356 @@
+// Reactive core: refractions, derived refractions, dependency tracking and
+// batching. Nothing in here knows about components or the DOM.
+
+import {getOwners, runMiddleware} from './middleware';
+import {getCurrentLane, moreUrgent, runInScope} from './scheduler';
+
+const NODE = Symbol('refract.node');
+
+let activeTracker = null;
+let batchDepth = 0;
+// Nodes written during a batch, mapped to the most urgent lane they were
+// written in, so their subscribers are notified in that lane.
+const pendingNodes = new Map();
+// Refractions written during the outermost batch, whose owners' middleware
+// runs around its commit.
+const batchWrites = new Set();
+const observers = new Set();
+
+function createNode(read, refresh = null) {
+  return {
+    version: 0,
+    notifiedVersion: 0,
+    subscribers: new Set(),
+    read,
+    refresh,
+  };
+}
+
+function emit(event) {
+  observers.forEach((observer) => observer(event));
+}
+
+function getNode(refraction) {
+  return refraction?.[NODE];
+}
+
+function notify(node) {
+  // Derived nodes are recomputed here rather than when invalidated, so one
+  // that depends on several refractions written in the same batch runs once.
+  node.refresh?.();
+  if (node.version === node.notifiedVersion) {
+    return;
+  }
+  node.notifiedVersion = node.version;
+  const value = node.read();
+  // Subscribers may resubscribe while being notified; iterate a snapshot.
+  Array.from(node.subscribers).forEach((subscriber) => subscriber(value));
+}
+
+function scheduleNotify(node) {
+  if (batchDepth > 0) {
+    pendingNodes.set(node, moreUrgent(pendingNodes.get(node), getCurrentLane()));
+    return;
+  }
+  notify(node);
+}
+
+function flushPending() {
+  // Subscribers may write to other refractions while we flush, which queues
+  // more nodes; keep going until the queue is drained.
+  batchDepth++;
+  try {
+    while (pendingNodes.size > 0) {
+      const nodes = Array.from(pendingNodes);
+      pendingNodes.clear();
+      nodes.forEach(([node, lane]) => runInScope(() => notify(node), lane));
+    }
+  } finally {
+    batchDepth--;
+  }
+}
+
+function trackRead(refraction) {
+  if (activeTracker) {
+    activeTracker.set(refraction, getNode(refraction).version);
+  }
+}
+
+/**
+ * Calls `observer` with every write (`{type: 'write', refraction, value,
+ * previous}`), every recompute of a derived refraction (`{type: 'compute',
+ * refraction, dependencies}`) and the start and end of every outermost batch
+ * (`{type: 'batch', phase: 'start' | 'end'}`). Meant for debugging tools.
+ * Returns a function that removes the observer.
+ */
+export function observeRefractions(observer) {
+  observers.add(observer);
+  return () => {
+    observers.delete(observer);
+  };
+}
+
+/**
+ * Returns whether `value` is a refraction (plain or derived).
+ */
+export function isRefraction(value) {
+  return Boolean(getNode(value));
+}
+
+/**
+ * Runs `fn` and records every refraction whose `value` was read during the
+ * call. Returns the result together with a `Map` of refraction to the
+ * version that was observed.
+ */
+export function track(fn) {
+  const previous = activeTracker;
+  const dependencies = new Map();
+  activeTracker = dependencies;
+  try {
+    return {result: fn(), dependencies};
+  } finally {
+    activeTracker = previous;
+  }
+}
+
+/**
+ * Runs `fn` without recording any refraction reads in the surrounding
+ * tracking scope.
+ */
+export function untracked(fn) {
+  const previous = activeTracker;
+  activeTracker = null;
+  try {
+    return fn();
+  } finally {
+    activeTracker = previous;
+  }
+}
+
+/**
+ * Subscribes `onChange` to every refraction in `dependencies` and calls it
+ * straight away if any of them changed since the versions were recorded.
+ * Returns a function that removes all subscriptions.
+ */
+export function subscribeToDependencies(dependencies, onChange) {
+  const unsubscribers = [];
+  let stale = false;
+  dependencies.forEach((version, refraction) => {
+    unsubscribers.push(refraction.subscribe(onChange));
+    if (getNode(refraction).version !== version) {
+      stale = true;
+    }
+  });
+  if (stale) {
+    onChange();
+  }
+  return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+}
+
+/**
+ * Groups refraction writes so that subscribers are notified once, after
+ * `fn` returns, and the components they re-render render together. Nested
+ * calls join the outermost batch.
+ */
+export function batch(fn) {
+  return runInScope(() => {
+    if (batchDepth === 0) {
+      emit({type: 'batch', phase: 'start'});
+    }
+    batchDepth++;
+    try {
+      return fn();
+    } finally {
+      batchDepth--;
+      if (batchDepth === 0) {
+        emit({type: 'batch', phase: 'end'});
+        const written = Array.from(batchWrites);
+        batchWrites.clear();
+        if (pendingNodes.size > 0) {
+          runMiddleware({type: 'batch'}, flushPending, batchOwners(written));
+          // Writes made by subscribers were committed with this batch.
+          batchWrites.clear();
+        }
+      }
+    }
+  });
+}
+
+// The apps owning the writes of a batch; none, so every mounted app's
+// middleware runs, when one of the writes has no owner.
+function batchOwners(refractions) {
+  const owners = refractions.map(getOwners);
+  if (owners.some((apps) => apps.length === 0)) {
+    return [];
+  }
+  return Array.from(new Set(owners.flat()));
+}
+
+function resolveNext(next, previous) {
+  return typeof next === 'function' ? next(previous) : next;
+}
+
+/**
+ * Creates a standalone reactive value. Used directly for global state and by
+ * `lens.useRefraction` for component state.
+ *
+ * @template T
+ * @param {T} initialValue
+ */
+export function createRefraction(initialValue) {
+  let current = initialValue;
+  const node = createNode(() => current);
+
+  // The last step of the middleware pipeline, with the value middleware
+  // settled on.
+  const write = ({value}) => {
+    if (Object.is(value, current)) {
+      return;
+    }
+    const previous = current;
+    current = value;
+    node.version++;
+    emit({type: 'write', refraction, value, previous});
+    if (batchDepth > 0) {
+      batchWrites.add(refraction);
+    }
+    scheduleNotify(node);
+  };
+
+  const refraction = {
+    [NODE]: node,
+
+    get value() {
+      trackRead(refraction);
+      return current;
+    },
+
+    set value(next) {
+      refraction.set(next);
+    },
+
+    peek() {
+      return current;
+    },
+
+    set(next) {
+      const value = resolveNext(next, current);
+      if (Object.is(value, current)) {
+        return;
+      }
+      runMiddleware({type: 'set', refraction, value, previous: current}, write);
+    },
+
+    update(key, next) {
+      refraction.set((previous) => {
+        const copy = Array.isArray(previous) ? [...previous] : {...previous};
+        copy[key] = resolveNext(next, previous?.[key]);
+        return copy;
+      });
+    },
+
+    subscribe(callback) {
+      node.subscribers.add(callback);
+      return () => {
+        node.subscribers.delete(callback);
+      };
+    },
+  };
+
+  return refraction;
+}
+
+/**
+ * Creates a read-only refraction whose value is computed from other
+ * refractions. Dependencies are tracked automatically; the value is
+ * recomputed eagerly while something is subscribed and lazily otherwise.
+ *
+ * @template T
+ * @param {() => T} compute
+ */
+export function createDerived(compute) {
+  let current;
+  let dirty = true;
+  let unsubscribeSources = () => {};
+  const node = createNode(
+    () => current,
+    () => {
+      if (dirty) {
+        recompute();
+      }
+    },
+  );
+
+  const recompute = () => {
+    unsubscribeSources();
+    const {result, dependencies} = track(compute);
+    dirty = false;
+    unsubscribeSources = subscribeToDependencies(dependencies, invalidate);
+    emit({type: 'compute', refraction: derived, dependencies: Array.from(dependencies.keys())});
+    if (Object.is(result, current)) {
+      return;
+    }
+    current = result;
+    node.version++;
+  };
+
+  function invalidate() {
+    if (dirty) {
+      return;
+    }
+    dirty = true;
+    if (node.subscribers.size === 0) {
+      // Nobody is listening: bump the version so trackers see a change and
+      // recompute on the next read.
+      node.version++;
+      return;
+    }
+    scheduleNotify(node);
+  }
+
+  const derived = {
+    [NODE]: node,
+
+    get value() {
+      if (dirty) {
+        recompute();
+      }
+      trackRead(derived);
+      return current;
+    },
+
+    peek() {
+      if (dirty) {
+        recompute();
+      }
+      return current;
+    },
+
+    set() {
+      throw new Error('Derived refractions are read-only.');
+    },
+
+    subscribe(callback) {
+      if (dirty) {
+        recompute();
+      }
+      if (node.subscribers.size === 0) {
+        // Lazy recomputes bump the version without notifying anyone; the
+        // first subscriber starts from the current value.
+        node.notifiedVersion = node.version;
+      }
+      node.subscribers.add(callback);
+      return () => {
+        node.subscribers.delete(callback);
+      };
+    },
+
+    dispose() {
+      unsubscribeSources();
+      unsubscribeSources = () => {};
+      dirty = true;
+    },
+  };
+
+  return derived;
+}
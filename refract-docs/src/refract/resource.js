@@ -0,0 +1,368 @@
+import React, {useContext, useEffect} from 'react';
+import {createRefraction} from './refraction';
+
+// Async resources: data loaded by a fetcher and cached by key, so every
+// component asking for the same key shares one request and one value.
+//
+// Each app has its own cache, and so does each server render, so one app or
+// request never sees the data of another. Components outside any app, and
+// `createResource` without an `app`, share a cache of their own.
+//
+// Each cache entry keeps its state in a refraction, so components reading
+// `resource.data` re-render when it loads like they do for any refraction.
+// Components using an entry through `lens.useResource` are counted; when the
+// last one goes away, a request still in flight is aborted, and the entry is
+// dropped from its cache after `cacheTime` unless a component uses it again.
+
+const DEFAULT_OPTIONS = {
+  staleTime: 0,
+  cacheTime: 5 * 60 * 1000,
+};
+
+const sharedCache = new Map();
+const appCaches = new WeakMap();
+
+/**
+ * The cache `lens.useResource` uses in a tree. `createAppElement` provides
+ * the app's cache, and the server renderers one per render.
+ */
+export const ResourceCacheContext = React.createContext(null);
+
+/**
+ * Returns the resource cache of `app`, creating it the first time.
+ */
+export function getResourceCache(app) {
+  let cache = appCaches.get(app);
+  if (!cache) {
+    cache = new Map();
+    appCaches.set(app, cache);
+  }
+  return cache;
+}
+
+function hashKey(key) {
+  return typeof key === 'string' ? key : JSON.stringify(key);
+}
+
+function isDisabled(key) {
+  return key === null || key === undefined || key === false;
+}
+
+// Settles `entry.promise`, the promise Suspense waits on, whether the request
+// succeeded, failed or was aborted.
+function settle(entry) {
+  const resolve = entry.resolve;
+  entry.promise = null;
+  entry.resolve = null;
+  resolve?.();
+}
+
+// `forRender` is set for the requests a render starts, when it reads a
+// resource that has no data yet.
+function load(entry, forRender = false) {
+  entry.controller?.abort();
+  const controller = new AbortController();
+  entry.controller = controller;
+  entry.loadedForMount = false;
+  if (!entry.promise) {
+    entry.promise = new Promise((resolve) => {
+      entry.resolve = resolve;
+    });
+  }
+  const promise = entry.promise;
+  entry.state.set((state) => (state.isValidating ? state : {...state, isValidating: true}));
+
+  // A newer request, a mutation or the last user leaving replaces or clears
+  // the controller; the result of this request is then ignored.
+  const finish = (next) => {
+    if (entry.controller !== controller) {
+      return;
+    }
+    entry.controller = null;
+    // A component that suspended until this request settled mounts next;
+    // the data is as fresh as it gets, so it isn't revalidated then.
+    entry.loadedForMount = forRender && entry.users === 0 && next.status === 'success';
+    entry.state.set((state) => ({...state, ...next, isValidating: false}));
+    settle(entry);
+  };
+
+  let request;
+  try {
+    request = entry.fetcher(entry.key, {signal: controller.signal});
+  } catch (error) {
+    request = Promise.reject(error);
+  }
+  Promise.resolve(request).then(
+    (data) => finish({status: 'success', data, error: null, updatedAt: Date.now()}),
+    (error) => finish({status: 'error', error}),
+  );
+  return promise;
+}
+
+// Aborts the request in flight, keeping whatever data the entry has.
+function cancel(entry) {
+  const {controller} = entry;
+  if (!controller) {
+    return;
+  }
+  entry.controller = null;
+  controller.abort();
+  entry.state.set((state) => ({...state, isValidating: false}));
+  settle(entry);
+}
+
+function hasData(state) {
+  return state.updatedAt !== null;
+}
+
+// Starts the first request for an entry when its state is read.
+function ensureLoading(entry) {
+  const state = entry.state.peek();
+  if (!hasData(state) && state.status !== 'error' && !entry.controller) {
+    load(entry, true);
+  }
+}
+
+function isStale(entry) {
+  const {updatedAt} = entry.state.peek();
+  return updatedAt === null || Date.now() - updatedAt >= entry.options.staleTime;
+}
+
+function acquire(entry) {
+  entry.users++;
+  clearTimeout(entry.evictTimer);
+  entry.evictTimer = null;
+  const {loadedForMount} = entry;
+  entry.loadedForMount = false;
+  if (!entry.controller && !loadedForMount && isStale(entry)) {
+    load(entry);
+  }
+}
+
+function release(entry) {
+  entry.users--;
+  if (entry.users === 0) {
+    cancel(entry);
+    entry.evictTimer = setTimeout(() => evict(entry), entry.options.cacheTime);
+  }
+}
+
+// Drops an entry nobody uses; the next component asking for its key starts
+// over with a new request.
+function evict(entry) {
+  clearTimeout(entry.evictTimer);
+  entry.evictTimer = null;
+  cancel(entry);
+  if (entry.cache.get(entry.hash) === entry) {
+    entry.cache.delete(entry.hash);
+  }
+}
+
+function createHandle(entry) {
+  return {
+    key: entry.key,
+
+    /** The loaded data; `undefined` until the first request succeeds. */
+    get data() {
+      ensureLoading(entry);
+      return entry.state.value.data;
+    },
+
+    /** The error of the last request, or `null`. */
+    get error() {
+      ensureLoading(entry);
+      return entry.state.value.error;
+    },
+
+    /** `'pending'` until the first request settles, then `'success'` or `'error'`. */
+    get status() {
+      ensureLoading(entry);
+      return entry.state.value.status;
+    },
+
+    /** Whether a request is in flight, including background revalidation. */
+    get isValidating() {
+      ensureLoading(entry);
+      return entry.state.value.isValidating;
+    },
+
+    /**
+     * Returns the data for rendering inside a `Suspense` boundary: suspends
+     * until the first request settles, and throws its error if it failed.
+     */
+    read() {
+      const state = entry.state.value;
+      if (hasData(state)) {
+        return state.data;
+      }
+      if (state.status === 'error') {
+        throw state.error;
+      }
+      if (!entry.controller) {
+        load(entry, true);
+      }
+      throw entry.promise;
+    },
+
+    /**
+     * Fetches the data again, keeping the current data until it arrives.
+     * Resolves once the request has settled.
+     */
+    revalidate() {
+      return load(entry);
+    },
+
+    /**
+     * Replaces the data straight away. `next` is a value or an updater.
+     * With `commit`, an async function saving the change, the previous data
+     * is put back if it rejects; if it resolves to a value, that becomes
+     * the data. The resource then revalidates unless `revalidate` is false.
+     */
+    async mutate(next, {commit, revalidate = true} = {}) {
+      const previous = entry.state.peek();
+      const data = typeof next === 'function' ? next(previous.data) : next;
+      // A request in flight would overwrite the new data with older data.
+      cancel(entry);
+      entry.state.set((state) => ({...state, status: 'success', data, error: null, updatedAt: Date.now()}));
+      if (commit) {
+        let result;
+        try {
+          result = await commit(data);
+        } catch (error) {
+          // Unless a later mutation replaced it in the meantime.
+          if (entry.state.peek().data === data) {
+            entry.state.set((state) => ({
+              ...state,
+              status: previous.status,
+              data: previous.data,
+              error: previous.error,
+              updatedAt: previous.updatedAt,
+            }));
+          }
+          throw error;
+        }
+        if (result !== undefined && entry.state.peek().data === data) {
+          entry.state.set((state) => ({...state, data: result, updatedAt: Date.now()}));
+        }
+      }
+      if (revalidate) {
+        await load(entry);
+      }
+    },
+  };
+}
+
+function getEntry(cache, key, fetcher, options) {
+  if (typeof fetcher !== 'function') {
+    throw new TypeError(`The resource "${hashKey(key)}" needs a fetcher function.`);
+  }
+  const hash = hashKey(key);
+  let entry = cache.get(hash);
+  if (!entry) {
+    const hasInitialData = options.initialData !== undefined;
+    entry = {
+      key,
+      hash,
+      cache,
+      users: 0,
+      evictTimer: null,
+      controller: null,
+      loadedForMount: false,
+      promise: null,
+      resolve: null,
+      // Initial data counts as already stale, so it's revalidated when
+      // first used. Without it, reading the state starts the first request,
+      // so it starts out validating and the first render doesn't write to
+      // it.
+      state: createRefraction({
+        status: hasInitialData ? 'success' : 'pending',
+        data: options.initialData,
+        error: null,
+        isValidating: !hasInitialData,
+        updatedAt: hasInitialData ? 0 : null,
+      }),
+    };
+    entry.resource = createHandle(entry);
+    cache.set(hash, entry);
+  }
+  // The latest fetcher and options win, so they can close over props.
+  entry.fetcher = fetcher;
+  entry.options = {...DEFAULT_OPTIONS, ...options};
+  return entry;
+}
+
+// Returned for a disabled key: nothing is fetched until the key is set.
+const IDLE_RESOURCE = Object.freeze({
+  key: null,
+  data: undefined,
+  error: null,
+  status: 'idle',
+  isValidating: false,
+  read() {
+    throw new Error('Cannot read a resource without a key.');
+  },
+  revalidate() {
+    return Promise.resolve();
+  },
+  mutate() {
+    return Promise.reject(new Error('Cannot mutate a resource without a key.'));
+  },
+});
+
+/**
+ * Returns the resource cached under `key`, creating it the first time.
+ * `fetcher(key, {signal})` loads the data and may return a promise; the
+ * first read of the resource starts it. Keys are strings or arrays, like
+ * `['user', id]`.
+ *
+ * Options:
+ * - `staleTime`: how long loaded data counts as fresh, in milliseconds (0).
+ *   Stale data is revalidated in the background when a component starts
+ *   using it.
+ * - `cacheTime`: how long the resource stays cached after the last
+ *   component using it unmounts, in milliseconds (5 minutes).
+ * - `initialData`: data to show until the first request succeeds.
+ * - `app`: the app whose components share the resource. Without it, the
+ *   resource is shared with components rendered outside any app.
+ *
+ * @param {string | any[]} key
+ * @param {(key: any, context: {signal: AbortSignal}) => any} fetcher
+ * @param {object} [options]
+ */
+export function createResource(key, fetcher, options = {}) {
+  if (isDisabled(key)) {
+    throw new TypeError('createResource(key, fetcher) needs a key.');
+  }
+  const {app, ...resourceOptions} = options;
+  const cache = app ? getResourceCache(app) : sharedCache;
+  return getEntry(cache, key, fetcher, resourceOptions).resource;
+}
+
+/**
+ * Backs `lens.useResource`: the resource for `key` in the cache of the
+ * tree, used by the component while it is mounted. A `null`, `undefined`
+ * or `false` key returns an idle resource, for requests that wait on other
+ * data.
+ */
+export function useResourceHandle(key, fetcher, options = {}) {
+  const cache = useContext(ResourceCacheContext) ?? sharedCache;
+  const entry = isDisabled(key) ? null : getEntry(cache, key, fetcher, options);
+
+  useEffect(() => {
+    if (!entry) {
+      return undefined;
+    }
+    acquire(entry);
+    return () => release(entry);
+  }, [entry]);
+
+  return entry ? entry.resource : IDLE_RESOURCE;
+}
+
+/**
+ * Aborts every request in flight in `cache` and empties it. Defaults to the
+ * cache shared outside apps, which tests empty between them.
+ */
+export function clearResourceCache(cache = sharedCache) {
+  cache.forEach(evict);
+}
@@ -0,0 +1,203 @@
+import {createApp, createComponent} from '../..';
+import {act, render} from '../../testing-utils';
+import {createBrowserHistory, createMemoryHistory, createRouter, routerPlugin, RouterView} from '..';
+
+const Home = () => <h1>Home</h1>;
+const User = createComponent(({lens}) => <h1>User {lens.useRoute().params.id}</h1>);
+const routes = [
+  {path: '/', component: Home},
+  {path: '/users/:id', component: User},
+  {path: '/admin', component: () => <h1>Admin</h1>},
+];
+
+function createMemoryRouter(initialEntries = ['/'], options) {
+  const history = createMemoryHistory({initialEntries});
+  return {history, router: createRouter({routes, history, ...options})};
+}
+
+describe('matching', () => {
+  it('decodes parameters', () => {
+    const {router} = createMemoryRouter();
+
+    expect(router.resolve('/users/ada%20lovelace').params).toEqual({id: 'ada lovelace'});
+  });
+
+  it('treats malformed escapes as unmatched instead of throwing', () => {
+    const {router} = createMemoryRouter(['/users/%E0%A4']);
+    router.start();
+
+    expect(router.route.peek()).toMatchObject({pathname: '/users/%E0%A4', matched: []});
+  });
+});
+
+describe('guards', () => {
+  it('rejects push when a guard throws, and keeps the route', async () => {
+    const {router, history} = createMemoryRouter();
+    router.start();
+    router.beforeEach((to) => {
+      if (to.pathname === '/admin') {
+        throw new Error('Denied');
+      }
+    });
+
+    await expect(router.push('/admin')).rejects.toThrow('Denied');
+    expect(router.route.peek().pathname).toBe('/');
+    expect(history.entries).toHaveLength(1);
+  });
+
+  it('rejects push when a guard rejects', async () => {
+    const {router} = createMemoryRouter();
+    router.start();
+    router.beforeEach(() => Promise.reject(new Error('Offline')));
+
+    await expect(router.push('/admin')).rejects.toThrow('Offline');
+  });
+
+  it('rejects after too many redirects', async () => {
+    const {router} = createMemoryRouter();
+    router.start();
+    router.beforeEach((to) => (to.pathname === '/admin' ? '/users/1' : to.pathname === '/users/1' ? '/admin' : true));
+
+    await expect(router.push('/admin')).rejects.toThrow('Too many redirects');
+  });
+
+  it('reports errors from the first navigation and still becomes ready', async () => {
+    const onError = jest.fn();
+    const {router} = createMemoryRouter(['/'], {onError});
+    router.beforeEach(() => Promise.reject(new Error('Offline')));
+    router.start();
+
+    await router.ready;
+    await Promise.resolve();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({message: 'Offline'}));
+    expect(router.route.peek()).toBeNull();
+  });
+
+  it('undoes a cancelled back navigation without overwriting entries', () => {
+    const {router, history} = createMemoryRouter(['/', '/users/1', '/users/2']);
+    router.start();
+    const guard = jest.fn(() => false);
+    router.beforeEach(guard);
+
+    router.go(-2);
+
+    expect(guard).toHaveBeenCalledTimes(1);
+    expect(history.index).toBe(2);
+    expect(history.entries.map((entry) => entry.pathname)).toEqual(['/', '/users/1', '/users/2']);
+    expect(router.route.peek().pathname).toBe('/users/2');
+  });
+
+  it('reports errors from back/forward guards and undoes the move', () => {
+    const onError = jest.fn();
+    const {router, history} = createMemoryRouter(['/', '/users/1'], {onError});
+    router.start();
+    router.beforeEach(() => {
+      throw new Error('Denied');
+    });
+
+    router.back();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({message: 'Denied'}));
+    expect(history.index).toBe(1);
+    expect(router.route.peek().pathname).toBe('/users/1');
+  });
+});
+
+describe('browser history', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  function popped() {
+    return new Promise((resolve) => window.addEventListener('popstate', resolve, {once: true}));
+  }
+
+  it('undoes a cancelled back navigation with history.go', async () => {
+    const router = createRouter({routes, history: createBrowserHistory()});
+    router.start();
+    await router.push('/users/1');
+    await router.push('/users/2');
+    const removeGuard = router.beforeEach((to) => to.pathname !== '/users/1');
+
+    router.back();
+    await popped();
+    await popped();
+
+    expect(window.location.pathname).toBe('/users/2');
+    expect(router.route.peek().pathname).toBe('/users/2');
+
+    // The entry the user moved to is still there.
+    removeGuard();
+    router.back();
+    await popped();
+    expect(window.location.pathname).toBe('/users/1');
+    expect(router.route.peek().pathname).toBe('/users/1');
+    router.stop();
+  });
+});
+
+describe('routerPlugin', () => {
+  it('starts when the app mounts and stops when it unmounts', () => {
+    const plugin = routerPlugin({routes, mode: 'memory', initialEntries: ['/', '/users/1']});
+    const app = createApp(() => <RouterView />).use(plugin);
+    const container = document.createElement('div');
+
+    expect(plugin.router.route.peek()).toBeNull();
+
+    act(() => {
+      app.mount(container);
+    });
+    expect(container.textContent).toBe('User 1');
+
+    act(() => app.unmount());
+    plugin.router.back();
+    expect(plugin.router.route.peek().pathname).toBe('/users/1');
+  });
+
+  it('starts on install for server rendering', async () => {
+    const plugin = routerPlugin({routes, mode: 'memory', initialEntries: ['/admin']});
+    createApp(() => null, {ssr: true}).use(plugin);
+
+    await plugin.router.ready;
+    expect(plugin.router.route.peek().pathname).toBe('/admin');
+  });
+
+  it("sends guard errors to the app's onError", () => {
+    const onError = jest.fn();
+    const plugin = routerPlugin({
+      routes,
+      mode: 'memory',
+      beforeEach: () => {
+        throw new Error('Denied');
+      },
+    });
+    render(<RouterView />, {plugins: [plugin], onError});
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({message: 'Denied'}), {});
+  });
+});
+
+describe('useRouteRefraction', () => {
+  it('reports errors from the navigations its writes make', async () => {
+    const onError = jest.fn();
+    const plugin = routerPlugin({routes, mode: 'memory', initialEntries: ['/'], onError});
+    plugin.router.beforeEach((to) => {
+      if (to.query.page) {
+        throw new Error('Denied');
+      }
+    });
+    let page;
+    const Pager = createComponent(({lens}) => {
+      page = lens.useRouteRefraction('page', 1);
+      return null;
+    });
+    render(<Pager />, {plugins: [plugin]});
+
+    await act(async () => {
+      page.set(2);
+    });
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({message: 'Denied'}));
+    expect(plugin.router.route.peek().search).toBe('');
+  });
+});
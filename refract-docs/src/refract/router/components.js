@@ -0,0 +1,96 @@
+import React, {useContext} from 'react';
+import {createComponent, Suspense} from '../component';
+
+// How many matched routes the enclosing `RouterView`s have rendered.
+const DepthContext = React.createContext(0);
+
+/**
+ * Returns `lens[name]`, added by the router plugin, or explains how to
+ * install it.
+ */
+export function getRouterMethod(lens, name) {
+  if (typeof lens[name] !== 'function') {
+    throw new Error(
+      `lens.${name}() is not available. Install the router with app.use(routerPlugin({routes})).`,
+    );
+  }
+  return lens[name];
+}
+
+/**
+ * Renders the component of the matched route at this depth: the top-level
+ * route for the outermost `RouterView`, its child for a `RouterView` inside
+ * that component, and so on. Routes without a component are skipped. Lazy
+ * route components suspend into `fallback`.
+ */
+export const RouterView = createComponent(function RouterView({lens, fallback = null}) {
+  const route = getRouterMethod(lens, 'useRoute')();
+  const depth = useContext(DepthContext);
+  const matched = route?.matched ?? [];
+  let index = depth;
+  while (index < matched.length && !matched[index].component) {
+    index++;
+  }
+  if (index >= matched.length) {
+    return null;
+  }
+  const Component = matched[index].component;
+  return (
+    <DepthContext.Provider value={index + 1}>
+      <Suspense fallback={fallback}>
+        <Component params={route.params} />
+      </Suspense>
+    </DepthContext.Provider>
+  );
+});
+
+function isPlainLeftClick(event) {
+  return (
+    event.button === 0 && !event.metaKey && !event.altKey && !event.ctrlKey && !event.shiftKey
+  );
+}
+
+/**
+ * An `<a>` that navigates with the router. `to` takes the same values as
+ * `router.push`; `replace` replaces the current entry instead. Clicks that
+ * open a new tab or window are left to the browser. The link to the current
+ * path gets `aria-current="page"`.
+ */
+export const Link = createComponent(function Link({
+  lens,
+  to,
+  replace = false,
+  state,
+  target,
+  onClick,
+  children,
+  ...rest
+}) {
+  const router = getRouterMethod(lens, 'useRouter')();
+  const route = getRouterMethod(lens, 'useRoute')();
+  const destination = router.resolve(to);
+
+  const handleClick = (event) => {
+    onClick?.(event);
+    if (event.defaultPrevented || !isPlainLeftClick(event) || (target && target !== '_self')) {
+      return;
+    }
+    event.preventDefault();
+    if (replace) {
+      router.replace(to, state);
+    } else {
+      router.push(to, state);
+    }
+  };
+
+  return (
+    <a
+      aria-current={route?.pathname === destination.pathname ? 'page' : undefined}
+      {...rest}
+      href={router.history.createHref(destination.path)}
+      target={target}
+      onClick={handleClick}>
+      {children}
+    </a>
+  );
+});
@@ -0,0 +1,168 @@
+// History backends. Both expose the same interface, so the router doesn't
+// care whether it runs in a browser or in Node:
+//
+//   location                    {pathname, search, hash, state, key}
+//   push(path, state)           add an entry
+//   replace(path, state)        change the current entry
+//   go(delta)                   move through the entries
+//   listen(listener)            called with the location and how many
+//                               entries it moved (when known) after go()
+//                               and browser back/forward; returns an
+//                               unlisten
+//   createHref(path)            the href for a link to `path`
+
+let nextKey = 1;
+
+function parsePath(path) {
+  const url = new URL(path, 'http://refract.invalid');
+  return {pathname: url.pathname, search: url.search, hash: url.hash};
+}
+
+function createLocation(path, state = null, key = String(nextKey++)) {
+  return {...parsePath(path), state, key};
+}
+
+function normalizeBase(base) {
+  const trimmed = base.replace(/\/+$/, '');
+  return trimmed === '' || trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+/**
+ * History kept in memory, for tests, server rendering and embedded apps.
+ *
+ * @param {{initialEntries?: string[], initialIndex?: number}} [options]
+ */
+export function createMemoryHistory({initialEntries = ['/'], initialIndex} = {}) {
+  const entries = initialEntries.map((path) => createLocation(path));
+  let index = Math.min(Math.max(initialIndex ?? entries.length - 1, 0), entries.length - 1);
+  const listeners = new Set();
+
+  const history = {
+    get location() {
+      return entries[index];
+    },
+
+    get entries() {
+      return entries;
+    },
+
+    get index() {
+      return index;
+    },
+
+    push(path, state) {
+      entries.splice(index + 1, entries.length, createLocation(path, state));
+      index = entries.length - 1;
+    },
+
+    replace(path, state) {
+      entries[index] = createLocation(path, state);
+    },
+
+    go(delta) {
+      const next = Math.min(Math.max(index + delta, 0), entries.length - 1);
+      if (next === index) {
+        return;
+      }
+      const moved = next - index;
+      index = next;
+      listeners.forEach((listener) => listener(entries[index], moved));
+    },
+
+    listen(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+
+    createHref(path) {
+      return path;
+    },
+  };
+
+  return history;
+}
+
+/**
+ * History backed by the browser's address bar and `window.history`. Paths
+ * are relative to `base`, so an app served from `/app/` routes `/users` to
+ * `/app/users`.
+ *
+ * @param {{base?: string}} [options]
+ */
+export function createBrowserHistory({base = ''} = {}) {
+  const prefix = normalizeBase(base);
+
+  const read = () => {
+    const {pathname, search, hash} = window.location;
+    const path = pathname.startsWith(prefix) ? pathname.slice(prefix.length) || '/' : pathname;
+    return createLocation(`${path}${search}${hash}`, window.history.state?.state ?? null, window.history.state?.key);
+  };
+
+  let location = read();
+  // Entries record their position, so a popstate knows how far it moved.
+  // The entry the page loaded in is position 0; entries written by others,
+  // like hash links, have none.
+  const readIndex = () => window.history.state?.index;
+  let index = readIndex();
+  if (index === undefined) {
+    index = 0;
+    window.history.replaceState({key: location.key, state: location.state, index}, '');
+  }
+  const listeners = new Set();
+
+  const onPopState = () => {
+    const previous = index;
+    location = read();
+    index = readIndex();
+    const delta = index === undefined || previous === undefined ? undefined : index - previous;
+    listeners.forEach((listener) => listener(location, delta));
+  };
+
+  const write = (method, path, state) => {
+    location = createLocation(path, state);
+    if (method === 'pushState') {
+      index = (index ?? 0) + 1;
+    }
+    window.history[method]({key: location.key, state, index}, '', `${prefix}${path}`);
+  };
+
+  const history = {
+    get location() {
+      return location;
+    },
+
+    push(path, state) {
+      write('pushState', path, state);
+    },
+
+    replace(path, state) {
+      write('replaceState', path, state);
+    },
+
+    go(delta) {
+      // Answered asynchronously with a `popstate` event.
+      window.history.go(delta);
+    },
+
+    listen(listener) {
+      if (listeners.size === 0) {
+        window.addEventListener('popstate', onPopState);
+      }
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          window.removeEventListener('popstate', onPopState);
+        }
+      };
+    },
+
+    createHref(path) {
+      return `${prefix}${path}`;
+    },
+  };
+
+  return history;
+}
@@ -0,0 +1,110 @@
+// Reference implementation of `@refract/router`. The plugin adds
+// `lens.useRouter()`, `lens.useRoute()` and `lens.useRouteRefraction()` to
+// every component of the app it is installed on.
+import {useLens} from '../lens';
+import {setOwner} from '../middleware';
+import {getRouterMethod} from './components';
+import {createBrowserHistory, createMemoryHistory} from './history';
+import {useRouteRefraction as bindRouteRefraction} from './routeRefraction';
+import {createRouter} from './router';
+
+export {Link, RouterView} from './components';
+export {createBrowserHistory, createMemoryHistory} from './history';
+export {createRouter} from './router';
+
+function createHistory({mode, base, initialEntries}) {
+  const memory = mode === 'memory' || (mode === undefined && typeof window === 'undefined');
+  if (memory) {
+    return createMemoryHistory({initialEntries});
+  }
+  if (mode !== undefined && mode !== 'history') {
+    throw new Error(`Unknown router mode "${mode}". Use "history" or "memory".`);
+  }
+  return createBrowserHistory({base});
+}
+
+/**
+ * Routes the app with nested `routes`, each `{path, component, children,
+ * beforeEnter}`.
+ *
+ * - `mode: 'history'` uses the address bar (under `base`); `'memory'` keeps
+ *   the history in memory, starting at `initialEntries`, for tests and
+ *   server rendering. Defaults to `'history'` in a browser and `'memory'`
+ *   elsewhere. A ready-made `history` can be passed instead.
+ * - `beforeEach(to, from)` guards every navigation; see
+ *   `router.beforeEach`.
+ * - `onError(error)` gets errors thrown by guards during navigations
+ *   nothing awaits. Defaults to the app's `onError`, or `console.error`.
+ *
+ * The router starts listening to the history when the app mounts, and
+ * stops when it unmounts. Apps created with `ssr: true` never mount, so
+ * their router starts when it is installed.
+ *
+ * @param {object} options
+ */
+export function routerPlugin(options = {}) {
+  const {routes = [], mode, base = '', initialEntries, history, beforeEach, onError} = options;
+  let appOnError = null;
+  const router = createRouter({
+    routes,
+    history: history ?? createHistory({mode, base, initialEntries}),
+    onError: (error) => {
+      const handler = onError ?? appOnError;
+      if (handler) {
+        handler(error);
+      } else {
+        console.error(error);
+      }
+    },
+  });
+  if (beforeEach) {
+    router.beforeEach(beforeEach);
+  }
+
+  return {
+    name: 'router',
+    router,
+    install(app) {
+      app.extendLens({
+        useRouter: () => router,
+        useRoute: () => router.route.value,
+        useRouteRefraction: (lens, param, defaultValue) =>
+          bindRouteRefraction(router, lens, param, defaultValue),
+      });
+      // Navigations only run through this app's middleware.
+      setOwner(router.route, app);
+      const config = app.getConfig();
+      appOnError = config.onError && ((error) => config.onError(error, {}));
+      if (config.ssr) {
+        router.start();
+        return;
+      }
+
+      // Only listen to the address bar while the app is mounted.
+      const {mount, unmount} = app;
+      app.mount = (container) => {
+        router.start();
+        return mount(container);
+      };
+      app.unmount = () => {
+        unmount();
+        router.stop();
+      };
+    },
+  };
+}
+
+/** Module-level `lens.useRouter()`. */
+export function useRouter() {
+  return getRouterMethod(useLens(), 'useRouter')();
+}
+
+/** Module-level `lens.useRoute()`. */
+export function useRoute() {
+  return getRouterMethod(useLens(), 'useRoute')();
+}
+
+/** Module-level `lens.useRouteRefraction(param, defaultValue)`. */
+export function useRouteRefraction(param, defaultValue) {
+  return getRouterMethod(useLens(), 'useRouteRefraction')(param, defaultValue);
+}
@@ -0,0 +1,102 @@
+// Route patterns: `/users/:id` (a param), `/files/:path?` (an optional
+// param) and `/docs/*` (the rest of the path, as `params['*']`). Child route
+// paths are relative to their parent; a child with path `''` matches the
+// parent's path itself.
+
+function joinPaths(parent, child) {
+  if (child.startsWith('/')) {
+    return child;
+  }
+  return `${parent.replace(/\/$/, '')}/${child}`.replace(/\/$/, '') || '/';
+}
+
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+function compilePattern(path) {
+  return splitPath(path).map((segment, index, segments) => {
+    if (segment === '*') {
+      if (index !== segments.length - 1) {
+        throw new Error(`Invalid route path "${path}": "*" must be the last segment.`);
+      }
+      return {type: 'splat'};
+    }
+    if (segment.startsWith(':')) {
+      const optional = segment.endsWith('?');
+      return {type: 'param', name: segment.slice(1, optional ? -1 : undefined), optional};
+    }
+    return {type: 'static', value: segment};
+  });
+}
+
+function matchPattern(pattern, pathname) {
+  const segments = splitPath(pathname);
+  const params = {};
+  let position = 0;
+  for (const part of pattern) {
+    if (part.type === 'splat') {
+      params['*'] = segments.slice(position).join('/');
+      return params;
+    }
+    const segment = segments[position];
+    if (segment === undefined) {
+      if (part.type === 'param' && part.optional) {
+        continue;
+      }
+      return null;
+    }
+    if (part.type === 'static' && part.value !== segment) {
+      return null;
+    }
+    if (part.type === 'param') {
+      // A malformed escape like `%E0%A4` can't be a valid parameter, so the
+      // route doesn't match.
+      try {
+        params[part.name] = decodeURIComponent(segment);
+      } catch {
+        return null;
+      }
+    }
+    position++;
+  }
+  return position === segments.length ? params : null;
+}
+
+/**
+ * Flattens `routes` into the list of paths they can match, each with the
+ * chain of routes from the outermost to the innermost. A route with
+ * children only matches through them, unless none of them has path `''`.
+ */
+export function compileRoutes(routes) {
+  const compiled = [];
+  const visit = (route, parentPath, parents) => {
+    if (typeof route.path !== 'string') {
+      throw new TypeError('Every route needs a `path` string.');
+    }
+    const fullPath = joinPaths(parentPath, route.path);
+    const chain = [...parents, route];
+    const children = route.children ?? [];
+    children.forEach((child) => visit(child, fullPath, chain));
+    if (!children.some((child) => child.path === '')) {
+      compiled.push({path: fullPath, pattern: compilePattern(fullPath), matched: chain});
+    }
+  };
+  routes.forEach((route) => visit(route, '/', []));
+  return compiled;
+}
+
+/**
+ * Returns the first compiled route matching `pathname` as `{path, params,
+ * matched}`, or `null`. Routes are tried in the order they are declared,
+ * children before their parent.
+ */
+export function matchRoutes(compiled, pathname) {
+  for (const route of compiled) {
+    const params = matchPattern(route.pattern, pathname);
+    if (params) {
+      return {path: route.path, params, matched: route.matched};
+    }
+  }
+  return null;
+}
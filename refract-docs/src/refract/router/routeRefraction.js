@@ -0,0 +1,80 @@
+// Query parameters are strings; the default value decides how they are read
+// back. Numbers and booleans are parsed, strings (and `null` or `undefined`
+// defaults) are kept as they are, and anything else goes through JSON.
+
+function parseValue(raw, defaultValue) {
+  if (raw === undefined) {
+    return defaultValue;
+  }
+  switch (typeof defaultValue) {
+    case 'number': {
+      const number = Number(raw);
+      return raw.trim() === '' || Number.isNaN(number) ? defaultValue : number;
+    }
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : defaultValue;
+    case 'string':
+    case 'undefined':
+      return raw;
+    default:
+      if (defaultValue === null) {
+        return raw;
+      }
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return defaultValue;
+      }
+  }
+}
+
+function serializeValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * `lens.useRouteRefraction(param, defaultValue)`: a component refraction
+ * bound to the query parameter `param`. Navigating updates the refraction,
+ * and writing the refraction replaces the query parameter in the URL. The
+ * default value is left out of the URL.
+ */
+export function useRouteRefraction(router, lens, param, defaultValue) {
+  const read = (route) => parseValue(route?.query[param], defaultValue);
+  const refraction = lens.useRefraction(read(router.route.peek()));
+
+  lens.useEffect(() => {
+    const fromRoute = (route) => {
+      const value = read(route);
+      // Parsed objects are new on every navigation; keep the current one
+      // unless the parameter changed.
+      if (serializeValue(value) !== serializeValue(refraction.peek())) {
+        refraction.set(() => value);
+      }
+    };
+    const toRoute = (value) => {
+      const route = router.route.peek();
+      const serialized = serializeValue(value);
+      const next = serialized === serializeValue(defaultValue) ? null : serialized;
+      if (!route || (route.query[param] ?? null) === next) {
+        return;
+      }
+      router
+        .replace({query: {...route.query, [param]: next}, hash: route.hash}, route.state)
+        .catch(router.reportError);
+    };
+
+    // The route may have changed between render and this effect.
+    fromRoute(router.route.peek());
+    const unsubscribeRoute = router.route.subscribe(fromRoute);
+    const unsubscribeRefraction = refraction.subscribe(toRoute);
+    return () => {
+      unsubscribeRoute();
+      unsubscribeRefraction();
+    };
+  }, [router, refraction, param]);
+
+  return refraction;
+}
@@ -0,0 +1,290 @@
+import {createRefraction} from '../refraction';
+import {compileRoutes, matchRoutes} from './matcher';
+
+const MAX_REDIRECTS = 10;
+const BASE_URL = 'http://refract.invalid';
+
+function isThenable(value) {
+  return typeof value?.then === 'function';
+}
+
+// Continues with `fn(value)` straight away for plain values, so navigation
+// stays synchronous unless a guard returns a promise.
+function settle(value, fn) {
+  return isThenable(value) ? value.then(fn) : fn(value);
+}
+
+function toPath({pathname, search, hash}) {
+  return `${pathname}${search}${hash}`;
+}
+
+function toSearch(query) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      params.set(key, String(value));
+    }
+  });
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+/**
+ * Resolves a navigation target against the current location:
+ *
+ * - a string is a URL, relative to the current path unless it starts with
+ *   `/`: `'/users/1?tab=posts'`, `'settings'`, `'?page=2'`;
+ * - an object sets `path`, `query` (an object; `null` values are dropped)
+ *   and `hash`. Without `path` the current path is kept.
+ */
+function resolveLocation(to, from) {
+  const base = `${BASE_URL}${from?.pathname ?? '/'}`;
+  if (typeof to === 'string') {
+    const url = new URL(to, base);
+    return {pathname: url.pathname, search: url.search, hash: url.hash};
+  }
+  if (!to || typeof to !== 'object') {
+    throw new TypeError(`Cannot navigate to ${String(to)}: expected a path string or a {path, query, hash} object.`);
+  }
+  const url = new URL(to.path ?? from?.pathname ?? '/', base);
+  const hash = to.hash ? `#${to.hash.replace(/^#/, '')}` : '';
+  return {pathname: url.pathname, search: to.query ? toSearch(to.query) : url.search, hash};
+}
+
+function createRoute(location, match) {
+  return {
+    path: toPath(location),
+    pathname: location.pathname,
+    search: location.search,
+    hash: location.hash,
+    state: location.state ?? null,
+    query: Object.fromEntries(new URLSearchParams(location.search)),
+    params: match?.params ?? {},
+    matched: match?.matched ?? [],
+  };
+}
+
+// Calls the guards in turn until one returns something other than
+// `undefined` or `true`: `false` cancels the navigation and anything else is
+// a redirect target.
+function runGuards(guards, to, from) {
+  for (let index = 0; index < guards.length; index++) {
+    const result = guards[index](to, from);
+    if (isThenable(result)) {
+      return result.then((value) =>
+        value === undefined || value === true ? runGuards(guards.slice(index + 1), to, from) : value,
+      );
+    }
+    if (result !== undefined && result !== true) {
+      return result;
+    }
+  }
+  return true;
+}
+
+/**
+ * Creates a router over `history`. The current route is the refraction
+ * `router.route`, so components reading `router.route.value` re-render on
+ * navigation. It is `null` until the first navigation completes; wait for
+ * `router.ready` before rendering on the server.
+ *
+ * `onError(error)` is called when a guard throws or rejects during a
+ * navigation nothing awaits: the first one, back/forward and query writes.
+ * Defaults to `console.error`.
+ *
+ * @param {{routes: object[], history: object, onError?: Function}} options
+ */
+export function createRouter({routes, history, onError}) {
+  const compiled = compileRoutes(routes);
+  const route = createRefraction(null);
+  const guards = [];
+  let navigationId = 0;
+  let stopListening = null;
+  // Set while the router moves the history back to undo a cancelled
+  // back/forward, so that move isn't guarded as a navigation of its own.
+  let undoing = false;
+  let resolveReady;
+  const ready = new Promise((resolve) => {
+    resolveReady = resolve;
+  });
+
+  const reportError = (error) => {
+    if (onError) {
+      onError(error);
+    } else {
+      console.error(error);
+    }
+  };
+
+  const resolve = (to, location = resolveLocation(to, route.peek())) =>
+    createRoute(location, matchRoutes(compiled, location.pathname));
+
+  // Runs the guards for a move from the current route to `location`, then
+  // calls `commit` unless the navigation was cancelled, redirected or
+  // overtaken by a newer one. Redirects push or replace like `replace` says.
+  // A guard that throws cancels the navigation, which then throws too.
+  const transition = (location, {commit, cancel, replace, redirects}) => {
+    const id = ++navigationId;
+    const from = route.peek();
+    const to = resolve(null, location);
+    const entering = to.matched.filter((record) => !from?.matched.includes(record));
+    const routeGuards = entering.map((record) => record.beforeEnter).filter(Boolean);
+
+    const fail = (error) => {
+      if (id === navigationId) {
+        cancel();
+        resolveReady();
+      }
+      throw error;
+    };
+
+    try {
+      const outcome = settle(runGuards([...guards, ...routeGuards], to, from), (result) => {
+        if (id !== navigationId) {
+          return false;
+        }
+        if (result === true) {
+          commit(to);
+          route.set(to);
+          resolveReady();
+          return true;
+        }
+        if (result === false) {
+          cancel();
+          resolveReady();
+          return false;
+        }
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error(`Too many redirects navigating to "${to.path}"; check your navigation guards.`);
+        }
+        return navigate(result, {replace}, redirects + 1);
+      });
+      return isThenable(outcome) ? outcome.catch(fail) : outcome;
+    } catch (error) {
+      return fail(error);
+    }
+  };
+
+  const navigate = (to, {replace = false, state = null} = {}, redirects = 0) => {
+    const location = {...resolveLocation(to, route.peek()), state};
+    return transition(location, {
+      commit: (next) => history[replace ? 'replace' : 'push'](next.path, state),
+      cancel: () => {},
+      replace,
+      redirects,
+    });
+  };
+
+  // The history already moved (browser back/forward, `go`); guards can
+  // still cancel, which moves the history back by `delta` entries, and
+  // redirects replace the entry it moved to. When `delta` isn't known, the
+  // previous route replaces the entry instead.
+  const onHistoryChange = (location, delta) => {
+    if (undoing) {
+      undoing = false;
+      return;
+    }
+    const from = route.peek();
+    const cancel = () => {
+      if (!from) {
+        return;
+      }
+      if (delta) {
+        undoing = true;
+        history.go(-delta);
+      } else {
+        history.replace(from.path, from.state);
+      }
+    };
+    try {
+      const result = transition(location, {commit: () => {}, cancel, replace: true, redirects: 0});
+      if (isThenable(result)) {
+        result.catch(reportError);
+      }
+    } catch (error) {
+      reportError(error);
+    }
+  };
+
+  const router = {
+    route,
+    history,
+    ready,
+
+    start() {
+      if (stopListening) {
+        return;
+      }
+      stopListening = history.listen(onHistoryChange);
+      if (!route.peek()) {
+        onHistoryChange(history.location);
+      }
+    },
+
+    stop() {
+      stopListening?.();
+      stopListening = null;
+    },
+
+    /**
+     * Navigates to `to`, adding a history entry. Resolves with `true` once
+     * the route changed, or `false` if a guard cancelled the navigation or
+     * a newer one replaced it. Rejects when a guard throws.
+     */
+    push(to, state) {
+      // The executor runs synchronously, so navigations without async
+      // guards still complete before `push` returns.
+      return new Promise((resolve) => resolve(navigate(to, {state})));
+    },
+
+    /** Like `push`, but replaces the current history entry. */
+    replace(to, state) {
+      return new Promise((resolve) => resolve(navigate(to, {replace: true, state})));
+    },
+
+    go(delta) {
+      history.go(delta);
+    },
+
+    back() {
+      history.go(-1);
+    },
+
+    forward() {
+      history.go(1);
+    },
+
+    /**
+     * Adds a guard called before every navigation with `(to, from)`. Return
+     * `false` to cancel, a path or location to redirect, or nothing to
+     * continue; guards may be async. Returns a function removing the guard.
+     */
+    beforeEach(guard) {
+      guards.push(guard);
+      return () => {
+        const index = guards.indexOf(guard);
+        if (index !== -1) {
+          guards.splice(index, 1);
+        }
+      };
+    },
+
+    /** The route `to` would lead to, without navigating. */
+    resolve(to) {
+      return resolve(to);
+    },
+
+    /** The `href` for a link to `to`. */
+    href(to) {
+      return history.createHref(resolve(to).path);
+    },
+
+    /**
+     * Reports an error from a navigation nothing awaits to `onError`, like
+     * the router does for back/forward.
+     */
+    reportError,
+  };
+
+  return router;
+}
@@ -0,0 +1,219 @@
+// Update scheduler: decides when a component re-renders after a refraction
+// it read changes. Subscribers are still notified when the write, or the
+// outermost batch, ends; what waits here is the re-render, in one of four
+// lanes, most urgent first:
+//
+//   'sync'        Writes in discrete input events (click, keydown, input...),
+//                 in flash effects and in runWithPriority('sync'). Rendered
+//                 before the event or effect returns.
+//   'default'     Every other write. Rendered together after the current
+//                 task, so writes from one timer or response render once.
+//   'transition'  Writes in startTransition(). Rendered as a React
+//                 transition: interruptible, in time slices.
+//   'idle'        Writes in runWithPriority('idle'). Rendered as a
+//                 transition once the browser is idle.
+//
+// A component waiting in several lanes renders in the most urgent one.
+import {startTransition as startReactTransition} from 'react';
+import {flushSync} from 'react-dom';
+
+export const LANES = ['sync', 'default', 'transition', 'idle'];
+
+// Events React also treats as discrete: each one is a deliberate action
+// whose result should show before the next.
+const DISCRETE_EVENTS = new Set([
+  'beforeinput', 'blur', 'change', 'click', 'contextmenu', 'copy', 'cut', 'dblclick', 'dragend',
+  'dragstart', 'drop', 'focus', 'focusin', 'focusout', 'input', 'keydown', 'keypress', 'keyup',
+  'mousedown', 'mouseup', 'paste', 'pointercancel', 'pointerdown', 'pointerup', 'reset', 'select',
+  'submit', 'touchcancel', 'touchend', 'touchstart',
+]);
+
+// Re-render functions waiting to run, mapped to their lane.
+const queue = new Map();
+let explicitLane = null;
+// Writes inside a scope render when the outermost scope ends.
+let scopeDepth = 0;
+// Inside a React commit (lens effects), where flushSync isn't allowed.
+let lifecycleDepth = 0;
+let defaultFlushScheduled = false;
+let idleFlushScheduled = false;
+
+function isDiscreteEvent() {
+  const event = typeof window === 'undefined' ? undefined : window.event;
+  return event !== undefined && DISCRETE_EVENTS.has(event.type);
+}
+
+/**
+ * Returns the more urgent of two lanes; `null` counts as no lane.
+ */
+export function moreUrgent(a, b) {
+  if (!a || !b) {
+    return a ?? b;
+  }
+  return LANES.indexOf(a) <= LANES.indexOf(b) ? a : b;
+}
+
+/**
+ * The lane of a write made now.
+ */
+export function getCurrentLane() {
+  return explicitLane ?? (isDiscreteEvent() ? 'sync' : 'default');
+}
+
+function takeLane(lane) {
+  const updates = [];
+  queue.forEach((queuedLane, update) => {
+    if (queuedLane === lane) {
+      updates.push(update);
+      queue.delete(update);
+    }
+  });
+  return updates;
+}
+
+function run(updates) {
+  updates.forEach((update) => update());
+}
+
+function flushSyncLane() {
+  const updates = takeLane('sync');
+  if (updates.length === 0) {
+    return;
+  }
+  // React renders updates from discrete events and commits synchronously on
+  // its own; everywhere else, make it.
+  if (lifecycleDepth > 0 || isDiscreteEvent()) {
+    run(updates);
+  } else {
+    flushSync(() => run(updates));
+  }
+}
+
+function flushTransitionLane() {
+  const updates = takeLane('transition');
+  if (updates.length > 0) {
+    startReactTransition(() => run(updates));
+  }
+}
+
+function flushDefaultLane() {
+  defaultFlushScheduled = false;
+  run(takeLane('default'));
+}
+
+function flushIdleLane() {
+  idleFlushScheduled = false;
+  const updates = takeLane('idle');
+  if (updates.length > 0) {
+    startReactTransition(() => run(updates));
+  }
+}
+
+function requestIdle(callback) {
+  if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(callback, {timeout: 1000});
+  } else {
+    setTimeout(callback, 1);
+  }
+}
+
+function flushScoped() {
+  flushSyncLane();
+  flushTransitionLane();
+}
+
+/**
+ * Queues `update`, a component's re-render, in the lane of the current
+ * write. Calling it again before it runs only moves it to a more urgent
+ * lane.
+ *
+ * @param {() => void} update
+ * @param {string} [lane]
+ */
+export function scheduleUpdate(update, lane = getCurrentLane()) {
+  queue.set(update, moreUrgent(queue.get(update), lane));
+  const queued = queue.get(update);
+  if (queued === 'default' && !defaultFlushScheduled) {
+    defaultFlushScheduled = true;
+    queueMicrotask(flushDefaultLane);
+  } else if (queued === 'idle' && !idleFlushScheduled) {
+    idleFlushScheduled = true;
+    requestIdle(flushIdleLane);
+  } else if (scopeDepth === 0) {
+    flushScoped();
+  }
+}
+
+/**
+ * Runs `fn` with its writes in `lane` (or the current lane when `null`).
+ * Sync and transition re-renders queued inside wait until the outermost
+ * scope ends, so they render together.
+ */
+export function runInScope(fn, lane = null) {
+  const previous = explicitLane;
+  explicitLane = lane ?? explicitLane;
+  scopeDepth++;
+  try {
+    return fn();
+  } finally {
+    scopeDepth--;
+    explicitLane = previous;
+    if (scopeDepth === 0) {
+      flushScoped();
+    }
+  }
+}
+
+/**
+ * Runs `fn`, a lens effect or another callback React calls while
+ * committing, in `lane`.
+ */
+export function runInLifecycle(fn, lane = null) {
+  lifecycleDepth++;
+  try {
+    return runInScope(fn, lane);
+  } finally {
+    lifecycleDepth--;
+  }
+}
+
+/**
+ * Runs every queued re-render now, whatever its lane. Used by `act` in
+ * tests.
+ */
+export function flushUpdates() {
+  run(takeLane('sync'));
+  run(takeLane('default'));
+  flushTransitionLane();
+  const idle = takeLane('idle');
+  if (idle.length > 0) {
+    startReactTransition(() => run(idle));
+  }
+}
+
+/**
+ * Marks the refraction writes in `fn` as non-urgent. Components render
+ * them as a React transition: in time slices, interrupted by more urgent
+ * updates, and showing the previous state until the new one is ready.
+ *
+ * @param {() => void} fn
+ */
+export function startTransition(fn) {
+  runInScope(fn, 'transition');
+}
+
+/**
+ * Runs `fn` with its refraction writes in the given lane: `'sync'`,
+ * `'default'`, `'transition'` or `'idle'`. Returns what `fn` returns.
+ *
+ * @template T
+ * @param {'sync' | 'default' | 'transition' | 'idle'} priority
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runWithPriority(priority, fn) {
+  if (!LANES.includes(priority)) {
+    throw new TypeError(`Unknown priority "${priority}". Use one of: ${LANES.join(', ')}.`);
+  }
+  return runInScope(fn, priority);
+}
@@ -0,0 +1,33 @@
+// Type declarations for the server renderers.
+
+import type {App} from './index';
+
+export interface StreamOptions {
+  /** The shell (everything outside Suspense boundaries) has rendered. */
+  onShellReady?: () => void;
+  /** The shell failed to render; send an error page instead. */
+  onShellError?: (error: Error) => void;
+  /** Every Suspense boundary has resolved. */
+  onAllReady?: () => void;
+  /** An error was thrown while rendering; defaults to the app's `onError`. */
+  onError?: (error: Error) => void;
+}
+
+/** What `pipe` writes to, like a Node.js `Writable` or an HTTP response. */
+export interface WritableDestination {
+  write(chunk: any): boolean;
+  end(): unknown;
+  destroy(error?: Error): unknown;
+  on(event: string, listener: (...args: any[]) => void): unknown;
+  flush?(): void;
+}
+
+export interface AppStream {
+  pipe<T extends WritableDestination>(destination: T): T;
+  abort(reason?: unknown): void;
+}
+
+/** Renders `app` to HTML once every Suspense boundary has resolved, followed by its serialized `state`. */
+export function renderToString(app: App): Promise<string>;
+/** Streams `app` as HTML. Call `pipe` from `onShellReady`, or from `onAllReady` for crawlers. */
+export function renderToStream(app: App, options?: StreamOptions): AppStream;
@@ -0,0 +1,121 @@
+// Server rendering for apps made with `createApp`. Both renderers use React's
+// streaming renderer, so Suspense boundaries and `lazy` components resolve on
+// the server. Nothing here touches the DOM or Node built-ins beyond what
+// React uses, so it runs in Node with no browser or DOM shim; see
+// __tests__/server.test.js.
+//
+// Every render caches resources on its own, so concurrent requests for one
+// app never share data, and the cache is emptied when the render ends.
+import {renderToPipeableStream} from 'react-dom/server';
+import {createAppElement, serializeState} from './app';
+import {clearResourceCache} from './resource';
+
+function reportError(app, error) {
+  const {onError} = app.getConfig();
+  if (onError) {
+    onError(error, {});
+  } else {
+    console.error(error);
+  }
+}
+
+/**
+ * Renders `app` to an HTML string once every Suspense boundary has
+ * resolved. The string ends with the serialized `state` refractions; put it
+ * inside the element the client mounts with `hydrate: true`.
+ *
+ * @param {object} app
+ * @returns {Promise<string>}
+ */
+export function renderToString(app) {
+  return new Promise((resolve, reject) => {
+    const resourceCache = new Map();
+    const decoder = new TextDecoder();
+    let html = '';
+    // The subset of a writable stream React writes to.
+    const destination = {
+      write(chunk) {
+        html += typeof chunk === 'string' ? chunk : decoder.decode(chunk, {stream: true});
+        return true;
+      },
+      end() {
+        clearResourceCache(resourceCache);
+        resolve(html + decoder.decode() + serializeState(app));
+      },
+      destroy(error) {
+        clearResourceCache(resourceCache);
+        reject(error);
+      },
+      on() {
+        return destination;
+      },
+    };
+
+    const stream = renderToPipeableStream(createAppElement(app, undefined, resourceCache), {
+      onAllReady() {
+        stream.pipe(destination);
+      },
+      onShellError(error) {
+        clearResourceCache(resourceCache);
+        reject(error);
+      },
+      onError: (error) => reportError(app, error),
+    });
+  });
+}
+
+/**
+ * Streams `app` as HTML. Call `pipe(response)` from `onShellReady` to send
+ * the shell as soon as it renders, or from `onAllReady` for crawlers. The
+ * serialized `state` refractions are written last, after every Suspense
+ * boundary has resolved, so they include data loaded while rendering.
+ *
+ * @param {object} app
+ * @param {object} [options]
+ * @returns {{pipe: Function, abort: Function}}
+ */
+export function renderToStream(app, options = {}) {
+  const {onShellReady, onShellError, onAllReady, onError} = options;
+  const resourceCache = new Map();
+  const stream = renderToPipeableStream(createAppElement(app, undefined, resourceCache), {
+    onShellReady,
+    onShellError(error) {
+      clearResourceCache(resourceCache);
+      onShellError?.(error);
+    },
+    onAllReady,
+    onError: (error) => (onError ? onError(error) : reportError(app, error)),
+  });
+
+  return {
+    pipe(destination) {
+      // Forwards to `destination` but appends the state before ending it.
+      const target = {
+        write: (chunk) => destination.write(chunk),
+        end() {
+          clearResourceCache(resourceCache);
+          destination.write(serializeState(app));
+          destination.end();
+        },
+        destroy(error) {
+          clearResourceCache(resourceCache);
+          destination.destroy(error);
+        },
+        on(event, listener) {
+          destination.on(event, listener);
+          return target;
+        },
+      };
+      if (typeof destination.flush === 'function') {
+        target.flush = () => destination.flush();
+      }
+      stream.pipe(target);
+      return destination;
+    },
+
+    abort(reason) {
+      stream.abort(reason);
+      clearResourceCache(resourceCache);
+    },
+  };
+}
@@ -0,0 +1,201 @@
+import {createComponent, createOptic, createRefraction, useRefraction} from '../..';
+import {act, createMockLens, fireEvent, flushEffects, flushFlash, render, renderOptic} from '..';
+
+const Counter = createComponent(({lens, initial = 0}) => {
+  const count = lens.useRefraction(initial);
+  return <button onClick={() => count.set((previous) => previous + 1)}>Count: {count.value}</button>;
+});
+
+const useCounter = createOptic((initial) => {
+  const count = useRefraction(initial);
+  return {count: count.value, increment: () => count.set((previous) => previous + 1)};
+});
+
+function createListener() {
+  const listeners = new Set();
+  const Listener = createComponent(({lens, topic}) => {
+    lens.useEffect(() => {
+      listeners.add(topic);
+      return () => listeners.delete(topic);
+    }, [topic]);
+    return null;
+  });
+  return {Listener, listeners};
+}
+
+describe('render', () => {
+  it('mounts the element and returns queries bound to the container', () => {
+    const {app, container, getByText} = render(<Counter initial={2} />);
+
+    expect(container.parentNode).toBe(document.body);
+    expect(app.getConfig().onError).toEqual(expect.any(Function));
+    fireEvent.click(getByText('Count: 2'));
+    expect(container.textContent).toBe('Count: 3');
+  });
+
+  it('rerenders with a new element and unmounts', () => {
+    const {container, rerender, unmount} = render(<p>First</p>);
+
+    rerender(<p>Second</p>);
+    expect(container.textContent).toBe('Second');
+
+    unmount();
+    expect(container.isConnected).toBe(false);
+  });
+
+  it('throws errors from rendering unless the app handles them', () => {
+    const Broken = () => {
+      throw new Error('Broken');
+    };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => render(<Broken />)).toThrow('Broken');
+    expect(document.body.children).toHaveLength(0);
+    console.error.mockRestore();
+  });
+
+  it('applies writes made in act', () => {
+    const label = createRefraction('Before');
+    const Label = createComponent(() => <p>{label.value}</p>);
+    const {container} = render(<Label />);
+
+    act(() => {
+      label.set('After');
+    });
+    expect(container.textContent).toBe('After');
+  });
+});
+
+describe('renderOptic', () => {
+  it('keeps the latest return value and rerenders with new props', () => {
+    const {result, rerender} = renderOptic(({initial}) => useCounter(initial), {initialProps: {initial: 5}});
+
+    act(() => {
+      result.current.increment();
+    });
+    expect(result.current.count).toBe(6);
+
+    rerender({initial: 0});
+    expect(result.current.count).toBe(6);
+  });
+});
+
+describe('createMockLens', () => {
+  it('records hook calls in order', () => {
+    const lens = createMockLens();
+    render(<Counter lens={lens} initial={1} />);
+
+    expect(lens.calls).toEqual([{hook: 'useRefraction', args: [1]}]);
+  });
+
+  it('holds effects and cleanups back until they are flushed', () => {
+    const {Listener, listeners} = createListener();
+    const lens = createMockLens();
+    const {rerender, unmount} = render(<Listener lens={lens} topic="a" />);
+
+    expect(listeners.size).toBe(0);
+    expect(flushEffects()).toBe(1);
+    expect(listeners).toEqual(new Set(['a']));
+
+    rerender(<Listener lens={lens} topic="b" />);
+    expect(listeners).toEqual(new Set(['a']));
+    expect(flushEffects()).toBe(2);
+    expect(listeners).toEqual(new Set(['b']));
+
+    unmount();
+    flushEffects();
+    expect(listeners.size).toBe(0);
+    expect(lens.effects).toEqual([
+      expect.objectContaining({hook: 'useEffect', runs: 2, cleanups: 2, runsWithoutCleanup: 0, pendingCleanup: null}),
+    ]);
+  });
+
+  it('runs flash effects only on flushFlash', () => {
+    const flash = jest.fn();
+    const Flash = createComponent(({lens}) => {
+      lens.useFlash(flash, []);
+      return null;
+    });
+    const lens = createMockLens();
+    render(<Flash lens={lens} />);
+
+    expect(flushEffects()).toBe(0);
+    expect(flash).not.toHaveBeenCalled();
+    expect(flushFlash()).toBe(1);
+    expect(flash).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs effects queued by the re-renders a flush causes', () => {
+    const Loader = createComponent(({lens}) => {
+      const step = lens.useRefraction(0);
+      lens.useEffect(() => {
+        if (step.value < 3) {
+          step.set(step.value + 1);
+        }
+      }, [step.value]);
+      return <p>{step.value}</p>;
+    });
+    const lens = createMockLens();
+    const {container} = render(<Loader lens={lens} />);
+
+    // Four runs, and the cleanup queued before each of the last three.
+    expect(flushEffects()).toBe(7);
+    expect(container.textContent).toBe('3');
+    expect(lens.effects[0].runs).toBe(4);
+  });
+
+  it('gives up on effects that keep scheduling effects', () => {
+    const Loop = createComponent(({lens}) => {
+      const count = lens.useRefraction(0);
+      lens.useEffect(() => count.set(count.value + 1), [count.value]);
+      return null;
+    });
+    render(<Loop lens={createMockLens()} />);
+
+    expect(() => flushEffects()).toThrow('flushEffects() gave up after 100 rounds');
+  });
+
+  it("doesn't hold back the effects of components using their own lens", () => {
+    const {Listener, listeners} = createListener();
+    render(<Listener topic="a" />);
+
+    expect(listeners).toEqual(new Set(['a']));
+    expect(flushEffects()).toBe(0);
+  });
+});
+
+describe('matchers', () => {
+  it('check that effects ran and were cleaned up', () => {
+    const {Listener} = createListener();
+    const lens = createMockLens();
+    const {unmount} = render(<Listener lens={lens} topic="a" />);
+
+    expect(lens).not.toHaveRunEffects();
+    flushEffects();
+    expect(lens).toHaveRunEffects(1);
+    expect(lens).not.toHaveCleanedUpEffects();
+
+    unmount();
+    flushEffects();
+    expect(lens).toHaveCleanedUpEffects({requireCleanup: true});
+  });
+
+  it('fail for effect runs without a cleanup when required', () => {
+    const Effect = createComponent(({lens}) => {
+      lens.useEffect(() => {}, []);
+      return null;
+    });
+    const lens = createMockLens();
+    render(<Effect lens={lens} />);
+    flushEffects();
+
+    expect(lens).toHaveCleanedUpEffects();
+    expect(() => expect(lens).toHaveCleanedUpEffects({requireCleanup: true})).toThrow(
+      'lens.useEffect #1 ran 1 time(s) without returning a cleanup',
+    );
+  });
+
+  it('reject values that are not mock lenses', () => {
+    expect(() => expect({}).toHaveRunEffects()).toThrow('toHaveRunEffects() expects a lens created with createMockLens().');
+  });
+});
@@ -0,0 +1,32 @@
+import * as React from 'react';
+import * as ReactTestUtils from 'react-dom/test-utils';
+import {flushUpdates} from '../scheduler';
+
+// `act` moved from react-dom/test-utils to react in React 18.3, which
+// deprecates the old export.
+const reactAct = React.act ?? ReactTestUtils.act;
+
+/**
+ * Runs `callback` and applies the renders and effects it causes before
+ * returning, like React's `act`. Returns a promise when `callback` does.
+ *
+ * @param {() => void | Promise<void>} callback
+ */
+export function act(callback) {
+  // Tells React it runs in a test environment, so it expects updates inside
+  // `act` and doesn't warn about them.
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  // Re-renders the scheduler would run after the current task, or when idle,
+  // run inside the act scope instead.
+  return reactAct(() => {
+    const result = callback();
+    if (typeof result?.then === 'function') {
+      return result.then((value) => {
+        flushUpdates();
+        return value;
+      });
+    }
+    flushUpdates();
+    return result;
+  });
+}
@@ -0,0 +1,172 @@
+// Reference implementation of `@refract/testing-utils`. Queries, `fireEvent`
+// and `waitFor` come from DOM Testing Library; rendering, the mock lens, the
+// effect scheduler and the matchers are Refract's.
+import React from 'react';
+import {configure, getQueriesForElement, prettyDOM} from '@testing-library/dom';
+import {createApp} from '../app';
+import {createComponent} from '../component';
+import {useOptic} from '../lens';
+import {createRefraction} from '../refraction';
+import {clearResourceCache} from '../resource';
+import {act} from './act';
+import {matchers} from './matchers';
+import {clearScheduledEffects} from './scheduler';
+
+export * from '@testing-library/dom';
+export {act} from './act';
+export {createMockLens} from './mockLens';
+export {flushEffects, flushFlash} from './scheduler';
+export {matchers};
+
+const rendered = new Set();
+
+// Events fired with `fireEvent` are applied like any update in `act`, and
+// `waitFor` polls outside `act` so updates from timers and promises are
+// rendered while it waits.
+configure({
+  eventWrapper(callback) {
+    let result;
+    act(() => {
+      result = callback();
+    });
+    return result;
+  },
+  async asyncWrapper(callback) {
+    const previous = globalThis.IS_REACT_ACT_ENVIRONMENT;
+    globalThis.IS_REACT_ACT_ENVIRONMENT = false;
+    try {
+      return await callback();
+    } finally {
+      globalThis.IS_REACT_ACT_ENVIRONMENT = previous;
+    }
+  },
+});
+
+function unmountRendered(entry) {
+  if (!rendered.delete(entry)) {
+    return;
+  }
+  act(() => {
+    entry.app.unmount();
+  });
+  if (entry.ownsContainer) {
+    entry.container.remove();
+  }
+}
+
+/**
+ * Mounts `ui` in a new app and returns the mounted `app`, its `container`,
+ * the DOM Testing Library queries bound to the container, `rerender(ui)`,
+ * `unmount()` and `debug()`.
+ *
+ * The container defaults to a `<div>` appended to `document.body`. Other
+ * options are passed to `createApp`; unless `onError` or `errorBoundary` is
+ * given, errors thrown while rendering fail the test instead of being
+ * logged.
+ *
+ * @param {React.ReactNode} ui
+ * @param {object} [options]
+ */
+export function render(ui, options = {}) {
+  const {container: givenContainer, ...appOptions} = options;
+  const container = givenContainer ?? document.body.appendChild(document.createElement('div'));
+  const current = createRefraction(ui);
+  const TestRoot = createComponent(function TestRoot() {
+    return current.value;
+  });
+  const app = createApp(TestRoot, {
+    onError: appOptions.errorBoundary
+      ? null
+      : (error) => {
+          throw error;
+        },
+    ...appOptions,
+  });
+
+  try {
+    act(() => {
+      app.mount(container);
+    });
+  } catch (error) {
+    app.unmount();
+    if (!givenContainer) {
+      container.remove();
+    }
+    throw error;
+  }
+  const entry = {app, container, ownsContainer: !givenContainer};
+  rendered.add(entry);
+
+  return {
+    app,
+    container,
+    ...getQueriesForElement(container),
+    rerender(nextUi) {
+      act(() => {
+        current.set(nextUi);
+      });
+    },
+    unmount() {
+      unmountRendered(entry);
+    },
+    debug(element = container) {
+      console.log(prettyDOM(element));
+    },
+  };
+}
+
+/**
+ * Calls `callback(props)` while a component renders, so it can use the lens
+ * hooks, and keeps its latest return value in `result.current`.
+ *
+ * @param {(props: any) => any} callback
+ * @param {object} [options] `initialProps`, plus the options of `render`
+ */
+export function renderHook(callback, options = {}) {
+  const {initialProps, ...renderOptions} = options;
+  const result = {current: undefined};
+  const TestHook = createComponent(function TestHook({hookProps}) {
+    result.current = callback(hookProps);
+    return null;
+  });
+
+  const {rerender, ...rest} = render(<TestHook hookProps={initialProps} />, renderOptions);
+  return {
+    ...rest,
+    result,
+    rerender(props) {
+      rerender(<TestHook hookProps={props} />);
+    },
+  };
+}
+
+/**
+ * `renderHook` for optics: calls `callback(props)` through
+ * `lens.useOptic`.
+ *
+ * @param {(props: any) => any} callback
+ * @param {object} [options]
+ */
+export function renderOptic(callback, options) {
+  return renderHook((props) => useOptic(() => callback(props)), options);
+}
+
+/**
+ * Unmounts every app mounted with `render`, drops queued mock lens effects
+ * and empties the resource cache shared outside apps. Runs after each test
+ * automatically when the test runner exposes `afterEach` as a global.
+ */
+export function cleanup() {
+  Array.from(rendered).forEach(unmountRendered);
+  clearScheduledEffects();
+  clearResourceCache();
+}
+
+// Like React Testing Library, hook into the test runner's globals when they
+// exist, so tests only need to import what they use.
+if (typeof globalThis.afterEach === 'function') {
+  globalThis.afterEach(() => cleanup());
+}
+if (typeof globalThis.expect?.extend === 'function') {
+  globalThis.expect.extend(matchers);
+}
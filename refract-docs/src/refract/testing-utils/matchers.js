@@ -0,0 +1,63 @@
+// Matchers for Jest and Vitest (`expect.extend(matchers)`), asserting on the
+// effect records of a lens made with `createMockLens()`.
+
+function getEffects(received, matcherName) {
+  if (!Array.isArray(received?.effects)) {
+    throw new TypeError(`${matcherName}() expects a lens created with createMockLens().`);
+  }
+  return received.effects;
+}
+
+function describeEffect(effect, index) {
+  return `lens.${effect.hook} #${index + 1}`;
+}
+
+/**
+ * Passes when every cleanup returned by a `lens.useEffect` run has been
+ * called, e.g. after unmounting and `flushEffects()`. With
+ * `{requireCleanup: true}` it also fails for effect runs that returned no
+ * cleanup at all.
+ */
+function toHaveCleanedUpEffects(received, {requireCleanup = false} = {}) {
+  const effects = getEffects(received, 'toHaveCleanedUpEffects').filter((effect) => effect.hook === 'useEffect');
+  const problems = effects.flatMap((effect, index) => {
+    if (effect.pendingCleanup) {
+      return [`${describeEffect(effect, index)} has not been cleaned up`];
+    }
+    if (requireCleanup && effect.runsWithoutCleanup > 0) {
+      return [`${describeEffect(effect, index)} ran ${effect.runsWithoutCleanup} time(s) without returning a cleanup`];
+    }
+    return [];
+  });
+
+  return {
+    pass: problems.length === 0,
+    message: () =>
+      problems.length === 0
+        ? `Expected an effect not to be cleaned up, but all ${effects.length} were.`
+        : `Expected every effect to be cleaned up:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`,
+  };
+}
+
+/**
+ * Passes when the lens's effects (`lens.useEffect` and `lens.useFlash`) ran
+ * at all, or exactly `times` times in total.
+ */
+function toHaveRunEffects(received, times) {
+  const runs = getEffects(received, 'toHaveRunEffects').reduce((total, effect) => total + effect.runs, 0);
+  const pass = times === undefined ? runs > 0 : runs === times;
+  const expected = times === undefined ? 'at least once' : `${times} time(s)`;
+
+  return {
+    pass,
+    message: () =>
+      pass
+        ? `Expected effects not to have run ${expected}, but they ran ${runs} time(s).`
+        : `Expected effects to have run ${expected}, but they ran ${runs} time(s). Did you call flushEffects()?`,
+  };
+}
+
+export const matchers = {
+  toHaveCleanedUpEffects,
+  toHaveRunEffects,
+};
@@ -0,0 +1,124 @@
+import {useEffect as useReactEffect, useRef} from 'react';
+import {createLens, useIsomorphicLayoutEffect} from '../lens';
+import {schedule} from './scheduler';
+
+function createEffectRecord(hook) {
+  return {
+    hook,
+    runs: 0,
+    cleanups: 0,
+    // Runs that returned nothing to clean up with.
+    runsWithoutCleanup: 0,
+    // The cleanup returned by the last run, until it is called.
+    pendingCleanup: null,
+  };
+}
+
+function runEffect(record, effect) {
+  const cleanup = effect();
+  record.runs++;
+  if (typeof cleanup === 'function') {
+    record.pendingCleanup = cleanup;
+  } else {
+    record.runsWithoutCleanup++;
+  }
+}
+
+function runCleanup(record) {
+  const cleanup = record.pendingCleanup;
+  if (!cleanup) {
+    return;
+  }
+  record.pendingCleanup = null;
+  record.cleanups++;
+  cleanup();
+}
+
+/**
+ * Creates a lens for tests. Pass it to a component as the `lens` prop and it
+ * is used instead of the component's own lens:
+ *
+ * - every hook call is appended to `lens.calls` as `{hook, args}`;
+ * - `lens.useRefraction`, `useDerived`, `useResource`, `useOptic` and
+ *   `useTransition` behave as usual;
+ * - `lens.useEffect` and `lens.useFlash` effects (and effect cleanups) don't
+ *   run when React commits, but when the test calls `flushEffects()` or
+ *   `flushFlash()`;
+ * - `lens.effects` has one record per effect hook, in call order, with its
+ *   `runs`, `cleanups`, `runsWithoutCleanup` and `pendingCleanup`.
+ */
+export function createMockLens() {
+  const real = createLens();
+  const calls = [];
+  const effects = [];
+
+  const record = (hook, args) => calls.push({hook, args});
+
+  const useEffectRecord = (hook) => {
+    const ref = useRef(null);
+    if (!ref.current) {
+      ref.current = createEffectRecord(hook);
+      effects.push(ref.current);
+    }
+    return ref.current;
+  };
+
+  const lens = {
+    calls,
+    effects,
+
+    useRefraction(initialValue) {
+      record('useRefraction', [initialValue]);
+      return real.useRefraction(initialValue);
+    },
+
+    useDerived(compute, deps) {
+      record('useDerived', [compute, deps]);
+      return real.useDerived(compute, deps);
+    },
+
+    useEffect(effect, deps) {
+      record('useEffect', [effect, deps]);
+      const effectRecord = useEffectRecord('useEffect');
+      useReactEffect(() => {
+        schedule('effect', () => runEffect(effectRecord, effect));
+        return () => schedule('effect', () => runCleanup(effectRecord));
+      }, deps);
+    },
+
+    useFlash(effect, deps) {
+      record('useFlash', [effect, deps]);
+      const effectRecord = useEffectRecord('useFlash');
+      // Flash effects cannot clean up, so any return value is dropped.
+      useIsomorphicLayoutEffect(() => {
+        schedule('flash', () => {
+          runEffect(effectRecord, () => {
+            effect();
+          });
+        });
+      }, deps);
+    },
+
+    useResource(key, fetcher, options) {
+      record('useResource', [key, fetcher, options]);
+      return real.useResource(key, fetcher, options);
+    },
+
+    useOptic(optic, deps) {
+      record('useOptic', [optic, deps]);
+      return real.useOptic(optic, deps);
+    },
+
+    useTransition() {
+      record('useTransition', []);
+      return real.useTransition();
+    },
+
+    batch(fn) {
+      record('batch', [fn]);
+      return real.batch(fn);
+    },
+  };
+
+  return lens;
+}
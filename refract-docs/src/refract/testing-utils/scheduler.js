@@ -0,0 +1,59 @@
+import {act} from './act';
+import {batch} from '../refraction';
+
+// Rounds of effects queuing more effects before a flush gives up; past this,
+// a test is almost certainly stuck in an update loop.
+const MAX_FLUSHES = 100;
+
+const queues = {effect: [], flash: []};
+
+/**
+ * Queues a run or cleanup of a mock lens effect until the matching flush.
+ *
+ * @param {'effect' | 'flash'} kind
+ * @param {() => void} task
+ */
+export function schedule(kind, task) {
+  queues[kind].push(task);
+}
+
+function flush(kind, name) {
+  const queue = queues[kind];
+  let count = 0;
+  for (let flushes = 0; queue.length > 0; flushes++) {
+    if (flushes === MAX_FLUSHES) {
+      queue.length = 0;
+      throw new Error(`${name}() gave up after ${MAX_FLUSHES} rounds: effects keep scheduling more effects.`);
+    }
+    const tasks = queue.splice(0);
+    count += tasks.length;
+    act(() => {
+      batch(() => tasks.forEach((task) => task()));
+    });
+  }
+  return count;
+}
+
+/**
+ * Runs the `lens.useEffect` effects and cleanups of mock lenses queued by
+ * renders so far, and any the resulting re-renders queue. Returns how many
+ * ran. Only mock lenses queue effects: components using their own lens, and
+ * the update scheduler, already ran inside `act`.
+ */
+export function flushEffects() {
+  return flush('effect', 'flushEffects');
+}
+
+/**
+ * Runs the queued `lens.useFlash` effects of mock lenses. Returns how many
+ * ran. Like `flushEffects`, it doesn't affect components using their own
+ * lens.
+ */
+export function flushFlash() {
+  return flush('flash', 'flushFlash');
+}
+
+export function clearScheduledEffects() {
+  queues.effect.length = 0;
+  queues.flash.length = 0;
+}
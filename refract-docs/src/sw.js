@@ -0,0 +1,52 @@
+// Custom service worker code, run by @docusaurus/plugin-pwa before it
+// registers its own handlers. Page navigations are answered here so that a
+// page missing from the precache falls back to the offline page instead of
+// the browser's network error.
+
+// With `trailingSlash: false`, `/docs/intro` is built as `docs/intro.html`,
+// and `/` as `index.html`. Precached HTML carries a `__WB_REVISION__` query
+// string, hence `ignoreSearch`.
+async function matchPrecache(url) {
+  const {origin, pathname} = new URL(url);
+  const base = `${origin}${pathname}`;
+  const candidates = pathname.endsWith('/')
+    ? [base, `${base}index.html`]
+    : [base, `${base}.html`, `${base}/index.html`];
+  for (const candidate of candidates) {
+    const response = await caches.match(candidate, {ignoreSearch: true});
+    if (response) {
+      return response;
+    }
+  }
+  return undefined;
+}
+
+async function respondToNavigation(request, offlinePageUrl) {
+  const cached = await matchPrecache(request.url);
+  if (cached) {
+    return cached;
+  }
+  try {
+    return await fetch(request);
+  } catch (error) {
+    return (await matchPrecache(offlinePageUrl)) ?? Response.error();
+  }
+}
+
+export default function swCustom(params) {
+  if (!params.offlineMode) {
+    return;
+  }
+  // Each locale has its own service worker, scoped to the locale's base URL.
+  const offlinePageUrl = new URL('offline', self.registration.scope).href;
+
+  self.addEventListener('fetch', (event) => {
+    if (event.request.mode !== 'navigate') {
+      return;
+    }
+    // The plugin's handler would answer precached pages as well; one
+    // response per request is all a fetch event allows.
+    event.stopImmediatePropagation();
+    event.respondWith(respondToNavigation(event.request, offlinePageUrl));
+  });
+}
@@ -0,0 +1,12 @@
+import React from 'react';
+import CodeBlock from '@theme-original/CodeBlock';
+import RefractPlayground from '@site/src/components/RefractPlayground';
+
+// Fences marked with the `live` meta become editable playgrounds;
+// everything else keeps the regular Prism code block.
+export default function CodeBlockWrapper(props) {
+  if (props.live) {
+    return <RefractPlayground {...props} />;
+  }
+  return <CodeBlock {...props} />;
+}
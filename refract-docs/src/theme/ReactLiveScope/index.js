@@ -0,0 +1,13 @@
+import React from 'react';
+import * as Refract from '@site/src/refract';
+
+// Identifiers available to live code blocks without an import. The refract
+// exports come last so `useEffect`, `memo`, `lazy` and `Suspense` resolve to
+// the Refract versions documented on the site.
+const ReactLiveScope = {
+  React,
+  ...React,
+  ...Refract,
+};
+
+export default ReactLiveScope;